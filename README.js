@@ -14,13 +14,15 @@
  * 主な機能:
  * - プレイヤー登録・管理（自動ID採番）
  * - ラウンド管理（ラウンド開始）
- * - スイス方式マッチング（同勝点ペアリング、再戦回避、Bye処理）
- * - 対戦結果記録（勝敗・引き分け、統計自動更新）
+ * - スイス方式マッチング（同勝点ペアリング、再戦回避、Bye処理、強制ペア・禁止ペア・席の入れ替え）
+ * - 対戦結果記録（勝敗・引き分け・両負け、統計自動更新）
  * - 勝率計算（タイブレーク用）
  * - 順位表示（勝点、勝率、自己勝率による順位付け）
- * - プレイヤードロップアウト処理
+ * - トップカット（スイスドロー上位によるシングルエリミネーション）
+ * - プレイヤードロップアウト処理（ドロップ取り消し）
  * - 卓番号の自動管理
  * - 排他制御（複数ユーザー対応）
+ * - 操作ログと元に戻す
  *
  * ファイル構成:
  *
@@ -28,6 +30,17 @@
  * - player-domain.js: プレイヤードメイン（登録、統計、順位表示）
  * - match-domain.js: 対戦ドメイン（スイス方式マッチング、結果記録・修正）
  * - round-manager.js: ラウンド管理（ライフサイクル管理）
+ * - top-cut-domain.js: トップカットドメイン（ブラケット作成、結果記録、勝ち上がり）
+ * - integrity-domain.js: 整合性チェック（重複ID、二重の対戦、履歴との不一致の検出）
+ * - operation-log.js: 操作ログ（操作ごとの変更の記録、元に戻す）
+ * - result-sidebar.js: 対戦結果入力サイドバー（画面は result-sidebar.html）
+ * - result-sheet-edit.js: シートからの結果入力（結果列のプルダウンと編集トリガー）
+ * - self-report.js: セルフ報告ウェブアプリ（doGet/doPost、相手の承認、ジャッジ確認。画面は self-report.html）
+ * - round-timer.js: ラウンドタイマー（終了時刻、卓ごとの時間延長、時間切れの卓。画面は round-timer.html）
+ * - pairings-print.js: 組み合わせの印刷（名前順・卓順の組み合わせ表、結果記入票、PDFのエクスポートURL）
+ *
+ * コア層:
+ * - swiss-core.js: ペアリング・勝点・勝率の計算（シートに依存しない純粋関数）
  *
  * 共通層:
  * - shared.js: 共有ユーティリティ（シート操作、UI共通処理）
@@ -38,4 +51,5 @@
  * その他:
  * - constants.js: 定数定義
  * - test-utils.js: テスト用関数
+ * - test/: Node.js 上で実行する自動テスト（GASにはプッシュしない）
  */
@@ -17,16 +17,42 @@ function onOpen() {
     .addItem("⚙️ シートの初期設定", "setupSheets")
     .addSeparator()
     .addItem("🎯 新ラウンド開始", "startNewRoundUI")
+    .addItem("🔄 ラウンドのやり直し", "redoCurrentRoundUI")
+    .addItem("⏱️ ラウンドタイマー", "showRoundTimerSidebar")
+    .addItem("⏳ 時間延長", "extendTableTime")
+    .addItem("⏰ 時間切れの卓", "showOverdueTables")
+    .addItem("🔀 組み合わせの指定（次のラウンド）", "configurePairingOverrides")
+    .addItem("🔁 席の入れ替え", "swapPlayerSeats")
+    .addItem("🖨️ 組み合わせの印刷", "showPairingsPrint")
     .addItem("🏁 トーナメント終了", "finishTournament")
     .addItem("🏅 順位表示", "showStandings")
     .addSeparator()
+    .addItem("🥇 トップカット開始", "startTopCutUI")
+    .addItem("🏆 トップカットの結果記録", "recordTopCutResultUI")
+    .addSeparator()
     .addItem("➕ プレイヤーを追加する", "registerPlayer")
     .addItem("❌ プレイヤーをドロップアウトさせる", "dropoutPlayer")
+    .addItem("↩️ ドロップ取り消し", "reinstatePlayer")
+    .addItem("♿ 固定卓の設定", "configureFixedTable")
     .addSeparator()
     .addItem("✅ 対戦結果の記録", "promptAndRecordResult")
+    .addItem("🔢 卓番号で結果を記録", "recordResultByTable")
+    .addItem("📋 結果入力サイドバー", "showResultSidebar")
+    .addItem("📱 セルフ報告URLの発行", "issueSelfReportLinks")
+    .addItem("⚖️ ジャッジ確認待ちの報告", "reviewDisputedReports")
     .addItem("🔧 対戦結果の修正", "correctMatchResult")
+    .addItem("⏪ 元に戻す", "undoLastOperation")
+    .addItem("🧮 統計の再計算", "recalculatePlayerStats")
+    .addItem("🩺 整合性チェック", "checkTournamentIntegrity")
     .addSeparator()
     .addItem("⚙️ 最大卓数の設定", "configureMaxTables")
+    .addItem("⚙️ 使用不可の卓の設定", "configureUnavailableTables")
+    .addItem("⚙️ 引き分けの勝点設定", "configureDrawPoints")
+    .addItem("⚙️ 途中参加の受付期間", "configureLateRegistration")
+    .addItem("⚙️ 途中参加の欠席ラウンドの扱い", "configureMissedRoundResult")
+    .addItem("⚙️ ラウンド時間の設定", "configureRoundLength")
+    .addItem("⚙️ タイブレーク順の設定", "configureTiebreakerChain")
+    .addItem("⚙️ シートからの結果入力", "configureResultSheetEntry")
     .addToUi();
 }
 
@@ -51,12 +77,16 @@ function setupSheets() {
     .setBackground("#c9daf8")
     .setHorizontalAlignment("center");
   // 幅の調整
-  playerSheet.setColumnWidth(1, 100); // プレイヤーID
-  playerSheet.setColumnWidth(2, 150); // プレイヤー名
-  playerSheet.setColumnWidth(3, 60); // 勝点
-  playerSheet.setColumnWidth(7, 100); // 勝率
-  playerSheet.setColumnWidth(8, 100); // 参加状況
-  playerSheet.setColumnWidth(9, 150); // 最終対戦日時
+  const playerColumn = (header) => playerHeaders.indexOf(header) + 1;
+  playerSheet.setColumnWidth(playerColumn("プレイヤーID"), 100);
+  playerSheet.setColumnWidth(playerColumn("プレイヤー名"), 150);
+  playerSheet.setColumnWidth(playerColumn("勝点"), 60);
+  playerSheet.setColumnWidth(playerColumn("OMW%"), 100);
+  playerSheet.setColumnWidth(playerColumn("OGW%"), 100);
+  playerSheet.setColumnWidth(playerColumn("参加状況"), 100);
+  playerSheet.setColumnWidth(playerColumn("固定卓"), 80);
+  playerSheet.setColumnWidth(playerColumn("ドロップラウンド"), 110);
+  playerSheet.setColumnWidth(playerColumn("最終対戦日時"), 150);
 
   // 2. 対戦履歴シート
   let historySheet = ss.getSheetByName(SHEET_HISTORY);
@@ -91,6 +121,42 @@ function setupSheets() {
   inProgressSheet.setColumnWidth(1, 80); // ラウンド
   inProgressSheet.setColumnWidth(2, 80); // 卓番号
   inProgressSheet.setColumnWidth(7, 150); // 結果
+  inProgressSheet.setColumnWidth(8, 250); // 備考
+  inProgressSheet.setColumnWidth(9, 80); // 終了時刻
+  clearResultDropdowns(inProgressSheet);
+
+  // 4. トップカットシート（前回のトーナメントのブラケットが残っている場合はクリア）
+  const topCutSheet = ss.getSheetByName(SHEET_TOP_CUT);
+  if (topCutSheet) {
+    resetTopCutSheet(topCutSheet);
+  }
+
+  // 5. 順位表シート（自動生成。前回のトーナメントの順位が残っている場合はクリア）
+  const standingsSheet = ss.getSheetByName(SHEET_STANDINGS);
+  if (standingsSheet) {
+    resetStandingsSheet(standingsSheet);
+  }
+
+  // 6. 操作ログシート（前回のトーナメントの操作は元に戻せないためクリア）
+  let logSheet = ss.getSheetByName(SHEET_OPERATION_LOG);
+  if (!logSheet) {
+    logSheet = ss.insertSheet(SHEET_OPERATION_LOG);
+  }
+  resetOperationLogSheet(logSheet);
+
+  // 7. セルフ報告（前回のトーナメントの報告とURLは使えないためクリア。URLは「📱 セルフ報告URLの発行」で発行し直す）
+  const reportSheet = ss.getSheetByName(SHEET_SELF_REPORT);
+  if (reportSheet) {
+    resetSelfReportSheet(reportSheet);
+  }
+  const linkSheet = ss.getSheetByName(SHEET_SELF_REPORT_LINKS);
+  if (linkSheet) {
+    resetSelfReportLinkSheet(linkSheet);
+  }
+  PropertiesService.getDocumentProperties().deleteProperty(SELF_REPORT_TOKENS_PROPERTY);
+
+  // 8. 組み合わせの印刷用シート（自動生成。前回のトーナメントの組み合わせが残っている場合はクリア）
+  clearPairingsPrintSheets();
 
   // ラウンド番号を初期化
   setCurrentRound(0);
@@ -191,11 +257,462 @@ function configureMaxTables() {
   }
 
   // 設定を保存
+  const stateBefore = captureWorkbookState();
   setMaxTables(newMaxTables);
+  recordOperation("最大卓数の設定", "", stateBefore);
 
   ui.alert("設定完了", `最大卓数を ${newMaxTables}卓 に設定しました。`, ui.ButtonSet.OK);
 }
 
+/**
+ * 使用不可の卓番号（故障・予約済みなど）を取得します。
+ * @returns {Array<number>} 使用不可の卓番号（昇順）
+ */
+function getUnavailableTables() {
+  const properties = PropertiesService.getDocumentProperties();
+  const savedTables = properties.getProperty("UNAVAILABLE_TABLES");
+
+  if (!savedTables) {
+    return [];
+  }
+
+  return savedTables
+    .split(",")
+    .map((table) => parseInt(table, 10))
+    .filter((table) => !isNaN(table))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * 使用不可の卓番号を設定します。
+ * @param {Array<number>} tables - 使用不可の卓番号（空配列で全卓使用可能）
+ */
+function setUnavailableTables(tables) {
+  const properties = PropertiesService.getDocumentProperties();
+  properties.setProperty("UNAVAILABLE_TABLES", tables.join(","));
+  Logger.log(`使用不可の卓を [${tables.join(", ")}] に設定しました。`);
+}
+
+/**
+ * 使用不可の卓の設定をユーザーに促すダイアログを表示します。
+ * トーナメント中でも変更でき、次のラウンドのマッチングから反映されます。
+ */
+function configureUnavailableTables() {
+  const ui = SpreadsheetApp.getUi();
+  const maxTables = getMaxTables();
+  const currentTables = getUnavailableTables();
+
+  const response = ui.prompt(
+    "使用不可の卓の設定",
+    `最大卓数: ${maxTables}卓\n` +
+      `現在の使用不可の卓: ${currentTables.length > 0 ? currentTables.join(", ") : "なし"}\n\n` +
+      `使用できない卓番号をカンマ区切りで入力してください（例: 3, 7, 12）。\n` +
+      `空欄のままOKを押すと、すべての卓を使用可能に戻します。`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("設定をキャンセルしました。");
+    return;
+  }
+
+  const input = response.getResponseText().trim();
+  const entries = input === "" ? [] : input.split(/[,、\s]+/).filter((entry) => entry !== "");
+
+  // 入力検証
+  if (entries.some((entry) => !/^\d+$/.test(entry))) {
+    ui.alert("エラー", "卓番号は数字のみで、カンマ区切りで入力してください。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const newTables = [...new Set(entries.map((entry) => parseInt(entry, 10)))].sort((a, b) => a - b);
+  const maxTableNumber = TABLE_CONFIG.MIN_TABLE_NUMBER + maxTables - 1;
+
+  // 範囲検証
+  const outOfRange = newTables.filter((table) => table < TABLE_CONFIG.MIN_TABLE_NUMBER || table > maxTableNumber);
+  if (outOfRange.length > 0) {
+    ui.alert("エラー", `卓番号は${TABLE_CONFIG.MIN_TABLE_NUMBER}～${maxTableNumber}の範囲で入力してください: ${outOfRange.join(", ")}`, ui.ButtonSet.OK);
+    return;
+  }
+
+  // 設定を保存
+  const stateBefore = captureWorkbookState();
+  setUnavailableTables(newTables);
+  recordOperation("使用不可の卓の設定", "", stateBefore);
+
+  const availableCount = listAvailableTables(maxTables, newTables).length;
+  ui.alert(
+    "設定完了",
+    `使用不可の卓: ${newTables.length > 0 ? newTables.join(", ") : "なし"}\n` + `使用可能な卓: ${availableCount}卓\n\n` + "次のラウンドのマッチングから反映されます。",
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * 引き分け時の勝点を取得します。
+ * PropertiesServiceに保存されている値、なければデフォルト値を返します。
+ * @returns {number} 引き分け時の勝点
+ */
+function getDrawPoints() {
+  const properties = PropertiesService.getDocumentProperties();
+  const savedDrawPoints = properties.getProperty("POINTS_DRAW");
+
+  if (savedDrawPoints) {
+    return parseInt(savedDrawPoints, 10);
+  }
+
+  // デフォルト値
+  return SWISS_CONFIG.POINTS_DRAW;
+}
+
+/**
+ * 引き分け時の勝点を設定します。
+ * @param {number} drawPoints - 設定する勝点
+ */
+function setDrawPoints(drawPoints) {
+  const properties = PropertiesService.getDocumentProperties();
+  properties.setProperty("POINTS_DRAW", drawPoints.toString());
+  Logger.log(`引き分け時の勝点を ${drawPoints} に設定しました。`);
+}
+
+/**
+ * 引き分け時の勝点の設定をユーザーに促すダイアログを表示します。
+ */
+function configureDrawPoints() {
+  const ui = SpreadsheetApp.getUi();
+  const currentDrawPoints = getDrawPoints();
+  const currentRound = getCurrentRound();
+
+  // 記録済みの勝点と食い違うため、トーナメント開始後は変更不可
+  if (currentRound > 0) {
+    ui.alert(
+      "設定変更不可",
+      `トーナメント開始後は引き分けの勝点を変更できません。\n\n` + `現在のラウンド: ${currentRound}\n` + `現在の引き分けの勝点: ${currentDrawPoints}点`,
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  const response = ui.prompt(
+    "引き分けの勝点設定",
+    `現在の引き分けの勝点: ${currentDrawPoints}点\n\n` + `新しい勝点を入力してください（0～${SWISS_CONFIG.POINTS_WIN}）：`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("設定をキャンセルしました。");
+    return;
+  }
+
+  const input = response.getResponseText().trim();
+
+  // 入力検証
+  if (!/^\d+$/.test(input)) {
+    ui.alert("エラー", "数字のみで入力してください。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const newDrawPoints = parseInt(input, 10);
+
+  // 範囲検証
+  if (newDrawPoints > SWISS_CONFIG.POINTS_WIN) {
+    ui.alert("エラー", `引き分けの勝点は0～${SWISS_CONFIG.POINTS_WIN}の範囲で入力してください。`, ui.ButtonSet.OK);
+    return;
+  }
+
+  // 設定を保存
+  const stateBefore = captureWorkbookState();
+  setDrawPoints(newDrawPoints);
+  recordOperation("引き分けの勝点設定", "", stateBefore);
+
+  ui.alert("設定完了", `引き分けの勝点を ${newDrawPoints}点 に設定しました。`, ui.ButtonSet.OK);
+}
+
+/**
+ * 途中参加者が欠席したラウンドの扱いを取得します。
+ * PropertiesServiceに保存されている値、なければデフォルト値を返します。
+ * @returns {string} 'missed_loss'（不戦敗）または 'missed_bye'（0点Bye）
+ */
+function getMissedRoundResult() {
+  const properties = PropertiesService.getDocumentProperties();
+  const savedResult = properties.getProperty("MISSED_ROUND_RESULT");
+
+  if (savedResult) {
+    return savedResult;
+  }
+
+  // デフォルト値
+  return SWISS_CONFIG.MISSED_ROUND_RESULT;
+}
+
+/**
+ * 途中参加者が欠席したラウンドの扱いを設定します。
+ * @param {string} result - 'missed_loss'（不戦敗）または 'missed_bye'（0点Bye）
+ */
+function setMissedRoundResult(result) {
+  const properties = PropertiesService.getDocumentProperties();
+  properties.setProperty("MISSED_ROUND_RESULT", result);
+  Logger.log(`欠席ラウンドの扱いを ${result} に設定しました。`);
+}
+
+/**
+ * 途中参加者が欠席したラウンドの扱いの設定をユーザーに促すダイアログを表示します。
+ * 設定は以降に途中参加するプレイヤーから反映されます。
+ */
+function configureMissedRoundResult() {
+  const ui = SpreadsheetApp.getUi();
+  const labels = {
+    missed_loss: `${MATCH_RESULT.MISSED_LOSS}（敗北として記録し、試合数に含める）`,
+    missed_bye: `${MATCH_RESULT.MISSED_BYE}（0勝点で記録し、試合数に含めない）`,
+  };
+
+  const response = ui.prompt(
+    "途中参加の欠席ラウンドの扱い",
+    `現在の設定: ${labels[getMissedRoundResult()]}\n\n` +
+      `途中参加したプレイヤーが欠席したラウンドの扱いを選択してください：\n\n` +
+      `1: ${labels.missed_loss}\n` +
+      `2: ${labels.missed_bye}\n\n` +
+      `数字を入力してください：`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("設定をキャンセルしました。");
+    return;
+  }
+
+  const input = response.getResponseText().trim();
+  const newResult = { 1: "missed_loss", 2: "missed_bye" }[input];
+
+  if (!newResult) {
+    ui.alert("エラー", "1 または 2 を入力してください。", ui.ButtonSet.OK);
+    return;
+  }
+
+  // 設定を保存
+  const stateBefore = captureWorkbookState();
+  setMissedRoundResult(newResult);
+  recordOperation("途中参加の欠席ラウンドの扱い", "", stateBefore);
+
+  ui.alert("設定完了", `欠席ラウンドの扱いを「${labels[newResult]}」に設定しました。`, ui.ButtonSet.OK);
+}
+
+/**
+ * 途中参加を受け付ける最後のラウンドを取得します。
+ * PropertiesServiceに保存されている値、なければデフォルト値を返します。
+ * @returns {number} 途中参加を受け付ける最後のラウンド（0はトーナメント開始後の途中参加なし）
+ */
+function getLateRegistrationLastRound() {
+  const properties = PropertiesService.getDocumentProperties();
+  const savedRound = properties.getProperty("LATE_REGISTRATION_LAST_ROUND");
+
+  if (savedRound !== null) {
+    return parseInt(savedRound, 10);
+  }
+
+  // デフォルト値
+  return SWISS_CONFIG.LATE_REGISTRATION_LAST_ROUND;
+}
+
+/**
+ * 途中参加を受け付ける最後のラウンドを設定します。
+ * @param {number} roundNumber - 途中参加を受け付ける最後のラウンド
+ */
+function setLateRegistrationLastRound(roundNumber) {
+  const properties = PropertiesService.getDocumentProperties();
+  properties.setProperty("LATE_REGISTRATION_LAST_ROUND", roundNumber.toString());
+  Logger.log(`途中参加の受付をラウンド${roundNumber}の終了までに設定しました。`);
+}
+
+/**
+ * 途中参加の受付期間の設定をユーザーに促すダイアログを表示します。
+ * 設定したラウンドが終了する（次のラウンドが開始される）まで、新しいプレイヤーを登録できます。
+ */
+function configureLateRegistration() {
+  const ui = SpreadsheetApp.getUi();
+  const currentRound = getLateRegistrationLastRound();
+
+  const response = ui.prompt(
+    "途中参加の受付期間",
+    `現在の設定: ${currentRound === 0 ? "トーナメント開始後は受け付けない" : `ラウンド${currentRound}の終了まで`}\n\n` +
+      `途中参加を受け付ける最後のラウンドを入力してください（0以上）：\n` +
+      `例: 2 → ラウンド2の終了まで登録でき、ラウンド3から参加\n` +
+      `0 → トーナメント開始後の途中参加を受け付けない`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("設定をキャンセルしました。");
+    return;
+  }
+
+  const input = response.getResponseText().trim();
+
+  // 入力検証
+  if (!/^\d+$/.test(input)) {
+    ui.alert("エラー", "数字のみで入力してください。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const newRound = parseInt(input, 10);
+
+  // 設定を保存
+  const stateBefore = captureWorkbookState();
+  setLateRegistrationLastRound(newRound);
+  recordOperation("途中参加の受付期間の設定", "", stateBefore);
+
+  ui.alert(
+    "設定完了",
+    newRound === 0 ? "トーナメント開始後の途中参加を受け付けない設定にしました。" : `途中参加をラウンド${newRound}の終了まで受け付ける設定にしました。`,
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * ラウンド時間（分）を取得します。
+ * PropertiesServiceに保存されている値、なければデフォルト値を返します。
+ * @returns {number} ラウンド時間（分）
+ */
+function getRoundLength() {
+  const properties = PropertiesService.getDocumentProperties();
+  const savedLength = properties.getProperty("ROUND_LENGTH");
+
+  if (savedLength) {
+    return parseInt(savedLength, 10);
+  }
+
+  // デフォルト値
+  return ROUND_TIMER_CONFIG.LENGTH_MINUTES;
+}
+
+/**
+ * ラウンド時間（分）を設定します。
+ * @param {number} minutes - ラウンド時間（分）
+ */
+function setRoundLength(minutes) {
+  const properties = PropertiesService.getDocumentProperties();
+  properties.setProperty("ROUND_LENGTH", minutes.toString());
+  Logger.log(`ラウンド時間を ${minutes}分 に設定しました。`);
+}
+
+/**
+ * ラウンド時間の設定をユーザーに促すダイアログを表示します。
+ * 設定は次に開始するラウンドから反映されます（進行中のラウンドの終了時刻は変わりません）。
+ */
+function configureRoundLength() {
+  const ui = SpreadsheetApp.getUi();
+  const currentLength = getRoundLength();
+
+  const response = ui.prompt(
+    "ラウンド時間の設定",
+    `現在のラウンド時間: ${currentLength}分\n\n` + `新しいラウンド時間（分）を入力してください（1～${ROUND_TIMER_CONFIG.MAX_LENGTH_MINUTES}）：\n` + `次に開始するラウンドから反映されます。`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("設定をキャンセルしました。");
+    return;
+  }
+
+  const input = response.getResponseText().trim();
+
+  // 入力検証
+  if (!/^\d+$/.test(input)) {
+    ui.alert("エラー", "数字のみで入力してください。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const newLength = parseInt(input, 10);
+
+  // 範囲検証
+  if (newLength < 1 || newLength > ROUND_TIMER_CONFIG.MAX_LENGTH_MINUTES) {
+    ui.alert("エラー", `ラウンド時間は1～${ROUND_TIMER_CONFIG.MAX_LENGTH_MINUTES}分の範囲で入力してください。`, ui.ButtonSet.OK);
+    return;
+  }
+
+  // 設定を保存
+  const stateBefore = captureWorkbookState();
+  setRoundLength(newLength);
+  recordOperation("ラウンド時間の設定", "", stateBefore);
+
+  ui.alert("設定完了", `ラウンド時間を ${newLength}分 に設定しました。\n\n次に開始するラウンドから反映されます。`, ui.ButtonSet.OK);
+}
+
+/**
+ * タイブレーク順を取得します。
+ * PropertiesServiceに保存されている値、なければデフォルト値を返します。
+ * @returns {Array<string>} タイブレークのキー（swiss-core.js の TIEBREAKERS）の配列
+ */
+function getTiebreakerChain() {
+  const properties = PropertiesService.getDocumentProperties();
+  const savedChain = properties.getProperty("TIEBREAKER_CHAIN");
+
+  if (savedChain) {
+    try {
+      return parseTiebreakerChain(savedChain);
+    } catch (e) {
+      Logger.log(`保存されたタイブレーク順が不正なため、デフォルト値を使用します: ${e.message}`);
+    }
+  }
+
+  // デフォルト値
+  return SWISS_CONFIG.TIEBREAKER_CHAIN;
+}
+
+/**
+ * タイブレーク順を設定します。
+ * @param {Array<string>} chain - タイブレークのキーの配列
+ * @throws {Error} 未定義のキーを含む場合
+ */
+function setTiebreakerChain(chain) {
+  const keys = parseTiebreakerChain(chain);
+  const properties = PropertiesService.getDocumentProperties();
+  properties.setProperty("TIEBREAKER_CHAIN", keys.join(","));
+  Logger.log(`タイブレーク順を ${keys.join(" → ")} に設定しました。`);
+}
+
+/**
+ * タイブレーク順の設定をユーザーに促すダイアログを表示します。
+ * 順位表示・順位表シート・トップカットのシード・マッチング時の並び順に共通で使用されます。
+ */
+function configureTiebreakerChain() {
+  const ui = SpreadsheetApp.getUi();
+  const keys = Object.keys(TIEBREAKERS);
+  const labelsOf = (chain) => chain.map((key) => TIEBREAKERS[key].label).join(" → ");
+
+  const response = ui.prompt(
+    "タイブレーク順の設定",
+    `現在の設定: ${labelsOf(getTiebreakerChain())}\n\n` +
+      `勝点が同じ場合に使うタイブレークを、優先する順に番号のカンマ区切りで入力してください（例: 1, 4, 2）：\n\n` +
+      keys.map((key, index) => `${index + 1}: ${TIEBREAKERS[key].label}`).join("\n") +
+      `\n\n空欄のままOKを押すと、デフォルト（${labelsOf(SWISS_CONFIG.TIEBREAKER_CHAIN)}）に戻します。`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("設定をキャンセルしました。");
+    return;
+  }
+
+  const input = response.getResponseText().trim();
+  const entries = input === "" ? [] : input.split(/[,、\s]+/).filter((entry) => entry !== "");
+
+  // 入力検証
+  if (entries.some((entry) => !/^\d+$/.test(entry) || parseInt(entry, 10) < 1 || parseInt(entry, 10) > keys.length)) {
+    ui.alert("エラー", `1～${keys.length}の番号をカンマ区切りで入力してください。`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const newChain = entries.length > 0 ? entries.map((entry) => keys[parseInt(entry, 10) - 1]) : SWISS_CONFIG.TIEBREAKER_CHAIN;
+
+  // 設定を保存
+  const stateBefore = captureWorkbookState();
+  setTiebreakerChain(newChain);
+  recordOperation("タイブレーク順の設定", "", stateBefore);
+
+  ui.alert("設定完了", `タイブレーク順を「${labelsOf(getTiebreakerChain())}」に設定しました。\n\n` + "順位表示と次のラウンドのマッチングから反映されます。", ui.ButtonSet.OK);
+}
+
 // =========================================
 // 排他制御
 // =========================================
@@ -7,14 +7,24 @@
 const SHEET_PLAYERS = "プレイヤー";
 const SHEET_HISTORY = "対戦履歴";
 const SHEET_IN_PROGRESS = "現在のラウンド";
+const SHEET_TOP_CUT = "トップカット";
+const SHEET_STANDINGS = "順位表"; // 自動生成（ラウンド終了時・トーナメント終了時に再作成）
+const SHEET_OPERATION_LOG = "操作ログ"; // 追記専用（元に戻すの記録にも使用）
+const SHEET_SELF_REPORT = "結果報告"; // プレイヤーのセルフ報告（相手の確認待ち・ジャッジ確認待ち）
+const SHEET_SELF_REPORT_LINKS = "セルフ報告URL"; // 自動生成（URLの発行時に再作成）
+const SHEET_PAIRINGS_BY_NAME = "組み合わせ（名前順）"; // 自動生成（ラウンド開始時・席の入れ替え時に再作成。掲示用）
+const SHEET_PAIRINGS_BY_TABLE = "組み合わせ（卓順）"; // 自動生成（同上）
+const SHEET_RESULT_SLIPS = "結果記入票"; // 自動生成（同上。卓ごとの記入票を並べたシートのためヘッダーなし）
 const PLAYER_ID_PREFIX = "P";
 const ID_DIGITS = 3; // IDの数字部分の桁数 (例: P001なら3)
+const PLAYER_SEARCH_MAX_CANDIDATES = 20; // 名前の一部でプレイヤーを検索したときに一覧表示する候補の上限
 const PLAYER_STATUS = {
   ACTIVE: "参加中",
   DROPPED: "終了",
 };
 const TOURNAMENT_STATUS = {
   IN_PROGRESS: "進行中",
+  TOP_CUT: "トップカット", // スイスドロー終了後、シングルエリミネーション進行中
   FINISHED: "終了",
 };
 // 卓に関する設定
@@ -23,16 +33,79 @@ const TABLE_CONFIG = {
   MIN_TABLE_NUMBER: 1, // 最小卓番号
 };
 
+// ラウンドタイマーの設定
+const ROUND_TIMER_CONFIG = {
+  LENGTH_MINUTES: 50, // デフォルトのラウンド時間（PropertiesServiceで上書き可能、範囲: 1-180）
+  MAX_LENGTH_MINUTES: 180, // ラウンド時間の上限
+  MAX_EXTENSION_MINUTES: 60, // 1回の時間延長の上限（ジャッジ裁定などで卓ごとに追加）
+};
+
 // スイス方式の設定
 const SWISS_CONFIG = {
   POINTS_WIN: 3, // 勝利時の勝点
-  POINTS_DRAW: 0, // 引き分け時の勝点
+  POINTS_DRAW: 1, // 引き分け時の勝点（デフォルト値。PropertiesServiceで上書き可能、範囲: 0-3）
   POINTS_LOSS: 0, // 敗北時の勝点
   POINTS_BYE: 3, // Bye時の勝点
+  BYE_GAME_WINS: 2, // Bye時のゲーム勝数（2-0扱い）
+  LATE_REGISTRATION_LAST_ROUND: 2, // 途中参加を受け付ける最後のラウンド（このラウンドの終了まで登録可能。0は開始後の途中参加なし。PropertiesServiceで上書き可能）
+  MISSED_ROUND_RESULT: "missed_loss", // 途中参加者が欠席したラウンドの扱い（デフォルト値。PropertiesServiceで上書き可能: 'missed_loss' または 'missed_bye'）
+  MIN_WIN_RATE: 0.333, // OMW%・OGW%計算時の最低勝率（MTGルールに準拠）
+  TIEBREAKER_CHAIN: ["omw", "gw", "ogw"], // 勝点が同じ場合のタイブレーク順（デフォルト値。PropertiesServiceで上書き可能。キーは swiss-core.js の TIEBREAKERS）
+  REMATCH_PENALTY: 1000, // ペアリング探索で再戦1組あたりに加算するコスト（勝点差より十分大きい値）
+  PAIRING_SEARCH_LIMIT: 200000, // ペアリング探索の最大ステップ数（GASの実行時間制限対策）
+};
+
+// 対戦結果（結果列に記録される値。勝敗は「<勝者名> 勝利」）
+const MATCH_RESULT = {
+  BYE: "Bye",
+  DRAW: "引き分け", // 両者に引き分けの勝点
+  DOUBLE_LOSS: "両負け", // 両者敗北（0勝点）
+  MISSED_LOSS: "不戦敗", // 途中参加者の欠席ラウンド（敗北扱い）
+  MISSED_BYE: "0点Bye", // 途中参加者の欠席ラウンド（0勝点、試合数に含めない）
+};
+
+// セルフ報告の状態（結果報告シートの状態列に記録される値）
+const SELF_REPORT_STATUS = {
+  PENDING: "確認待ち", // 相手の確認待ち
+  DISPUTED: "ジャッジ確認待ち", // 相手が異議を申し立てた報告
+  CONFIRMED: "確定", // 対戦結果として記録済み
+  REJECTED: "却下", // ジャッジが却下
+  CANCELLED: "取消", // 報告者が取り消し、または組み合わせの変更で無効
+};
+
+// 対戦の区分（対戦履歴の区分列に記録される値）
+const MATCH_STAGE = {
+  SWISS: "スイス",
+  TOP_CUT: "トップカット", // 勝点・OMW%の計算に含めない
 };
 
 const REQUIRED_HEADERS = {
-  [SHEET_PLAYERS]: ["プレイヤーID", "プレイヤー名", "勝点", "勝数", "敗数", "試合数", "OMW%", "参加状況", "最終対戦日時"],
-  [SHEET_HISTORY]: ["対戦ID", "ラウンド", "日時", "卓番号", "ID1", "プレイヤー1", "ID2", "プレイヤー2", "勝者名", "結果"],
-  [SHEET_IN_PROGRESS]: ["ラウンド", "卓番号", "ID1", "プレイヤー1", "ID2", "プレイヤー2", "結果"],
+  [SHEET_PLAYERS]: [
+    "プレイヤーID",
+    "プレイヤー名",
+    "勝点",
+    "勝数",
+    "敗数",
+    "引分数",
+    "試合数",
+    "バイ数",
+    "ゲーム勝数",
+    "ゲーム敗数",
+    "ゲーム引分数",
+    "OMW%",
+    "OGW%",
+    "参加状況",
+    "固定卓", // 車椅子対応卓など、常に座る卓番号（空欄の場合は自動割り当て）
+    "ドロップラウンド", // ドロップ後、最初に参加しないラウンド（ドロップ取り消しの判定に使用。参加中は空欄）
+    "最終対戦日時",
+  ],
+  [SHEET_HISTORY]: ["対戦ID", "ラウンド", "日時", "卓番号", "ID1", "プレイヤー1", "ID2", "プレイヤー2", "勝者名", "結果", "ゲームスコア", "区分"],
+  [SHEET_IN_PROGRESS]: ["ラウンド", "卓番号", "ID1", "プレイヤー1", "ID2", "プレイヤー2", "結果", "備考", "終了時刻"], // 備考: 強制ペア・席の入れ替え・時間延長などの手動調整
+  [SHEET_STANDINGS]: ["順位", "プレイヤーID", "プレイヤー名", "参加状況", "勝点", "勝-敗-分", "試合数", "OMW%", "GW%", "OGW%", "OOMW%", "ブッフホルツ", "メディアン・ブッフホルツ", "ゾンネボルン・ベルガー", "バイ数"],
+  [SHEET_OPERATION_LOG]: ["ログID", "日時", "操作者", "操作", "対象", "変更前", "変更後"],
+  [SHEET_SELF_REPORT]: ["報告ID", "ラウンド", "卓番号", "報告者ID", "相手ID", "報告結果", "状態", "報告日時", "更新日時"], // 報告結果は報告者から見た結果
+  [SHEET_SELF_REPORT_LINKS]: ["プレイヤーID", "プレイヤー名", "URL"],
+  [SHEET_PAIRINGS_BY_NAME]: ["ラウンド", "プレイヤー名", "プレイヤーID", "卓番号", "対戦相手", "勝点"], // 勝点はラウンド開始時点の値
+  [SHEET_PAIRINGS_BY_TABLE]: ["ラウンド", "卓番号", "プレイヤー1", "勝点1", "プレイヤー2", "勝点2"],
+  [SHEET_TOP_CUT]: ["ラウンド", "ラウンド名", "試合番号", "シード1", "ID1", "プレイヤー1", "シード2", "ID2", "プレイヤー2", "勝者ID", "結果"],
 };
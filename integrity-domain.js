@@ -0,0 +1,188 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview 整合性チェック - プレイヤー・対戦履歴・現在のラウンドの矛盾を検出
+ * @author springOK
+ *
+ * シートを変更せず、見つかった問題をセルの位置とともに一覧表示します。
+ */
+
+// =========================================
+// 整合性チェック（UI層）
+// =========================================
+
+/**
+ * ワークブック全体の整合性をチェックし、問題をセルの位置とともに表示します
+ */
+function checkTournamentIntegrity() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  try {
+    const sheets = {
+      [SHEET_PLAYERS]: ss.getSheetByName(SHEET_PLAYERS),
+      [SHEET_HISTORY]: ss.getSheetByName(SHEET_HISTORY),
+      [SHEET_IN_PROGRESS]: ss.getSheetByName(SHEET_IN_PROGRESS),
+    };
+    const indicesBySheet = {};
+    for (const [sheetName, sheet] of Object.entries(sheets)) {
+      indicesBySheet[sheetName] = getSheetStructure(sheet, sheetName).indices;
+    }
+
+    const problems = findIntegrityProblems({
+      players: readPlayerRecords(sheets[SHEET_PLAYERS]),
+      history: readHistoryRecords(sheets[SHEET_HISTORY]),
+      inProgress: readInProgressRecords(sheets[SHEET_IN_PROGRESS]),
+      currentRound: getCurrentRound(),
+      historyLastRow: sheets[SHEET_HISTORY].getLastRow(),
+    });
+
+    if (problems.length === 0) {
+      ui.alert("整合性チェック", "問題は見つかりませんでした。", ui.ButtonSet.OK);
+      return;
+    }
+
+    const lines = problems.map((problem) => {
+      const location = formatCellLocation(problem.sheetName, indicesBySheet[problem.sheetName][problem.header] + 1, problem.rowNumber);
+      return `${location}: ${problem.message}`;
+    });
+    lines.forEach((line) => Logger.log(`整合性チェック: ${line}`));
+
+    const maxLines = 30;
+    const more = lines.length > maxLines ? `\n...他 ${lines.length - maxLines} 件（すべての問題はログに出力しました）` : "";
+    ui.alert("整合性チェック", `${lines.length}件の問題が見つかりました：\n\n` + lines.slice(0, maxLines).join("\n") + more, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert("エラーが発生しました: " + e.toString());
+    Logger.log("checkTournamentIntegrity エラー: " + e.toString());
+  }
+}
+
+// =========================================
+// 整合性チェック（判定）
+// =========================================
+
+/**
+ * プレイヤー・対戦履歴・現在のラウンドの矛盾を検出します（シートにはアクセスしません）
+ * @param {Object} workbook - チェック対象
+ * @param {Array<Object>} workbook.players - readPlayerRecords() の戻り値
+ * @param {Array<Object>} workbook.history - readHistoryRecords() の戻り値
+ * @param {Array<Object>} workbook.inProgress - readInProgressRecords() の戻り値
+ * @param {number} workbook.currentRound - 現在のラウンド番号
+ * @param {number} workbook.historyLastRow - 対戦履歴シートの最終行（次の対戦IDの採番に使われる）
+ * @returns {Array<{sheetName: string, header: string, rowNumber: number, message: string}>} 問題の一覧
+ */
+function findIntegrityProblems({ players, history, inProgress, currentRound, historyLastRow }) {
+  const problems = [];
+  const report = (sheetName, header, rowNumber, message) => problems.push({ sheetName, header, rowNumber, message });
+
+  // 1. プレイヤーIDの重複
+  reportDuplicates(
+    players,
+    (player) => player.id,
+    (player, firstRow) => report(SHEET_PLAYERS, "プレイヤーID", player.rowNumber, `プレイヤーID ${player.id} が重複しています（${firstRow}行目と同じ）`)
+  );
+
+  // 2. 対戦IDの重複
+  reportDuplicates(
+    history.filter((match) => match.matchId),
+    (match) => match.matchId,
+    (match, firstRow) => report(SHEET_HISTORY, "対戦ID", match.rowNumber, `対戦ID ${match.matchId} が重複しています（${firstRow}行目と同じ）`)
+  );
+
+  // 3. 行の削除による対戦IDの衝突（対戦IDは「T + 追加前の最終行番号」で採番される）
+  const matchIds = new Set(history.map((match) => match.matchId));
+  const nextMatchId = "T" + String(historyLastRow).padStart(4, "0");
+  const shifted = history.filter((match) => /^T\d+$/.test(match.matchId) && parseInt(match.matchId.substring(1), 10) !== match.rowNumber - 1);
+  if (shifted.length > 0) {
+    const collision = matchIds.has(nextMatchId)
+      ? `次に記録する対戦のID ${nextMatchId} が既存のIDと衝突します`
+      : "以降に記録する対戦のIDが既存のIDと衝突するおそれがあります";
+    const [first] = shifted;
+    report(SHEET_HISTORY, "対戦ID", first.rowNumber, `対戦ID ${first.matchId} が行番号と一致しません。対戦履歴の行が削除されたため、${collision}`);
+  }
+
+  // 4. 存在しないプレイヤーを参照する対戦履歴
+  const playerIds = new Set(players.map((player) => player.id));
+  for (const match of history) {
+    for (const header of ["ID1", "ID2"]) {
+      const playerId = header === "ID1" ? match.player1Id : match.player2Id;
+      if (playerId && !playerIds.has(playerId)) {
+        report(SHEET_HISTORY, header, match.rowNumber, `${match.matchId || "対戦"} のプレイヤー ${playerId} はプレイヤーシートに存在しません`);
+      }
+    }
+  }
+
+  // 5. 同じラウンドで2回以上対戦しているプレイヤー（トップカットは除く）
+  const seenInRound = new Map();
+  for (const match of history) {
+    if (match.stage === MATCH_STAGE.TOP_CUT) continue;
+    for (const [header, playerId] of [
+      ["ID1", match.player1Id],
+      ["ID2", match.player2Id],
+    ]) {
+      if (!playerId) continue;
+      const key = `${match.round}:${playerId}`;
+      if (seenInRound.has(key)) {
+        report(SHEET_HISTORY, header, match.rowNumber, `${playerId} はラウンド${match.round}で2回対戦しています（${seenInRound.get(key)}行目と重複）`);
+      } else {
+        seenInRound.set(key, match.rowNumber);
+      }
+    }
+  }
+
+  const seenInProgress = new Map();
+  for (const match of inProgress) {
+    for (const [header, playerId] of [
+      ["ID1", match.player1Id],
+      ["ID2", match.player2Id],
+    ]) {
+      if (!playerId) continue;
+      if (seenInProgress.has(playerId)) {
+        report(SHEET_IN_PROGRESS, header, match.rowNumber, `${playerId} が現在のラウンドで2回組まれています（${seenInProgress.get(playerId)}行目と重複）`);
+      } else {
+        seenInProgress.set(playerId, match.rowNumber);
+      }
+    }
+  }
+
+  // 6. 現在のラウンドシートのラウンド番号
+  for (const match of inProgress) {
+    if (match.round !== currentRound) {
+      report(SHEET_IN_PROGRESS, "ラウンド", match.rowNumber, `ラウンド番号 ${match.round} が現在のラウンド（${currentRound}）と一致しません`);
+    }
+  }
+
+  // 7. 対戦履歴に記録されていない結果
+  for (const match of inProgress) {
+    if (!match.result) continue;
+    const recorded = history.some(
+      (row) =>
+        row.stage !== MATCH_STAGE.TOP_CUT &&
+        row.round === match.round &&
+        ((row.player1Id === match.player1Id && (row.player2Id || "") === (match.player2Id || "")) ||
+          (row.player1Id === match.player2Id && row.player2Id === match.player1Id))
+    );
+    if (!recorded) {
+      report(SHEET_IN_PROGRESS, "結果", match.rowNumber, `結果「${match.result}」に対応する対戦履歴の行がありません`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * 重複したキーを持つ要素ごとにコールバックを呼び出します（最初に現れた要素は除く）
+ * @param {Array<Object>} items - rowNumber を持つ要素
+ * @param {function(Object): string} keyOf - 重複を判定するキー
+ * @param {function(Object, number): void} onDuplicate - 重複した要素と、最初に現れた行番号を受け取るコールバック
+ */
+function reportDuplicates(items, keyOf, onDuplicate) {
+  const firstRows = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (firstRows.has(key)) {
+      onDuplicate(item, firstRows.get(key));
+    } else {
+      firstRows.set(key, item.rowNumber);
+    }
+  }
+}
@@ -11,8 +11,10 @@
 /**
  * スイス方式のマッチングを行います
  * 同じ勝点のプレイヤー同士をマッチングし、再戦を回避します
+ * 運営者が指定した強制ペア・禁止ペア（getPairingOverrides）があれば反映し、現在のラウンドシートの備考列に記録します。
  * @param {number} roundNumber - ラウンド番号
- * @returns {number} 成立したマッチング数
+ * @returns {{matchCount: number, warnings: Array<string>, overrides: Array<string>}} 成立したマッチング数（Byeを含む）、
+ *   運営者に知らせる警告（固定卓の競合など）、反映した手動調整の内容
  */
 function matchPlayersSwiss(roundNumber) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -25,175 +27,144 @@ function matchPlayersSwiss(roundNumber) {
     const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
     const historySheet = ss.getSheetByName(SHEET_HISTORY);
 
-    const { indices: playerIndices, data: playerData } = getSheetStructure(playerSheet, SHEET_PLAYERS);
-    const { indices: historyIndices, data: historyData } = getSheetStructure(historySheet, SHEET_HISTORY);
-    const { indices: matchIndices } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+    const players = readPlayerRecords(playerSheet);
+    const history = readHistoryRecords(historySheet);
+    getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
 
     // プレイヤー名のマップを作成
-    const playerNameMap = new Map();
-    for (let i = 1; i < playerData.length; i++) {
-      const row = playerData[i];
-      const playerId = row[playerIndices["プレイヤーID"]];
-      const playerName = row[playerIndices["プレイヤー名"]];
-      if (!playerId) continue;
-      playerNameMap.set(playerId, playerName);
-    }
+    const playerNameMap = new Map(players.map((player) => [player.id, player.name]));
 
     // 過去対戦相手のマップを作成（Byeは除外）
-    const opponentsMap = new Map();
-    const p1Col = historyIndices["ID1"];
-    const p2Col = historyIndices["ID2"];
-    const resultCol = historyIndices["結果"];
-
-    for (let i = 1; i < historyData.length; i++) {
-      const row = historyData[i];
-      const p1 = row[p1Col];
-      const p2 = row[p2Col];
-      const result = row[resultCol];
-
-      // Byeの場合はスキップ（実際の対戦ではないため）
-      if (result === "Bye" || !p1 || !p2) continue;
-
-      if (!opponentsMap.has(p1)) opponentsMap.set(p1, new Set());
-      if (!opponentsMap.has(p2)) opponentsMap.set(p2, new Set());
-
-      opponentsMap.get(p1).add(p2);
-      opponentsMap.get(p2).add(p1);
-    }
-
-    // 参加中のプレイヤーを勝点順でソート
-    const activePlayers = playerData
-      .slice(1)
-      .filter((row) => row[playerIndices["参加状況"]] === PLAYER_STATUS.ACTIVE)
-      .sort((a, b) => {
-        // 勝点が多い順（降順）
-        const pointsDiff = (b[playerIndices["勝点"]] || 0) - (a[playerIndices["勝点"]] || 0);
-        if (pointsDiff !== 0) return pointsDiff;
+    const opponentsMap = buildOpponentsMap(history);
 
-        // 勝点が同じ場合は、勝数が多い順
-        const winsDiff = (b[playerIndices["勝数"]] || 0) - (a[playerIndices["勝数"]] || 0);
-        if (winsDiff !== 0) return winsDiff;
+    // このラウンドの欠席が記録済みのプレイヤー（ラウンドのやり直し前に途中参加した）はマッチングに加えない
+    const absentIds = new Set(history.filter((match) => match.round === roundNumber && match.stage !== MATCH_STAGE.TOP_CUT).map((match) => match.player1Id));
 
-        // それでも同じ場合は試合数が少ない順（Byeを受けたプレイヤーを後回し）
-        return (a[playerIndices["試合数"]] || 0) - (b[playerIndices["試合数"]] || 0);
-      });
+    // 参加中のプレイヤーを順位表と同じ順（勝点 → 設定されたタイブレーク）でソート
+    const activePlayers = rankPlayers(
+      players,
+      history,
+      getTiebreakerChain(),
+      (player) => player.status === PLAYER_STATUS.ACTIVE && !absentIds.has(player.id)
+    );
 
     if (activePlayers.length < 2) {
       Logger.log(`警告: 参加中のプレイヤーは ${activePlayers.length} 人です。2人以上必要です。`);
-      return 0;
+      return { matchCount: 0, warnings: [], overrides: [] };
     }
 
+    // 運営者が指定した強制ペア・禁止ペア（参加中でないプレイヤーを含む強制ペアは無視する）
+    const nameOf = (playerId) => `${playerNameMap.get(playerId) || playerId} (${playerId})`;
+    const pairingOverrides = getPairingOverrides(roundNumber);
+    const activeIds = new Set(activePlayers.map((player) => player.id));
+    const warnings = [];
+    const forced = pairingOverrides.forced.filter((pair) => {
+      if (pair.every((playerId) => activeIds.has(playerId))) return true;
+      warnings.push(`強制ペア ${pair.map(nameOf).join(" vs ")} は参加中でないプレイヤーを含むため、反映しませんでした。`);
+      return false;
+    });
+    const isForced = ([p1Id, p2Id]) => forced.some((pair) => pair.includes(p1Id) && pair.includes(p2Id));
+
     Logger.log(`--- ラウンド${roundNumber} スイス方式マッチング開始 ---`);
     Logger.log(`参加プレイヤー数: ${activePlayers.length}人`);
 
-    let matches = [];
-    let availablePlayers = [...activePlayers];
-    let byePlayer = null;
+    // 再戦を避けつつ全員が組める組み合わせを探索
+    const pairing = findSwissPairings(activePlayers, opponentsMap, { forced: forced, forbidden: pairingOverrides.forbidden });
+    const matches = pairing.pairs;
 
-    // 奇数人数の場合、Byeを決定
-    if (availablePlayers.length % 2 === 1) {
-      // 勝点が最も低いプレイヤーにByeを与える（末尾のプレイヤー）
-      byePlayer = availablePlayers.pop();
-      const byePlayerId = byePlayer[playerIndices["プレイヤーID"]];
-      Logger.log(`Bye: ${byePlayerId} (勝点: ${byePlayer[playerIndices["勝点"]] || 0})`);
+    if (matches.length === 0) {
+      warnings.push("禁止ペアの指定を満たす組み合わせが見つかりませんでした。「🔀 組み合わせの指定」を見直してください。");
+      warnings.forEach((warning) => Logger.log(`警告: ${warning}`));
+      return { matchCount: 0, warnings: warnings, overrides: [] };
     }
 
-    // 勝点グループごとにマッチング（グループ内でランダム化）
-    let remainingPlayers = [...availablePlayers];
-
-    // 勝点グループごとにシャッフル
-    let currentPoints = null;
-    let groupStart = 0;
-
-    for (let i = 0; i <= remainingPlayers.length; i++) {
-      const points = i < remainingPlayers.length ? remainingPlayers[i][playerIndices["勝点"]] || 0 : null;
+    if (pairing.searchLimitReached) {
+      Logger.log("警告: ペアリング探索が上限に達しました。それまでに見つかった最良の組み合わせを使用します。");
+    }
 
-      if (currentPoints !== null && (points !== currentPoints || i === remainingPlayers.length)) {
-        // 現在のグループをシャッフル
-        const groupSize = i - groupStart;
-        for (let j = groupStart + groupSize - 1; j > groupStart; j--) {
-          const k = groupStart + Math.floor(Math.random() * (j - groupStart + 1));
-          [remainingPlayers[j], remainingPlayers[k]] = [remainingPlayers[k], remainingPlayers[j]];
-        }
-        groupStart = i;
-      }
+    let byePlayer = null;
+    if (pairing.byePlayerId) {
+      byePlayer = activePlayers.find((player) => player.id === pairing.byePlayerId);
+      Logger.log(`Bye: ${byePlayer.id} (勝点: ${byePlayer.points})`);
+    }
 
-      currentPoints = points;
+    for (const [p1Id, p2Id] of matches) {
+      Logger.log(`マッチング成立: ${p1Id} vs ${p2Id}`);
     }
 
-    // 全プレイヤーをマッチング（勝点に関わらず未対戦相手を優先）
-    while (remainingPlayers.length >= 2) {
-      const p1 = remainingPlayers.shift();
-      const p1Id = p1[playerIndices["プレイヤーID"]];
-      const p1Opponents = opponentsMap.get(p1Id) || new Set();
+    if (pairing.rematches.length > 0) {
+      const rematchText = pairing.rematches.map(([p1Id, p2Id]) => `${p1Id} vs ${p2Id}`).join(", ");
+      Logger.log(`警告: 再戦なしの組み合わせが見つからなかったため、${pairing.rematches.length}組の再戦を含めてマッチングしました: ${rematchText}`);
+    }
 
-      let p2Index = -1;
-      for (let i = 0; i < remainingPlayers.length; i++) {
-        const p2Id = remainingPlayers[i][playerIndices["プレイヤーID"]];
-        if (!p1Opponents.has(p2Id)) {
-          p2Index = i;
-          break;
-        }
-      }
+    Logger.log(`マッチング成立: ${matches.length}組`);
 
-      if (p2Index !== -1) {
-        const p2 = remainingPlayers.splice(p2Index, 1)[0];
-        const p2Id = p2[playerIndices["プレイヤーID"]];
-        matches.push([p1Id, p2Id]);
-        Logger.log(`マッチング成立: ${p1Id} (勝点${p1[playerIndices["勝点"]] || 0}) vs ${p2Id} (勝点${p2[playerIndices["勝点"]] || 0})`);
-      } else {
-        // 未対戦相手が見つからない場合
-        Logger.log(`警告: ${p1Id} の未対戦相手が見つかりませんでした`);
-        break;
-      }
-    }
+    // 卓番号を割り当て（固定卓を優先。最大卓数を超える場合はマッチングしない）
+    const fixedTables = new Map(activePlayers.filter((player) => player.fixedTable).map((player) => [player.id, player.fixedTable]));
+    const seating = assignTableNumbers(matches, getMaxTables(), getUnavailableTables(), fixedTables);
+    const tableNumbers = seating.tableNumbers;
 
-    if (remainingPlayers.length > 0) {
-      Logger.log(`警告: ${remainingPlayers.length} 人のプレイヤーがマッチングされませんでした`);
+    for (const conflict of seating.conflicts) {
+      Logger.log(`警告: ${conflict}`);
     }
 
-    Logger.log(`マッチング成立: ${matches.length}組`);
+    // 反映した手動調整（ペアリング結果のダイアログと備考列に表示する）
+    const overrides = [
+      ...matches.filter(isForced).map((match) => `強制ペア: ${match.map(nameOf).join(" vs ")}（卓${tableNumbers[matches.indexOf(match)]}）`),
+      ...pairingOverrides.forbidden.map((pair) => `禁止ペア: ${pair.map(nameOf).join(" と ")} を対戦させない`),
+    ];
+    overrides.forEach((override) => Logger.log(`手動調整: ${override}`));
 
     // マッチング結果をシートに反映
-    let tableNumber = TABLE_CONFIG.MIN_TABLE_NUMBER;
-    for (const match of matches) {
+    matches.forEach((match, index) => {
       const [p1Id, p2Id] = match;
-      inProgressSheet.appendRow([
-        roundNumber,
-        tableNumber,
-        p1Id,
-        playerNameMap.get(p1Id) || p1Id,
-        p2Id,
-        playerNameMap.get(p2Id) || p2Id,
-        "", // 結果は空
-      ]);
-      tableNumber++;
-    }
+      const tableNumber = tableNumbers[index];
+      inProgressSheet.appendRow(
+        buildRow(SHEET_IN_PROGRESS, {
+          "ラウンド": roundNumber,
+          "卓番号": tableNumber,
+          "ID1": p1Id,
+          "プレイヤー1": playerNameMap.get(p1Id) || p1Id,
+          "ID2": p2Id,
+          "プレイヤー2": playerNameMap.get(p2Id) || p2Id,
+          "結果": "", // 結果は空
+          "備考": isForced(match) ? "強制ペア（運営指定）" : "",
+        })
+      );
+    });
 
     // Byeの処理
     if (byePlayer) {
-      const byePlayerId = byePlayer[playerIndices["プレイヤーID"]];
-      const byePlayerName = byePlayer[playerIndices["プレイヤー名"]];
+      const byePlayerId = byePlayer.id;
+      const byePlayerName = byePlayer.name;
+      // Byeは卓を使用しないため上限の対象外。空いている卓があれば番号だけ割り当てる
+      const tableNumber = seating.spareTables.length > 0 ? seating.spareTables[0] : "";
 
       // Byeを現在のラウンドシートに記録（結果も記録）
-      inProgressSheet.appendRow([
-        roundNumber,
-        tableNumber, // Byeにも卓番号を割り当て
-        byePlayerId,
-        byePlayerName,
-        "",
-        "", // 相手名は空欄
-        "Bye", // 結果列に記録
-      ]);
+      inProgressSheet.appendRow(
+        buildRow(SHEET_IN_PROGRESS, {
+          "ラウンド": roundNumber,
+          "卓番号": tableNumber,
+          "ID1": byePlayerId,
+          "プレイヤー1": byePlayerName,
+          "ID2": "",
+          "プレイヤー2": "", // 相手名は空欄
+          "結果": MATCH_RESULT.BYE, // 結果列に記録
+        })
+      );
 
       // Byeの結果を対戦履歴に即座に記録
       recordByeResult(byePlayerId, roundNumber, tableNumber);
     }
 
-    return matches.length + (byePlayer ? 1 : 0);
+    // シートからの結果入力が有効な場合は、結果列にプルダウンを設定
+    applyResultDropdowns(inProgressSheet);
+    rebuildPairingsPrintSheets();
+
+    return { matchCount: matches.length + (byePlayer ? 1 : 0), warnings: [...warnings, ...seating.conflicts], overrides: overrides };
   } catch (e) {
     Logger.log("matchPlayersSwiss エラー: " + e.message);
-    return 0;
+    return { matchCount: 0, warnings: [e.message], overrides: [] };
   } finally {
     releaseLock(lock);
   }
@@ -203,6 +174,7 @@ function matchPlayersSwiss(roundNumber) {
  * Byeの結果を記録します
  * @param {string} playerId - プレイヤーID
  * @param {number} roundNumber - ラウンド番号
+ * @param {number|string} tableNumber - 卓番号（空いている卓がない場合は空欄）
  */
 function recordByeResult(playerId, roundNumber, tableNumber) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -221,10 +193,15 @@ function recordByeResult(playerId, roundNumber, tableNumber) {
         const currentPoints = parseInt(row[playerIndices["勝点"]]) || 0;
         const currentWins = parseInt(row[playerIndices["勝数"]]) || 0;
         const currentTotal = parseInt(row[playerIndices["試合数"]]) || 0;
+        const currentByes = parseInt(row[playerIndices["バイ数"]]) || 0;
+        const currentGameWins = parseInt(row[playerIndices["ゲーム勝数"]]) || 0;
+        const delta = calculateResultStats("bye");
 
-        playerSheet.getRange(rowNum, playerIndices["勝点"] + 1).setValue(currentPoints + SWISS_CONFIG.POINTS_BYE);
-        playerSheet.getRange(rowNum, playerIndices["勝数"] + 1).setValue(currentWins + 1);
-        playerSheet.getRange(rowNum, playerIndices["試合数"] + 1).setValue(currentTotal + 1);
+        playerSheet.getRange(rowNum, playerIndices["勝点"] + 1).setValue(currentPoints + delta.points);
+        playerSheet.getRange(rowNum, playerIndices["勝数"] + 1).setValue(currentWins + delta.wins);
+        playerSheet.getRange(rowNum, playerIndices["試合数"] + 1).setValue(currentTotal + delta.matches);
+        playerSheet.getRange(rowNum, playerIndices["バイ数"] + 1).setValue(currentByes + 1);
+        playerSheet.getRange(rowNum, playerIndices["ゲーム勝数"] + 1).setValue(currentGameWins + SWISS_CONFIG.BYE_GAME_WINS);
 
         const currentTime = new Date();
         const formattedTime = Utilities.formatDate(currentTime, "Asia/Tokyo", "yyyy/MM/dd HH:mm:ss");
@@ -232,18 +209,22 @@ function recordByeResult(playerId, roundNumber, tableNumber) {
 
         // 対戦履歴に記録
         const newId = "T" + Utilities.formatString("%04d", historySheet.getLastRow());
-        historySheet.appendRow([
-          newId,
-          roundNumber,
-          formattedTime,
-          tableNumber, // Byeの卓番号を記録
-          playerId,
-          playerName,
-          "",
-          "", // 相手名は空欄
-          playerName,
-          "Bye",
-        ]);
+        historySheet.appendRow(
+          buildRow(SHEET_HISTORY, {
+            "対戦ID": newId,
+            "ラウンド": roundNumber,
+            "日時": formattedTime,
+            "卓番号": tableNumber, // Byeの卓番号を記録
+            "ID1": playerId,
+            "プレイヤー1": playerName,
+            "ID2": "",
+            "プレイヤー2": "", // 相手名は空欄
+            "勝者名": playerName,
+            "結果": MATCH_RESULT.BYE,
+            "ゲームスコア": formatGameScore({ wins: SWISS_CONFIG.BYE_GAME_WINS, losses: 0, draws: 0 }),
+            "区分": MATCH_STAGE.SWISS,
+          })
+        );
 
         Logger.log(`Bye記録: ${playerId} がラウンド${roundNumber}、卓${tableNumber}でBye`);
         break;
@@ -255,33 +236,289 @@ function recordByeResult(playerId, roundNumber, tableNumber) {
 }
 
 // =========================================
-// 対戦結果記録
+// ペアリングの手動調整
 // =========================================
 
 /**
- * カスタムメニューから実行するためのラッパー関数（スイス方式対応）
+ * 指定したラウンドの強制ペア・禁止ペアを取得します
+ * 別のラウンド向けに登録された指定（既に組み合わせを作成したラウンドのもの）は空として扱います。
+ * ラウンドのやり直しで組み直す場合は、同じ指定が再び反映されます。
+ * @param {number} roundNumber - ラウンド番号
+ * @returns {{round: number, forced: Array<Array<string>>, forbidden: Array<Array<string>>}} 強制ペア・禁止ペア（プレイヤーIDの組）
  */
-function promptAndRecordResult() {
+function getPairingOverrides(roundNumber) {
+  const properties = PropertiesService.getDocumentProperties();
+  const stored = properties.getProperty("PAIRING_OVERRIDES");
+  const empty = { round: roundNumber, forced: [], forbidden: [] };
+
+  if (!stored) {
+    return empty;
+  }
+
+  try {
+    const overrides = JSON.parse(stored);
+    if (overrides.round !== roundNumber) {
+      return empty;
+    }
+    return { round: roundNumber, forced: overrides.forced || [], forbidden: overrides.forbidden || [] };
+  } catch (e) {
+    Logger.log("警告: 組み合わせの指定を読み取れません: " + e.message);
+    return empty;
+  }
+}
+
+/**
+ * 強制ペア・禁止ペアを保存します
+ * @param {{round: number, forced: Array<Array<string>>, forbidden: Array<Array<string>>}} overrides - 保存する指定
+ */
+function setPairingOverrides(overrides) {
+  const properties = PropertiesService.getDocumentProperties();
+  properties.setProperty("PAIRING_OVERRIDES", JSON.stringify(overrides));
+  Logger.log(`ラウンド${overrides.round}の組み合わせの指定を保存しました（強制ペア ${overrides.forced.length}組、禁止ペア ${overrides.forbidden.length}組）。`);
+}
+
+/**
+ * 次のラウンドの強制ペア（必ず対戦させる組み合わせ）・禁止ペア（対戦させない組み合わせ）を指定します。
+ * 指定は次のラウンドのマッチングにだけ反映されます（ラウンドのやり直しで組み直す場合も反映）。
+ */
+function configurePairingOverrides() {
   const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let lock = null;
 
-  // トーナメントが終了しているかチェック
-  const tournamentStatus = getTournamentStatus();
-  if (tournamentStatus === TOURNAMENT_STATUS.FINISHED) {
-    ui.alert("トーナメント終了済み", "このトーナメントは既に終了しています。\n新しい対戦結果は記録できません。", ui.ButtonSet.OK);
-    return;
+  try {
+    const tournamentStatus = getTournamentStatus();
+    if (tournamentStatus !== TOURNAMENT_STATUS.IN_PROGRESS) {
+      ui.alert("設定変更不可", `トーナメントの状態が「${tournamentStatus}」のため、組み合わせを指定できません。`, ui.ButtonSet.OK);
+      return;
+    }
+
+    lock = acquireLock("組み合わせの指定");
+    const stateBefore = captureWorkbookState();
+
+    const targetRound = getCurrentRound() + 1;
+    const overrides = getPairingOverrides(targetRound);
+    const players = readPlayerRecords(ss.getSheetByName(SHEET_PLAYERS));
+    const nameOf = (playerId) => {
+      const player = players.find((candidate) => candidate.id === playerId);
+      return `${player ? player.name : playerId} (${playerId})`;
+    };
+    const describe = (pairs, separator) => (pairs.length > 0 ? pairs.map((pair) => `・${pair.map(nameOf).join(separator)}`).join("\n") : "・なし");
+
+    const response = ui.prompt(
+      "組み合わせの指定",
+      `ラウンド${targetRound}の組み合わせの指定\n\n` +
+        `【強制ペア（必ず対戦させる）】\n${describe(overrides.forced, " vs ")}\n` +
+        `【禁止ペア（対戦させない）】\n${describe(overrides.forbidden, " と ")}\n\n` +
+        "操作を選択してください：\n" +
+        "1: 強制ペアを追加する\n" +
+        "2: 禁止ペアを追加する\n" +
+        "3: 指定をすべて解除する\n\n" +
+        "数字を入力してください：",
+      ui.ButtonSet.OK_CANCEL
+    );
+
+    if (response.getSelectedButton() !== ui.Button.OK) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
+
+    const action = response.getResponseText().trim();
+    if (action === "3") {
+      setPairingOverrides({ round: targetRound, forced: [], forbidden: [] });
+      recordOperation("組み合わせの指定", `ラウンド${targetRound}: すべて解除`, stateBefore);
+      ui.alert("設定完了", `ラウンド${targetRound}の組み合わせの指定をすべて解除しました。`, ui.ButtonSet.OK);
+      return;
+    }
+    if (action !== "1" && action !== "2") {
+      ui.alert("エラー", "1～3 のいずれかを入力してください。", ui.ButtonSet.OK);
+      return;
+    }
+
+    const kind = action === "1" ? "強制ペア" : "禁止ペア";
+    const pairResponse = ui.prompt(kind + "の追加", "2人のプレイヤーIDの数字部分をカンマ区切りで入力してください（例: 3, 12）：", ui.ButtonSet.OK_CANCEL);
+
+    if (pairResponse.getSelectedButton() !== ui.Button.OK) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
+
+    const pair = parsePlayerIdList(pairResponse.getResponseText());
+    if (!pair || pair.length !== 2) {
+      ui.alert("エラー", "異なる2人のプレイヤーIDの数字部分をカンマ区切りで入力してください。", ui.ButtonSet.OK);
+      return;
+    }
+
+    for (const playerId of pair) {
+      const player = players.find((candidate) => candidate.id === playerId);
+      if (!player || player.status !== PLAYER_STATUS.ACTIVE) {
+        ui.alert("エラー", `プレイヤー ${playerId} は参加中のプレイヤーではありません。`, ui.ButtonSet.OK);
+        return;
+      }
+    }
+
+    const samePair = (other) => other.includes(pair[0]) && other.includes(pair[1]);
+    if (overrides.forced.some(samePair) || overrides.forbidden.some(samePair)) {
+      ui.alert("エラー", `${pair.map(nameOf).join(" と ")} の組み合わせは既に指定されています。`, ui.ButtonSet.OK);
+      return;
+    }
+
+    if (action === "1") {
+      const assigned = pair.find((playerId) => overrides.forced.some((other) => other.includes(playerId)));
+      if (assigned) {
+        ui.alert("エラー", `${nameOf(assigned)} は既に別の強制ペアに指定されています。`, ui.ButtonSet.OK);
+        return;
+      }
+      overrides.forced.push(pair);
+    } else {
+      overrides.forbidden.push(pair);
+    }
+
+    setPairingOverrides(overrides);
+    recordOperation("組み合わせの指定", `ラウンド${targetRound}: ${kind} ${pair.join(", ")}`, stateBefore);
+
+    ui.alert("設定完了", `ラウンド${targetRound}の${kind}に ${pair.map(nameOf).join(" と ")} を追加しました。`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert("エラーが発生しました: " + e.toString());
+    Logger.log("configurePairingOverrides エラー: " + e.toString());
+  } finally {
+    releaseLock(lock);
   }
+}
 
-  const currentRound = getCurrentRound();
+/**
+ * 現在のラウンドで、結果が記録されていない別々の卓の2人のプレイヤーの席を入れ替えます。
+ * 入れ替えた対戦は現在のラウンドシートの備考列に記録します。
+ */
+function swapPlayerSeats() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let lock = null;
 
-  if (currentRound === 0) {
-    ui.alert("エラー", "トーナメントが開始されていません。先にラウンドを開始してください。", ui.ButtonSet.OK);
-    return;
+  try {
+    const response = ui.prompt(
+      "席の入れ替え",
+      "入れ替える2人のプレイヤーIDの数字部分をカンマ区切りで入力してください（例: 3, 12）。\n" + "結果が記録されていない対戦のプレイヤーのみ入れ替えられます。",
+      ui.ButtonSet.OK_CANCEL
+    );
+
+    if (response.getSelectedButton() !== ui.Button.OK) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
+
+    const playerIds = parsePlayerIdList(response.getResponseText());
+    if (!playerIds || playerIds.length !== 2) {
+      ui.alert("エラー", "異なる2人のプレイヤーIDの数字部分をカンマ区切りで入力してください。", ui.ButtonSet.OK);
+      return;
+    }
+
+    lock = acquireLock("席の入れ替え");
+    const stateBefore = captureWorkbookState();
+
+    const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
+    const { indices, data } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+
+    // 各プレイヤーの席（行と ID1/ID2 のどちら側か）を探す
+    const seats = [];
+    for (const playerId of playerIds) {
+      const rowIndex = data.findIndex((row, index) => index > 0 && (row[indices["ID1"]] === playerId || row[indices["ID2"]] === playerId));
+      if (rowIndex === -1) {
+        ui.alert("エラー", `プレイヤー ${playerId} は現在のラウンドの対戦にいません。`, ui.ButtonSet.OK);
+        return;
+      }
+      if (data[rowIndex][indices["結果"]]) {
+        ui.alert("エラー", `プレイヤー ${playerId} の対戦（卓${data[rowIndex][indices["卓番号"]]}）は結果が記録済み（Byeを含む）のため、入れ替えられません。`, ui.ButtonSet.OK);
+        return;
+      }
+      const side = data[rowIndex][indices["ID1"]] === playerId ? 1 : 2;
+      const opponentId = data[rowIndex][indices[side === 1 ? "ID2" : "ID1"]];
+      seats.push({ playerId, rowIndex, side, opponentId, tableNumber: data[rowIndex][indices["卓番号"]] });
+    }
+
+    const [first, second] = seats;
+    if (first.rowIndex === second.rowIndex) {
+      ui.alert("エラー", `${first.playerId} と ${second.playerId} は同じ卓（卓${first.tableNumber}）で対戦しています。`, ui.ButtonSet.OK);
+      return;
+    }
+
+    // 入れ替え後の対戦が再戦になる場合・固定卓から外れる場合は確認時に知らせる
+    const players = readPlayerRecords(ss.getSheetByName(SHEET_PLAYERS));
+    const nameOf = (playerId) => (players.find((player) => player.id === playerId) || { name: playerId }).name;
+    const opponentsMap = buildOpponentsMap(readHistoryRecords(ss.getSheetByName(SHEET_HISTORY)));
+    const notes = [];
+    for (const [seat, newPlayerId] of [
+      [first, second.playerId],
+      [second, first.playerId],
+    ]) {
+      if ((opponentsMap.get(newPlayerId) || new Set()).has(seat.opponentId)) {
+        notes.push(`※ ${nameOf(newPlayerId)} と ${nameOf(seat.opponentId)} は再戦になります。`);
+      }
+      const fixedTable = (players.find((player) => player.id === newPlayerId) || {}).fixedTable;
+      if (fixedTable && fixedTable !== seat.tableNumber) {
+        notes.push(`※ ${nameOf(newPlayerId)} の固定卓は卓${fixedTable}です。`);
+      }
+    }
+
+    const confirmResponse = ui.alert(
+      "席の入れ替えの確認",
+      `卓${first.tableNumber}: ${nameOf(first.playerId)} vs ${nameOf(first.opponentId)} → ${nameOf(second.playerId)} vs ${nameOf(first.opponentId)}\n` +
+        `卓${second.tableNumber}: ${nameOf(second.playerId)} vs ${nameOf(second.opponentId)} → ${nameOf(first.playerId)} vs ${nameOf(second.opponentId)}` +
+        (notes.length > 0 ? "\n\n" + notes.join("\n") : "") +
+        "\n\nよろしいですか？",
+      ui.ButtonSet.YES_NO
+    );
+
+    if (confirmResponse !== ui.Button.YES) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
+
+    const note = `席の入れ替え（${first.playerId} ⇄ ${second.playerId}）`;
+    for (const [seat, newPlayerId] of [
+      [first, second.playerId],
+      [second, first.playerId],
+    ]) {
+      const rowNum = seat.rowIndex + 1;
+      const currentNote = data[seat.rowIndex][indices["備考"]];
+      inProgressSheet.getRange(rowNum, indices[`ID${seat.side}`] + 1).setValue(newPlayerId);
+      inProgressSheet.getRange(rowNum, indices[`プレイヤー${seat.side}`] + 1).setValue(nameOf(newPlayerId));
+      inProgressSheet.getRange(rowNum, indices["備考"] + 1).setValue(currentNote ? `${currentNote}、${note}` : note);
+    }
+
+    Logger.log(`手動調整: ${note} 卓${first.tableNumber} ⇄ 卓${second.tableNumber}`);
+    recordOperation("席の入れ替え", `${first.playerId} ⇄ ${second.playerId}`, stateBefore);
+    rebuildPairingsPrintSheets();
+
+    ui.alert("入れ替え完了", `${nameOf(first.playerId)} と ${nameOf(second.playerId)} の席を入れ替えました。`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert("エラーが発生しました: " + e.toString());
+    Logger.log("swapPlayerSeats エラー: " + e.toString());
+  } finally {
+    releaseLock(lock);
   }
+}
+
+// =========================================
+// 対戦結果記録
+// =========================================
+
+/**
+ * カスタムメニューから実行するためのラッパー関数（スイス方式対応）
+ */
+function promptAndRecordResult() {
+  const ui = SpreadsheetApp.getUi();
+
+  if (!canRecordSwissResults()) return;
 
   // 結果の種類を選択
   const resultTypeResponse = ui.prompt(
     "対戦結果の記録",
-    `結果の種類を選択してください：\n\n` + `1: 勝敗（どちらかが勝利）\n` + `2: 引き分け（両者敗北扱い、0勝点）\n\n` + `数字を入力してください：`,
+    `結果の種類を選択してください：\n\n` +
+      `1: 勝敗（どちらかが勝利）\n` +
+      `2: 引き分け（両者${getDrawPoints()}勝点）\n` +
+      `3: 両負け（両者敗北扱い、0勝点）\n\n` +
+      `数字を入力してください：`,
     ui.ButtonSet.OK_CANCEL
   );
 
@@ -298,32 +535,165 @@ function promptAndRecordResult() {
   } else if (resultType === "2") {
     // 引き分けの記録
     recordDraw();
+  } else if (resultType === "3") {
+    // 両負けの記録
+    recordDoubleLoss();
   } else {
-    ui.alert("エラー", "1 または 2 を入力してください。", ui.ButtonSet.OK);
+    ui.alert("エラー", "1、2、3 のいずれかを入力してください。", ui.ButtonSet.OK);
   }
 }
 
 /**
- * 勝敗を記録します
+ * スイスドローの対戦結果を記録できる状態かチェックし、できない場合は理由を表示します
+ * @returns {boolean} 記録できる場合true
  */
-function recordWinLoss() {
+function canRecordSwissResults() {
+  const ui = SpreadsheetApp.getUi();
+
+  // トーナメントが終了しているかチェック
+  const tournamentStatus = getTournamentStatus();
+  if (tournamentStatus === TOURNAMENT_STATUS.FINISHED) {
+    ui.alert("トーナメント終了済み", "このトーナメントは既に終了しています。\n新しい対戦結果は記録できません。", ui.ButtonSet.OK);
+    return false;
+  }
+  if (tournamentStatus === TOURNAMENT_STATUS.TOP_CUT) {
+    ui.alert("トップカット進行中", "トップカットの結果は「🏆 トップカットの結果記録」から記録してください。", ui.ButtonSet.OK);
+    return false;
+  }
+
+  if (getCurrentRound() === 0) {
+    ui.alert("エラー", "トーナメントが開始されていません。先にラウンドを開始してください。", ui.ButtonSet.OK);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * 卓番号を指定して対戦結果を記録します（カスタムメニューから実行）
+ * 卓の対戦者を表示し、どちらが勝ったか（または引き分け・両負け）を選択させます。
+ */
+function recordResultByTable() {
   const ui = SpreadsheetApp.getUi();
 
-  const winnerResponse = ui.prompt("勝者の入力", `勝者のプレイヤーIDの**数字部分のみ**を入力してください (例: P001なら「1」)。`, ui.ButtonSet.OK_CANCEL);
+  if (!canRecordSwissResults()) return;
 
-  if (winnerResponse.getSelectedButton() !== ui.Button.OK) {
+  const tableResponse = ui.prompt("卓番号で結果を記録", "結果を記録する卓番号を入力してください：", ui.ButtonSet.OK_CANCEL);
+
+  if (tableResponse.getSelectedButton() !== ui.Button.OK) {
     ui.alert("処理をキャンセルしました。");
     return;
   }
 
-  const rawId = winnerResponse.getResponseText().trim();
+  const rawTable = tableResponse.getResponseText().trim().normalize("NFKC");
+  if (!/^\d+$/.test(rawTable)) {
+    ui.alert("エラー", "卓番号は数字のみで入力してください。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const tableNumber = parseInt(rawTable, 10);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const match = readInProgressRecords(ss.getSheetByName(SHEET_IN_PROGRESS)).find((record) => record.tableNumber === tableNumber);
+
+  if (!match) {
+    ui.alert("エラー", `卓${tableNumber} は現在のラウンドにありません。`, ui.ButtonSet.OK);
+    return;
+  }
+  if (!match.player2Id) {
+    ui.alert("エラー", `卓${tableNumber} はByeのため、結果は自動的に記録されています。`, ui.ButtonSet.OK);
+    return;
+  }
+  if (match.result) {
+    ui.alert("エラー", `卓${tableNumber} は既に結果が記録されています（${match.result}）。\n修正する場合は「🔧 対戦結果の修正」を使用してください。`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const player1Name = getPlayerName(match.player1Id);
+  const player2Name = getPlayerName(match.player2Id);
+
+  const outcomeResponse = ui.prompt(
+    "卓番号で結果を記録",
+    `卓${tableNumber}: ${player1Name} (${match.player1Id}) vs ${player2Name} (${match.player2Id})\n\n` +
+      `1: ${player1Name} の勝ち\n` +
+      `2: ${player2Name} の勝ち\n` +
+      `3: 引き分け（両者${getDrawPoints()}勝点）\n` +
+      `4: 両負け（両者敗北扱い、0勝点）\n\n` +
+      `数字を入力してください：`,
+    ui.ButtonSet.OK_CANCEL
+  );
 
-  if (!/^\d+$/.test(rawId)) {
-    ui.alert("エラー", "IDは数字のみで入力してください。", ui.ButtonSet.OK);
+  if (outcomeResponse.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("処理をキャンセルしました。");
     return;
   }
 
-  const formattedWinnerId = PLAYER_ID_PREFIX + Utilities.formatString(`%0${ID_DIGITS}d`, parseInt(rawId, 10));
+  const outcome = {
+    "1": { resultType: "win", player1Id: match.player1Id, player2Id: match.player2Id },
+    "2": { resultType: "win", player1Id: match.player2Id, player2Id: match.player1Id },
+    "3": { resultType: "draw", player1Id: match.player1Id, player2Id: match.player2Id },
+    "4": { resultType: "double_loss", player1Id: match.player1Id, player2Id: match.player2Id },
+  }[outcomeResponse.getResponseText().trim().normalize("NFKC")];
+
+  if (!outcome) {
+    ui.alert("エラー", "1、2、3、4 のいずれかを入力してください。", ui.ButtonSet.OK);
+    return;
+  }
+
+  // 両負けはゲームを行っていないため、ゲームスコアは入力しない
+  let gameScore = { ok: true, score: null };
+  if (outcome.resultType === "win") {
+    gameScore = promptGameScore("win", `勝者（${getPlayerName(outcome.player1Id)}）`);
+  } else if (outcome.resultType === "draw") {
+    gameScore = promptGameScore("draw", player1Name);
+  }
+  if (!gameScore.ok) return;
+
+  const resultLabel = {
+    win: `${getPlayerName(outcome.player1Id)} の勝ち`,
+    draw: MATCH_RESULT.DRAW,
+    double_loss: MATCH_RESULT.DOUBLE_LOSS,
+  }[outcome.resultType];
+
+  let confirmMessage = `以下の内容で記録してよろしいですか？\n\n` + `卓${tableNumber}: ${player1Name} vs ${player2Name}\n` + `結果: ${resultLabel}`;
+  if (outcome.resultType !== "double_loss") {
+    confirmMessage += `\nゲームスコア: ${formatGameScore(gameScore.score) || "記録なし"}`;
+  }
+
+  if (ui.alert("対戦結果の確認", confirmMessage, ui.ButtonSet.YES_NO) !== ui.Button.YES) {
+    ui.alert("処理をキャンセルしました。");
+    return;
+  }
+
+  let lock = null;
+
+  try {
+    lock = acquireLock("対戦結果の記録");
+
+    // ダイアログの表示中に席の入れ替え・ラウンドのやり直し・他のスタッフの記録があった場合は記録しない
+    const current = readInProgressRecords(ss.getSheetByName(SHEET_IN_PROGRESS)).find((record) => record.tableNumber === tableNumber);
+    if (!current || current.round !== match.round || current.player1Id !== match.player1Id || current.player2Id !== match.player2Id || current.result) {
+      ui.alert("エラー", `卓${tableNumber} の組み合わせまたは結果が変更されたため、記録しませんでした。
+もう一度卓番号から入力してください。`, ui.ButtonSet.OK);
+      return;
+    }
+
+    commitMatchResult(outcome.player1Id, outcome.player2Id, current.rowNumber - 1, outcome.resultType, gameScore.score);
+  } catch (e) {
+    ui.alert("エラー", "エラーが発生しました: " + e.toString(), ui.ButtonSet.OK);
+    Logger.log("recordResultByTable エラー: " + e.toString());
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+/**
+ * 勝敗を記録します
+ */
+function recordWinLoss() {
+  const ui = SpreadsheetApp.getUi();
+
+  const formattedWinnerId = promptPlayerId("勝者の入力", "勝者のIDの数字部分 (例: P001なら「1」) または名前の一部を入力してください。");
+  if (!formattedWinnerId) return;
 
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
@@ -352,9 +722,15 @@ function recordWinLoss() {
     return;
   }
 
+  const gameScore = promptGameScore("win", `勝者（${getPlayerName(formattedWinnerId)}）`);
+  if (!gameScore.ok) return;
+
   const confirmResponse = ui.alert(
     "対戦結果の確認",
-    `以下の内容で記録してよろしいですか？\n\n` + `勝者: ${getPlayerName(formattedWinnerId)}\n` + `敗者: ${getPlayerName(loserId)}`,
+    `以下の内容で記録してよろしいですか？\n\n` +
+      `勝者: ${getPlayerName(formattedWinnerId)}\n` +
+      `敗者: ${getPlayerName(loserId)}\n` +
+      `ゲームスコア: ${formatGameScore(gameScore.score) || "記録なし"}`,
     ui.ButtonSet.YES_NO
   );
 
@@ -364,7 +740,7 @@ function recordWinLoss() {
   }
 
   try {
-    recordMatchResult(formattedWinnerId, loserId, matchRow, "win");
+    recordMatchResult(formattedWinnerId, loserId, matchRow, "win", gameScore.score);
   } catch (e) {
     ui.alert("エラー", "エラーが発生しました: " + e.toString(), ui.ButtonSet.OK);
     Logger.log("recordWinLoss エラー: " + e.toString());
@@ -375,27 +751,26 @@ function recordWinLoss() {
  * 引き分けを記録します
  */
 function recordDraw() {
-  const ui = SpreadsheetApp.getUi();
-
-  const playerResponse = ui.prompt(
-    "プレイヤーの入力",
-    `引き分けた対戦のプレイヤーIDの**数字部分のみ**を入力してください (例: P001なら「1」)。`,
-    ui.ButtonSet.OK_CANCEL
-  );
-
-  if (playerResponse.getSelectedButton() !== ui.Button.OK) {
-    ui.alert("処理をキャンセルしました。");
-    return;
-  }
+  recordNoWinnerResult("draw");
+}
 
-  const rawId = playerResponse.getResponseText().trim();
+/**
+ * 両負けを記録します
+ */
+function recordDoubleLoss() {
+  recordNoWinnerResult("double_loss");
+}
 
-  if (!/^\d+$/.test(rawId)) {
-    ui.alert("エラー", "IDは数字のみで入力してください。", ui.ButtonSet.OK);
-    return;
-  }
+/**
+ * 勝者のいない結果（引き分け・両負け）を記録します
+ * @param {string} resultType - 'draw'（引き分け）または 'double_loss'（両負け）
+ */
+function recordNoWinnerResult(resultType) {
+  const ui = SpreadsheetApp.getUi();
+  const resultLabel = resultType === "draw" ? MATCH_RESULT.DRAW : MATCH_RESULT.DOUBLE_LOSS;
 
-  const formattedPlayerId = PLAYER_ID_PREFIX + Utilities.formatString(`%0${ID_DIGITS}d`, parseInt(rawId, 10));
+  const formattedPlayerId = promptPlayerId("プレイヤーの入力", `${resultLabel}の対戦のプレイヤーのIDの数字部分 (例: P001なら「1」) または名前の一部を入力してください。`);
+  if (!formattedPlayerId) return;
 
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
@@ -424,11 +799,19 @@ function recordDraw() {
     return;
   }
 
-  const confirmResponse = ui.alert(
-    "引き分けの確認",
-    `以下の対戦を引き分けとして記録してよろしいですか？\n\n` + `${getPlayerName(formattedPlayerId)} vs ${getPlayerName(opponentId)}`,
-    ui.ButtonSet.YES_NO
-  );
+  // 両負けはゲームを行っていないため、ゲームスコアは入力しない
+  let gameScore = { ok: true, score: null };
+  if (resultType === "draw") {
+    gameScore = promptGameScore("draw", getPlayerName(formattedPlayerId));
+    if (!gameScore.ok) return;
+  }
+
+  let confirmMessage = `以下の対戦を${resultLabel}として記録してよろしいですか？\n\n` + `${getPlayerName(formattedPlayerId)} vs ${getPlayerName(opponentId)}`;
+  if (resultType === "draw") {
+    confirmMessage += `\nゲームスコア: ${formatGameScore(gameScore.score) || "記録なし"}`;
+  }
+
+  const confirmResponse = ui.alert(`${resultLabel}の確認`, confirmMessage, ui.ButtonSet.YES_NO);
 
   if (confirmResponse !== ui.Button.YES) {
     ui.alert("処理をキャンセルしました。");
@@ -436,88 +819,82 @@ function recordDraw() {
   }
 
   try {
-    recordMatchResult(formattedPlayerId, opponentId, matchRow, "draw");
+    recordMatchResult(formattedPlayerId, opponentId, matchRow, resultType, gameScore.score);
   } catch (e) {
     ui.alert("エラー", "エラーが発生しました: " + e.toString(), ui.ButtonSet.OK);
-    Logger.log("recordDraw エラー: " + e.toString());
+    Logger.log("recordNoWinnerResult エラー: " + e.toString());
   }
 }
 
 /**
- * 対戦結果を記録します（スイス方式対応）
- * @param {string} player1Id - プレイヤー1のID（勝者または引き分けの一方）
- * @param {string} player2Id - プレイヤー2のID（敗者または引き分けの一方）
- * @param {number} matchRow - 現在のラウンドシートの行番号（0-indexed）
- * @param {string} resultType - 'win'（player1が勝利）または 'draw'（引き分け）
+ * ゲームスコアの入力を求めます（空欄の場合は記録しない）
+ * @param {string} resultType - 'win' または 'draw'（スコアの検証に使用）
+ * @param {string} perspectiveLabel - スコアの視点となるプレイヤーの表示名
+ * @returns {{ok: boolean, score: ({wins: number, losses: number, draws: number}|null)}} キャンセル・入力エラー時は ok=false
  */
-function recordMatchResult(player1Id, player2Id, matchRow, resultType) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let lock = null;
+function promptGameScore(resultType, perspectiveLabel) {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.prompt(
+    "ゲームスコアの入力",
+    `${perspectiveLabel}から見たゲームスコアを「勝ち-負け」または「勝ち-負け-引分」で入力してください (例: 2-1)。\n` +
+      `記録しない場合は空欄のままOKを押してください。`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("処理をキャンセルしました。");
+    return { ok: false, score: null };
+  }
 
   try {
-    lock = acquireLock("対戦結果の記録");
+    const score = parseGameScore(response.getResponseText());
+    validateGameScore(score, resultType);
+    return { ok: true, score: score };
+  } catch (e) {
+    ui.alert("エラー", e.message, ui.ButtonSet.OK);
+    return { ok: false, score: null };
+  }
+}
 
-    const currentRound = getCurrentRound();
-    const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
-    const historySheet = ss.getSheetByName(SHEET_HISTORY);
-    const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
+/**
+ * 現在のラウンドで、指定したプレイヤーの結果が未記録の対戦を探します（Byeを除く）
+ * @param {string} playerId - プレイヤーID
+ * @returns {{matchRow: number, opponentId: string, tableNumber: number}|null} 対戦（matchRow は0-indexed）。ない場合はnull
+ */
+function findOpenMatch(playerId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
+  const { indices, data } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
 
-    const { indices: playerIndices, data: playerData } = getSheetStructure(playerSheet, SHEET_PLAYERS);
-    const { indices: matchIndices, data: matchData } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
-
-    const currentTime = new Date();
-    const formattedTime = Utilities.formatDate(currentTime, "Asia/Tokyo", "yyyy/MM/dd HH:mm:ss");
-
-    // 対戦情報を取得
-    const matchRowData = matchData[matchRow];
-    const tableNumber = matchRowData[matchIndices["卓番号"]];
-    const roundNumber = matchRowData[matchIndices["ラウンド"]];
-    const existingResult = matchRowData[matchIndices["結果"]];
-
-    // 既に結果が記録されているかチェック
-    if (existingResult && existingResult.trim() !== "") {
-      throw new Error("この対戦は既に結果が記録されています。");
-    }
-
-    let winnerId, loserId, winnerName, loserName, resultText;
-
-    if (resultType === "win") {
-      winnerId = player1Id;
-      loserId = player2Id;
-      winnerName = getPlayerName(winnerId);
-      loserName = getPlayerName(loserId);
-      resultText = `${winnerName} 勝利`;
-    } else if (resultType === "draw") {
-      winnerId = null;
-      loserId = null;
-      winnerName = getPlayerName(player1Id);
-      loserName = getPlayerName(player2Id);
-      resultText = "両負け";
-    }
-
-    // 現在のラウンドシートに結果を記録
-    inProgressSheet.getRange(matchRow + 1, matchIndices["結果"] + 1).setValue(resultText);
-
-    // 対戦履歴に記録
-    const newId = "T" + Utilities.formatString("%04d", historySheet.getLastRow());
-    historySheet.appendRow([
-      newId,
-      roundNumber,
-      formattedTime,
-      tableNumber,
-      player1Id,
-      resultType === "win" ? winnerName : getPlayerName(player1Id),
-      player2Id,
-      resultType === "win" ? loserName : getPlayerName(player2Id),
-      resultType === "win" ? winnerName : "",
-      resultText,
-    ]);
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const p1 = row[indices["ID1"]];
+    const p2 = row[indices["ID2"]];
+    if (!p1 || !p2 || row[indices["結果"]]) continue;
 
-    // プレイヤーの統計を更新
-    updatePlayerStats(player1Id, resultType === "win" ? "win" : "draw", formattedTime);
-    updatePlayerStats(player2Id, resultType === "win" ? "loss" : "draw", formattedTime);
+    if (p1 === playerId || p2 === playerId) {
+      return { matchRow: i, opponentId: p1 === playerId ? p2 : p1, tableNumber: row[indices["卓番号"]] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 対戦結果を記録します（スイス方式対応）
+ * @param {string} player1Id - プレイヤー1のID（勝者、または引き分け・両負けの一方）
+ * @param {string} player2Id - プレイヤー2のID（敗者、または引き分け・両負けの一方）
+ * @param {number} matchRow - 現在のラウンドシートの行番号（0-indexed）
+ * @param {string} resultType - 'win'（player1が勝利）、'draw'（引き分け）、'double_loss'（両負け）
+ * @param {{wins: number, losses: number, draws: number}|null} [gameScore] - player1から見たゲームスコア（省略時は記録しない）
+ */
+function recordMatchResult(player1Id, player2Id, matchRow, resultType, gameScore = null) {
+  let lock = null;
 
-    Logger.log(`対戦結果記録: ${player1Id} vs ${player2Id}, 結果: ${resultText}`);
+  try {
+    lock = acquireLock("対戦結果の記録");
+    commitMatchResult(player1Id, player2Id, matchRow, resultType, gameScore);
   } catch (e) {
     Logger.log("recordMatchResult エラー: " + e.message);
     throw e;
@@ -526,13 +903,118 @@ function recordMatchResult(player1Id, player2Id, matchRow, resultType) {
   }
 }
 
+/**
+ * 対戦結果を記録し、ラウンドの最後の結果であれば順位表を更新して、操作ログに記録します
+ * 呼び出し元でロックを取得していることが前提です（recordMatchResult、recordResultByTable、handleResultSheetEdit、recordResultFromSidebar から使用）。
+ * @param {string} player1Id - プレイヤー1のID（勝者、または引き分け・両負けの一方）
+ * @param {string} player2Id - プレイヤー2のID（敗者、または引き分け・両負けの一方）
+ * @param {number} matchRow - 現在のラウンドシートの行番号（0-indexed）
+ * @param {string} resultType - 'win'（player1が勝利）、'draw'（引き分け）、'double_loss'（両負け）
+ * @param {{wins: number, losses: number, draws: number}|null} [gameScore] - player1から見たゲームスコア
+ */
+function commitMatchResult(player1Id, player2Id, matchRow, resultType, gameScore = null) {
+  const stateBefore = captureWorkbookState();
+  applyMatchResult(player1Id, player2Id, matchRow, resultType, gameScore);
+
+  // ラウンドの最後の結果であれば順位表を更新
+  if (isRoundComplete()) {
+    rebuildStandingsSheet();
+  }
+
+  recordOperation("対戦結果の記録", `${player1Id} vs ${player2Id}`, stateBefore);
+}
+
+/**
+ * 対戦結果を現在のラウンドシート・対戦履歴・プレイヤー統計に書き込みます
+ * 呼び出し元でロックを取得していることが前提です（recordMatchResult、dropoutPlayer から使用）。
+ * @param {string} player1Id - プレイヤー1のID（勝者、または引き分け・両負けの一方）
+ * @param {string} player2Id - プレイヤー2のID（敗者、または引き分け・両負けの一方）
+ * @param {number} matchRow - 現在のラウンドシートの行番号（0-indexed）
+ * @param {string} resultType - 'win'（player1が勝利）、'draw'（引き分け）、'double_loss'（両負け）
+ * @param {{wins: number, losses: number, draws: number}|null} [gameScore] - player1から見たゲームスコア
+ * @throws {Error} 行の対戦者が player1Id・player2Id と異なる場合、既に結果が記録されている場合、結果の種類やゲームスコアが不正な場合
+ */
+function applyMatchResult(player1Id, player2Id, matchRow, resultType, gameScore = null) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const historySheet = ss.getSheetByName(SHEET_HISTORY);
+  const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
+
+  const { indices: matchIndices, data: matchData } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+
+  const currentTime = new Date();
+  const formattedTime = Utilities.formatDate(currentTime, "Asia/Tokyo", "yyyy/MM/dd HH:mm:ss");
+
+  // 対戦情報を取得
+  const matchRowData = matchData[matchRow];
+
+  // 呼び出し元が読み取った後に席の入れ替え・ラウンドのやり直しで行が変わっていないかチェック
+  const rowPlayerIds = matchRowData ? [matchRowData[matchIndices["ID1"]], matchRowData[matchIndices["ID2"]]] : [];
+  if (!rowPlayerIds.includes(player1Id) || !rowPlayerIds.includes(player2Id) || player1Id === player2Id) {
+    throw new Error(`現在のラウンドシートの${matchRow + 1}行目の対戦者が ${player1Id} vs ${player2Id} と一致しません。組み合わせが変更された可能性があります。`);
+  }
+  const tableNumber = matchRowData[matchIndices["卓番号"]];
+  const roundNumber = matchRowData[matchIndices["ラウンド"]];
+  const existingResult = matchRowData[matchIndices["結果"]];
+
+  // 既に結果が記録されているかチェック
+  if (existingResult && existingResult.trim() !== "") {
+    throw new Error("この対戦は既に結果が記録されています。");
+  }
+
+  const player1Name = getPlayerName(player1Id);
+  const player2Name = getPlayerName(player2Id);
+  let resultText;
+
+  if (resultType === "win") {
+    resultText = `${player1Name} 勝利`;
+  } else if (resultType === "draw") {
+    resultText = MATCH_RESULT.DRAW;
+  } else if (resultType === "double_loss") {
+    resultText = MATCH_RESULT.DOUBLE_LOSS;
+  } else {
+    throw new Error(`不明な結果の種類です: ${resultType}`);
+  }
+
+  validateGameScore(gameScore, resultType);
+
+  // 現在のラウンドシートに結果を記録（記録済みの結果はプルダウンから変更できないよう、入力規則を外す）
+  inProgressSheet.getRange(matchRow + 1, matchIndices["結果"] + 1).clearDataValidations().setValue(resultText);
+
+  // 対戦履歴に記録
+  const newId = "T" + Utilities.formatString("%04d", historySheet.getLastRow());
+  historySheet.appendRow(
+    buildRow(SHEET_HISTORY, {
+      "対戦ID": newId,
+      "ラウンド": roundNumber,
+      "日時": formattedTime,
+      "卓番号": tableNumber,
+      "ID1": player1Id,
+      "プレイヤー1": player1Name,
+      "ID2": player2Id,
+      "プレイヤー2": player2Name,
+      "勝者名": resultType === "win" ? player1Name : "",
+      "結果": resultText,
+      "ゲームスコア": formatGameScore(gameScore),
+      "区分": MATCH_STAGE.SWISS,
+    })
+  );
+
+  // プレイヤーの統計を更新
+  const [player1Result, player2Result] = splitMatchResult(resultType);
+  updatePlayerStats(player1Id, player1Result, formattedTime, gameScore);
+  updatePlayerStats(player2Id, player2Result, formattedTime, invertGameScore(gameScore));
+
+  Logger.log(`対戦結果記録: ${player1Id} vs ${player2Id}, 結果: ${resultText}`);
+}
+
 /**
  * プレイヤーの統計情報を更新します（スイス方式対応）
  * @param {string} playerId - プレイヤーID
- * @param {string} result - 'win', 'loss', 'draw'
+ * @param {string} result - 'win', 'loss', 'draw', 'double_loss'
  * @param {string} timestamp - タイムスタンプ
+ * @param {{wins: number, losses: number, draws: number}|null} [games] - このプレイヤーから見たゲームスコア
  */
-function updatePlayerStats(playerId, result, timestamp) {
+function updatePlayerStats(playerId, result, timestamp, games = null) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
 
@@ -546,30 +1028,24 @@ function updatePlayerStats(playerId, result, timestamp) {
         const currentPoints = parseInt(row[indices["勝点"]]) || 0;
         const currentWins = parseInt(row[indices["勝数"]]) || 0;
         const currentLosses = parseInt(row[indices["敗数"]]) || 0;
+        const currentDraws = parseInt(row[indices["引分数"]]) || 0;
         const currentTotal = parseInt(row[indices["試合数"]]) || 0;
 
-        let pointsToAdd = 0;
-        let winsToAdd = 0;
-        let lossesToAdd = 0;
-
-        if (result === "win") {
-          pointsToAdd = SWISS_CONFIG.POINTS_WIN;
-          winsToAdd = 1;
-        } else if (result === "loss") {
-          pointsToAdd = SWISS_CONFIG.POINTS_LOSS;
-          lossesToAdd = 1;
-        } else if (result === "draw") {
-          // 引き分けは両者敗北扱い（0勝点）
-          pointsToAdd = SWISS_CONFIG.POINTS_DRAW;
-          lossesToAdd = 1;
-        }
+        const delta = calculateResultStats(result, getDrawPoints());
 
-        playerSheet.getRange(rowNum, indices["勝点"] + 1).setValue(currentPoints + pointsToAdd);
-        playerSheet.getRange(rowNum, indices["勝数"] + 1).setValue(currentWins + winsToAdd);
-        playerSheet.getRange(rowNum, indices["敗数"] + 1).setValue(currentLosses + lossesToAdd);
-        playerSheet.getRange(rowNum, indices["試合数"] + 1).setValue(currentTotal + 1);
+        playerSheet.getRange(rowNum, indices["勝点"] + 1).setValue(currentPoints + delta.points);
+        playerSheet.getRange(rowNum, indices["勝数"] + 1).setValue(currentWins + delta.wins);
+        playerSheet.getRange(rowNum, indices["敗数"] + 1).setValue(currentLosses + delta.losses);
+        playerSheet.getRange(rowNum, indices["引分数"] + 1).setValue(currentDraws + delta.draws);
+        playerSheet.getRange(rowNum, indices["試合数"] + 1).setValue(currentTotal + delta.matches);
         playerSheet.getRange(rowNum, indices["最終対戦日時"] + 1).setValue(timestamp);
 
+        if (games) {
+          playerSheet.getRange(rowNum, indices["ゲーム勝数"] + 1).setValue((parseInt(row[indices["ゲーム勝数"]]) || 0) + games.wins);
+          playerSheet.getRange(rowNum, indices["ゲーム敗数"] + 1).setValue((parseInt(row[indices["ゲーム敗数"]]) || 0) + games.losses);
+          playerSheet.getRange(rowNum, indices["ゲーム引分数"] + 1).setValue((parseInt(row[indices["ゲーム引分数"]]) || 0) + games.draws);
+        }
+
         return;
       }
     }
@@ -587,9 +1063,11 @@ function updatePlayerStats(playerId, result, timestamp) {
  * 対戦結果を修正します。
  * 対戦IDを指定して、以下の修正が可能です：
  * - 勝敗の入れ替え（勝者と敗者を逆にする）
- * - 勝敗から引き分けへ変更
- * - 引き分けから勝敗へ変更
- * 両プレイヤーの統計情報（勝点・勝数・敗数）も自動的に調整されます。
+ * - 勝敗から引き分け・両負けへ変更
+ * - 引き分け・両負けから勝敗へ変更
+ * - 引き分けと両負けの相互変更
+ * 勝敗・引き分けに修正する場合はゲームスコアも入力し直します（空欄で記録なし）。
+ * 両プレイヤーの統計情報（勝点・勝数・敗数・引分数・ゲーム数）も自動的に調整されます。
  */
 function correctMatchResult() {
   const ui = SpreadsheetApp.getUi();
@@ -614,6 +1092,7 @@ function correctMatchResult() {
     const matchId = "T" + Utilities.formatString("%04d", parseInt(rawId, 10));
 
     lock = acquireLock("対戦結果の修正");
+    const stateBefore = captureWorkbookState();
 
     // 2. 対戦履歴から該当の対戦を検索
     const historySheet = ss.getSheetByName(SHEET_HISTORY);
@@ -642,199 +1121,156 @@ function correctMatchResult() {
     const player2Name = matchData[historyIndices["プレイヤー2"]];
     const currentResult = matchData[historyIndices["結果"]];
     const currentWinnerName = matchData[historyIndices["勝者名"]];
+    let currentGameScore = null;
+    try {
+      currentGameScore = parseGameScore(matchData[historyIndices["ゲームスコア"]]);
+    } catch (e) {
+      Logger.log(`警告: ${matchId} のゲームスコアを読み取れないため、ゲーム数は調整しません: ${e.message}`);
+    }
 
-    // Byeの対戦は修正不可
-    if (currentResult === "Bye" || !player2Id) {
-      ui.alert("エラー", "Byeの対戦結果は修正できません。", ui.ButtonSet.OK);
+    // Byeや途中参加者の欠席ラウンドは修正不可
+    if (currentResult === MATCH_RESULT.BYE || !player2Id) {
+      ui.alert("エラー", "Byeや欠席ラウンドの対戦結果は修正できません。", ui.ButtonSet.OK);
       return;
     }
 
-    // 3. 現在の結果タイプを判定
-    const isDraw = currentResult === "両負け";
-
-    // 4. 修正タイプを選択
-    let correctionType;
-    if (isDraw) {
-      // 引き分けの場合：勝敗に変更のみ
-      const typeResponse = ui.alert(
-        "修正タイプの選択",
-        `対戦ID: ${matchId}\n\n` + `【現在の結果】\n` + `${player1Name} vs ${player2Name}\n` + `結果: 引き分け（両負け）\n\n` + "勝敗に変更しますか？",
-        ui.ButtonSet.YES_NO
-      );
-
-      if (typeResponse !== ui.Button.YES) {
-        ui.alert("処理をキャンセルしました。");
-        return;
-      }
-      correctionType = "draw_to_win";
-    } else {
-      // 勝敗の場合：入れ替えまたは引き分けに変更
-      const typeResponse = ui.prompt(
-        "修正タイプの選択",
-        `対戦ID: ${matchId}\n\n` +
-          `【現在の結果】\n` +
-          `勝者: ${currentWinnerName}\n` +
-          `${player1Name} vs ${player2Name}\n\n` +
-          `修正タイプを選択してください：\n` +
-          `1: 勝敗を入れ替える\n` +
-          `2: 引き分けに変更する\n\n` +
-          `数字を入力してください：`,
-        ui.ButtonSet.OK_CANCEL
-      );
-
-      if (typeResponse.getSelectedButton() !== ui.Button.OK) {
-        ui.alert("処理をキャンセルしました。");
-        return;
-      }
-
-      const typeInput = typeResponse.getResponseText().trim();
-      if (typeInput === "1") {
-        correctionType = "swap_win_loss";
-      } else if (typeInput === "2") {
-        correctionType = "win_to_draw";
-      } else {
-        ui.alert("エラー", "1 または 2 を入力してください。", ui.ButtonSet.OK);
-        return;
-      }
+    // トップカットの対戦は勝ち上がりに影響するため修正不可
+    if (matchData[historyIndices["区分"]] === MATCH_STAGE.TOP_CUT) {
+      ui.alert("エラー", "トップカットの対戦結果はこの機能では修正できません。", ui.ButtonSet.OK);
+      return;
     }
 
-    // 5. 修正処理を実行
-    const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
-    const { indices: playerIndices, data: playerData } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+    // 3. 現在の結果を判定
+    const drawPoints = getDrawPoints();
 
-    if (correctionType === "swap_win_loss") {
-      // 勝敗の入れ替え
-      const currentWinnerId = currentWinnerName === player1Name ? player1Id : player2Id;
-      const currentLoserId = currentWinnerId === player1Id ? player2Id : player1Id;
-      const newWinnerId = currentLoserId;
-      const newWinnerName = newWinnerId === player1Id ? player1Name : player2Name;
-      const newLoserId = currentWinnerId;
-      const newLoserName = newLoserId === player1Id ? player1Name : player2Name;
-
-      const confirmResponse = ui.alert(
-        "勝敗入れ替えの確認",
-        `【現在】\n` +
-          `勝者: ${currentWinnerName}\n` +
-          `敗者: ${currentWinnerId === player1Id ? player2Name : player1Name}\n\n` +
-          `【修正後】\n` +
-          `勝者: ${newWinnerName}\n` +
-          `敗者: ${newLoserName}\n\n` +
-          "この内容で修正しますか？",
-        ui.ButtonSet.YES_NO
-      );
+    // ゲームスコアは履歴のID1側から見た値
+    const current = { type: classifyResult(currentResult), winnerId: null, perspectiveId: player1Id, gameScore: currentGameScore };
+    if (current.type === "win") {
+      current.winnerId = resolveWinnerId({ player1Id, player2Id, winnerName: currentWinnerName, result: currentResult }, player1Name, player2Name);
+    }
 
-      if (confirmResponse !== ui.Button.YES) {
-        ui.alert("処理をキャンセルしました。");
-        return;
+    const nameOf = (playerId) => (playerId === player1Id ? player1Name : player2Name);
+    const describe = (outcome) => {
+      let text;
+      if (outcome.type === "win") {
+        const loserId = outcome.winnerId === player1Id ? player2Id : player1Id;
+        text = `勝者: ${nameOf(outcome.winnerId)} (${SWISS_CONFIG.POINTS_WIN}勝点)\n` + `敗者: ${nameOf(loserId)} (${SWISS_CONFIG.POINTS_LOSS}勝点)`;
+      } else if (outcome.type === "draw") {
+        text = `${MATCH_RESULT.DRAW}（両者${drawPoints}勝点）`;
+      } else {
+        text = `${MATCH_RESULT.DOUBLE_LOSS}（両者敗北、${SWISS_CONFIG.POINTS_LOSS}勝点）`;
       }
-
-      // 履歴シートを更新
-      historySheet.getRange(matchRow, historyIndices["ID1"] + 1).setValue(newWinnerId);
-      historySheet.getRange(matchRow, historyIndices["プレイヤー1"] + 1).setValue(newWinnerName);
-      historySheet.getRange(matchRow, historyIndices["ID2"] + 1).setValue(newLoserId);
-      historySheet.getRange(matchRow, historyIndices["プレイヤー2"] + 1).setValue(newLoserName);
-      historySheet.getRange(matchRow, historyIndices["勝者名"] + 1).setValue(newWinnerName);
-      historySheet.getRange(matchRow, historyIndices["結果"] + 1).setValue(`${newWinnerName} 勝利`);
-
-      // プレイヤー統計を更新
-      updatePlayerStatsForCorrection(playerSheet, playerIndices, playerData, currentWinnerId, -1, 1, -SWISS_CONFIG.POINTS_WIN);
-      updatePlayerStatsForCorrection(playerSheet, playerIndices, playerData, currentLoserId, 1, -1, SWISS_CONFIG.POINTS_WIN);
-
-      Logger.log(`対戦結果修正完了（勝敗入れ替え）: ${matchId}, 新勝者: ${newWinnerId}`);
-    } else if (correctionType === "win_to_draw") {
-      // 勝敗から引き分けへ
-      const currentWinnerId = currentWinnerName === player1Name ? player1Id : player2Id;
-      const currentLoserId = currentWinnerId === player1Id ? player2Id : player1Id;
-
-      const confirmResponse = ui.alert(
-        "引き分けへの変更確認",
-        `【現在】\n` +
-          `勝者: ${currentWinnerName}\n` +
-          `敗者: ${currentWinnerId === player1Id ? player2Name : player1Name}\n\n` +
-          `【修正後】\n` +
-          `引き分け（両負け、両者0勝点）\n\n` +
-          "この内容で修正しますか？",
-        ui.ButtonSet.YES_NO
-      );
-
-      if (confirmResponse !== ui.Button.YES) {
-        ui.alert("処理をキャンセルしました。");
-        return;
+      if (outcome.gameScore) {
+        text += `\nゲームスコア: ${formatGameScore(outcome.gameScore)}（${nameOf(outcome.perspectiveId)}から見て）`;
       }
+      return text;
+    };
+
+    // 4. 修正後の結果を選択（現在と同じ結果は選択肢に含めない）
+    const choices = [];
+    if (current.type === "win") {
+      const currentLoserId = current.winnerId === player1Id ? player2Id : player1Id;
+      choices.push({ label: "勝敗を入れ替える", outcome: { type: "win", winnerId: currentLoserId } });
+    } else {
+      choices.push({ label: `${player1Name} (${player1Id}) の勝利に変更する`, outcome: { type: "win", winnerId: player1Id } });
+      choices.push({ label: `${player2Name} (${player2Id}) の勝利に変更する`, outcome: { type: "win", winnerId: player2Id } });
+    }
+    if (current.type !== "draw") {
+      choices.push({ label: `${MATCH_RESULT.DRAW}に変更する`, outcome: { type: "draw", winnerId: null } });
+    }
+    if (current.type !== "double_loss") {
+      choices.push({ label: `${MATCH_RESULT.DOUBLE_LOSS}に変更する`, outcome: { type: "double_loss", winnerId: null } });
+    }
 
-      // 履歴シートを更新（ID順は維持、勝者名を空に、結果を「両負け」に）
-      historySheet.getRange(matchRow, historyIndices["勝者名"] + 1).setValue("");
-      historySheet.getRange(matchRow, historyIndices["結果"] + 1).setValue("両負け");
-
-      // プレイヤー統計を更新
-      // 勝者: 勝数-1、敗数+1、勝点-3
-      updatePlayerStatsForCorrection(playerSheet, playerIndices, playerData, currentWinnerId, -1, 1, -SWISS_CONFIG.POINTS_WIN);
-      // 敗者: 敗数は変わらず（既に敗北扱い）、勝点変化なし
-
-      Logger.log(`対戦結果修正完了（勝敗→引き分け）: ${matchId}`);
-    } else if (correctionType === "draw_to_win") {
-      // 引き分けから勝敗へ
-      const winnerResponse = ui.prompt(
-        "勝者の選択",
-        `勝者を選択してください：\n\n` + `1: ${player1Name} (${player1Id})\n` + `2: ${player2Name} (${player2Id})\n\n` + `数字を入力してください：`,
-        ui.ButtonSet.OK_CANCEL
-      );
+    const typeResponse = ui.prompt(
+      "修正タイプの選択",
+      `対戦ID: ${matchId}\n\n` +
+        `【現在の結果】\n` +
+        `${player1Name} vs ${player2Name}\n` +
+        `${describe(current)}\n\n` +
+        `修正タイプを選択してください：\n` +
+        choices.map((choice, index) => `${index + 1}: ${choice.label}`).join("\n") +
+        `\n\n数字を入力してください：`,
+      ui.ButtonSet.OK_CANCEL
+    );
+
+    if (typeResponse.getSelectedButton() !== ui.Button.OK) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
 
-      if (winnerResponse.getSelectedButton() !== ui.Button.OK) {
-        ui.alert("処理をキャンセルしました。");
-        return;
-      }
+    const typeInput = typeResponse.getResponseText().trim();
+    const choice = /^\d+$/.test(typeInput) ? choices[parseInt(typeInput, 10) - 1] : undefined;
+    if (!choice) {
+      ui.alert("エラー", `1～${choices.length} のいずれかを入力してください。`, ui.ButtonSet.OK);
+      return;
+    }
 
-      const winnerInput = winnerResponse.getResponseText().trim();
-      let newWinnerId, newWinnerName, newLoserId, newLoserName;
-
-      if (winnerInput === "1") {
-        newWinnerId = player1Id;
-        newWinnerName = player1Name;
-        newLoserId = player2Id;
-        newLoserName = player2Name;
-      } else if (winnerInput === "2") {
-        newWinnerId = player2Id;
-        newWinnerName = player2Name;
-        newLoserId = player1Id;
-        newLoserName = player1Name;
-      } else {
-        ui.alert("エラー", "1 または 2 を入力してください。", ui.ButtonSet.OK);
-        return;
-      }
+    // 勝者（引き分けの場合はID1側）から見たゲームスコアを入力
+    const corrected = { ...choice.outcome, perspectiveId: choice.outcome.winnerId || player1Id, gameScore: null };
+    if (corrected.type !== "double_loss") {
+      const gameScore = promptGameScore(corrected.type, nameOf(corrected.perspectiveId));
+      if (!gameScore.ok) return;
+      corrected.gameScore = gameScore.score;
+    }
 
-      const confirmResponse = ui.alert(
-        "勝敗への変更確認",
-        `【現在】\n` +
-          `引き分け（両負け）\n\n` +
-          `【修正後】\n` +
-          `勝者: ${newWinnerName} (3勝点)\n` +
-          `敗者: ${newLoserName} (0勝点)\n\n` +
-          "この内容で修正しますか？",
-        ui.ButtonSet.YES_NO
-      );
+    const confirmResponse = ui.alert(
+      "修正内容の確認",
+      `【現在】\n` + `${describe(current)}\n\n` + `【修正後】\n` + `${describe(corrected)}\n\n` + "この内容で修正しますか？",
+      ui.ButtonSet.YES_NO
+    );
 
-      if (confirmResponse !== ui.Button.YES) {
-        ui.alert("処理をキャンセルしました。");
-        return;
-      }
+    if (confirmResponse !== ui.Button.YES) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
 
-      // 履歴シートを更新
+    // 5. 履歴シートを更新
+    if (corrected.type === "win") {
+      // 勝者をID1側に記録する
+      const newWinnerId = corrected.winnerId;
+      const newLoserId = newWinnerId === player1Id ? player2Id : player1Id;
       historySheet.getRange(matchRow, historyIndices["ID1"] + 1).setValue(newWinnerId);
-      historySheet.getRange(matchRow, historyIndices["プレイヤー1"] + 1).setValue(newWinnerName);
+      historySheet.getRange(matchRow, historyIndices["プレイヤー1"] + 1).setValue(nameOf(newWinnerId));
       historySheet.getRange(matchRow, historyIndices["ID2"] + 1).setValue(newLoserId);
-      historySheet.getRange(matchRow, historyIndices["プレイヤー2"] + 1).setValue(newLoserName);
-      historySheet.getRange(matchRow, historyIndices["勝者名"] + 1).setValue(newWinnerName);
-      historySheet.getRange(matchRow, historyIndices["結果"] + 1).setValue(`${newWinnerName} 勝利`);
-
-      // プレイヤー統計を更新
-      // 新勝者: 勝数+1、敗数-1、勝点+3
-      updatePlayerStatsForCorrection(playerSheet, playerIndices, playerData, newWinnerId, 1, -1, SWISS_CONFIG.POINTS_WIN);
-      // 新敗者: 敗数は変わらず（既に敗北扱い）、勝点変化なし
+      historySheet.getRange(matchRow, historyIndices["プレイヤー2"] + 1).setValue(nameOf(newLoserId));
+      historySheet.getRange(matchRow, historyIndices["勝者名"] + 1).setValue(nameOf(newWinnerId));
+      historySheet.getRange(matchRow, historyIndices["結果"] + 1).setValue(`${nameOf(newWinnerId)} 勝利`);
+      historySheet.getRange(matchRow, historyIndices["ゲームスコア"] + 1).setValue(formatGameScore(corrected.gameScore));
+    } else {
+      // ID順は維持し、勝者名を空にする
+      historySheet.getRange(matchRow, historyIndices["勝者名"] + 1).setValue("");
+      historySheet
+        .getRange(matchRow, historyIndices["結果"] + 1)
+        .setValue(corrected.type === "draw" ? MATCH_RESULT.DRAW : MATCH_RESULT.DOUBLE_LOSS);
+      historySheet.getRange(matchRow, historyIndices["ゲームスコア"] + 1).setValue(formatGameScore(corrected.gameScore));
+    }
 
-      Logger.log(`対戦結果修正完了（引き分け→勝敗）: ${matchId}, 勝者: ${newWinnerId}`);
+    // 6. プレイヤー統計を更新（各プレイヤーから見た結果の差分を反映）
+    const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
+    const { indices: playerIndices, data: playerData } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+    const resultFor = (outcome, playerId) => {
+      if (outcome.type !== "win") return outcome.type;
+      return outcome.winnerId === playerId ? "win" : "loss";
+    };
+    const gamesFor = (outcome, playerId) => {
+      const games = outcome.perspectiveId === playerId ? outcome.gameScore : invertGameScore(outcome.gameScore);
+      return games || { wins: 0, losses: 0, draws: 0 };
+    };
+
+    for (const playerId of [player1Id, player2Id]) {
+      const delta = diffResultStats(resultFor(current, playerId), resultFor(corrected, playerId), drawPoints);
+      const before = gamesFor(current, playerId);
+      const after = gamesFor(corrected, playerId);
+      delta.gameWins = after.wins - before.wins;
+      delta.gameLosses = after.losses - before.losses;
+      delta.gameDraws = after.draws - before.draws;
+      updatePlayerStatsForCorrection(playerSheet, playerIndices, playerData, playerId, delta);
     }
 
+    Logger.log(`対戦結果修正完了: ${matchId}, ${currentResult} → ${describe(corrected).replace(/\n/g, " ")}`);
+    recordOperation("対戦結果の修正", matchId, stateBefore);
+
     ui.alert("修正完了", "対戦結果の修正が完了しました。", ui.ButtonSet.OK);
   } catch (e) {
     ui.alert("エラーが発生しました: " + e.toString());
@@ -850,22 +1286,29 @@ function correctMatchResult() {
  * @param {Object} playerIndices - プレイヤーシートの列インデックス
  * @param {Array} playerData - プレイヤーシートのデータ
  * @param {string} playerId - プレイヤーID
- * @param {number} winsDelta - 勝数の増減
- * @param {number} lossesDelta - 敗数の増減
- * @param {number} pointsDelta - 勝点の増減
+ * @param {{points: number, wins: number, losses: number, draws: number, gameWins: number, gameLosses: number, gameDraws: number}} delta - 統計の増減（diffResultStats の戻り値にゲーム数の増減を加えたもの）
  */
-function updatePlayerStatsForCorrection(playerSheet, playerIndices, playerData, playerId, winsDelta, lossesDelta, pointsDelta) {
+function updatePlayerStatsForCorrection(playerSheet, playerIndices, playerData, playerId, delta) {
   for (let i = 1; i < playerData.length; i++) {
     const row = playerData[i];
     if (row[playerIndices["プレイヤーID"]] === playerId) {
       const rowNum = i + 1;
       const currentWins = parseInt(row[playerIndices["勝数"]]) || 0;
       const currentLosses = parseInt(row[playerIndices["敗数"]]) || 0;
+      const currentDraws = parseInt(row[playerIndices["引分数"]]) || 0;
       const currentPoints = parseInt(row[playerIndices["勝点"]]) || 0;
 
-      playerSheet.getRange(rowNum, playerIndices["勝数"] + 1).setValue(Math.max(0, currentWins + winsDelta));
-      playerSheet.getRange(rowNum, playerIndices["敗数"] + 1).setValue(Math.max(0, currentLosses + lossesDelta));
-      playerSheet.getRange(rowNum, playerIndices["勝点"] + 1).setValue(Math.max(0, currentPoints + pointsDelta));
+      playerSheet.getRange(rowNum, playerIndices["勝数"] + 1).setValue(Math.max(0, currentWins + delta.wins));
+      playerSheet.getRange(rowNum, playerIndices["敗数"] + 1).setValue(Math.max(0, currentLosses + delta.losses));
+      playerSheet.getRange(rowNum, playerIndices["引分数"] + 1).setValue(Math.max(0, currentDraws + delta.draws));
+      playerSheet.getRange(rowNum, playerIndices["勝点"] + 1).setValue(Math.max(0, currentPoints + delta.points));
+
+      const gameColumns = { gameWins: "ゲーム勝数", gameLosses: "ゲーム敗数", gameDraws: "ゲーム引分数" };
+      for (const [key, header] of Object.entries(gameColumns)) {
+        if (!delta[key]) continue;
+        const currentValue = parseInt(row[playerIndices[header]]) || 0;
+        playerSheet.getRange(rowNum, playerIndices[header] + 1).setValue(Math.max(0, currentValue + delta[key]));
+      }
       return;
     }
   }
@@ -0,0 +1,386 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview 操作ログ - 状態を変更する操作の記録と「元に戻す」
+ * @author springOK
+ *
+ * 各操作の前後でシートとドキュメントプロパティを比較し、変更されたセルだけを
+ * 操作ログシートに追記します。「元に戻す」は最新の操作の変更前の値を書き戻し、
+ * その内容も操作ログに追記します（既存の行は変更しません）。
+ */
+
+// 操作ログの対象シート（順位表は自動生成のため対象外。結果報告は記録した結果と報告の状態を一緒に元に戻すため対象）
+const OPERATION_LOG_SHEETS = [SHEET_PLAYERS, SHEET_HISTORY, SHEET_IN_PROGRESS, SHEET_TOP_CUT, SHEET_SELF_REPORT];
+const OPERATION_LOG_UNDO = "元に戻す"; // 元に戻した記録の「操作」列の値（「対象」列には元に戻したログIDを記録）
+const OPERATION_LOG_PROPERTY_PREFIX = "設定:"; // ドキュメントプロパティの変更を記録するときのキーの接頭辞
+const OPERATION_LOG_MAX_LENGTH = 45000; // 変更前・変更後の列に書き込む最大文字数（セルの上限は50000文字）
+const OPERATION_LOG_OMITTED = "（変更が多すぎるため省略）";
+
+// =========================================
+// 操作の記録
+// =========================================
+
+/**
+ * 操作ログの対象となるシートとドキュメントプロパティの現在の値を取得します
+ * 操作の前に呼び出し、操作の後に recordOperation() に渡します。
+ * @returns {{sheets: Object<string, Array<Array<*>>>, properties: Object<string, string>}} ワークブックの状態
+ */
+function captureWorkbookState() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheets = {};
+
+  OPERATION_LOG_SHEETS.forEach((sheetName) => {
+    const sheet = ss.getSheetByName(sheetName);
+    sheets[sheetName] = sheet ? sheet.getDataRange().getValues() : [];
+  });
+
+  return { sheets: sheets, properties: PropertiesService.getDocumentProperties().getProperties() };
+}
+
+/**
+ * 操作の前後の状態を比較し、変更があれば操作ログシートに追記します
+ * ログの書き込みに失敗しても操作自体は取り消さず、ログに警告を出力します。
+ * @param {string} operation - 操作の名前（例: 対戦結果の記録）
+ * @param {string} target - 操作の対象（例: プレイヤー名、対戦ID）
+ * @param {Object} before - 操作の前に captureWorkbookState() で取得した状態
+ */
+function recordOperation(operation, target, before) {
+  try {
+    const changes = diffWorkbookStates(before, captureWorkbookState());
+    if (Object.keys(changes.before).length === 0) {
+      return;
+    }
+    appendOperationLog(operation, target, changes.before, changes.after);
+  } catch (e) {
+    Logger.log(`警告: 操作ログの記録に失敗しました（${operation}）: ${e.message}`);
+  }
+}
+
+/**
+ * 2つの状態を比較し、変更されたセルとプロパティの変更前・変更後の値を返します
+ * セルのキーは formatCellLocation() の形式、プロパティのキーは「設定:プロパティ名」です。
+ * 削除されたプロパティの値は null になります。
+ * @param {Object} before - 変更前の状態
+ * @param {Object} after - 変更後の状態
+ * @returns {{before: Object<string, *>, after: Object<string, *>}} 変更内容
+ */
+function diffWorkbookStates(before, after) {
+  const changes = { before: {}, after: {} };
+  const cellOf = (values, r, c) => normalizeLogValue(values[r] && values[r][c] !== undefined ? values[r][c] : "");
+
+  OPERATION_LOG_SHEETS.forEach((sheetName) => {
+    const oldValues = before.sheets[sheetName] || [];
+    const newValues = after.sheets[sheetName] || [];
+    const rowCount = Math.max(oldValues.length, newValues.length);
+
+    for (let r = 0; r < rowCount; r++) {
+      const columnCount = Math.max((oldValues[r] || []).length, (newValues[r] || []).length);
+      for (let c = 0; c < columnCount; c++) {
+        const oldValue = cellOf(oldValues, r, c);
+        const newValue = cellOf(newValues, r, c);
+        if (oldValue !== newValue) {
+          const location = formatCellLocation(sheetName, c + 1, r + 1);
+          changes.before[location] = oldValue;
+          changes.after[location] = newValue;
+        }
+      }
+    }
+  });
+
+  const keys = new Set([...Object.keys(before.properties), ...Object.keys(after.properties)]);
+  keys.forEach((key) => {
+    const oldValue = key in before.properties ? before.properties[key] : null;
+    const newValue = key in after.properties ? after.properties[key] : null;
+    if (oldValue !== newValue) {
+      changes.before[OPERATION_LOG_PROPERTY_PREFIX + key] = oldValue;
+      changes.after[OPERATION_LOG_PROPERTY_PREFIX + key] = newValue;
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * セルの値を操作ログに記録できる形に変換します（日時は書き込み時と同じ書式の文字列にします）
+ * @param {*} value - セルの値
+ * @returns {*} 変換後の値
+ */
+function normalizeLogValue(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, "Asia/Tokyo", "yyyy/MM/dd HH:mm:ss");
+  }
+  return value;
+}
+
+/**
+ * 操作ログシートに1行追記します
+ * @param {string} operation - 操作の名前
+ * @param {string} target - 操作の対象
+ * @param {Object<string, *>} beforeValues - 変更前の値
+ * @param {Object<string, *>} afterValues - 変更後の値
+ * @returns {string} 追記したログID
+ */
+function appendOperationLog(operation, target, beforeValues, afterValues) {
+  const logSheet = getOperationLogSheet();
+  const logId = "L" + Utilities.formatString("%05d", logSheet.getLastRow());
+  const formattedTime = Utilities.formatDate(new Date(), "Asia/Tokyo", "yyyy/MM/dd HH:mm:ss");
+
+  let beforeText = JSON.stringify(beforeValues);
+  let afterText = JSON.stringify(afterValues);
+  if (beforeText.length > OPERATION_LOG_MAX_LENGTH || afterText.length > OPERATION_LOG_MAX_LENGTH) {
+    Logger.log(`警告: ${logId}（${operation}）の変更は${Object.keys(beforeValues).length}セルあるため、操作ログには記録しません。`);
+    beforeText = OPERATION_LOG_OMITTED;
+    afterText = OPERATION_LOG_OMITTED;
+  }
+
+  logSheet.appendRow(
+    buildRow(SHEET_OPERATION_LOG, {
+      ログID: logId,
+      日時: formattedTime,
+      操作者: getOperatorEmail(),
+      操作: operation,
+      対象: target,
+      変更前: beforeText,
+      変更後: afterText,
+    })
+  );
+
+  return logId;
+}
+
+/**
+ * 操作者のメールアドレスを取得します
+ * @returns {string} メールアドレス。取得できない場合（組織外のユーザーなど）は「不明」
+ */
+function getOperatorEmail() {
+  try {
+    return Session.getActiveUser().getEmail() || "不明";
+  } catch (e) {
+    return "不明";
+  }
+}
+
+/**
+ * 操作ログシートを取得します（存在しない場合は作成します）
+ * @returns {Sheet} 操作ログシート
+ */
+function getOperationLogSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let logSheet = ss.getSheetByName(SHEET_OPERATION_LOG);
+  if (!logSheet) {
+    logSheet = ss.insertSheet(SHEET_OPERATION_LOG);
+    resetOperationLogSheet(logSheet);
+  }
+  return logSheet;
+}
+
+/**
+ * 操作ログシートをクリアし、ヘッダーを書き込みます
+ * 手作業での編集を防ぐため、編集時に警告を表示する保護を設定します。
+ * @param {Sheet} logSheet - 操作ログシート
+ */
+function resetOperationLogSheet(logSheet) {
+  logSheet.clear();
+  const headers = REQUIRED_HEADERS[SHEET_OPERATION_LOG];
+  logSheet
+    .getRange(1, 1, 1, headers.length)
+    .setValues([headers])
+    .setFontWeight("bold")
+    .setBackground("#d9d9d9")
+    .setHorizontalAlignment("center");
+  logSheet.setColumnWidth(headers.indexOf("日時") + 1, 150);
+  logSheet.setColumnWidth(headers.indexOf("操作者") + 1, 200);
+  logSheet.setColumnWidth(headers.indexOf("操作") + 1, 150);
+  logSheet.setColumnWidth(headers.indexOf("対象") + 1, 200);
+  logSheet.protect().setDescription("操作ログ（追記専用）").setWarningOnly(true);
+}
+
+// =========================================
+// 元に戻す
+// =========================================
+
+/**
+ * 最新の操作を元に戻します
+ * 操作の後にセルやプロパティが変更されている場合は、上書きを避けるため元に戻しません。
+ */
+function undoLastOperation() {
+  const ui = SpreadsheetApp.getUi();
+  let lock = null;
+
+  try {
+    lock = acquireLock("元に戻す");
+
+    const entry = findUndoableOperation(getOperationLogSheet());
+    if (!entry) {
+      ui.alert("元に戻す", "元に戻せる操作はありません。", ui.ButtonSet.OK);
+      return;
+    }
+
+    if (entry.beforeText === OPERATION_LOG_OMITTED) {
+      ui.alert("元に戻せません", `${entry.logId}（${entry.operation}）は変更が多すぎるため、操作ログに変更内容が記録されていません。`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const beforeValues = JSON.parse(entry.beforeText);
+    const afterValues = JSON.parse(entry.afterText);
+
+    const conflicts = findUndoConflicts(afterValues, captureWorkbookState());
+    if (conflicts.length > 0) {
+      const maxLines = 10;
+      const more = conflicts.length > maxLines ? `\n...他 ${conflicts.length - maxLines} 件` : "";
+      ui.alert(
+        "元に戻せません",
+        `${entry.logId}（${entry.operation}）の後に、次の値が変更されています：\n\n` +
+          conflicts.slice(0, maxLines).join("\n") +
+          more +
+          "\n\n上書きを避けるため、元に戻しませんでした。",
+        ui.ButtonSet.OK
+      );
+      return;
+    }
+
+    const confirmResponse = ui.alert(
+      "元に戻す",
+      `次の操作を元に戻しますか？\n\n` +
+        `${entry.logId}: ${entry.operation}` +
+        (entry.target ? `（${entry.target}）` : "") +
+        `\n日時: ${entry.time}\n操作者: ${entry.operator}\n変更されたセル・設定: ${Object.keys(beforeValues).length}件`,
+      ui.ButtonSet.YES_NO
+    );
+
+    if (confirmResponse !== ui.Button.YES) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
+
+    restoreWorkbookValues(beforeValues);
+    appendOperationLog(OPERATION_LOG_UNDO, entry.logId, afterValues, beforeValues);
+    rebuildStandingsSheet();
+    // 値だけを戻すため、未記録に戻った卓の結果列のプルダウンを設定し直す
+    applyResultDropdowns(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_IN_PROGRESS));
+    rebuildPairingsPrintSheets();
+
+    ui.alert("元に戻しました", `${entry.logId}（${entry.operation}）を元に戻しました。`, ui.ButtonSet.OK);
+    Logger.log(`${entry.logId}（${entry.operation}）を元に戻しました。`);
+  } catch (e) {
+    ui.alert("エラーが発生しました: " + e.toString());
+    Logger.log("undoLastOperation エラー: " + e.toString());
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+/**
+ * 元に戻す対象の操作（まだ元に戻していない最新の操作）を探します
+ * @param {Sheet} logSheet - 操作ログシート
+ * @returns {Object|null} { logId, time, operator, operation, target, beforeText, afterText }、見つからない場合はnull
+ */
+function findUndoableOperation(logSheet) {
+  const { indices, data } = getSheetStructure(logSheet, SHEET_OPERATION_LOG);
+  const undoneIds = new Set();
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][indices["操作"]] === OPERATION_LOG_UNDO) {
+      undoneIds.add(data[i][indices["対象"]]);
+    }
+  }
+
+  for (let i = data.length - 1; i >= 1; i--) {
+    const row = data[i];
+    const logId = row[indices["ログID"]];
+    if (!logId || row[indices["操作"]] === OPERATION_LOG_UNDO || undoneIds.has(logId)) continue;
+
+    return {
+      logId: logId,
+      time: normalizeLogValue(row[indices["日時"]]),
+      operator: row[indices["操作者"]],
+      operation: row[indices["操作"]],
+      target: row[indices["対象"]],
+      beforeText: row[indices["変更前"]],
+      afterText: row[indices["変更後"]],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 操作の後に変更されたセル・プロパティを探します
+ * @param {Object<string, *>} afterValues - 操作ログに記録された変更後の値
+ * @param {Object} state - captureWorkbookState() で取得した現在の状態
+ * @returns {Array<string>} 「位置: 記録された値 → 現在の値」の一覧
+ */
+function findUndoConflicts(afterValues, state) {
+  const conflicts = [];
+  const format = (value) => (value === null || value === "" ? "（空欄）" : String(value));
+
+  Object.keys(afterValues).forEach((key) => {
+    let current;
+    if (key.startsWith(OPERATION_LOG_PROPERTY_PREFIX)) {
+      const property = key.substring(OPERATION_LOG_PROPERTY_PREFIX.length);
+      current = property in state.properties ? state.properties[property] : null;
+    } else {
+      const { sheetName, columnNumber, rowNumber } = parseCellLocation(key);
+      const values = state.sheets[sheetName] || [];
+      const row = values[rowNumber - 1] || [];
+      current = normalizeLogValue(row[columnNumber - 1] !== undefined ? row[columnNumber - 1] : "");
+    }
+
+    if (String(current) !== String(afterValues[key])) {
+      conflicts.push(`${key}: ${format(afterValues[key])} → ${format(current)}`);
+    }
+  });
+
+  return conflicts;
+}
+
+/**
+ * captureWorkbookState() で取得した状態に、対象のシートとドキュメントプロパティを書き戻します
+ * 途中で失敗した操作の変更を取り消すために使用します（操作ログには記録しません）。
+ * @param {Object} state - 書き戻す状態
+ */
+function restoreWorkbookState(state) {
+  restoreWorkbookValues(diffWorkbookStates(state, captureWorkbookState()).before);
+}
+
+/**
+ * 記録された値をセル・プロパティに書き戻します
+ * セルは行ごとにまとめて書き込みます。
+ * @param {Object<string, *>} values - 書き戻す値（キーはセルの位置または「設定:プロパティ名」）
+ */
+function restoreWorkbookValues(values) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const properties = PropertiesService.getDocumentProperties();
+  const rowsBySheet = new Map();
+
+  Object.keys(values).forEach((key) => {
+    if (key.startsWith(OPERATION_LOG_PROPERTY_PREFIX)) {
+      const property = key.substring(OPERATION_LOG_PROPERTY_PREFIX.length);
+      if (values[key] === null) {
+        properties.deleteProperty(property);
+      } else {
+        properties.setProperty(property, values[key]);
+      }
+      return;
+    }
+
+    const { sheetName, columnNumber, rowNumber } = parseCellLocation(key);
+    if (!rowsBySheet.has(sheetName)) rowsBySheet.set(sheetName, new Map());
+    const rows = rowsBySheet.get(sheetName);
+    if (!rows.has(rowNumber)) rows.set(rowNumber, new Map());
+    rows.get(rowNumber).set(columnNumber, values[key]);
+  });
+
+  rowsBySheet.forEach((rows, sheetName) => {
+    const sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+    rows.forEach((cells, rowNumber) => {
+      const columns = [...cells.keys()];
+      const firstColumn = Math.min(...columns);
+      const range = sheet.getRange(rowNumber, firstColumn, 1, Math.max(...columns) - firstColumn + 1);
+      const rowValues = range.getValues()[0];
+      cells.forEach((value, columnNumber) => {
+        rowValues[columnNumber - firstColumn] = value;
+      });
+      range.setValues([rowValues]);
+    });
+  });
+}
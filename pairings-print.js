@@ -0,0 +1,257 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview 組み合わせの印刷 - 掲示用の組み合わせ表（名前順・卓順）と卓ごとの結果記入票
+ * @author springOK
+ *
+ * 現在のラウンドシートから印刷用のシートを作り直します（ラウンド開始時・席の入れ替え時・元に戻した後）。
+ * 印刷用のシートは自動生成のため、操作ログの対象外です。PDFはスプレッドシートのエクスポートURLから取得します。
+ */
+
+// =========================================
+// 印刷用シートの作成
+// =========================================
+
+const PAIRINGS_PRINT_SLIP_COLUMNS = 4; // 結果記入票の列数（勝者に○、プレイヤー、勝ったゲーム数、署名）
+const PAIRINGS_PRINT_SLIP_ROWS = 6; // 結果記入票1枚の行数（区切りの空行を含む）
+
+/**
+ * 現在のラウンドの組み合わせ表（名前順・卓順）と結果記入票のシートを作り直します
+ * 呼び出し元でロックを取得していることが前提です。失敗しても呼び出し元の処理は続行します。
+ */
+function rebuildPairingsPrintSheets() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  try {
+    const roundNumber = getCurrentRound();
+    const matches = readInProgressRecords(ss.getSheetByName(SHEET_IN_PROGRESS)).filter((match) => match.round === roundNumber);
+    const players = readPlayerRecords(ss.getSheetByName(SHEET_PLAYERS));
+
+    // 勝点はラウンド開始時点の値（Byeの勝点を含めない）を表示する
+    const previousHistory = readHistoryRecords(ss.getSheetByName(SHEET_HISTORY)).filter((match) => match.round < roundNumber);
+    const stats = buildTournamentStats(players, previousHistory, getDrawPoints());
+    const playersById = new Map(players.map((player) => [player.id, player]));
+    const describe = (playerId) => ({
+      id: playerId,
+      name: playersById.has(playerId) ? playersById.get(playerId).name : playerId,
+      points: stats.has(playerId) ? stats.get(playerId).record.points : 0,
+    });
+
+    const tables = matches
+      .map((match) => ({
+        tableNumber: match.tableNumber || "",
+        player1: describe(match.player1Id),
+        player2: match.player2Id ? describe(match.player2Id) : null,
+      }))
+      .sort((a, b) => (a.player2 ? 0 : 1) - (b.player2 ? 0 : 1) || (a.tableNumber || 0) - (b.tableNumber || 0));
+
+    writePairingsByName(getPairingsPrintSheet(SHEET_PAIRINGS_BY_NAME), roundNumber, tables);
+    writePairingsByTable(getPairingsPrintSheet(SHEET_PAIRINGS_BY_TABLE), roundNumber, tables);
+    writeResultSlips(getPairingsPrintSheet(SHEET_RESULT_SLIPS), roundNumber, tables);
+
+    Logger.log(`ラウンド${roundNumber}の組み合わせ表と結果記入票を作成しました（${tables.length}卓）。`);
+  } catch (e) {
+    Logger.log("rebuildPairingsPrintSheets エラー: " + e.message);
+  }
+}
+
+/**
+ * 印刷用のシートを取得します（存在しない場合は作成）
+ * @param {string} sheetName - シート名
+ * @returns {Sheet} 印刷用のシート
+ */
+function getPairingsPrintSheet(sheetName) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  return ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+}
+
+/**
+ * 印刷用のシートをすべてクリアします（シートの初期設定から使用）
+ */
+function clearPairingsPrintSheets() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  [SHEET_PAIRINGS_BY_NAME, SHEET_PAIRINGS_BY_TABLE, SHEET_RESULT_SLIPS].forEach((sheetName) => {
+    const sheet = ss.getSheetByName(sheetName);
+    if (sheet) {
+      sheet.clear();
+    }
+  });
+}
+
+/**
+ * 印刷用の一覧シートをクリアし、ヘッダーを書き込みます（ヘッダーは印刷時に各ページに表示）
+ * @param {Sheet} sheet - 組み合わせ表のシート
+ * @param {string} sheetName - シート名（REQUIRED_HEADERS のキー）
+ */
+function resetPairingsListSheet(sheet, sheetName) {
+  sheet.clear();
+  const headers = REQUIRED_HEADERS[sheetName];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold").setBackground("#d9ead3").setHorizontalAlignment("center");
+  sheet.setFrozenRows(1);
+  headers.forEach((header, index) => {
+    if (/プレイヤー|対戦相手/.test(header)) {
+      sheet.setColumnWidth(index + 1, 200);
+    }
+  });
+}
+
+/**
+ * 名前順の組み合わせ表を書き込みます（プレイヤーごとに卓番号・対戦相手・勝点）
+ * @param {Sheet} sheet - 組み合わせ（名前順）シート
+ * @param {number} roundNumber - ラウンド番号
+ * @param {Array<Object>} tables - 卓の一覧（{ tableNumber, player1, player2 }。Byeは player2 が null）
+ */
+function writePairingsByName(sheet, roundNumber, tables) {
+  resetPairingsListSheet(sheet, SHEET_PAIRINGS_BY_NAME);
+
+  const entries = [];
+  tables.forEach((table) => {
+    entries.push({ player: table.player1, opponent: table.player2, tableNumber: table.tableNumber });
+    if (table.player2) {
+      entries.push({ player: table.player2, opponent: table.player1, tableNumber: table.tableNumber });
+    }
+  });
+  if (entries.length === 0) return;
+
+  entries.sort((a, b) => String(a.player.name).localeCompare(String(b.player.name), "ja") || String(a.player.id).localeCompare(String(b.player.id)));
+
+  const rows = entries.map((entry) =>
+    buildRow(SHEET_PAIRINGS_BY_NAME, {
+      "ラウンド": roundNumber,
+      "プレイヤー名": entry.player.name,
+      "プレイヤーID": entry.player.id,
+      "勝点": entry.player.points,
+      "卓番号": entry.tableNumber,
+      "対戦相手": entry.opponent ? `${entry.opponent.name}（${entry.opponent.id}）` : MATCH_RESULT.BYE,
+    })
+  );
+  sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+/**
+ * 卓順の組み合わせ表を書き込みます（Byeは最後）
+ * @param {Sheet} sheet - 組み合わせ（卓順）シート
+ * @param {number} roundNumber - ラウンド番号
+ * @param {Array<Object>} tables - 卓の一覧（卓番号順、Byeは最後）
+ */
+function writePairingsByTable(sheet, roundNumber, tables) {
+  resetPairingsListSheet(sheet, SHEET_PAIRINGS_BY_TABLE);
+  if (tables.length === 0) return;
+
+  const rows = tables.map((table) =>
+    buildRow(SHEET_PAIRINGS_BY_TABLE, {
+      "ラウンド": roundNumber,
+      "卓番号": table.tableNumber,
+      "プレイヤー1": `${table.player1.name}（${table.player1.id}）`,
+      "勝点1": table.player1.points,
+      "プレイヤー2": table.player2 ? `${table.player2.name}（${table.player2.id}）` : MATCH_RESULT.BYE,
+      "勝点2": table.player2 ? table.player2.points : "",
+    })
+  );
+  sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+/**
+ * 卓ごとの結果記入票を書き込みます（Byeの卓は除く）
+ * 1枚につき見出し・表の見出し・プレイヤー2行・引き分けと両負けの欄・区切りの空行の6行です。
+ * @param {Sheet} sheet - 結果記入票シート
+ * @param {number} roundNumber - ラウンド番号
+ * @param {Array<Object>} tables - 卓の一覧
+ */
+function writeResultSlips(sheet, roundNumber, tables) {
+  sheet.clear();
+  sheet.setColumnWidth(1, 90);
+  sheet.setColumnWidth(2, 220);
+  sheet.setColumnWidth(3, 110);
+  sheet.setColumnWidth(4, 200);
+
+  const slips = tables.filter((table) => table.player2);
+  if (slips.length === 0) return;
+
+  const blank = () => new Array(PAIRINGS_PRINT_SLIP_COLUMNS).fill("");
+  const rows = [];
+  slips.forEach((table) => {
+    rows.push([`ラウンド${roundNumber}　卓${table.tableNumber}`, "", "", ""]);
+    rows.push(["勝者に○", "プレイヤー", "勝ったゲーム数", "署名"]);
+    rows.push(["", `${table.player1.name}（${table.player1.id}）`, "", ""]);
+    rows.push(["", `${table.player2.name}（${table.player2.id}）`, "", ""]);
+    rows.push(["□ 引き分け　　□ 両負け", "", "", ""]);
+    rows.push(blank());
+  });
+  sheet.getRange(1, 1, rows.length, PAIRINGS_PRINT_SLIP_COLUMNS).setValues(rows);
+
+  slips.forEach((table, index) => {
+    const firstRow = index * PAIRINGS_PRINT_SLIP_ROWS + 1;
+    sheet.getRange(firstRow, 1, 1, PAIRINGS_PRINT_SLIP_COLUMNS).setFontWeight("bold").setFontSize(14);
+    sheet.getRange(firstRow + 1, 1, 3, PAIRINGS_PRINT_SLIP_COLUMNS).setBorder(true, true, true, true, true, true);
+    sheet.getRange(firstRow + 1, 1, 1, PAIRINGS_PRINT_SLIP_COLUMNS).setFontWeight("bold").setBackground("#f3f3f3").setHorizontalAlignment("center");
+    sheet.setRowHeights(firstRow + 2, 2, 36); // 署名を書き込めるように高くする
+  });
+}
+
+// =========================================
+// 印刷（PDF）
+// =========================================
+
+/**
+ * 印刷用のシートをPDFとしてダウンロードするURLを返します（スプレッドシートのエクスポート機能）
+ * 一覧のシートはヘッダー行を各ページに表示し、グリッド線は印刷しません。
+ * @param {Spreadsheet} ss - スプレッドシート
+ * @param {Sheet} sheet - 印刷するシート
+ * @returns {string} PDFのエクスポートURL
+ */
+function buildPairingsPdfUrl(ss, sheet) {
+  const options = {
+    format: "pdf",
+    gid: sheet.getSheetId(),
+    size: "A4",
+    portrait: "true",
+    fitw: "true",
+    gridlines: "false",
+    sheetnames: "false",
+    printtitle: "false",
+    fzr: "true",
+  };
+  const query = Object.keys(options)
+    .map((key) => `${key}=${encodeURIComponent(options[key])}`)
+    .join("&");
+  return `https://docs.google.com/spreadsheets/d/${ss.getId()}/export?${query}`;
+}
+
+/**
+ * 現在のラウンドの組み合わせ表と結果記入票を作り直し、PDFのダウンロードリンクを表示します
+ */
+function showPairingsPrint() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let lock = null;
+
+  try {
+    const roundNumber = getCurrentRound();
+    if (roundNumber === 0) {
+      ui.alert("組み合わせの印刷", "まだラウンドが開始されていません。", ui.ButtonSet.OK);
+      return;
+    }
+
+    lock = acquireLock("組み合わせの印刷");
+    rebuildPairingsPrintSheets();
+
+    const links = [SHEET_PAIRINGS_BY_NAME, SHEET_PAIRINGS_BY_TABLE, SHEET_RESULT_SLIPS]
+      .map((sheetName) => `<li><a href="${buildPairingsPdfUrl(ss, ss.getSheetByName(sheetName))}" target="_blank">${sheetName}</a></li>`)
+      .join("");
+    const html = HtmlService.createHtmlOutput(
+      `<div style="font-family: sans-serif; font-size: 13px;">` +
+        `<p>ラウンド${roundNumber}の組み合わせ表と結果記入票を作成しました。リンクからPDFをダウンロードして印刷してください。</p>` +
+        `<ul>${links}</ul>` +
+        `<p style="color: #5f6368;">結果記入票は1卓につき6行です。切り離して各卓に配布してください。</p>` +
+        `</div>`
+    )
+      .setWidth(420)
+      .setHeight(240);
+    ui.showModalDialog(html, "組み合わせの印刷");
+  } catch (e) {
+    ui.alert("エラーが発生しました: " + e.toString());
+    Logger.log("showPairingsPrint エラー: " + e.toString());
+  } finally {
+    releaseLock(lock);
+  }
+}
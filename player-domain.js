@@ -11,6 +11,8 @@
 /**
  * 新しいプレイヤーを登録します。（本番・運営用）
  * 実行すると、次のID（例: P009）が自動で採番され、シートに追加されます。
+ * トーナメント開始後に登録した場合は、開始済みのラウンドを欠席ラウンド（不戦敗または0点Bye）として記録し、
+ * 次のラウンドからマッチングに加えます。途中参加は getLateRegistrationLastRound() のラウンドの終了までです。
  */
 function registerPlayer() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -19,15 +21,33 @@ function registerPlayer() {
   let lock = null;
 
   try {
-    // トーナメント開始後は追加不可
-    const currentRound = getCurrentRound();
-    if (currentRound > 0) {
-      ui.alert("プレイヤー追加不可", `トーナメント開始後は新しいプレイヤーを追加できません。\n\n` + `現在のラウンド: ${currentRound}`, ui.ButtonSet.OK);
+    // スイスドロー終了後（トップカット・トーナメント終了）は追加不可
+    const tournamentStatus = getTournamentStatus();
+    if (tournamentStatus !== TOURNAMENT_STATUS.IN_PROGRESS) {
+      ui.alert("プレイヤー追加不可", `トーナメントの状態が「${tournamentStatus}」のため、新しいプレイヤーを追加できません。`, ui.ButtonSet.OK);
       return;
     }
 
     lock = acquireLock("プレイヤー登録");
     getSheetStructure(playerSheet, SHEET_PLAYERS);
+    const stateBefore = captureWorkbookState();
+
+    const currentRound = getCurrentRound();
+    const missedRoundResult = getMissedRoundResult();
+
+    // 途中参加の受付期間（設定したラウンドの終了まで）を過ぎている場合は追加不可
+    const lateRegistrationLastRound = getLateRegistrationLastRound();
+    if (currentRound > lateRegistrationLastRound) {
+      ui.alert(
+        "プレイヤー追加不可",
+        (lateRegistrationLastRound === 0
+          ? "トーナメント開始後の途中参加は受け付けていません。"
+          : `途中参加の受付はラウンド${lateRegistrationLastRound}の終了までです（現在: ラウンド${currentRound}）。`) +
+          `\n\n受付期間は「⚙️ 途中参加の受付期間」で変更できます。`,
+        ui.ButtonSet.OK
+      );
+      return;
+    }
 
     // 既存プレイヤー数を取得
     const { indices, data } = getSheetStructure(playerSheet, SHEET_PLAYERS);
@@ -49,9 +69,14 @@ function registerPlayer() {
       return;
     }
 
+    // 途中参加の場合は、開始済みのラウンドが欠席扱いになることを案内
+    const missedRoundLabel = missedRoundResult === "missed_bye" ? MATCH_RESULT.MISSED_BYE : MATCH_RESULT.MISSED_LOSS;
+    const lateEntryNote =
+      currentRound > 0 ? `\n\n※途中参加: ラウンド1～${currentRound}は「${missedRoundLabel}」として記録され、ラウンド${currentRound + 1}から参加します。` : "";
+
     const response = ui.prompt(
       "プレイヤー登録",
-      `プレイヤー名を入力してください：\n\n` + `現在: ${currentPlayerCount}/${maxPlayers}人`,
+      `プレイヤー名を入力してください：\n\n` + `現在: ${currentPlayerCount}/${maxPlayers}人` + lateEntryNote,
       ui.ButtonSet.OK_CANCEL
     );
 
@@ -93,9 +118,15 @@ function registerPlayer() {
     const currentTime = new Date();
     const formattedTime = Utilities.formatDate(currentTime, "Asia/Tokyo", "yyyy/MM/dd HH:mm:ss");
 
-    // スイス方式用: 勝点, 勝数, 敗数, 試合数, OMW%, 参加状況, 最終対戦日時
-    playerSheet.appendRow([newId, playerName, 0, 0, 0, 0, 0, PLAYER_STATUS.ACTIVE, ""]);
+    playerSheet.appendRow(buildNewPlayerRow(newId, playerName, ""));
     Logger.log(`プレイヤー ${newId} を登録しました。`);
+
+    if (currentRound > 0) {
+      const missedRounds = Array.from({ length: currentRound }, (_, i) => i + 1);
+      recordMissedRounds(newId, playerName, missedRounds, missedRoundResult, formattedTime);
+    }
+
+    recordOperation("プレイヤー登録", `${playerName} (${newId})`, stateBefore);
   } catch (e) {
     ui.alert("エラーが発生しました: " + e.toString());
     Logger.log("registerPlayer エラー: " + e.toString());
@@ -104,9 +135,78 @@ function registerPlayer() {
   }
 }
 
+/**
+ * 途中参加・ドロップ取り消しをしたプレイヤーの欠席ラウンドを対戦履歴に記録し、統計に反映します
+ * 呼び出し元でロックを取得していることが前提です。
+ * @param {string} playerId - プレイヤーID
+ * @param {string} playerName - プレイヤー名
+ * @param {Array<number>} missedRounds - 欠席したラウンド番号
+ * @param {string} missedRoundResult - 'missed_loss'（不戦敗）または 'missed_bye'（0点Bye）
+ * @param {string} timestamp - タイムスタンプ
+ */
+function recordMissedRounds(playerId, playerName, missedRounds, missedRoundResult, timestamp) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const historySheet = ss.getSheetByName(SHEET_HISTORY);
+  getSheetStructure(historySheet, SHEET_HISTORY);
+
+  const resultText = missedRoundResult === "missed_bye" ? MATCH_RESULT.MISSED_BYE : MATCH_RESULT.MISSED_LOSS;
+
+  for (const round of missedRounds) {
+    const newId = "T" + Utilities.formatString("%04d", historySheet.getLastRow());
+    historySheet.appendRow(
+      buildRow(SHEET_HISTORY, {
+        "対戦ID": newId,
+        "ラウンド": round,
+        "日時": timestamp,
+        "卓番号": "",
+        "ID1": playerId,
+        "プレイヤー1": playerName,
+        "ID2": "",
+        "プレイヤー2": "",
+        "勝者名": "",
+        "結果": resultText,
+        "区分": MATCH_STAGE.SWISS,
+      })
+    );
+    updatePlayerStats(playerId, missedRoundResult, timestamp);
+  }
+
+  Logger.log(`欠席ラウンド: ${playerId} のラウンド${missedRounds.join(", ")}を「${resultText}」として記録しました。`);
+}
+
+/**
+ * 新規プレイヤーの行を作成します（統計はすべて0）
+ * @param {string} playerId - プレイヤーID
+ * @param {string} playerName - プレイヤー名
+ * @param {string} lastMatchTime - 最終対戦日時
+ * @returns {Array<*>} プレイヤーシートの行
+ */
+function buildNewPlayerRow(playerId, playerName, lastMatchTime) {
+  return buildRow(SHEET_PLAYERS, {
+    "プレイヤーID": playerId,
+    "プレイヤー名": playerName,
+    "勝点": 0,
+    "勝数": 0,
+    "敗数": 0,
+    "引分数": 0,
+    "試合数": 0,
+    "バイ数": 0,
+    "ゲーム勝数": 0,
+    "ゲーム敗数": 0,
+    "ゲーム引分数": 0,
+    "OMW%": 0,
+    "OGW%": 0,
+    "参加状況": PLAYER_STATUS.ACTIVE,
+    "固定卓": "",
+    "ドロップラウンド": "",
+    "最終対戦日時": lastMatchTime,
+  });
+}
+
 /**
  * プレイヤーを大会からドロップアウトさせます。
  * 参加状況を「終了」に変更します。
+ * 現在のラウンドに結果が未記録の対戦がある場合は、対戦相手の勝利または両負けとして記録してからドロップさせます。
  */
 function dropoutPlayer() {
   const ui = SpreadsheetApp.getUi();
@@ -118,7 +218,7 @@ function dropoutPlayer() {
     return;
   }
 
-  const playerId = promptPlayerId("プレイヤーのドロップアウト", "ドロップアウトするプレイヤーIDの**数字部分のみ**を入力してください (例: P001なら「1」)。");
+  const playerId = promptPlayerId("プレイヤーのドロップアウト", "ドロップアウトするプレイヤーのIDの数字部分 (例: P001なら「1」) または名前の一部を入力してください。");
   if (!playerId) return;
 
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -128,10 +228,12 @@ function dropoutPlayer() {
   try {
     lock = acquireLock("プレイヤードロップアウト");
     const { indices, data } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+    const stateBefore = captureWorkbookState();
 
     let found = false;
     let playerName = playerId;
     let targetRowIndex = -1;
+    let currentStatus = null;
 
     for (let i = 1; i < data.length; i++) {
       const row = data[i];
@@ -139,6 +241,7 @@ function dropoutPlayer() {
         found = true;
         playerName = row[indices["プレイヤー名"]];
         targetRowIndex = i + 1;
+        currentStatus = row[indices["参加状況"]];
         break;
       }
     }
@@ -148,9 +251,45 @@ function dropoutPlayer() {
       return;
     }
 
+    if (currentStatus === PLAYER_STATUS.DROPPED) {
+      ui.alert("エラー", `${playerName} (${playerId}) は既にドロップアウトしています。`, ui.ButtonSet.OK);
+      return;
+    }
+
+    // 結果が未記録の対戦がある場合は、先にその対戦の結果を決める
+    const openMatch = findOpenMatch(playerId);
+    let openMatchResult = null;
+    let openMatchText = "";
+
+    if (openMatch) {
+      const opponentName = getPlayerName(openMatch.opponentId);
+      const resultResponse = ui.prompt(
+        "未終了の対戦",
+        `${playerName} は卓${openMatch.tableNumber}で ${opponentName} (${openMatch.opponentId}) と対戦中で、結果が記録されていません。\n\n` +
+          `この対戦の結果を選択してください：\n` +
+          `1: ${opponentName} の勝利として記録する\n` +
+          `2: ${MATCH_RESULT.DOUBLE_LOSS}として記録する\n\n` +
+          `数字を入力してください：`,
+        ui.ButtonSet.OK_CANCEL
+      );
+
+      if (resultResponse.getSelectedButton() !== ui.Button.OK) {
+        ui.alert("処理をキャンセルしました。");
+        return;
+      }
+
+      openMatchResult = { 1: "win", 2: "double_loss" }[resultResponse.getResponseText().trim()];
+      if (!openMatchResult) {
+        ui.alert("エラー", "1 または 2 を入力してください。", ui.ButtonSet.OK);
+        return;
+      }
+
+      openMatchText = `\n\n卓${openMatch.tableNumber}の対戦は「${openMatchResult === "win" ? `${opponentName} 勝利` : MATCH_RESULT.DOUBLE_LOSS}」として記録します。`;
+    }
+
     const confirmResponse = ui.alert(
       "ドロップアウトの確認",
-      `プレイヤー名: ${playerName}\nプレイヤーID: ${playerId}\n\nドロップアウトさせます。\n\nよろしいですか？`,
+      `プレイヤー名: ${playerName}\nプレイヤーID: ${playerId}\n\nドロップアウトさせます。` + openMatchText + `\n\nよろしいですか？`,
       ui.ButtonSet.YES_NO
     );
 
@@ -159,8 +298,26 @@ function dropoutPlayer() {
       return;
     }
 
+    if (openMatchResult === "win") {
+      applyMatchResult(openMatch.opponentId, playerId, openMatch.matchRow, "win");
+    } else if (openMatchResult === "double_loss") {
+      applyMatchResult(playerId, openMatch.opponentId, openMatch.matchRow, "double_loss");
+    }
+
+    // 現在のラウンドが終わっていれば次のラウンドから、対戦中であれば現在のラウンドから不参加とする
+    const currentRound = getCurrentRound();
+    const dropRound = currentRound > 0 && !isRoundComplete() ? currentRound : currentRound + 1;
+
     playerSheet.getRange(targetRowIndex, indices["参加状況"] + 1).setValue(PLAYER_STATUS.DROPPED);
-    Logger.log(`プレイヤー ${playerId} をドロップアウトさせました。`);
+    playerSheet.getRange(targetRowIndex, indices["ドロップラウンド"] + 1).setValue(dropRound);
+    Logger.log(`プレイヤー ${playerId} をドロップアウトさせました（ラウンド${dropRound}から不参加）。`);
+
+    // 未終了の対戦がラウンドの最後の対戦だった場合は順位表を更新
+    if (openMatchResult && isRoundComplete()) {
+      rebuildStandingsSheet();
+    }
+
+    recordOperation("ドロップアウト", `${playerName} (${playerId})`, stateBefore);
   } catch (e) {
     ui.alert("エラーが発生しました: " + e.toString());
     Logger.log("dropoutPlayer エラー: " + e.toString());
@@ -169,84 +326,329 @@ function dropoutPlayer() {
   }
 }
 
-// =========================================
-// 順位表示
-// =========================================
+/**
+ * ドロップアウトを取り消し、参加状況を「参加中」に戻します。
+ * 取り消せるのは現在のラウンド中（または次のラウンド開始前）にドロップした場合のみです。
+ * ドロップ後に開始したラウンドで対戦していない場合は、そのラウンドを不戦敗として記録し、
+ * 次のラウンドからマッチングに加えます。
+ */
+function reinstatePlayer() {
+  const ui = SpreadsheetApp.getUi();
+
+  const tournamentStatus = getTournamentStatus();
+  if (tournamentStatus !== TOURNAMENT_STATUS.IN_PROGRESS) {
+    ui.alert("ドロップ取り消し不可", `トーナメントの状態が「${tournamentStatus}」のため、ドロップを取り消せません。`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const playerId = promptPlayerId("ドロップ取り消し", "ドロップを取り消すプレイヤーのIDの数字部分 (例: P001なら「1」) または名前の一部を入力してください。");
+  if (!playerId) return;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
+  let lock = null;
+
+  try {
+    lock = acquireLock("ドロップ取り消し");
+    const { indices } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+    const stateBefore = captureWorkbookState();
+    const target = readPlayerRecords(playerSheet).find((player) => player.id === playerId);
+
+    if (!target) {
+      ui.alert("エラー", `プレイヤー ${playerId} が見つかりません。`, ui.ButtonSet.OK);
+      return;
+    }
+
+    if (target.status !== PLAYER_STATUS.DROPPED) {
+      ui.alert("エラー", `${target.name} (${playerId}) はドロップアウトしていません。`, ui.ButtonSet.OK);
+      return;
+    }
+
+    // 現在のラウンドより前にドロップした場合（ドロップ後のラウンドが終了している場合）は取り消せない
+    const currentRound = getCurrentRound();
+    if (!target.dropRound || target.dropRound < currentRound) {
+      ui.alert(
+        "ドロップ取り消し不可",
+        `${target.name} (${playerId}) のドロップは現在のラウンド（ラウンド${currentRound}）より前に行われたため、取り消せません。`,
+        ui.ButtonSet.OK
+      );
+      return;
+    }
+
+    // ドロップ後に開始したラウンドのうち、対戦履歴がないラウンドは不戦敗として記録する
+    const playedRounds = new Set(
+      readHistoryRecords(ss.getSheetByName(SHEET_HISTORY))
+        .filter((match) => match.stage !== MATCH_STAGE.TOP_CUT && (match.player1Id === playerId || match.player2Id === playerId))
+        .map((match) => match.round)
+    );
+    const missedRounds = [];
+    for (let round = target.dropRound; round <= currentRound; round++) {
+      if (!playedRounds.has(round)) missedRounds.push(round);
+    }
+
+    const missedRoundNote =
+      missedRounds.length > 0 ? `\n\n※ラウンド${missedRounds.join(", ")}は「${MATCH_RESULT.MISSED_LOSS}」として記録されます。` : "";
+
+    const confirmResponse = ui.alert(
+      "ドロップ取り消しの確認",
+      `プレイヤー名: ${target.name}\nプレイヤーID: ${playerId}\n\n参加状況を「${PLAYER_STATUS.ACTIVE}」に戻し、次のラウンドからマッチングに加えます。` +
+        missedRoundNote +
+        `\n\nよろしいですか？`,
+      ui.ButtonSet.YES_NO
+    );
+
+    if (confirmResponse !== ui.Button.YES) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
+
+    if (missedRounds.length > 0) {
+      const formattedTime = Utilities.formatDate(new Date(), "Asia/Tokyo", "yyyy/MM/dd HH:mm:ss");
+      recordMissedRounds(playerId, target.name, missedRounds, "missed_loss", formattedTime);
+    }
+
+    playerSheet.getRange(target.rowNumber, indices["参加状況"] + 1).setValue(PLAYER_STATUS.ACTIVE);
+    playerSheet.getRange(target.rowNumber, indices["ドロップラウンド"] + 1).setValue("");
+    Logger.log(`プレイヤー ${playerId} のドロップを取り消しました（ラウンド${target.dropRound}でドロップ）。`);
+    recordOperation("ドロップ取り消し", `${target.name} (${playerId})`, stateBefore);
+
+    ui.alert("ドロップ取り消し完了", `${target.name} (${playerId}) のドロップを取り消しました。\n\n次のラウンドからマッチングに加わります。`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert("エラーが発生しました: " + e.toString());
+    Logger.log("reinstatePlayer エラー: " + e.toString());
+  } finally {
+    releaseLock(lock);
+  }
+}
 
 /**
- * プレイヤーの勝率を計算します（対戦相手の平均勝率）
- * @param {string} playerId - プレイヤーID
- * @returns {number} 勝率（0.0～1.0）
+ * プレイヤーの固定卓（車椅子対応卓、ジャッジ席の近くなど）を設定します。
+ * 固定卓のプレイヤーを含む対戦は、次のラウンドからその卓に配置されます。
  */
-function calculateOpponentWinRate(playerId) {
+function configureFixedTable() {
+  const ui = SpreadsheetApp.getUi();
+
+  const playerId = promptPlayerId("固定卓の設定", "固定卓を設定するプレイヤーのIDの数字部分 (例: P001なら「1」) または名前の一部を入力してください。");
+  if (!playerId) return;
+
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const historySheet = ss.getSheetByName(SHEET_HISTORY);
   const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
+  let lock = null;
 
   try {
-    const { indices: historyIndices, data: historyData } = getSheetStructure(historySheet, SHEET_HISTORY);
-    const { indices: playerIndices, data: playerData } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+    lock = acquireLock("固定卓の設定");
+    const { indices } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+    const stateBefore = captureWorkbookState();
+    const players = readPlayerRecords(playerSheet);
+    const target = players.find((player) => player.id === playerId);
+
+    if (!target) {
+      ui.alert("エラー", `プレイヤー ${playerId} が見つかりません。`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const maxTables = getMaxTables();
+    const maxTableNumber = TABLE_CONFIG.MIN_TABLE_NUMBER + maxTables - 1;
 
-    // このプレイヤーの対戦相手を収集（Byeは除外）
-    const opponents = new Set();
+    const response = ui.prompt(
+      "固定卓の設定",
+      `プレイヤー名: ${target.name}\n` +
+        `現在の固定卓: ${target.fixedTable ? `卓${target.fixedTable}` : "なし"}\n\n` +
+        `固定する卓番号を入力してください（${TABLE_CONFIG.MIN_TABLE_NUMBER}～${maxTableNumber}）。\n` +
+        `空欄のままOKを押すと固定卓を解除します。`,
+      ui.ButtonSet.OK_CANCEL
+    );
+
+    if (response.getSelectedButton() !== ui.Button.OK) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
 
-    for (let i = 1; i < historyData.length; i++) {
-      const row = historyData[i];
-      const p1 = row[historyIndices["ID1"]];
-      const p2 = row[historyIndices["ID2"]];
-      const result = row[historyIndices["結果"]];
+    const input = response.getResponseText().trim();
+    let newTable = "";
 
-      // Byeの場合はスキップ
-      if (result === "Bye" || !p2) {
-        continue;
+    if (input !== "") {
+      if (!/^\d+$/.test(input)) {
+        ui.alert("エラー", "卓番号は数字のみで入力してください。", ui.ButtonSet.OK);
+        return;
       }
 
-      if (p1 === playerId) {
-        opponents.add(p2);
-      } else if (p2 === playerId) {
-        opponents.add(p1);
+      newTable = parseInt(input, 10);
+
+      if (newTable < TABLE_CONFIG.MIN_TABLE_NUMBER || newTable > maxTableNumber) {
+        ui.alert("エラー", `卓番号は${TABLE_CONFIG.MIN_TABLE_NUMBER}～${maxTableNumber}の範囲で入力してください。`, ui.ButtonSet.OK);
+        return;
+      }
+
+      if (getUnavailableTables().includes(newTable)) {
+        ui.alert("エラー", `卓${newTable}は使用不可の卓に設定されています。`, ui.ButtonSet.OK);
+        return;
       }
-    }
 
-    if (opponents.size === 0) {
-      return 0.333; // 対戦がない場合のデフォルト値
+      const holder = players.find((player) => player.id !== playerId && player.status === PLAYER_STATUS.ACTIVE && player.fixedTable === newTable);
+      if (holder) {
+        ui.alert("エラー", `卓${newTable}は既に ${holder.name} (${holder.id}) の固定卓です。`, ui.ButtonSet.OK);
+        return;
+      }
     }
 
-    // 対戦相手の勝率を計算
-    let totalWinRate = 0;
-    let opponentCount = 0;
+    playerSheet.getRange(target.rowNumber, indices["固定卓"] + 1).setValue(newTable);
+    Logger.log(`プレイヤー ${playerId} の固定卓を ${newTable || "なし"} に設定しました。`);
+    recordOperation("固定卓の設定", `${target.name} (${playerId})`, stateBefore);
+
+    ui.alert(
+      "設定完了",
+      `${target.name} の固定卓を${newTable ? `卓${newTable}に設定しました` : "解除しました"}。\n\n` + "次のラウンドのマッチングから反映されます。",
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    ui.alert("エラーが発生しました: " + e.toString());
+    Logger.log("configureFixedTable エラー: " + e.toString());
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+// =========================================
+// 統計の再計算
+// =========================================
 
-    for (const opponentId of opponents) {
-      for (let i = 1; i < playerData.length; i++) {
-        const row = playerData[i];
-        if (row[playerIndices["プレイヤーID"]] === opponentId) {
-          const wins = parseInt(row[playerIndices["勝数"]]) || 0;
-          const matches = parseInt(row[playerIndices["試合数"]]) || 0;
+// 統計エンジンの成績（record）のキーと、プレイヤーシートの列の対応
+const PLAYER_STAT_HEADERS = {
+  points: "勝点",
+  wins: "勝数",
+  losses: "敗数",
+  draws: "引分数",
+  matches: "試合数",
+  byes: "バイ数",
+  gameWins: "ゲーム勝数",
+  gameLosses: "ゲーム敗数",
+  gameDraws: "ゲーム引分数",
+};
 
-          if (matches > 0) {
-            const winRate = wins / matches;
-            // 最低勝率は0.333（MTGルールに準拠）
-            totalWinRate += Math.max(winRate, 0.333);
-            opponentCount++;
-          }
-          break;
-        }
+/**
+ * 対戦履歴を正として、全プレイヤーの統計（勝点・勝敗数・試合数・バイ数・ゲーム数）を再計算します。
+ * 現在のシートの値との差分をすべて表示し、確認後に上書きします（OMW%・順位表も更新）。
+ */
+function recalculatePlayerStats() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
+  const historySheet = ss.getSheetByName(SHEET_HISTORY);
+  let lock = null;
+
+  try {
+    lock = acquireLock("統計の再計算");
+    const stateBefore = captureWorkbookState();
+
+    const { indices, data } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+    const players = readPlayerRecords(playerSheet);
+    const stats = buildTournamentStats(players, readHistoryRecords(historySheet), getDrawPoints());
+
+    const differences = [];
+    for (const player of players) {
+      for (const diff of diffPlayerRecord(player, stats.get(player.id).record)) {
+        differences.push(`${player.name} (${player.id}) ${PLAYER_STAT_HEADERS[diff.key]}: ${diff.current} → ${diff.expected}`);
       }
     }
 
-    if (opponentCount === 0) {
-      return 0.333;
+    // 対戦履歴にあってプレイヤーシートにないID（統計は書き込めない）
+    const playerIds = new Set(players.map((player) => player.id));
+    const unknownIds = [...stats.keys()].filter((playerId) => !playerIds.has(playerId));
+    const unknownNote = unknownIds.length > 0 ? `\n\n※プレイヤーシートにないID（反映されません）: ${unknownIds.join(", ")}` : "";
+
+    if (differences.length === 0) {
+      ui.alert("統計の再計算", "プレイヤーシートの統計は対戦履歴と一致しています。" + unknownNote, ui.ButtonSet.OK);
+      return;
+    }
+
+    differences.forEach((difference) => Logger.log(`統計の差分: ${difference}`));
+
+    const maxLines = 30;
+    const listed = differences.slice(0, maxLines).join("\n");
+    const more = differences.length > maxLines ? `\n...他 ${differences.length - maxLines} 件（すべての差分はログに出力しました）` : "";
+
+    const confirmResponse = ui.alert(
+      "統計の再計算",
+      `対戦履歴から再計算した統計と、${differences.length}件の差分があります：\n\n` +
+        listed +
+        more +
+        unknownNote +
+        `\n\n対戦履歴の値でプレイヤーシートを上書きしますか？`,
+      ui.ButtonSet.YES_NO
+    );
+
+    if (confirmResponse !== ui.Button.YES) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
+
+    // 列ごとに一括で書き込む（IDのない行は現在の値のまま）
+    for (const [key, header] of Object.entries(PLAYER_STAT_HEADERS)) {
+      const column = [];
+      for (let i = 1; i < data.length; i++) {
+        const playerStats = stats.get(data[i][indices["プレイヤーID"]]);
+        column.push([playerStats ? playerStats.record[key] : data[i][indices[header]]]);
+      }
+      playerSheet.getRange(2, indices[header] + 1, column.length, 1).setValues(column);
     }
 
-    return totalWinRate / opponentCount;
+    updateAllOpponentWinRates();
+    rebuildStandingsSheet();
+
+    Logger.log(`統計の再計算: ${differences.length}件の差分を修正しました。`);
+    recordOperation("統計の再計算", `${differences.length}件の差分`, stateBefore);
+    ui.alert("統計の再計算完了", `${differences.length}件の差分を対戦履歴の値で上書きしました。`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert("エラーが発生しました: " + e.toString());
+    Logger.log("recalculatePlayerStats エラー: " + e.toString());
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+// =========================================
+// 順位表示
+// =========================================
+
+/**
+ * プレイヤーの勝率を計算します（対戦相手の平均勝率）
+ * @param {string} playerId - プレイヤーID
+ * @returns {number} 勝率（0.0～1.0）
+ */
+function calculateOpponentWinRate(playerId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const historySheet = ss.getSheetByName(SHEET_HISTORY);
+  const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
+
+  try {
+    return computeOpponentWinRate(playerId, readPlayerRecords(playerSheet), readHistoryRecords(historySheet));
   } catch (e) {
     Logger.log("calculateOpponentWinRate エラー: " + e.message);
-    return 0.333;
+    return SWISS_CONFIG.MIN_WIN_RATE;
   }
 }
 
 /**
- * プレイヤーの勝率をシートに更新します
+ * プレイヤーのOGW%を計算します（対戦相手の平均ゲーム勝率）
+ * @param {string} playerId - プレイヤーID
+ * @returns {number} OGW%（0.0～1.0）
+ */
+function calculateOpponentGameWinRate(playerId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const historySheet = ss.getSheetByName(SHEET_HISTORY);
+  const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
+
+  try {
+    return computeOpponentGameWinRate(playerId, readPlayerRecords(playerSheet), readHistoryRecords(historySheet));
+  } catch (e) {
+    Logger.log("calculateOpponentGameWinRate エラー: " + e.message);
+    return SWISS_CONFIG.MIN_WIN_RATE;
+  }
+}
+
+/**
+ * プレイヤーの勝率（OMW%・OGW%）をシートに更新します
  * @param {string} playerId - プレイヤーID
  */
 function updateOpponentWinRate(playerId) {
@@ -262,6 +664,7 @@ function updateOpponentWinRate(playerId) {
       if (row[indices["プレイヤーID"]] === playerId) {
         const rowNumber = i + 1;
         playerSheet.getRange(rowNumber, indices["OMW%"] + 1).setValue(opponentWinRate);
+        playerSheet.getRange(rowNumber, indices["OGW%"] + 1).setValue(calculateOpponentGameWinRate(playerId));
         break;
       }
     }
@@ -271,27 +674,35 @@ function updateOpponentWinRate(playerId) {
 }
 
 /**
- * すべての参加中プレイヤーの勝率を更新します
+ * すべての参加中プレイヤーの勝率（OMW%・OGW%）を更新します
+ * 両シートを1回ずつ読み込み、統計エンジンで全員分を計算して、OMW%列・OGW%列をそれぞれ1回の書き込みで更新します。
+ * ドロップしたプレイヤーの値は変更しません。
  */
 function updateAllOpponentWinRates() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
+  const historySheet = ss.getSheetByName(SHEET_HISTORY);
 
   try {
     const { indices, data } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+    if (data.length <= 1) return;
+
+    const stats = buildTournamentStats(readPlayerRecords(playerSheet), readHistoryRecords(historySheet));
 
+    const omwColumn = [];
+    const ogwColumn = [];
     for (let i = 1; i < data.length; i++) {
       const row = data[i];
-      const playerId = row[indices["プレイヤーID"]];
-      const status = row[indices["参加状況"]];
+      const playerStats = stats.get(row[indices["プレイヤーID"]]);
+      const isActive = row[indices["参加状況"]] === PLAYER_STATUS.ACTIVE;
 
-      if (status === PLAYER_STATUS.ACTIVE) {
-        const opponentWinRate = calculateOpponentWinRate(playerId);
-        const rowNumber = i + 1;
-        playerSheet.getRange(rowNumber, indices["OMW%"] + 1).setValue(opponentWinRate);
-      }
+      omwColumn.push([isActive && playerStats ? playerStats.omw : row[indices["OMW%"]]]);
+      ogwColumn.push([isActive && playerStats ? playerStats.ogw : row[indices["OGW%"]]]);
     }
 
+    playerSheet.getRange(2, indices["OMW%"] + 1, omwColumn.length, 1).setValues(omwColumn);
+    playerSheet.getRange(2, indices["OGW%"] + 1, ogwColumn.length, 1).setValues(ogwColumn);
+
     Logger.log("すべてのプレイヤーの勝率を更新しました。");
   } catch (e) {
     Logger.log("updateAllOpponentWinRates エラー: " + e.message);
@@ -299,49 +710,91 @@ function updateAllOpponentWinRates() {
 }
 
 /**
- * 現在の順位表を表示します
+ * 順位表シートを作り直します（ドロップしたプレイヤーを含む全プレイヤー）
+ * ラウンドの全結果が記録されたとき、ラウンド開始時、トップカット開始時、トーナメント終了時に呼び出されます。
  */
-function showStandings() {
-  const ui = SpreadsheetApp.getUi();
+function rebuildStandingsSheet() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
 
   try {
-    const { indices, data } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+    const players = readPlayerRecords(ss.getSheetByName(SHEET_PLAYERS));
+    const history = readHistoryRecords(ss.getSheetByName(SHEET_HISTORY));
+    const standings = buildStandings(players, history, getTiebreakerChain());
 
-    // 参加中のプレイヤーのみ抽出
-    const activePlayers = data
-      .slice(1)
-      .filter((row) => row[indices["参加状況"]] === PLAYER_STATUS.ACTIVE)
-      .map((row) => {
-        const playerId = row[indices["プレイヤーID"]];
-        const matches = parseInt(row[indices["試合数"]]) || 0;
-        const wins = parseInt(row[indices["勝数"]]) || 0;
-        const opponentWinRate = parseFloat(row[indices["OMW%"]]) || 0;
-
-        return {
-          row: row,
-          playerId: playerId,
-          matchWinRate: matches > 0 ? wins / matches : 0,
-          opponentWinRate: opponentWinRate,
-        };
+    let standingsSheet = ss.getSheetByName(SHEET_STANDINGS);
+    if (!standingsSheet) {
+      standingsSheet = ss.insertSheet(SHEET_STANDINGS);
+    }
+    resetStandingsSheet(standingsSheet);
+
+    if (standings.length === 0) return;
+
+    const rows = standings.map((player) =>
+      buildRow(SHEET_STANDINGS, {
+        "順位": player.rank,
+        "プレイヤーID": player.id,
+        "プレイヤー名": player.name,
+        "参加状況": player.status === PLAYER_STATUS.DROPPED ? (player.dropRound ? `ドロップ（ラウンド${player.dropRound}）` : "ドロップ") : player.status,
+        "勝点": player.points,
+        "勝-敗-分": `${player.wins}-${player.losses}-${player.draws}`,
+        "試合数": player.matches,
+        "OMW%": player.tiebreaks.omw,
+        "GW%": player.tiebreaks.gw,
+        "OGW%": player.tiebreaks.ogw,
+        "OOMW%": player.tiebreaks.oomw,
+        "ブッフホルツ": player.tiebreaks.buchholz,
+        "メディアン・ブッフホルツ": player.tiebreaks.median_buchholz,
+        "ゾンネボルン・ベルガー": player.tiebreaks.sonneborn_berger,
+        "バイ数": player.byes,
       })
-      .sort((a, b) => {
-        // 勝点降順
-        const pointsDiff = (b.row[indices["勝点"]] || 0) - (a.row[indices["勝点"]] || 0);
-        if (pointsDiff !== 0) return pointsDiff;
+    );
+    standingsSheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+
+    const headers = REQUIRED_HEADERS[SHEET_STANDINGS];
+    for (const header of ["OMW%", "GW%", "OGW%", "OOMW%"]) {
+      standingsSheet.getRange(2, headers.indexOf(header) + 1, rows.length, 1).setNumberFormat("0.0%");
+    }
+
+    Logger.log(`順位表を更新しました（${rows.length}人）。`);
+  } catch (e) {
+    Logger.log("rebuildStandingsSheet エラー: " + e.message);
+  }
+}
 
-        // 勝率降順
-        const opponentDiff = b.opponentWinRate - a.opponentWinRate;
-        if (Math.abs(opponentDiff) > 0.001) return opponentDiff;
+/**
+ * 順位表シートをクリアし、ヘッダーを書き込みます
+ * @param {Sheet} standingsSheet - 順位表シート
+ */
+function resetStandingsSheet(standingsSheet) {
+  standingsSheet.clear();
+  const headers = REQUIRED_HEADERS[SHEET_STANDINGS];
+  standingsSheet
+    .getRange(1, 1, 1, headers.length)
+    .setValues([headers])
+    .setFontWeight("bold")
+    .setBackground("#fce5cd")
+    .setHorizontalAlignment("center");
+  standingsSheet.setColumnWidth(headers.indexOf("プレイヤー名") + 1, 150);
+  standingsSheet.setColumnWidth(headers.indexOf("参加状況") + 1, 150);
+}
 
-        // 自己勝率降順
-        const matchWinDiff = b.matchWinRate - a.matchWinRate;
-        if (Math.abs(matchWinDiff) > 0.001) return matchWinDiff;
+/**
+ * 現在の順位表を表示します
+ */
+function showStandings() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
 
-        // 試合数昇順（少ない方が上位）
-        return (a.row[indices["試合数"]] || 0) - (b.row[indices["試合数"]] || 0);
-      });
+  try {
+    // 参加中のプレイヤーのみ抽出
+    const chain = getTiebreakerChain();
+    const activePlayers = rankPlayers(
+      readPlayerRecords(playerSheet),
+      readHistoryRecords(ss.getSheetByName(SHEET_HISTORY)),
+      chain,
+      (player) => player.status === PLAYER_STATUS.ACTIVE
+    );
 
     if (activePlayers.length === 0) {
       ui.alert("順位表", "参加中のプレイヤーがいません。", ui.ButtonSet.OK);
@@ -349,25 +802,24 @@ function showStandings() {
     }
 
     let message = "【順位表】\n\n";
-    message += "順位 | 名前 | 勝点 | 勝-敗 | OMW% | 試合数\n";
+    message += `タイブレーク: ${chain.map((key) => TIEBREAKERS[key].label).join(" → ")}\n\n`;
+    message += "順位 | 名前 | 勝点 | 勝-敗-分 | OMW% | GW% | OGW% | 試合数 | バイ\n";
     message += "─".repeat(50) + "\n";
 
     for (let i = 0; i < Math.min(activePlayers.length, 20); i++) {
       const player = activePlayers[i];
       const rank = i + 1;
-      const name = player.row[indices["プレイヤー名"]];
-      const points = player.row[indices["勝点"]] || 0;
-      const wins = player.row[indices["勝数"]] || 0;
-      const losses = player.row[indices["敗数"]] || 0;
-      const matches = player.row[indices["試合数"]] || 0;
-      const opponentRate = (player.opponentWinRate * 100).toFixed(1);
+      const opponentRate = (player.omw * 100).toFixed(1);
+      const gameRate = (calculateGameWinRate(player) * 100).toFixed(1);
+      const opponentGameRate = (player.ogw * 100).toFixed(1);
 
-      message += `${rank}. ${name} | ${points}pt | ${wins}-${losses} | ${opponentRate}% | ${matches}試合\n`;
+      message += `${rank}. ${player.name} | ${player.points}pt | ${player.wins}-${player.losses}-${player.draws} | ${opponentRate}% | ${gameRate}% | ${opponentGameRate}% | ${player.matches}試合 | ${player.byes}\n`;
     }
 
     if (activePlayers.length > 20) {
       message += `\n...他 ${activePlayers.length - 20} 人`;
     }
+    message += "\n\nドロップしたプレイヤーを含む全員の順位とタイブレーク値は「順位表」シートで確認できます。";
 
     ui.alert("順位表", message, ui.ButtonSet.OK);
   } catch (e) {
@@ -0,0 +1,293 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview シートからの結果入力 - 現在のラウンドシートの結果列のプルダウンで対戦結果を記録
+ * @author springOK
+ *
+ * 結果列のプルダウン（P1勝ち / P2勝ち / 引き分け / 両負け）の変更を、インストール型の編集トリガー
+ * handleResultSheetEdit() で受け取り、他の入力方法と同じロックと commitMatchResult() で記録します。
+ * 記録できない編集（記録済みの結果の変更、Byeの行の編集、複数のセルの編集など）は元の値に戻し、トーストで理由を表示します。
+ */
+
+// =========================================
+// シートからの結果入力の設定
+// =========================================
+
+const RESULT_SHEET_ENTRY_PROPERTY = "RESULT_SHEET_ENTRY";
+const RESULT_SHEET_EDIT_HANDLER = "handleResultSheetEdit";
+
+/**
+ * 結果列のプルダウンの選択肢と commitMatchResult() の結果の種類の対応
+ * swapPlayers: true の場合はプレイヤー2を勝者として渡す
+ */
+const RESULT_EDIT_OPTIONS = {
+  "P1勝ち": { resultType: "win", swapPlayers: false },
+  "P2勝ち": { resultType: "win", swapPlayers: true },
+  "引き分け": { resultType: "draw", swapPlayers: false },
+  "両負け": { resultType: "double_loss", swapPlayers: false },
+};
+
+/**
+ * シートからの結果入力が有効かを返します
+ * @returns {boolean} 有効な場合true
+ */
+function isResultSheetEntryEnabled() {
+  return PropertiesService.getDocumentProperties().getProperty(RESULT_SHEET_ENTRY_PROPERTY) === "true";
+}
+
+/**
+ * シートからの結果入力の有効・無効を保存します
+ * @param {boolean} enabled - 有効にする場合true
+ */
+function setResultSheetEntryEnabled(enabled) {
+  PropertiesService.getDocumentProperties().setProperty(RESULT_SHEET_ENTRY_PROPERTY, String(enabled));
+  Logger.log(`シートからの結果入力を${enabled ? "有効" : "無効"}にしました。`);
+}
+
+/**
+ * シートからの結果入力の有効・無効の設定をユーザーに促すダイアログを表示します
+ * 有効にすると編集トリガーをインストールし、現在のラウンドの未記録の卓にプルダウンを設定します。
+ */
+function configureResultSheetEntry() {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.prompt(
+    "シートからの結果入力",
+    `現在の設定: ${isResultSheetEntryEnabled() ? "有効" : "無効"}\n\n` +
+      `「${SHEET_IN_PROGRESS}」シートの結果列のプルダウンから対戦結果を記録できるようにしますか？\n\n` +
+      `1: 有効にする\n` +
+      `2: 無効にする\n\n` +
+      `数字を入力してください：`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("設定をキャンセルしました。");
+    return;
+  }
+
+  const input = response.getResponseText().trim();
+  if (input !== "1" && input !== "2") {
+    ui.alert("エラー", "1 または 2 を入力してください。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
+  const ownTriggers = ScriptApp.getProjectTriggers().filter((trigger) => trigger.getHandlerFunction() === RESULT_SHEET_EDIT_HANDLER);
+
+  const stateBefore = captureWorkbookState();
+
+  if (input === "1") {
+    if (ownTriggers.length === 0) {
+      ScriptApp.newTrigger(RESULT_SHEET_EDIT_HANDLER).forSpreadsheet(ss).onEdit().create();
+    }
+    setResultSheetEntryEnabled(true);
+    applyResultDropdowns(inProgressSheet);
+    recordOperation("シートからの結果入力の設定", "有効", stateBefore);
+
+    ui.alert(
+      "設定完了",
+      `シートからの結果入力を有効にしました。\n\n` +
+        `「${SHEET_IN_PROGRESS}」シートの結果列で ${Object.keys(RESULT_EDIT_OPTIONS).join(" / ")} を選択すると記録されます。\n` +
+        `プルダウンは新しいラウンドの開始時にも設定されます。`,
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  ownTriggers.forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+  setResultSheetEntryEnabled(false);
+  clearResultDropdowns(inProgressSheet);
+  recordOperation("シートからの結果入力の設定", "無効", stateBefore);
+
+  ui.alert("設定完了", "シートからの結果入力を無効にしました。", ui.ButtonSet.OK);
+}
+
+// =========================================
+// 結果列のプルダウン
+// =========================================
+
+/**
+ * 現在のラウンドの未記録の卓（Byeを除く）の結果列にプルダウンを設定します
+ * シートからの結果入力が無効の場合は何もしません。
+ * @param {Sheet} inProgressSheet - 現在のラウンドシート
+ */
+function applyResultDropdowns(inProgressSheet) {
+  if (!isResultSheetEntryEnabled()) return;
+
+  clearResultDropdowns(inProgressSheet);
+
+  const { indices, data } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+  const rule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(Object.keys(RESULT_EDIT_OPTIONS), true)
+    .setAllowInvalid(false)
+    .setHelpText("対戦結果を選択すると記録されます（P1 = プレイヤー1、P2 = プレイヤー2）。")
+    .build();
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (row[indices["ID1"]] && row[indices["ID2"]] && !row[indices["結果"]]) {
+      inProgressSheet.getRange(i + 1, indices["結果"] + 1).setDataValidation(rule);
+    }
+  }
+}
+
+/**
+ * 現在のラウンドシートの結果列のプルダウンをすべて外します
+ * @param {Sheet} inProgressSheet - 現在のラウンドシート
+ */
+function clearResultDropdowns(inProgressSheet) {
+  const { indices } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+  const numRows = inProgressSheet.getMaxRows() - 1;
+  if (numRows > 0) {
+    inProgressSheet.getRange(2, indices["結果"] + 1, numRows, 1).clearDataValidations();
+  }
+}
+
+// =========================================
+// 編集トリガー
+// =========================================
+
+/**
+ * 現在のラウンドシートの編集を処理します（インストール型の編集トリガー）
+ * 結果列のプルダウンの選択を対戦結果として記録し、記録できない編集は元の値に戻します。
+ * @param {Object} e - 編集イベント（range, value, oldValue）
+ */
+function handleResultSheetEdit(e) {
+  if (!e || !e.range) return;
+
+  const range = e.range;
+  const sheet = range.getSheet();
+  if (sheet.getName() !== SHEET_IN_PROGRESS || !isResultSheetEntryEnabled()) return;
+
+  let lock = null;
+
+  try {
+    const { indices } = getSheetStructure(sheet, SHEET_IN_PROGRESS);
+    const resultColumn = indices["結果"] + 1;
+    const lastRow = range.getRow() + range.getNumRows() - 1;
+    const touchesResults = range.getColumn() <= resultColumn && resultColumn < range.getColumn() + range.getNumColumns() && lastRow >= 2;
+    if (!touchesResults) return;
+
+    // 複数セルの編集はイベントに変更前の値が含まれないため、対戦履歴から記録済みの結果を書き戻す
+    if (range.getNumRows() > 1 || range.getNumColumns() > 1) {
+      lock = acquireLock("対戦結果の記録");
+      restoreRecordedResults(sheet, Math.max(range.getRow(), 2), lastRow);
+      notifyResultSheetEdit("複数のセルをまとめて編集した変更は対戦結果として記録されないため、結果列を元に戻しました。\n1卓ずつプルダウンから選択してください。");
+      return;
+    }
+
+    const oldValue = e.oldValue === undefined ? "" : e.oldValue;
+    const newValue = e.value === undefined ? "" : String(e.value).trim();
+    if (oldValue === "" && newValue === "") return;
+
+    lock = acquireLock("対戦結果の記録");
+
+    // ロックの待機中に他の編集で変わっている場合は、その編集の処理に任せる
+    if (String(range.getValue()).trim() !== newValue) {
+      notifyResultSheetEdit("他の操作で変更されたため、この編集は記録されませんでした。");
+      return;
+    }
+
+    const rejection = findResultEditRejection(sheet, range.getRow(), oldValue, newValue);
+    if (rejection) {
+      range.setValue(oldValue);
+      notifyResultSheetEdit(rejection);
+      return;
+    }
+
+    const row = getSheetStructure(sheet, SHEET_IN_PROGRESS).data[range.getRow() - 1];
+    const option = RESULT_EDIT_OPTIONS[newValue];
+    const [player1Id, player2Id] = option.swapPlayers ? [row[indices["ID2"]], row[indices["ID1"]]] : [row[indices["ID1"]], row[indices["ID2"]]];
+
+    // 選択肢の値を消してから、他の入力方法と同じ処理で記録する（記録済みの判定・操作ログの変更前の値に選択肢を含めない）
+    range.setValue("");
+    try {
+      commitMatchResult(player1Id, player2Id, range.getRow() - 1, option.resultType);
+    } catch (error) {
+      notifyResultSheetEdit(`記録できませんでした: ${error.message}`);
+      Logger.log("handleResultSheetEdit エラー: " + error.message);
+      return;
+    }
+
+    notifyResultSheetEdit(`卓${row[indices["卓番号"]]}: ${range.getValue()} を記録しました。`);
+  } catch (error) {
+    notifyResultSheetEdit(`エラーが発生しました: ${error.message}`);
+    Logger.log("handleResultSheetEdit エラー: " + error.message);
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+/**
+ * 結果列の1セルの編集が記録できない理由を返します
+ * @param {Sheet} inProgressSheet - 現在のラウンドシート
+ * @param {number} rowNumber - 編集された行番号（1-indexed）
+ * @param {string} oldValue - 編集前の値
+ * @param {string} newValue - 編集後の値
+ * @returns {string|null} 記録できない理由。記録できる場合はnull
+ */
+function findResultEditRejection(inProgressSheet, rowNumber, oldValue, newValue) {
+  if (getTournamentStatus() !== TOURNAMENT_STATUS.IN_PROGRESS) {
+    return "スイスドローは終了しているため、結果は変更できません。";
+  }
+
+  const { indices, data } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+  const row = data[rowNumber - 1] || [];
+
+  if (!row[indices["ID1"]]) {
+    return "対戦のない行です。";
+  }
+  if (!row[indices["ID2"]]) {
+    return "Byeの行の結果は変更できません。";
+  }
+  if (oldValue !== "") {
+    return "記録済みの結果は変更できません。修正する場合は「🔧 対戦結果の修正」を使用してください。";
+  }
+  if (!RESULT_EDIT_OPTIONS[newValue]) {
+    return `結果はプルダウン（${Object.keys(RESULT_EDIT_OPTIONS).join(" / ")}）から選択してください。`;
+  }
+
+  return null;
+}
+
+/**
+ * 現在のラウンドシートの指定した行の結果列を、対戦履歴に記録されている現在のラウンドの結果に書き戻します
+ * 対戦履歴にない対戦（未記録の卓）と対戦のない行は空欄に戻し、プルダウンを設定し直します。
+ * @param {Sheet} inProgressSheet - 現在のラウンドシート
+ * @param {number} firstRow - 最初の行番号（1-indexed、2以上）
+ * @param {number} lastRow - 最後の行番号（1-indexed）
+ */
+function restoreRecordedResults(inProgressSheet, firstRow, lastRow) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const { indices, data } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+  const roundNumber = getCurrentRound();
+  const pairKey = (player1Id, player2Id) => [player1Id, player2Id || ""].sort().join("|");
+
+  const recordedResults = new Map();
+  readHistoryRecords(ss.getSheetByName(SHEET_HISTORY))
+    .filter((match) => match.round === roundNumber && match.stage === MATCH_STAGE.SWISS)
+    .forEach((match) => recordedResults.set(pairKey(match.player1Id, match.player2Id), match.result));
+
+  const endRow = Math.min(lastRow, data.length);
+  if (endRow < firstRow) return;
+
+  const values = [];
+  for (let rowNumber = firstRow; rowNumber <= endRow; rowNumber++) {
+    const row = data[rowNumber - 1];
+    const key = pairKey(row[indices["ID1"]], row[indices["ID2"]]);
+    values.push([row[indices["ID1"]] && recordedResults.has(key) ? recordedResults.get(key) : ""]);
+  }
+
+  inProgressSheet.getRange(firstRow, indices["結果"] + 1, values.length, 1).setValues(values);
+  applyResultDropdowns(inProgressSheet);
+  Logger.log(`現在のラウンドシートの${firstRow}～${endRow}行目の結果列を対戦履歴の内容に戻しました。`);
+}
+
+/**
+ * シートからの結果入力の結果をトーストで表示します
+ * @param {string} message - 表示するメッセージ
+ */
+function notifyResultSheetEdit(message) {
+  SpreadsheetApp.getActiveSpreadsheet().toast(message, "対戦結果の入力", 10);
+}
@@ -0,0 +1,128 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview 対戦結果入力サイドバー - 未記録の卓をワンクリックで記録
+ * @author springOK
+ *
+ * 画面は result-sidebar.html。サイドバーからは google.script.run で
+ * getResultSidebarData() と recordResultFromSidebar() を呼び出します。
+ */
+
+// =========================================
+// 対戦結果入力サイドバー
+// =========================================
+
+const RESULT_SIDEBAR_FILE = "result-sidebar";
+
+/**
+ * サイドバーのボタンと recordMatchResult() の結果の種類の対応
+ * swapPlayers: true の場合はプレイヤー2を勝者として渡す
+ */
+const SIDEBAR_OUTCOMES = {
+  p1: { resultType: "win", swapPlayers: false },
+  p2: { resultType: "win", swapPlayers: true },
+  draw: { resultType: "draw", swapPlayers: false },
+  double_loss: { resultType: "double_loss", swapPlayers: false },
+};
+
+/**
+ * 対戦結果入力サイドバーを表示します
+ */
+function showResultSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile(RESULT_SIDEBAR_FILE).setTitle("対戦結果の記録");
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * サイドバーに表示する現在のラウンドの状態を返します
+ * @returns {Object} { available, message, round, drawPoints, remaining, complete, openMatches }
+ *   - openMatches: { matchRow, tableNumber, player1Id, player1Name, player2Id, player2Name } の配列（卓番号順、matchRow は0-indexed）
+ */
+function getResultSidebarData() {
+  const tournamentStatus = getTournamentStatus();
+  const currentRound = getCurrentRound();
+  const empty = { round: currentRound, drawPoints: getDrawPoints(), remaining: 0, complete: true, openMatches: [] };
+
+  if (tournamentStatus === TOURNAMENT_STATUS.FINISHED) {
+    return { ...empty, available: false, message: "このトーナメントは既に終了しています。" };
+  }
+  if (tournamentStatus === TOURNAMENT_STATUS.TOP_CUT) {
+    return { ...empty, available: false, message: "トップカットの結果は「🏆 トップカットの結果記録」から記録してください。" };
+  }
+  if (currentRound === 0) {
+    return { ...empty, available: false, message: "トーナメントが開始されていません。先にラウンドを開始してください。" };
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const names = new Map(readPlayerRecords(ss.getSheetByName(SHEET_PLAYERS)).map((player) => [player.id, player.name]));
+
+  const openMatches = readInProgressRecords(ss.getSheetByName(SHEET_IN_PROGRESS))
+    .filter((match) => match.player1Id && match.player2Id && !match.result)
+    .sort((a, b) => a.tableNumber - b.tableNumber)
+    .map((match) => ({
+      matchRow: match.rowNumber - 1,
+      tableNumber: match.tableNumber,
+      player1Id: match.player1Id,
+      player1Name: names.get(match.player1Id) || match.player1Id,
+      player2Id: match.player2Id,
+      player2Name: names.get(match.player2Id) || match.player2Id,
+    }));
+
+  return {
+    ...empty,
+    available: true,
+    message: "",
+    remaining: countRemainingMatches(),
+    complete: isRoundComplete(),
+    openMatches: openMatches,
+  };
+}
+
+/**
+ * サイドバーのボタンから対戦結果を記録し、最新の状態を返します
+ * 表示後に他のスタッフが記録・席の入れ替えをした場合に備え、ロックを取得してから行の対戦者を照合して記録します。
+ * @param {number} matchRow - 現在のラウンドシートの行番号（0-indexed）
+ * @param {string} player1Id - 表示していたプレイヤー1のID
+ * @param {string} player2Id - 表示していたプレイヤー2のID
+ * @param {string} outcome - 'p1'（プレイヤー1の勝利）、'p2'（プレイヤー2の勝利）、'draw'、'double_loss'
+ * @returns {Object} getResultSidebarData() の戻り値に、記録した内容の message を加えたもの
+ * @throws {Error} 記録できない場合（サイドバーにメッセージとして表示されます）
+ */
+function recordResultFromSidebar(matchRow, player1Id, player2Id, outcome) {
+  const sidebarOutcome = SIDEBAR_OUTCOMES[outcome];
+  if (!sidebarOutcome) {
+    throw new Error(`不明な結果の種類です: ${outcome}`);
+  }
+
+  let lock = null;
+  let match = null;
+
+  try {
+    lock = acquireLock("対戦結果の記録");
+
+    const current = getResultSidebarData();
+    if (!current.available) {
+      throw new Error(current.message);
+    }
+
+    match = current.openMatches.find((openMatch) => openMatch.matchRow === matchRow);
+    if (!match || match.player1Id !== player1Id || match.player2Id !== player2Id) {
+      throw new Error("この対戦は既に記録されたか、組み合わせが変更されています。表示を更新してください。");
+    }
+
+    const [winnerId, otherId] = sidebarOutcome.swapPlayers ? [player2Id, player1Id] : [player1Id, player2Id];
+    commitMatchResult(winnerId, otherId, matchRow, sidebarOutcome.resultType);
+  } catch (e) {
+    Logger.log("recordResultFromSidebar エラー: " + e.message);
+    throw e;
+  } finally {
+    releaseLock(lock);
+  }
+
+  const resultLabel = {
+    win: `${sidebarOutcome.swapPlayers ? match.player2Name : match.player1Name} 勝利`,
+    draw: MATCH_RESULT.DRAW,
+    double_loss: MATCH_RESULT.DOUBLE_LOSS,
+  }[sidebarOutcome.resultType];
+
+  return { ...getResultSidebarData(), message: `卓${match.tableNumber}: ${resultLabel} を記録しました。` };
+}
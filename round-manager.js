@@ -33,40 +33,39 @@ function setCurrentRound(roundNumber) {
  * @returns {boolean} すべての対戦結果が記録されている場合true
  */
 function isRoundComplete() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
-
   try {
-    const { indices, data } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+    return countRemainingMatches() === 0;
+  } catch (e) {
+    Logger.log("isRoundComplete エラー: " + e.message);
+    return false;
+  }
+}
 
-    // データ行がない場合は完了とみなす
-    if (data.length <= 1) {
-      return true;
-    }
+/**
+ * 現在のラウンドで結果が記録されていない対戦の数を返します
+ * @returns {number} 未記録の対戦数（データ行がない場合は0）
+ */
+function countRemainingMatches() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
+  const { indices, data } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+  let remaining = 0;
 
-    // すべての対戦に結果が記録されているかチェック
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      const id1 = row[indices["ID1"]];
-      const id2 = row[indices["ID2"]];
-      const result = row[indices["結果"]];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
 
-      // 対戦が存在するのに結果が記録されていない場合
-      if (id1 && !result) {
-        return false;
-      }
+    // 対戦が存在するのに結果が記録されていない場合
+    if (row[indices["ID1"]] && !row[indices["結果"]]) {
+      remaining++;
     }
-
-    return true;
-  } catch (e) {
-    Logger.log("isRoundComplete エラー: " + e.message);
-    return false;
   }
+
+  return remaining;
 }
 
 /**
  * 新しいラウンドを開始します
- * @returns {Object} { success: boolean, message: string, round: number }
+ * @returns {Object} { success: boolean, message: string, round: number, warnings: Array<string>, overrides: Array<string> }
  */
 function startNewRound() {
   const ui = SpreadsheetApp.getUi();
@@ -74,6 +73,7 @@ function startNewRound() {
 
   try {
     lock = acquireLock("新ラウンド開始");
+    const stateBefore = captureWorkbookState();
 
     // 現在のラウンドが終了しているかチェック
     const currentRound = getCurrentRound();
@@ -85,54 +85,274 @@ function startNewRound() {
       };
     }
 
-    // 参加中のプレイヤー数をチェック
+    const result = openNextRound(currentRound);
+    if (result.success) {
+      recordOperation("新ラウンド開始", `ラウンド${result.round}`, stateBefore);
+    }
+    return result;
+  } catch (e) {
+    Logger.log("startNewRound エラー: " + e.message);
+    return {
+      success: false,
+      message: "エラーが発生しました: " + e.toString(),
+    };
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+/**
+ * 次のラウンドを開始し、マッチングを実行します
+ * 呼び出し元でロックを取得していることが前提です（startNewRound、redoCurrentRound から使用）。
+ * プレイヤー数・卓数が足りない場合、マッチングに失敗した場合（禁止ペアを満たせないなど）は、
+ * シートとラウンド番号を呼び出し前の状態に戻して失敗を返します。
+ * @param {number} currentRound - 現在のラウンド番号（終了済み）
+ * @returns {Object} { success: boolean, message: string, round: number, warnings: Array<string>, overrides: Array<string> }
+ */
+function openNextRound(currentRound) {
+  // 参加中のプレイヤー数をチェック
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
+  const { indices: playerIndices, data: playerData } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+
+  const activePlayers = playerData.slice(1).filter((row) => row[playerIndices["参加状況"]] === PLAYER_STATUS.ACTIVE);
+
+  if (activePlayers.length < 2) {
+    return {
+      success: false,
+      message: `参加中のプレイヤーが${activePlayers.length}人しかいません。2人以上必要です。`,
+    };
+  }
+
+  // 卓数をチェック（Byeは卓を使用しない）
+  const matchCount = Math.floor(activePlayers.length / 2);
+  const availableTableCount = listAvailableTables(getMaxTables(), getUnavailableTables()).length;
+
+  if (matchCount > availableTableCount) {
+    return {
+      success: false,
+      message:
+        `卓が不足しています。${matchCount}組の対戦に対し、使用可能な卓は${availableTableCount}卓です。\n` +
+        "「⚙️ 最大卓数の設定」または「⚙️ 使用不可の卓の設定」を見直してください。",
+    };
+  }
+
+  // 新しいラウンド番号
+  const newRound = currentRound + 1;
+
+  // マッチングに失敗した場合に書き戻すため、シートを変更する前の状態を取得
+  const stateBefore = captureWorkbookState();
+
+  // 現在のラウンドシートをクリア
+  const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
+  if (inProgressSheet.getLastRow() > 1) {
+    inProgressSheet.getRange(2, 1, inProgressSheet.getLastRow() - 1, inProgressSheet.getLastColumn()).clearContent();
+  }
+
+  // ラウンド番号を更新
+  setCurrentRound(newRound);
+
+  // 勝率を更新（ラウンド2以降）
+  if (newRound > 1) {
+    updateAllOpponentWinRates();
+    rebuildStandingsSheet();
+  }
+
+  // マッチングを実行
+  const pairing = matchPlayersSwiss(newRound);
+
+  if (pairing.matchCount === 0) {
+    restoreWorkbookState(stateBefore);
+    if (newRound > 1) {
+      rebuildStandingsSheet();
+    }
+    return {
+      success: false,
+      message: "マッチングに失敗しました。" + pairing.warnings.map((warning) => `\n${warning}`).join(""),
+    };
+  }
+
+  // ラウンドタイマーを開始し、各卓の終了時刻を書き込む
+  const roundEnd = startRoundTimer(newRound);
+
+  return {
+    success: true,
+    message: `ラウンド${newRound}を開始しました。${pairing.matchCount}組のマッチングが成立しました。\n終了時刻: ${formatClockTime(roundEnd)}（${getRoundLength()}分）`,
+    round: newRound,
+    warnings: pairing.warnings,
+    overrides: pairing.overrides,
+  };
+}
+
+/**
+ * ラウンド開始のUIラッパー関数
+ */
+function startNewRoundUI() {
+  const ui = SpreadsheetApp.getUi();
+
+  // トーナメントが終了しているかチェック
+  const tournamentStatus = getTournamentStatus();
+  if (tournamentStatus === TOURNAMENT_STATUS.FINISHED) {
+    ui.alert("トーナメント終了済み", "このトーナメントは既に終了しています。\n新しいラウンドは開始できません。", ui.ButtonSet.OK);
+    return;
+  }
+  if (tournamentStatus === TOURNAMENT_STATUS.TOP_CUT) {
+    ui.alert("トップカット進行中", "スイスドローは終了し、トップカットが進行中です。\n新しいラウンドは開始できません。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const currentRound = getCurrentRound();
+
+  const confirmResponse = ui.alert("新ラウンド開始", `現在: ラウンド${currentRound}\n\n` + `ラウンド${currentRound + 1}を開始しますか？`, ui.ButtonSet.YES_NO);
+
+  if (confirmResponse !== ui.Button.YES) {
+    ui.alert("処理をキャンセルしました。");
+    return;
+  }
+
+  const result = startNewRound();
+
+  if (!result.success) {
+    ui.alert("エラー", result.message, ui.ButtonSet.OK);
+    return;
+  }
+
+  if (result.warnings.length > 0 || result.overrides.length > 0) {
+    ui.alert(result.warnings.length > 0 ? "マッチングの警告" : "マッチング結果", result.message + formatPairingNotes(result), ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * マッチングの警告と反映した手動調整を、ダイアログに表示する文字列にします
+ * @param {{warnings: Array<string>, overrides: Array<string>}} result - startNewRound() / redoCurrentRound() の戻り値
+ * @returns {string} 表示する文字列（どちらもない場合は空文字列）
+ */
+function formatPairingNotes(result) {
+  const sections = [];
+  if (result.warnings.length > 0) {
+    sections.push("【警告】\n" + result.warnings.map((warning) => `・${warning}`).join("\n"));
+  }
+  if (result.overrides.length > 0) {
+    sections.push("【手動調整】\n" + result.overrides.map((override) => `・${override}`).join("\n"));
+  }
+  return sections.map((section) => `\n\n${section}`).join("");
+}
+
+/**
+ * 現在のラウンドの組み合わせを取り消し、マッチングをやり直します
+ * Bye・欠席ラウンド以外の対戦結果が1件でも記録されている場合は実行できません。
+ * ラウンド開始時に記録したByeは、対戦履歴の行とプレイヤーの統計から取り消します。
+ * 途中参加者の欠席ラウンド（不戦敗・0点Bye）はそのまま残し、そのプレイヤーは組み直したラウンドにも参加しません。
+ * @param {Array<string>} [dropPlayerIds] - やり直す前にドロップさせるプレイヤーID（やり直すラウンドから不参加）
+ * @returns {Object} { success: boolean, message: string, round: number, warnings: Array<string>, overrides: Array<string> }
+ */
+function redoCurrentRound(dropPlayerIds = []) {
+  let lock = null;
+
+  try {
+    lock = acquireLock("ラウンドのやり直し");
+    const stateBefore = captureWorkbookState();
+
+    const tournamentStatus = getTournamentStatus();
+    if (tournamentStatus !== TOURNAMENT_STATUS.IN_PROGRESS) {
+      return { success: false, message: `トーナメントの状態が「${tournamentStatus}」のため、ラウンドをやり直せません。` };
+    }
+
+    const currentRound = getCurrentRound();
+    if (currentRound === 0) {
+      return { success: false, message: "ラウンドが開始されていません。" };
+    }
+
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
-    const { indices: playerIndices, data: playerData } = getSheetStructure(playerSheet, SHEET_PLAYERS);
-
-    const activePlayers = playerData.slice(1).filter((row) => row[playerIndices["参加状況"]] === PLAYER_STATUS.ACTIVE);
+    const historySheet = ss.getSheetByName(SHEET_HISTORY);
+    const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
 
-    if (activePlayers.length < 2) {
+    // 結果が記録された対戦があればやり直さない（Byeと途中参加者の欠席ラウンドは自動で記録した行のため除く）
+    const roundHistory = readHistoryRecords(historySheet).filter((match) => match.round === currentRound && match.stage !== MATCH_STAGE.TOP_CUT);
+    const automaticResults = [MATCH_RESULT.BYE, MATCH_RESULT.MISSED_LOSS, MATCH_RESULT.MISSED_BYE];
+    const recorded = roundHistory.filter((match) => !automaticResults.includes(match.result)).map((match) => `${match.matchId}: ${match.result}`);
+    if (recorded.length === 0) {
+      // 対戦履歴の行が削除されていても、現在のラウンドシートに結果があればやり直さない
+      readInProgressRecords(inProgressSheet)
+        .filter((match) => match.player2Id && match.result)
+        .forEach((match) => recorded.push(`卓${match.tableNumber}: ${match.result}`));
+    }
+    if (recorded.length > 0) {
       return {
         success: false,
-        message: `参加中のプレイヤーが${activePlayers.length}人しかいません。2人以上必要です。`,
+        message: `ラウンド${currentRound}には記録済みの結果があるため、やり直せません：\n\n` + recorded.join("\n"),
       };
     }
 
-    // 新しいラウンド番号
-    const newRound = currentRound + 1;
+    const players = readPlayerRecords(playerSheet);
+    const unknownIds = dropPlayerIds.filter((playerId) => !players.some((player) => player.id === playerId));
+    if (unknownIds.length > 0) {
+      return { success: false, message: `プレイヤー ${unknownIds.join(", ")} が見つかりません。` };
+    }
+
+    // Byeの対戦履歴を削除（ラウンド開始時に追記した行のため末尾にある。後ろの行から削除して対戦IDの採番を保つ）
+    const byes = roundHistory.filter((match) => match.result === MATCH_RESULT.BYE);
+    byes
+      .map((match) => match.rowNumber)
+      .sort((a, b) => b - a)
+      .forEach((rowNumber) => historySheet.deleteRow(rowNumber));
+
+    // Byeの統計を取り消し、最終対戦日時を残った対戦履歴の最後の対戦に戻す
+    const { indices: playerIndices } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+    const { indices: historyIndices, data: historyData } = getSheetStructure(historySheet, SHEET_HISTORY);
+    const byeDelta = calculateResultStats("bye");
+
+    for (const bye of byes) {
+      const player = players.find((candidate) => candidate.id === bye.player1Id);
+      if (!player) continue;
+
+      const lastMatch = historyData
+        .slice(1)
+        .reverse()
+        .find((row) => row[historyIndices["ID1"]] === player.id || row[historyIndices["ID2"]] === player.id);
+
+      const rowNum = player.rowNumber;
+      playerSheet.getRange(rowNum, playerIndices["勝点"] + 1).setValue(player.points - byeDelta.points);
+      playerSheet.getRange(rowNum, playerIndices["勝数"] + 1).setValue(player.wins - byeDelta.wins);
+      playerSheet.getRange(rowNum, playerIndices["試合数"] + 1).setValue(player.matches - byeDelta.matches);
+      playerSheet.getRange(rowNum, playerIndices["バイ数"] + 1).setValue(player.byes - 1);
+      playerSheet.getRange(rowNum, playerIndices["ゲーム勝数"] + 1).setValue(player.gameWins - SWISS_CONFIG.BYE_GAME_WINS);
+      playerSheet.getRange(rowNum, playerIndices["最終対戦日時"] + 1).setValue(lastMatch ? lastMatch[historyIndices["日時"]] : "");
+      Logger.log(`Bye取り消し: ${player.id}（ラウンド${currentRound}）`);
+    }
 
-    // 現在のラウンドシートをクリア
-    const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
+    // 組み合わせを削除し、ラウンド番号を戻す
     if (inProgressSheet.getLastRow() > 1) {
       inProgressSheet.getRange(2, 1, inProgressSheet.getLastRow() - 1, inProgressSheet.getLastColumn()).clearContent();
     }
-
-    // ラウンド番号を更新
-    setCurrentRound(newRound);
-
-    // 勝率を更新（ラウンド2以降）
-    if (newRound > 1) {
-      updateAllOpponentWinRates();
+    setCurrentRound(currentRound - 1);
+
+    // 誤って参加中のままだったプレイヤーは、やり直すラウンドから不参加とする
+    for (const playerId of dropPlayerIds) {
+      const player = players.find((candidate) => candidate.id === playerId);
+      playerSheet.getRange(player.rowNumber, playerIndices["参加状況"] + 1).setValue(PLAYER_STATUS.DROPPED);
+      playerSheet.getRange(player.rowNumber, playerIndices["ドロップラウンド"] + 1).setValue(currentRound);
+      Logger.log(`プレイヤー ${playerId} をドロップアウトさせました（ラウンド${currentRound}から不参加）。`);
     }
 
-    // マッチングを実行
-    const matchCount = matchPlayersSwiss(newRound);
+    Logger.log(`ラウンド${currentRound}の組み合わせを取り消しました（Bye ${byes.length}件）。`);
+
+    const result = openNextRound(currentRound - 1);
+    recordOperation("ラウンドのやり直し", `ラウンド${currentRound}`, stateBefore);
 
-    if (matchCount === 0) {
+    if (!result.success) {
       return {
         success: false,
-        message: "マッチングに失敗しました。",
+        message:
+          `ラウンド${currentRound}の組み合わせを取り消しましたが、マッチングできませんでした。\n${result.message}\n\n` +
+          "問題を解決してから「🎯 新ラウンド開始」を実行してください。",
       };
     }
 
-    return {
-      success: true,
-      message: `ラウンド${newRound}を開始しました。${matchCount}組のマッチングが成立しました。`,
-      round: newRound,
-    };
+    return { ...result, message: `ラウンド${currentRound}をやり直しました。${result.message}` };
   } catch (e) {
-    Logger.log("startNewRound エラー: " + e.message);
+    Logger.log("redoCurrentRound エラー: " + e.message);
     return {
       success: false,
       message: "エラーが発生しました: " + e.toString(),
@@ -143,32 +363,56 @@ function startNewRound() {
 }
 
 /**
- * ラウンド開始のUIラッパー関数
+ * ラウンドのやり直しのUIラッパー関数
  */
-function startNewRoundUI() {
+function redoCurrentRoundUI() {
   const ui = SpreadsheetApp.getUi();
+  const currentRound = getCurrentRound();
 
-  // トーナメントが終了しているかチェック
-  const tournamentStatus = getTournamentStatus();
-  if (tournamentStatus === TOURNAMENT_STATUS.FINISHED) {
-    ui.alert("トーナメント終了済み", "このトーナメントは既に終了しています。\n新しいラウンドは開始できません。", ui.ButtonSet.OK);
+  if (currentRound === 0) {
+    ui.alert("ラウンド未開始", "ラウンドが開始されていません。", ui.ButtonSet.OK);
     return;
   }
 
-  const currentRound = getCurrentRound();
+  const response = ui.prompt(
+    "ラウンドのやり直し",
+    `ラウンド${currentRound}の組み合わせ（Byeを含む）を取り消し、マッチングをやり直します。\n` +
+      "Byeと欠席ラウンド以外の対戦結果が記録されている場合はやり直せません。\n\n" +
+      "やり直す前にドロップさせるプレイヤーがいる場合は、プレイヤーIDの数字部分をカンマ区切りで入力してください（例: 3, 12）。\n" +
+      "いない場合は空欄のままOKを押してください。",
+    ui.ButtonSet.OK_CANCEL
+  );
 
-  const confirmResponse = ui.alert("新ラウンド開始", `現在: ラウンド${currentRound}\n\n` + `ラウンド${currentRound + 1}を開始しますか？`, ui.ButtonSet.YES_NO);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("処理をキャンセルしました。");
+    return;
+  }
+
+  const dropPlayerIds = parsePlayerIdList(response.getResponseText());
+  if (!dropPlayerIds) {
+    ui.alert("エラー", "IDは数字のみをカンマ区切りで入力してください。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const confirmResponse = ui.alert(
+    "ラウンドのやり直しの確認",
+    `ラウンド${currentRound}をやり直しますか？` + (dropPlayerIds.length > 0 ? `\n\nドロップさせるプレイヤー: ${dropPlayerIds.join(", ")}` : ""),
+    ui.ButtonSet.YES_NO
+  );
 
   if (confirmResponse !== ui.Button.YES) {
     ui.alert("処理をキャンセルしました。");
     return;
   }
 
-  const result = startNewRound();
+  const result = redoCurrentRound(dropPlayerIds);
 
   if (!result.success) {
     ui.alert("エラー", result.message, ui.ButtonSet.OK);
+    return;
   }
+
+  ui.alert("ラウンドのやり直し完了", result.message + formatPairingNotes(result), ui.ButtonSet.OK);
 }
 
 /**
@@ -204,6 +448,12 @@ function finishTournament() {
   try {
     const status = getTournamentStatus();
 
+    // トップカット中は優勝者が決まると自動的に終了する
+    if (status === TOURNAMENT_STATUS.TOP_CUT) {
+      ui.alert("トップカット進行中", "トップカットが進行中です。\n決勝の結果を記録するとトーナメントが終了します。", ui.ButtonSet.OK);
+      return;
+    }
+
     // 既に終了している場合はOMW%再計算のみ実行
     if (status === TOURNAMENT_STATUS.FINISHED) {
       const confirmResponse = ui.alert(
@@ -218,11 +468,14 @@ function finishTournament() {
       }
 
       lock = acquireLock("OMW%再計算");
+      const stateBefore = captureWorkbookState();
 
       // OMW%を再計算
       updateAllOpponentWinRates();
+      rebuildStandingsSheet();
+      recordOperation("OMW%再計算", "", stateBefore);
 
-      ui.alert("OMW%再計算完了", "OMW%の再計算が完了しました。\n\n" + "最新の順位は「🏅 順位表示」から確認できます。", ui.ButtonSet.OK);
+      ui.alert("OMW%再計算完了", "OMW%の再計算が完了しました。\n\n" + "最新の順位は「順位表」シートで確認できます。", ui.ButtonSet.OK);
       return;
     }
 
@@ -244,14 +497,17 @@ function finishTournament() {
     }
 
     lock = acquireLock("トーナメント終了");
+    const stateBefore = captureWorkbookState();
 
-    // OMW%を最終更新
+    // OMW%を最終更新し、最終順位を順位表シートに出力
     updateAllOpponentWinRates();
+    rebuildStandingsSheet();
 
     // トーナメント状態を終了に設定
     setTournamentStatus(TOURNAMENT_STATUS.FINISHED);
+    recordOperation("トーナメント終了", "", stateBefore);
 
-    ui.alert("トーナメント終了", "トーナメントが正常に終了しました。\n\n" + "最終順位は「🏅 順位表示」から確認できます。", ui.ButtonSet.OK);
+    ui.alert("トーナメント終了", "トーナメントが正常に終了しました。\n\n" + "最終順位（ドロップしたプレイヤーを含む）は「順位表」シートで確認できます。", ui.ButtonSet.OK);
   } catch (e) {
     Logger.log("finishTournament エラー: " + e.message);
     ui.alert("エラー", "トーナメント終了中にエラーが発生しました: " + e.message, ui.ButtonSet.OK);
@@ -0,0 +1,285 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview ラウンドタイマー - ラウンドの開始時刻・制限時間・卓ごとの時間延長
+ * @author springOK
+ *
+ * ラウンド開始時に開始時刻とラウンド時間をドキュメントプロパティに保存し、
+ * 現在のラウンドシートの終了時刻列に各卓の終了時刻を書き込みます。
+ * 時計は round-timer.html のサイドバーに表示します。
+ */
+
+// =========================================
+// ラウンドタイマー
+// =========================================
+
+const ROUND_TIMER_FILE = "round-timer";
+const ROUND_TIMER_PROPERTY = "ROUND_TIMER";
+
+/**
+ * 現在のラウンドのタイマーを取得します
+ * @returns {{round: number, startedAt: number, lengthMinutes: number, extensions: Object<string, number>}|null}
+ *   startedAt はミリ秒、extensions は卓番号 → 延長した分数。現在のラウンドのタイマーがない場合はnull
+ */
+function getRoundTimer() {
+  const saved = PropertiesService.getDocumentProperties().getProperty(ROUND_TIMER_PROPERTY);
+  if (!saved) return null;
+
+  try {
+    const timer = JSON.parse(saved);
+    return timer.round === getCurrentRound() ? timer : null;
+  } catch (e) {
+    Logger.log("getRoundTimer エラー: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * ラウンドのタイマーを保存します
+ * @param {{round: number, startedAt: number, lengthMinutes: number, extensions: Object<string, number>}} timer - タイマー
+ */
+function setRoundTimer(timer) {
+  PropertiesService.getDocumentProperties().setProperty(ROUND_TIMER_PROPERTY, JSON.stringify(timer));
+}
+
+/**
+ * ラウンドのタイマーを開始し、各卓の終了時刻を現在のラウンドシートに書き込みます
+ * 呼び出し元でロックを取得していることが前提です（openNextRound から使用）。
+ * @param {number} roundNumber - 開始したラウンド番号
+ * @returns {Date} ラウンドの終了時刻
+ */
+function startRoundTimer(roundNumber) {
+  const timer = { round: roundNumber, startedAt: new Date().getTime(), lengthMinutes: getRoundLength(), extensions: {} };
+  setRoundTimer(timer);
+  writeTableEndTimes(timer);
+  return getTableEndTime(timer, null);
+}
+
+/**
+ * 卓の終了時刻を返します
+ * @param {Object} timer - getRoundTimer() のタイマー
+ * @param {number|null} tableNumber - 卓番号（null の場合は延長を含まないラウンドの終了時刻）
+ * @returns {Date} 終了時刻
+ */
+function getTableEndTime(timer, tableNumber) {
+  const extension = tableNumber === null ? 0 : timer.extensions[String(tableNumber)] || 0;
+  return new Date(timer.startedAt + (timer.lengthMinutes + extension) * 60 * 1000);
+}
+
+/**
+ * 時刻を「HH:mm」形式にします
+ * @param {Date} date - 時刻
+ * @returns {string} 例: 14:50
+ */
+function formatClockTime(date) {
+  return Utilities.formatDate(date, "Asia/Tokyo", "HH:mm");
+}
+
+/**
+ * 現在のラウンドシートの終了時刻列に、各卓の終了時刻を書き込みます（Byeの行は空欄）
+ * @param {Object} timer - getRoundTimer() のタイマー
+ */
+function writeTableEndTimes(timer) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
+  const { indices, data } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+  if (data.length <= 1) return;
+
+  const endTimes = data.slice(1).map((row) => [row[indices["ID1"]] && row[indices["ID2"]] ? formatClockTime(getTableEndTime(timer, row[indices["卓番号"]])) : ""]);
+  inProgressSheet.getRange(2, indices["終了時刻"] + 1, endTimes.length, 1).setValues(endTimes);
+}
+
+/**
+ * 終了時刻を過ぎても結果が記録されていない卓を返します（Byeを除く）
+ * @param {Object} timer - getRoundTimer() のタイマー
+ * @param {Date} now - 現在時刻
+ * @returns {Array<Object>} { tableNumber, player1Id, player2Id, endsAt } の配列（卓番号順）
+ */
+function findOverdueTables(timer, now) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  return readInProgressRecords(ss.getSheetByName(SHEET_IN_PROGRESS))
+    .filter((match) => match.player1Id && match.player2Id && !match.result)
+    .map((match) => ({ ...match, endsAt: getTableEndTime(timer, match.tableNumber) }))
+    .filter((match) => match.endsAt.getTime() <= now.getTime())
+    .sort((a, b) => a.tableNumber - b.tableNumber)
+    .map((match) => ({ tableNumber: match.tableNumber, player1Id: match.player1Id, player2Id: match.player2Id, endsAt: match.endsAt }));
+}
+
+// =========================================
+// 時間延長・時間切れの卓（UI層）
+// =========================================
+
+/**
+ * 卓ごとに時間を延長します（ジャッジ裁定などで中断した時間の補填）
+ * 延長した分は卓の終了時刻と備考に反映されます。同じ卓を複数回延長すると合計されます。
+ */
+function extendTableTime() {
+  const ui = SpreadsheetApp.getUi();
+  let lock = null;
+
+  if (getTournamentStatus() !== TOURNAMENT_STATUS.IN_PROGRESS || !getRoundTimer()) {
+    ui.alert("エラー", "時間を延長できる進行中のラウンドがありません。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const tableResponse = ui.prompt("時間延長", "時間を延長する卓番号を入力してください：", ui.ButtonSet.OK_CANCEL);
+  if (tableResponse.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("処理をキャンセルしました。");
+    return;
+  }
+
+  const rawTable = tableResponse.getResponseText().trim().normalize("NFKC");
+  if (!/^\d+$/.test(rawTable)) {
+    ui.alert("エラー", "卓番号は数字のみで入力してください。", ui.ButtonSet.OK);
+    return;
+  }
+  const tableNumber = parseInt(rawTable, 10);
+
+  const minutesResponse = ui.prompt(
+    "時間延長",
+    `卓${tableNumber} の延長時間（分）を入力してください（1～${ROUND_TIMER_CONFIG.MAX_EXTENSION_MINUTES}）：`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (minutesResponse.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("処理をキャンセルしました。");
+    return;
+  }
+
+  const rawMinutes = minutesResponse.getResponseText().trim().normalize("NFKC");
+  const minutes = parseInt(rawMinutes, 10);
+  if (!/^\d+$/.test(rawMinutes) || minutes < 1 || minutes > ROUND_TIMER_CONFIG.MAX_EXTENSION_MINUTES) {
+    ui.alert("エラー", `延長時間は1～${ROUND_TIMER_CONFIG.MAX_EXTENSION_MINUTES}分の範囲で入力してください。`, ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    lock = acquireLock("時間延長");
+    const stateBefore = captureWorkbookState();
+
+    const timer = getRoundTimer();
+    if (!timer) {
+      throw new Error("時間を延長できる進行中のラウンドがありません。");
+    }
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const inProgressSheet = ss.getSheetByName(SHEET_IN_PROGRESS);
+    const match = readInProgressRecords(inProgressSheet).find((record) => record.tableNumber === tableNumber);
+
+    if (!match) {
+      ui.alert("エラー", `卓${tableNumber} は現在のラウンドにありません。`, ui.ButtonSet.OK);
+      return;
+    }
+    if (!match.player2Id) {
+      ui.alert("エラー", `卓${tableNumber} はByeのため、時間を延長できません。`, ui.ButtonSet.OK);
+      return;
+    }
+    if (match.result) {
+      ui.alert("エラー", `卓${tableNumber} は既に結果が記録されています（${match.result}）。`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const key = String(tableNumber);
+    timer.extensions[key] = (timer.extensions[key] || 0) + minutes;
+    setRoundTimer(timer);
+
+    const { indices } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+    const endTime = formatClockTime(getTableEndTime(timer, tableNumber));
+    const noteCell = inProgressSheet.getRange(match.rowNumber, indices["備考"] + 1);
+    const note = `時間延長 +${minutes}分`;
+    noteCell.setValue(noteCell.getValue() ? `${noteCell.getValue()} / ${note}` : note);
+    inProgressSheet.getRange(match.rowNumber, indices["終了時刻"] + 1).setValue(endTime);
+
+    recordOperation("時間延長", `卓${tableNumber} +${minutes}分`, stateBefore);
+
+    ui.alert("時間延長", `卓${tableNumber} の時間を${minutes}分延長しました（延長の合計: ${timer.extensions[key]}分）。\n終了時刻: ${endTime}`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert("エラー", "エラーが発生しました: " + e.toString(), ui.ButtonSet.OK);
+    Logger.log("extendTableTime エラー: " + e.toString());
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+/**
+ * 終了時刻を過ぎても結果が記録されていない卓を一覧表示します（エンドオブラウンドの手続き用）
+ */
+function showOverdueTables() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const timer = getTournamentStatus() === TOURNAMENT_STATUS.IN_PROGRESS ? getRoundTimer() : null;
+    if (!timer) {
+      ui.alert("時間切れの卓", "進行中のラウンドがありません。", ui.ButtonSet.OK);
+      return;
+    }
+
+    const now = new Date();
+    const overdue = findOverdueTables(timer, now);
+
+    if (overdue.length === 0) {
+      const roundEnd = getTableEndTime(timer, null);
+      const message =
+        roundEnd.getTime() > now.getTime()
+          ? `ラウンド${timer.round}の終了時刻（${formatClockTime(roundEnd)}）まで、残り${Math.ceil((roundEnd.getTime() - now.getTime()) / 60000)}分です。`
+          : "時間切れで結果が記録されていない卓はありません。";
+      ui.alert("時間切れの卓", message, ui.ButtonSet.OK);
+      return;
+    }
+
+    const list = overdue
+      .map((table) => `卓${table.tableNumber}: ${getPlayerName(table.player1Id)} vs ${getPlayerName(table.player2Id)}（終了時刻 ${formatClockTime(table.endsAt)}）`)
+      .join("\n");
+    ui.alert("時間切れの卓", `終了時刻を過ぎても結果が記録されていない卓（${overdue.length}卓）：\n\n${list}\n\nエンドオブラウンドの手続きを行ってください。`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert("エラー", "エラーが発生しました: " + e.toString(), ui.ButtonSet.OK);
+    Logger.log("showOverdueTables エラー: " + e.toString());
+  }
+}
+
+// =========================================
+// タイマーのサイドバー
+// =========================================
+
+/**
+ * ラウンドタイマーのサイドバーを表示します
+ */
+function showRoundTimerSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile(ROUND_TIMER_FILE).setTitle("ラウンドタイマー");
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * サイドバーに表示するタイマーの状態を返します（時刻はミリ秒）
+ * @returns {Object} { available, message, round, serverNow, endsAt, endsAtLabel, remaining, tables }
+ *   - tables: 未記録の卓のうち、延長した卓または時間切れの卓 { tableNumber, players, endsAt, extensionMinutes } の配列（卓番号順）
+ */
+function getRoundTimerData() {
+  const now = new Date();
+  const timer = getTournamentStatus() === TOURNAMENT_STATUS.IN_PROGRESS ? getRoundTimer() : null;
+  if (!timer) {
+    return { available: false, message: "進行中のラウンドがありません。", serverNow: now.getTime() };
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const tables = readInProgressRecords(ss.getSheetByName(SHEET_IN_PROGRESS))
+    .filter((match) => match.player1Id && match.player2Id && !match.result)
+    .map((match) => ({
+      tableNumber: match.tableNumber,
+      players: `${getPlayerName(match.player1Id)} vs ${getPlayerName(match.player2Id)}`,
+      endsAt: getTableEndTime(timer, match.tableNumber).getTime(),
+      extensionMinutes: timer.extensions[String(match.tableNumber)] || 0,
+    }))
+    .filter((table) => table.extensionMinutes > 0 || table.endsAt <= now.getTime())
+    .sort((a, b) => a.tableNumber - b.tableNumber);
+
+  return {
+    available: true,
+    message: "",
+    round: timer.round,
+    serverNow: now.getTime(),
+    endsAt: getTableEndTime(timer, null).getTime(),
+    endsAtLabel: formatClockTime(getTableEndTime(timer, null)),
+    remaining: countRemainingMatches(),
+    tables: tables,
+  };
+}
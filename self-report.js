@@ -0,0 +1,588 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview セルフ報告 - プレイヤーがスマートフォンから対戦結果を報告するウェブアプリ
+ * @author springOK
+ *
+ * プレイヤーごとのURL（トークン付き）から現在の卓を表示し、一方のプレイヤーが結果を報告します。
+ * 相手が承認した時点で recordMatchResult() により記録し、異議があった報告はジャッジ確認待ちになります。
+ * 画面は self-report.html（doGet/doPost で描画）。ウェブアプリは「次のユーザーとして実行: 自分」でデプロイします。
+ */
+
+// =========================================
+// セルフ報告URL（トークン）
+// =========================================
+
+const SELF_REPORT_FILE = "self-report";
+const SELF_REPORT_TOKENS_PROPERTY = "SELF_REPORT_TOKENS";
+
+/**
+ * 報告結果（報告者から見た結果）と recordMatchResult() の引数の対応
+ * reporterFirst: true の場合は報告者をプレイヤー1（勝者）として渡す
+ */
+const SELF_REPORT_OUTCOMES = {
+  win: { label: "報告者の勝ち", resultType: "win", reporterFirst: true },
+  loss: { label: "相手の勝ち", resultType: "win", reporterFirst: false },
+  draw: { label: MATCH_RESULT.DRAW, resultType: "draw", reporterFirst: true },
+  double_loss: { label: MATCH_RESULT.DOUBLE_LOSS, resultType: "double_loss", reporterFirst: true },
+};
+
+/**
+ * プレイヤーIDごとのセルフ報告トークンを取得します
+ * @returns {Object<string, string>} プレイヤーID → トークン
+ */
+function getSelfReportTokens() {
+  const saved = PropertiesService.getDocumentProperties().getProperty(SELF_REPORT_TOKENS_PROPERTY);
+  if (!saved) return {};
+
+  try {
+    return JSON.parse(saved);
+  } catch (e) {
+    Logger.log("getSelfReportTokens エラー: " + e.message);
+    return {};
+  }
+}
+
+/**
+ * プレイヤーIDごとのセルフ報告トークンを保存します
+ * @param {Object<string, string>} tokens - プレイヤーID → トークン
+ */
+function setSelfReportTokens(tokens) {
+  PropertiesService.getDocumentProperties().setProperty(SELF_REPORT_TOKENS_PROPERTY, JSON.stringify(tokens));
+}
+
+/**
+ * 参加中のプレイヤーにセルフ報告URLを発行し、セルフ報告URLシートに一覧を作成します
+ * 発行済みのプレイヤーは同じURLのままです（途中参加者の追加後に再実行できます）。
+ */
+function issueSelfReportLinks() {
+  const ui = SpreadsheetApp.getUi();
+  let lock = null;
+
+  const serviceUrl = ScriptApp.getService().getUrl();
+  if (!serviceUrl) {
+    ui.alert("エラー", "ウェブアプリがデプロイされていません。\n「デプロイ」→「新しいデプロイ」からウェブアプリとしてデプロイしてください。", ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    lock = acquireLock("セルフ報告URLの発行");
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const players = readPlayerRecords(ss.getSheetByName(SHEET_PLAYERS)).filter((player) => player.status === PLAYER_STATUS.ACTIVE);
+    const tokens = getSelfReportTokens();
+    let issuedCount = 0;
+
+    players.forEach((player) => {
+      if (tokens[player.id]) return;
+      tokens[player.id] = Utilities.getUuid().replace(/-/g, "");
+      issuedCount++;
+    });
+    setSelfReportTokens(tokens);
+
+    let linkSheet = ss.getSheetByName(SHEET_SELF_REPORT_LINKS);
+    if (!linkSheet) {
+      linkSheet = ss.insertSheet(SHEET_SELF_REPORT_LINKS);
+    }
+    resetSelfReportLinkSheet(linkSheet);
+
+    if (players.length > 0) {
+      const rows = players.map((player) =>
+        buildRow(SHEET_SELF_REPORT_LINKS, {
+          "プレイヤーID": player.id,
+          "プレイヤー名": player.name,
+          "URL": `${serviceUrl}?token=${tokens[player.id]}`,
+        })
+      );
+      linkSheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    }
+
+    ui.alert(
+      "セルフ報告URLの発行",
+      `${players.length}名分のURLを「${SHEET_SELF_REPORT_LINKS}」シートに出力しました（新規発行: ${issuedCount}名）。\n` + `URLは本人だけに配布してください。`,
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    ui.alert("エラー", "エラーが発生しました: " + e.toString(), ui.ButtonSet.OK);
+    Logger.log("issueSelfReportLinks エラー: " + e.toString());
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+/**
+ * セルフ報告URLシートをクリアし、ヘッダーを書き込みます
+ * @param {Sheet} linkSheet - セルフ報告URLシート
+ */
+function resetSelfReportLinkSheet(linkSheet) {
+  linkSheet.clear();
+  const headers = REQUIRED_HEADERS[SHEET_SELF_REPORT_LINKS];
+  linkSheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold").setBackground("#ead1dc").setHorizontalAlignment("center");
+  linkSheet.setColumnWidth(headers.indexOf("プレイヤー名") + 1, 150);
+  linkSheet.setColumnWidth(headers.indexOf("URL") + 1, 500);
+}
+
+/**
+ * トークンからプレイヤーを探します
+ * @param {string} token - セルフ報告トークン
+ * @returns {Object|null} readPlayerRecords() のプレイヤー。見つからない場合はnull
+ */
+function findPlayerByToken(token) {
+  if (!token) return null;
+
+  const entry = Object.entries(getSelfReportTokens()).find(([, playerToken]) => playerToken === token);
+  if (!entry) return null;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  return readPlayerRecords(ss.getSheetByName(SHEET_PLAYERS)).find((player) => player.id === entry[0]) || null;
+}
+
+// =========================================
+// 結果報告シート
+// =========================================
+
+/**
+ * 結果報告シートを取得します（ない場合は作成します）
+ * @returns {Sheet} 結果報告シート
+ */
+function getSelfReportSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let reportSheet = ss.getSheetByName(SHEET_SELF_REPORT);
+  if (!reportSheet) {
+    reportSheet = ss.insertSheet(SHEET_SELF_REPORT);
+    resetSelfReportSheet(reportSheet);
+  }
+  return reportSheet;
+}
+
+/**
+ * 結果報告シートをクリアし、ヘッダーを書き込みます
+ * @param {Sheet} reportSheet - 結果報告シート
+ */
+function resetSelfReportSheet(reportSheet) {
+  reportSheet.clear();
+  const headers = REQUIRED_HEADERS[SHEET_SELF_REPORT];
+  reportSheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold").setBackground("#ead1dc").setHorizontalAlignment("center");
+  reportSheet.setColumnWidth(headers.indexOf("状態") + 1, 130);
+  reportSheet.setColumnWidth(headers.indexOf("報告日時") + 1, 150);
+  reportSheet.setColumnWidth(headers.indexOf("更新日時") + 1, 150);
+}
+
+/**
+ * 結果報告シートをプレーンな報告配列に変換します
+ * @param {Sheet} reportSheet - 結果報告シート
+ * @returns {Array<Object>} { reportId, round, tableNumber, reporterId, opponentId, outcome, status, rowNumber } の配列（outcome は SELF_REPORT_OUTCOMES のキー）
+ */
+function readSelfReports(reportSheet) {
+  const { indices, data } = getSheetStructure(reportSheet, SHEET_SELF_REPORT);
+  const reports = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (!row[indices["報告ID"]]) continue;
+
+    const label = row[indices["報告結果"]];
+    reports.push({
+      reportId: row[indices["報告ID"]],
+      round: parseInt(row[indices["ラウンド"]], 10) || 0,
+      tableNumber: parseInt(row[indices["卓番号"]], 10) || 0,
+      reporterId: row[indices["報告者ID"]],
+      opponentId: row[indices["相手ID"]],
+      outcome: Object.keys(SELF_REPORT_OUTCOMES).find((key) => SELF_REPORT_OUTCOMES[key].label === label) || null,
+      status: row[indices["状態"]],
+      rowNumber: i + 1,
+    });
+  }
+
+  return reports;
+}
+
+/**
+ * 報告の状態と更新日時を書き込みます
+ * @param {Sheet} reportSheet - 結果報告シート
+ * @param {number} rowNumber - 報告の行番号（1-indexed）
+ * @param {string} status - SELF_REPORT_STATUS の値
+ */
+function updateSelfReportStatus(reportSheet, rowNumber, status) {
+  const { indices } = getSheetStructure(reportSheet, SHEET_SELF_REPORT);
+  reportSheet.getRange(rowNumber, indices["状態"] + 1).setValue(status);
+  reportSheet.getRange(rowNumber, indices["更新日時"] + 1).setValue(Utilities.formatDate(new Date(), "Asia/Tokyo", "yyyy/MM/dd HH:mm:ss"));
+}
+
+/**
+ * 報告を、指定したプレイヤーから見た文章にします
+ * @param {Object} report - readSelfReports() の報告
+ * @param {string} viewerId - 表示するプレイヤーのID
+ * @returns {string} 例: 「あなたの勝ち」「引き分け」
+ */
+function describeSelfReport(report, viewerId) {
+  if (report.outcome === "draw" || report.outcome === "double_loss") {
+    return SELF_REPORT_OUTCOMES[report.outcome].label;
+  }
+  const reporterWon = report.outcome === "win";
+  return reporterWon === (viewerId === report.reporterId) ? "あなたの勝ち" : "あなたの負け";
+}
+
+/**
+ * 報告を、結果列と同じ形式の文章にします（ジャッジ向けの表示に使用）
+ * @param {Object} report - readSelfReports() の報告
+ * @returns {string} 例: 「<勝者名> 勝利」「引き分け」
+ */
+function formatSelfReportResult(report) {
+  if (report.outcome === "draw" || report.outcome === "double_loss") {
+    return SELF_REPORT_OUTCOMES[report.outcome].label;
+  }
+  return `${getPlayerName(report.outcome === "win" ? report.reporterId : report.opponentId)} 勝利`;
+}
+
+/**
+ * 報告が、現在のラウンドの未記録の対戦（同じ2人）を指しているかを返します
+ * @param {Object} report - readSelfReports() の報告
+ * @returns {{matchRow: number, opponentId: string, tableNumber: number}|null} findOpenMatch() の対戦。記録済み・組み合わせの変更で無効な場合はnull
+ */
+function findReportedMatch(report) {
+  if (report.round !== getCurrentRound()) return null;
+
+  const match = findOpenMatch(report.reporterId);
+  return match && match.opponentId === report.opponentId ? match : null;
+}
+
+/**
+ * 報告どおりに対戦結果を記録し、報告を確定にします
+ * 呼び出し元でロックを取得していることが前提です（対戦の照合から報告の状態の更新までを同じロックの中で行うため）。
+ * 報告の状態も同じ操作として操作ログに記録するため、元に戻すと報告は記録前の状態に戻ります。
+ * @param {Sheet} reportSheet - 結果報告シート
+ * @param {Object} report - readSelfReports() の報告
+ * @throws {Error} 記録済み・組み合わせの変更で対戦が見つからない場合
+ */
+function recordSelfReportResult(reportSheet, report) {
+  const match = findReportedMatch(report);
+  if (!match) {
+    throw new Error("この対戦は既に記録されたか、組み合わせが変更されています。");
+  }
+
+  const outcome = SELF_REPORT_OUTCOMES[report.outcome];
+  const [player1Id, player2Id] = outcome.reporterFirst ? [report.reporterId, report.opponentId] : [report.opponentId, report.reporterId];
+
+  const stateBefore = captureWorkbookState();
+  applyMatchResult(player1Id, player2Id, match.matchRow, outcome.resultType);
+  if (isRoundComplete()) {
+    rebuildStandingsSheet();
+  }
+  updateSelfReportStatus(reportSheet, report.rowNumber, SELF_REPORT_STATUS.CONFIRMED);
+  recordOperation("対戦結果の記録", `${player1Id} vs ${player2Id}`, stateBefore);
+}
+
+// =========================================
+// ウェブアプリ（プレイヤー画面）
+// =========================================
+
+/**
+ * ウェブアプリのGETリクエストを処理します（プレイヤー画面の表示）
+ * @param {Object} e - イベントオブジェクト（e.parameter.token にセルフ報告トークン）
+ * @returns {HtmlOutput} プレイヤー画面
+ */
+function doGet(e) {
+  const token = e && e.parameter ? e.parameter.token : "";
+  return renderSelfReportPage(token, { message: "", isError: false });
+}
+
+/**
+ * ウェブアプリのPOSTリクエストを処理します（報告・承認・異議・取り消し）
+ * @param {Object} e - イベントオブジェクト（e.parameter に token, action, outcome, reportId）
+ * @returns {HtmlOutput} 処理結果を表示したプレイヤー画面
+ */
+function doPost(e) {
+  const params = e && e.parameter ? e.parameter : {};
+  return renderSelfReportPage(params.token, handleSelfReportPost(params));
+}
+
+/**
+ * プレイヤー画面を描画します
+ * @param {string} token - セルフ報告トークン
+ * @param {{message: string, isError: boolean}} notice - 画面上部に表示するメッセージ
+ * @returns {HtmlOutput} プレイヤー画面
+ */
+function renderSelfReportPage(token, notice) {
+  const template = HtmlService.createTemplateFromFile(SELF_REPORT_FILE);
+  template.view = getSelfReportView(token);
+  template.notice = notice;
+  template.token = token || "";
+  template.serviceUrl = ScriptApp.getService().getUrl();
+  return template.evaluate().setTitle("対戦結果の報告").addMetaTag("viewport", "width=device-width, initial-scale=1");
+}
+
+/**
+ * プレイヤー画面に表示する内容を返します
+ * @param {string} token - セルフ報告トークン
+ * @returns {Object} { ok, message, player, round, tableNumber, opponent, state, report }
+ *   - state: 'report'（報告できる）、'waiting'（相手の確認待ち）、'confirm'（相手の報告を確認する）、'disputed'（ジャッジ確認待ち）、
+ *            'recorded'（記録済み）、'none'（対戦なし）
+ */
+function getSelfReportView(token) {
+  const player = findPlayerByToken(token);
+  if (!player) {
+    return { ok: false, message: "URLが正しくありません。運営にお問い合わせください。" };
+  }
+
+  const base = { ok: true, message: "", player: { id: player.id, name: player.name }, round: getCurrentRound(), tableNumber: null, opponent: null, report: null };
+
+  if (getTournamentStatus() !== TOURNAMENT_STATUS.IN_PROGRESS) {
+    return { ...base, state: "none", message: "スイスドローの対戦結果の報告は終了しました。" };
+  }
+  if (player.status !== PLAYER_STATUS.ACTIVE) {
+    return { ...base, state: "none", message: "ドロップ済みのため、報告する対戦はありません。" };
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const match = readInProgressRecords(ss.getSheetByName(SHEET_IN_PROGRESS)).find(
+    (record) => record.player1Id === player.id || record.player2Id === player.id
+  );
+  if (!match) {
+    return { ...base, state: "none", message: "現在のラウンドの対戦はありません。" };
+  }
+
+  const opponentId = match.player1Id === player.id ? match.player2Id : match.player1Id;
+  const view = { ...base, tableNumber: match.tableNumber, opponent: opponentId ? { id: opponentId, name: getPlayerName(opponentId) } : null };
+
+  if (match.result) {
+    return { ...view, state: "recorded", message: `結果は記録済みです: ${match.result}` };
+  }
+
+  const report = readSelfReports(getSelfReportSheet()).find(
+    (candidate) =>
+      candidate.round === base.round &&
+      (candidate.status === SELF_REPORT_STATUS.PENDING || candidate.status === SELF_REPORT_STATUS.DISPUTED) &&
+      (candidate.reporterId === player.id || candidate.opponentId === player.id) &&
+      findReportedMatch(candidate)
+  );
+  if (!report) {
+    return { ...view, state: "report" };
+  }
+
+  const reportView = { reportId: report.reportId, description: describeSelfReport(report, player.id) };
+  if (report.status === SELF_REPORT_STATUS.DISPUTED) {
+    return { ...view, state: "disputed", report: reportView };
+  }
+  return { ...view, state: report.reporterId === player.id ? "waiting" : "confirm", report: reportView };
+}
+
+/**
+ * プレイヤー画面からのPOSTを処理します
+ * @param {Object} params - { token, action, outcome, reportId }（action: 'submit' | 'confirm' | 'dispute' | 'cancel'）
+ * @returns {{message: string, isError: boolean}} 画面に表示するメッセージ
+ */
+function handleSelfReportPost(params) {
+  try {
+    const player = findPlayerByToken(params.token);
+    if (!player) {
+      throw new Error("URLが正しくありません。運営にお問い合わせください。");
+    }
+
+    if (params.action === "submit") {
+      return { message: submitSelfReport(params.token, params.outcome), isError: false };
+    }
+    if (params.action === "confirm" || params.action === "dispute" || params.action === "cancel") {
+      return { message: respondToSelfReport(player, params.reportId, params.action), isError: false };
+    }
+    throw new Error(`不明な操作です: ${params.action}`);
+  } catch (e) {
+    Logger.log("handleSelfReportPost エラー: " + e.message);
+    return { message: e.message, isError: true };
+  }
+}
+
+/**
+ * 結果を報告し、相手の確認待ちにします
+ * @param {string} token - 報告するプレイヤーのセルフ報告トークン
+ * @param {string} outcome - 報告者から見た結果（SELF_REPORT_OUTCOMES のキー）
+ * @returns {string} 画面に表示するメッセージ
+ * @throws {Error} 報告できない場合
+ */
+function submitSelfReport(token, outcome) {
+  if (!SELF_REPORT_OUTCOMES[outcome]) {
+    throw new Error(`不明な結果です: ${outcome}`);
+  }
+
+  let lock = null;
+
+  try {
+    lock = acquireLock("結果報告");
+
+    const view = getSelfReportView(token);
+    if (!view.ok) {
+      throw new Error(view.message);
+    }
+    if (view.state !== "report") {
+      throw new Error(view.state === "none" || view.state === "recorded" ? view.message : "この対戦は既に報告されています。");
+    }
+
+    const reportSheet = getSelfReportSheet();
+    const reportId = "R" + Utilities.formatString("%04d", reportSheet.getLastRow());
+    const formattedTime = Utilities.formatDate(new Date(), "Asia/Tokyo", "yyyy/MM/dd HH:mm:ss");
+
+    reportSheet.appendRow(
+      buildRow(SHEET_SELF_REPORT, {
+        "報告ID": reportId,
+        "ラウンド": view.round,
+        "卓番号": view.tableNumber,
+        "報告者ID": view.player.id,
+        "相手ID": view.opponent.id,
+        "報告結果": SELF_REPORT_OUTCOMES[outcome].label,
+        "状態": SELF_REPORT_STATUS.PENDING,
+        "報告日時": formattedTime,
+        "更新日時": formattedTime,
+      })
+    );
+
+    Logger.log(`結果報告: ${reportId} ${view.player.id} vs ${view.opponent.id}, ${SELF_REPORT_OUTCOMES[outcome].label}`);
+    return `報告しました。${view.opponent.name} さんの確認後に記録されます。`;
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+/**
+ * 報告に応答します（相手の承認・異議、報告者の取り消し）
+ * 承認された報告は同じロックの中で記録してから確定にし、異議のある報告はジャッジ確認待ちにします。
+ * @param {Object} player - 応答するプレイヤー（readPlayerRecords() の要素）
+ * @param {string} reportId - 報告ID
+ * @param {string} action - 'confirm'（承認）、'dispute'（異議）、'cancel'（取り消し）
+ * @returns {string} 画面に表示するメッセージ
+ * @throws {Error} 応答できない場合
+ */
+function respondToSelfReport(player, reportId, action) {
+  const reportSheet = getSelfReportSheet();
+  let lock = null;
+  let report = null;
+
+  try {
+    lock = acquireLock("結果報告");
+
+    report = readSelfReports(reportSheet).find((candidate) => candidate.reportId === reportId);
+    if (!report || report.status !== SELF_REPORT_STATUS.PENDING) {
+      throw new Error("この報告は確認待ちではありません。画面を更新してください。");
+    }
+
+    const expectedPlayerId = action === "cancel" ? report.reporterId : report.opponentId;
+    if (player.id !== expectedPlayerId) {
+      throw new Error(action === "cancel" ? "報告を取り消せるのは報告者だけです。" : "報告を確認できるのは対戦相手だけです。");
+    }
+
+    if (!findReportedMatch(report)) {
+      updateSelfReportStatus(reportSheet, report.rowNumber, SELF_REPORT_STATUS.CANCELLED);
+      throw new Error("この対戦は既に記録されたか、組み合わせが変更されています。");
+    }
+
+    if (action === "cancel") {
+      updateSelfReportStatus(reportSheet, report.rowNumber, SELF_REPORT_STATUS.CANCELLED);
+      return "報告を取り消しました。";
+    }
+    if (action === "dispute") {
+      updateSelfReportStatus(reportSheet, report.rowNumber, SELF_REPORT_STATUS.DISPUTED);
+      return "異議を受け付けました。ジャッジが確認しますので、その場でお待ちください。";
+    }
+
+    recordSelfReportResult(reportSheet, report);
+    return `結果を記録しました: ${formatSelfReportResult(report)}`;
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+/**
+ * ジャッジの裁定（報告どおりに記録、または却下）を書き込みます
+ * 報告を読み直し、ジャッジ確認待ちのままであることと対戦の照合・記録・状態の更新を同じロックの中で行います。
+ * @param {string} reportId - 報告ID
+ * @param {string} status - SELF_REPORT_STATUS.CONFIRMED（報告どおりに記録）または SELF_REPORT_STATUS.REJECTED（却下）
+ * @throws {Error} 報告がジャッジ確認待ちでない場合、記録済み・組み合わせの変更で対戦が見つからない場合
+ */
+function settleDisputedReport(reportId, status) {
+  const reportSheet = getSelfReportSheet();
+  let lock = null;
+
+  try {
+    lock = acquireLock("結果報告");
+
+    const report = readSelfReports(reportSheet).find((candidate) => candidate.reportId === reportId);
+    if (!report || report.status !== SELF_REPORT_STATUS.DISPUTED) {
+      throw new Error(`${reportId} はジャッジ確認待ちではありません。`);
+    }
+
+    if (status === SELF_REPORT_STATUS.CONFIRMED) {
+      recordSelfReportResult(reportSheet, report);
+    } else {
+      updateSelfReportStatus(reportSheet, report.rowNumber, status);
+    }
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+// =========================================
+// ジャッジ確認（UI層）
+// =========================================
+
+/**
+ * 異議のあった報告（ジャッジ確認待ち）を一覧表示し、報告どおりに記録するか却下します
+ */
+function reviewDisputedReports() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const reportSheet = getSelfReportSheet();
+    const disputed = readSelfReports(reportSheet).filter((report) => report.status === SELF_REPORT_STATUS.DISPUTED && findReportedMatch(report));
+
+    if (disputed.length === 0) {
+      ui.alert("ジャッジ確認待ちの報告", "ジャッジ確認待ちの報告はありません。", ui.ButtonSet.OK);
+      return;
+    }
+
+    const list = disputed
+      .map(
+        (report) =>
+          `${report.reportId}: 卓${report.tableNumber} ${getPlayerName(report.reporterId)} (${report.reporterId}) の報告「${formatSelfReportResult(report)}」` +
+          ` / 相手: ${getPlayerName(report.opponentId)} (${report.opponentId})`
+      )
+      .join("\n");
+
+    const idResponse = ui.prompt("ジャッジ確認待ちの報告", `${list}\n\n確認する報告IDを入力してください (例: R0001)：`, ui.ButtonSet.OK_CANCEL);
+    if (idResponse.getSelectedButton() !== ui.Button.OK) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
+
+    const reportId = idResponse.getResponseText().trim().toUpperCase();
+    const report = disputed.find((candidate) => candidate.reportId === reportId);
+    if (!report) {
+      ui.alert("エラー", `報告ID (${reportId}) はジャッジ確認待ちの一覧にありません。`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const decisionResponse = ui.prompt(
+      "ジャッジの裁定",
+      `${report.reportId}: 卓${report.tableNumber} ${getPlayerName(report.reporterId)} の報告「${formatSelfReportResult(report)}」\n\n` +
+        `1: 報告どおりに記録する\n` +
+        `2: 報告を却下する（正しい結果は「✅ 対戦結果の記録」などから記録してください）\n\n` +
+        `数字を入力してください：`,
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (decisionResponse.getSelectedButton() !== ui.Button.OK) {
+      ui.alert("処理をキャンセルしました。");
+      return;
+    }
+
+    const decision = decisionResponse.getResponseText().trim();
+    if (decision === "1") {
+      settleDisputedReport(report.reportId, SELF_REPORT_STATUS.CONFIRMED);
+      ui.alert("記録完了", `${report.reportId} を報告どおりに記録しました。`, ui.ButtonSet.OK);
+    } else if (decision === "2") {
+      settleDisputedReport(report.reportId, SELF_REPORT_STATUS.REJECTED);
+      ui.alert("却下", `${report.reportId} を却下しました。\n正しい結果を記録するか、プレイヤーに報告し直してもらってください。`, ui.ButtonSet.OK);
+    } else {
+      ui.alert("エラー", "1 または 2 を入力してください。", ui.ButtonSet.OK);
+    }
+  } catch (e) {
+    ui.alert("エラー", "エラーが発生しました: " + e.toString(), ui.ButtonSet.OK);
+    Logger.log("reviewDisputedReports エラー: " + e.toString());
+  }
+}
@@ -50,6 +50,162 @@ function getSheetStructure(sheet, sheetName) {
   return { headers, indices, data };
 }
 
+/**
+ * 列名と値の対応から、シートの列順（REQUIRED_HEADERS の順）に並んだ行を作成します
+ * 指定されていない列は空欄になります。
+ * @param {string} sheetName - シート名（定数から取得）
+ * @param {Object<string, *>} valuesByHeader - 列名をキーにした値
+ * @returns {Array<*>} appendRow() に渡せる行
+ */
+function buildRow(sheetName, valuesByHeader) {
+  const requiredHeaders = REQUIRED_HEADERS[sheetName];
+  if (!requiredHeaders) {
+    throw new Error(`シート「${sheetName}」の必須ヘッダー定義が見つかりません。`);
+  }
+
+  const unknown = Object.keys(valuesByHeader).filter((header) => !requiredHeaders.includes(header));
+  if (unknown.length > 0) {
+    throw new Error(`シート「${sheetName}」に存在しない列が指定されました: ${unknown.join(", ")}`);
+  }
+
+  return requiredHeaders.map((header) => (header in valuesByHeader ? valuesByHeader[header] : ""));
+}
+
+/**
+ * プレイヤーシートをプレーンなプレイヤー配列に変換します（swiss-core.js の入力形式）
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} playerSheet - プレイヤーシート
+ * @returns {Array<Object>} { id, name, points, wins, losses, draws, matches, byes, gameWins, gameLosses, gameDraws, omw, ogw, status, fixedTable, dropRound, rowNumber } の配列
+ */
+function readPlayerRecords(playerSheet) {
+  const { indices, data } = getSheetStructure(playerSheet, SHEET_PLAYERS);
+  const players = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const playerId = row[indices["プレイヤーID"]];
+    if (!playerId) continue;
+
+    players.push({
+      id: playerId,
+      name: row[indices["プレイヤー名"]] || playerId,
+      points: parseInt(row[indices["勝点"]], 10) || 0,
+      wins: parseInt(row[indices["勝数"]], 10) || 0,
+      losses: parseInt(row[indices["敗数"]], 10) || 0,
+      draws: parseInt(row[indices["引分数"]], 10) || 0,
+      matches: parseInt(row[indices["試合数"]], 10) || 0,
+      byes: parseInt(row[indices["バイ数"]], 10) || 0,
+      gameWins: parseInt(row[indices["ゲーム勝数"]], 10) || 0,
+      gameLosses: parseInt(row[indices["ゲーム敗数"]], 10) || 0,
+      gameDraws: parseInt(row[indices["ゲーム引分数"]], 10) || 0,
+      omw: parseFloat(row[indices["OMW%"]]) || 0,
+      ogw: parseFloat(row[indices["OGW%"]]) || 0,
+      status: row[indices["参加状況"]],
+      fixedTable: parseInt(row[indices["固定卓"]], 10) || null,
+      dropRound: parseInt(row[indices["ドロップラウンド"]], 10) || null,
+      rowNumber: i + 1,
+    });
+  }
+
+  return players;
+}
+
+/**
+ * 対戦履歴シートをプレーンな対戦履歴配列に変換します（swiss-core.js の入力形式）
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} historySheet - 対戦履歴シート
+ * @returns {Array<Object>} { matchId, round, tableNumber, player1Id, player2Id, winnerName, result, gameScore, stage, rowNumber } の配列
+ */
+function readHistoryRecords(historySheet) {
+  const { indices, data } = getSheetStructure(historySheet, SHEET_HISTORY);
+  const history = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (!row[indices["対戦ID"]] && !row[indices["ID1"]]) continue;
+
+    let gameScore = null;
+    try {
+      gameScore = parseGameScore(row[indices["ゲームスコア"]]);
+    } catch (e) {
+      Logger.log(`警告: ${row[indices["対戦ID"]]} のゲームスコアを読み取れません: ${e.message}`);
+    }
+
+    history.push({
+      matchId: row[indices["対戦ID"]],
+      round: parseInt(row[indices["ラウンド"]], 10) || 0,
+      tableNumber: parseInt(row[indices["卓番号"]], 10) || 0,
+      player1Id: row[indices["ID1"]],
+      player2Id: row[indices["ID2"]],
+      winnerName: row[indices["勝者名"]],
+      result: row[indices["結果"]],
+      gameScore: gameScore,
+      stage: row[indices["区分"]] || MATCH_STAGE.SWISS, // 区分が空欄の行はスイスドローとして扱う
+      rowNumber: i + 1,
+    });
+  }
+
+  return history;
+}
+
+/**
+ * 現在のラウンドシートをプレーンな対戦配列に変換します
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} inProgressSheet - 現在のラウンドシート
+ * @returns {Array<Object>} { round, tableNumber, player1Id, player2Id, result, rowNumber } の配列
+ */
+function readInProgressRecords(inProgressSheet) {
+  const { indices, data } = getSheetStructure(inProgressSheet, SHEET_IN_PROGRESS);
+  const matches = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (!row[indices["ID1"]] && !row[indices["ID2"]]) continue;
+
+    matches.push({
+      round: parseInt(row[indices["ラウンド"]], 10) || 0,
+      tableNumber: parseInt(row[indices["卓番号"]], 10) || 0,
+      player1Id: row[indices["ID1"]],
+      player2Id: row[indices["ID2"]],
+      result: row[indices["結果"]],
+      rowNumber: i + 1,
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * シート名・列番号・行番号からセルの位置（例: 対戦履歴!A5）を返します
+ * @param {string} sheetName - シート名
+ * @param {number} columnNumber - 列番号（1-indexed）
+ * @param {number} rowNumber - 行番号（1-indexed）
+ * @returns {string} A1形式のセル位置
+ */
+function formatCellLocation(sheetName, columnNumber, rowNumber) {
+  let column = columnNumber;
+  let letters = "";
+  while (column > 0) {
+    const remainder = (column - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    column = Math.floor((column - 1) / 26);
+  }
+  return `${sheetName}!${letters}${rowNumber}`;
+}
+
+/**
+ * formatCellLocation() の形式のセル位置を分解します
+ * @param {string} location - A1形式のセル位置（例: 対戦履歴!A5）
+ * @returns {{sheetName: string, columnNumber: number, rowNumber: number}} 分解したセル位置
+ * @throws {Error} 形式が正しくない場合
+ */
+function parseCellLocation(location) {
+  const match = /^(.+)!([A-Z]+)(\d+)$/.exec(String(location));
+  if (!match) {
+    throw new Error(`セルの位置を読み取れません: ${location}`);
+  }
+
+  const columnNumber = match[2].split("").reduce((total, letter) => total * 26 + (letter.charCodeAt(0) - 64), 0);
+  return { sheetName: match[1], columnNumber: columnNumber, rowNumber: parseInt(match[3], 10) };
+}
+
 /**
  * プレイヤーIDから名前を取得します
  * @param {string} playerId プレイヤーID
@@ -73,10 +229,25 @@ function getPlayerName(playerId) {
 // =========================================
 
 /**
- * プレイヤーIDの入力を受け付ける共通関数
+ * カンマ区切りのプレイヤーIDの数字部分（例: "3, 12"）をプレイヤーIDの配列に変換します
+ * @param {string} input - 入力された文字列（空欄の場合は空の配列）
+ * @returns {Array<string>|null} 重複を除いたプレイヤーIDの配列。数字以外を含む場合はnull
+ */
+function parsePlayerIdList(input) {
+  const entries = input.trim() === "" ? [] : input.trim().split(/[,、\s]+/).filter((entry) => entry !== "");
+  if (entries.some((entry) => !/^\d+$/.test(entry))) {
+    return null;
+  }
+  return [...new Set(entries.map((entry) => PLAYER_ID_PREFIX + Utilities.formatString(`%0${ID_DIGITS}d`, parseInt(entry, 10))))];
+}
+
+/**
+ * プレイヤーの指定を受け付ける共通関数
+ * IDの数字部分（例: 37）、ID（例: P037）、名前の一部のいずれかで指定できます。
+ * 名前が複数のプレイヤーに一致する場合は、候補を一覧表示して番号で選択させます。
  * @param {string} title - プロンプトのタイトル
  * @param {string} message - プロンプトのメッセージ
- * @returns {string|null} 整形されたプレイヤーID、キャンセル時はnull
+ * @returns {string|null} 整形されたプレイヤーID、キャンセル時・該当なしの場合はnull
  */
 function promptPlayerId(title, message) {
   const ui = SpreadsheetApp.getUi();
@@ -88,12 +259,73 @@ function promptPlayerId(title, message) {
     return null;
   }
 
-  const rawId = response.getResponseText().trim();
+  const query = response.getResponseText().trim();
+  const playerId = parsePlayerIdInput(query);
+  if (playerId) {
+    return playerId;
+  }
+
+  if (query === "") {
+    ui.alert("エラー: プレイヤーIDまたは名前を入力してください。");
+    return null;
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const candidates = findPlayersByName(readPlayerRecords(ss.getSheetByName(SHEET_PLAYERS)), query);
+
+  if (candidates.length === 0) {
+    ui.alert(`エラー: 「${query}」に一致するプレイヤーが見つかりませんでした。`);
+    return null;
+  }
+  if (candidates.length === 1) {
+    return candidates[0].id;
+  }
+  if (candidates.length > PLAYER_SEARCH_MAX_CANDIDATES) {
+    ui.alert(`エラー: 「${query}」に一致するプレイヤーが${candidates.length}名います。名前をもう少し詳しく入力してください。`);
+    return null;
+  }
+
+  const list = candidates.map((player, index) => `${index + 1}: ${player.id} ${player.name}（${player.status}）`).join("\n");
+  const choiceResponse = ui.prompt(title, `「${query}」に一致するプレイヤーが複数います：\n\n${list}\n\n番号を入力してください：`, ui.ButtonSet.OK_CANCEL);
+
+  if (choiceResponse.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("処理をキャンセルしました。");
+    return null;
+  }
 
-  if (!/^\d+$/.test(rawId)) {
-    ui.alert("エラー: IDは数字のみで入力してください。");
+  const choice = choiceResponse.getResponseText().trim();
+  if (!/^\d+$/.test(choice) || parseInt(choice, 10) < 1 || parseInt(choice, 10) > candidates.length) {
+    ui.alert(`エラー: 1～${candidates.length}の番号を入力してください。`);
     return null;
   }
 
-  return PLAYER_ID_PREFIX + Utilities.formatString(`%0${ID_DIGITS}d`, parseInt(rawId, 10));
+  return candidates[parseInt(choice, 10) - 1].id;
+}
+
+/**
+ * プレイヤーIDの入力（数字部分のみ、またはプレフィックス付き）を整形します
+ * @param {string} input - 入力された文字列（例: "37"、"P037"、"p37"）
+ * @returns {string|null} 整形されたプレイヤーID。IDの形式でない場合はnull
+ */
+function parsePlayerIdInput(input) {
+  const match = new RegExp(`^${PLAYER_ID_PREFIX}?(\\d+)$`, "i").exec(input.trim().normalize("NFKC"));
+  return match ? PLAYER_ID_PREFIX + Utilities.formatString(`%0${ID_DIGITS}d`, parseInt(match[1], 10)) : null;
+}
+
+/**
+ * 名前の一部からプレイヤーを検索します（大文字・小文字、全角・半角を区別しない）
+ * 名前が完全に一致するプレイヤーが1名だけの場合は、そのプレイヤーだけを返します。
+ * @param {Array<Object>} players - readPlayerRecords() のプレイヤー配列
+ * @param {string} query - 検索する名前の一部
+ * @returns {Array<Object>} 一致したプレイヤー（プレイヤーID順）
+ */
+function findPlayersByName(players, query) {
+  const normalize = (text) => String(text).normalize("NFKC").replace(/\s+/g, "").toLowerCase();
+  const key = normalize(query);
+  if (key === "") return [];
+
+  const exact = players.filter((player) => normalize(player.name) === key);
+  if (exact.length === 1) return exact;
+
+  return players.filter((player) => normalize(player.name).includes(key)).sort((a, b) => a.id.localeCompare(b.id));
 }
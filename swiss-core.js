@@ -0,0 +1,999 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview コア層 - ペアリング・勝点・勝率の計算（純粋関数）
+ * @author springOK
+ *
+ * このファイルの関数はシートやGASのサービス（SpreadsheetApp, PropertiesService など）に
+ * アクセスせず、プレーンなプレイヤー・対戦履歴の配列だけを受け取って結果を返します。
+ * シートとの変換は shared.js の readPlayerRecords() / readHistoryRecords() が担います。
+ *
+ * プレイヤー: { id, name, points, wins, losses, draws, matches, byes, gameWins, gameLosses, gameDraws, omw, ogw, status, fixedTable }
+ * 対戦履歴: { matchId, round, tableNumber, player1Id, player2Id, winnerName, result, gameScore, stage }
+ * ゲームスコア: { wins, losses, draws }（プレイヤー1から見たゲーム数）
+ */
+
+// =========================================
+// 対戦履歴の集計
+// =========================================
+
+/**
+ * 過去対戦相手のマップを作成します（Bye・トップカットは除外）
+ * @param {Array<Object>} history - 対戦履歴
+ * @returns {Map<string, Set<string>>} プレイヤーIDごとの過去対戦相手
+ */
+function buildOpponentsMap(history) {
+  const opponentsMap = new Map();
+
+  for (const match of history) {
+    const p1 = match.player1Id;
+    const p2 = match.player2Id;
+
+    // Byeの場合はスキップ（実際の対戦ではないため）
+    if (match.result === MATCH_RESULT.BYE || !p1 || !p2) continue;
+    // トップカットの対戦はスイスドローの成績（OMW%・再戦判定）に含めない
+    if (match.stage === MATCH_STAGE.TOP_CUT) continue;
+
+    if (!opponentsMap.has(p1)) opponentsMap.set(p1, new Set());
+    if (!opponentsMap.has(p2)) opponentsMap.set(p2, new Set());
+
+    opponentsMap.get(p1).add(p2);
+    opponentsMap.get(p2).add(p1);
+  }
+
+  return opponentsMap;
+}
+
+// =========================================
+// ペアリング探索
+// =========================================
+
+/**
+ * 再戦を避けつつ全員がマッチングされる組み合わせを探索します
+ * - 奇数人数の場合はBye数が最も少ないプレイヤー（通常はまだByeを受けていないプレイヤー）だけを下位から順にByeの候補とし、
+ *   残りが再戦なしで組める最初の候補を採用します。2回目のByeを避けるため、再戦が必要になっても候補は広げません
+ * - 組み合わせは勝点差の合計が最小になるものを優先します
+ * - 再戦なしの組み合わせが存在しない場合は、再戦数が最小となる組み合わせ（同数なら下位のBye候補を優先）にフォールバックします
+ * - 強制ペアはそのまま対戦させ（Byeの候補にもしない）、禁止ペアは再戦を許可する場合も組み合わせません
+ * @param {Array<{id: string, points: number, byes: number}>} rankedPlayers - 順位順（勝点降順）に並んだプレイヤー
+ * @param {Map<string, Set<string>>} opponentsMap - 過去対戦相手のマップ
+ * @param {{forced: Array<Array<string>>, forbidden: Array<Array<string>>}} [overrides] - 運営者が指定した強制ペア・禁止ペア（強制ペアの両者は rankedPlayers に含まれること）
+ * @returns {{pairs: Array<Array<string>>, byePlayerId: string|null, rematches: Array<Array<string>>, searchLimitReached: boolean}} ペアリング結果
+ *   （禁止ペアを避けた組み合わせが見つからない場合、pairs は空）
+ */
+function findSwissPairings(rankedPlayers, opponentsMap, overrides = { forced: [], forbidden: [] }) {
+  const forcedIds = new Set(overrides.forced.flat());
+  // 禁止ペアは対戦履歴と同じ形に変換し、過去対戦相手と同じ形式のマップにする
+  const forbiddenMap = buildOpponentsMap(overrides.forbidden.map(([player1Id, player2Id]) => ({ player1Id, player2Id })));
+  const candidates = rankedPlayers.filter((player) => !forcedIds.has(player.id));
+  const isOdd = candidates.length % 2 === 1;
+  const budget = { remaining: SWISS_CONFIG.PAIRING_SEARCH_LIMIT };
+  const isRematch = ([p1Id, p2Id]) => (opponentsMap.get(p1Id) || new Set()).has(p2Id);
+
+  // 強制ペアを、上位のプレイヤーの順位の位置に差し込む（卓番号の割り当て順を順位順に保つ）
+  const rankOf = new Map(rankedPlayers.map((player, index) => [player.id, index]));
+  const withForcedPairs = (pairs) => {
+    if (overrides.forced.length === 0) return pairs;
+    const pairRank = (pair) => Math.min(...pair.map((playerId) => rankOf.get(playerId)));
+    return [...pairs, ...overrides.forced.map((pair) => [...pair])].sort((a, b) => pairRank(a) - pairRank(b));
+  };
+
+  // 1. 再戦なしの組み合わせを探索（Bye候補はBye数が最も少ないプレイヤーを下位から順に試す）
+  const fewestByes = Math.min(...candidates.map((player) => player.byes || 0));
+  const byeCandidates = isOdd
+    ? candidates.filter((player) => (player.byes || 0) === fewestByes).reverse()
+    : [null];
+  for (const byeCandidate of byeCandidates) {
+    const pool = shufflePointGroups(candidates.filter((player) => player !== byeCandidate));
+    const result = searchPairings(pool, opponentsMap, false, budget, forbiddenMap);
+
+    if (result) {
+      return {
+        pairs: withForcedPairs(result.pairs),
+        byePlayerId: byeCandidate ? byeCandidate.id : null,
+        rematches: overrides.forced.filter(isRematch),
+        searchLimitReached: budget.remaining <= 0,
+      };
+    }
+
+    // 探索上限に達した場合は残りの候補を試さずにフォールバック
+    if (budget.remaining <= 0) break;
+  }
+
+  // 2. フォールバック: 再戦数（同数なら勝点差）が最小となる組み合わせを採用
+  //    探索ステップはBye候補ごとに均等に割り当てる
+  let fallback = null;
+  let fallbackByeId = null;
+  let fallbackRemaining = SWISS_CONFIG.PAIRING_SEARCH_LIMIT;
+  byeCandidates.forEach((byeCandidate, index) => {
+    const candidateBudget = { remaining: Math.floor(fallbackRemaining / (byeCandidates.length - index)) };
+    fallbackRemaining -= candidateBudget.remaining;
+
+    const pool = shufflePointGroups(candidates.filter((player) => player !== byeCandidate));
+    const result = searchPairings(pool, opponentsMap, true, candidateBudget, forbiddenMap);
+    fallbackRemaining += candidateBudget.remaining;
+
+    if (result && (!fallback || result.cost < fallback.cost)) {
+      fallback = result;
+      fallbackByeId = byeCandidate ? byeCandidate.id : null;
+    }
+  });
+
+  const pairs = fallback ? withForcedPairs(fallback.pairs) : [];
+  return {
+    pairs: pairs,
+    byePlayerId: fallbackByeId,
+    rematches: pairs.filter(isRematch),
+    searchLimitReached: budget.remaining <= 0,
+  };
+}
+
+/**
+ * 勝点が同じプレイヤーのグループ内で順序をシャッフルします（グループ間の順序は維持）
+ * @param {Array<{id: string, points: number}>} players - 勝点降順に並んだプレイヤー
+ * @returns {Array<{id: string, points: number}>} シャッフル後の新しい配列
+ */
+function shufflePointGroups(players) {
+  const shuffled = [...players];
+  let groupStart = 0;
+
+  for (let i = 1; i <= shuffled.length; i++) {
+    if (i < shuffled.length && shuffled[i].points === shuffled[groupStart].points) continue;
+
+    // Fisher-Yatesでグループ内をシャッフル
+    for (let j = i - 1; j > groupStart; j--) {
+      const k = groupStart + Math.floor(Math.random() * (j - groupStart + 1));
+      [shuffled[j], shuffled[k]] = [shuffled[k], shuffled[j]];
+    }
+    groupStart = i;
+  }
+
+  return shuffled;
+}
+
+/**
+ * 分枝限定法で全員が組める組み合わせを探索します
+ * コストは各組の勝点差の合計（再戦を許可する場合は再戦1組ごとにREMATCH_PENALTYを加算）です。
+ * 探索ステップが上限に達した場合は、それまでに見つかった最良の組み合わせを返します。
+ * @param {Array<{id: string, points: number}>} pool - マッチング対象のプレイヤー（偶数人、勝点降順）
+ * @param {Map<string, Set<string>>} opponentsMap - 過去対戦相手のマップ
+ * @param {boolean} allowRematch - 再戦を許可するか
+ * @param {{remaining: number}} budget - 残り探索ステップ数（呼び出し間で共有）
+ * @param {Map<string, Set<string>>} [forbiddenMap] - 組み合わせてはいけない相手のマップ（再戦を許可する場合も除外）
+ * @returns {{pairs: Array<Array<string>>, cost: number}|null} 最良の組み合わせ。見つからない場合はnull
+ */
+function searchPairings(pool, opponentsMap, allowRematch, budget, forbiddenMap = new Map()) {
+  const used = new Array(pool.length).fill(false);
+  const currentPairs = [];
+  let best = null;
+
+  const search = (cost) => {
+    if (budget.remaining <= 0) return;
+    budget.remaining--;
+
+    // これ以上コストが改善しない枝は打ち切る
+    if (best && cost >= best.cost) return;
+
+    // 最上位の未マッチングプレイヤーを起点にする
+    const i = used.indexOf(false);
+    if (i === -1) {
+      best = { pairs: currentPairs.map((pair) => [...pair]), cost: cost };
+      return;
+    }
+
+    const p1 = pool[i];
+    const p1Opponents = opponentsMap.get(p1.id) || new Set();
+    const p1Forbidden = forbiddenMap.get(p1.id) || new Set();
+    used[i] = true;
+
+    // 勝点降順に並んでいるため、前方の候補ほど勝点差が小さい
+    for (let j = i + 1; j < pool.length; j++) {
+      if (used[j]) continue;
+
+      const p2 = pool[j];
+      if (p1Forbidden.has(p2.id)) continue;
+
+      const isRematch = p1Opponents.has(p2.id);
+      if (isRematch && !allowRematch) continue;
+
+      used[j] = true;
+      currentPairs.push([p1.id, p2.id]);
+      search(cost + Math.abs(p1.points - p2.points) + (isRematch ? SWISS_CONFIG.REMATCH_PENALTY : 0));
+      currentPairs.pop();
+      used[j] = false;
+    }
+
+    used[i] = false;
+  };
+
+  search(0);
+  return best;
+}
+
+// =========================================
+// 勝点・勝率の計算
+// =========================================
+
+/**
+ * 対戦結果ごとの統計の増分を返します
+ * @param {string} result - プレイヤーから見た結果: 'win', 'loss', 'draw'（引き分け）, 'double_loss'（両負け）, 'bye',
+ *   'missed_loss'（途中参加者の欠席ラウンド・不戦敗）, 'missed_bye'（途中参加者の欠席ラウンド・0点Bye）
+ * @param {number} [drawPoints] - 引き分け時の勝点（省略時は SWISS_CONFIG.POINTS_DRAW）
+ * @returns {{points: number, wins: number, losses: number, draws: number, matches: number}} 統計の増分
+ */
+function calculateResultStats(result, drawPoints = SWISS_CONFIG.POINTS_DRAW) {
+  switch (result) {
+    case "win":
+      return { points: SWISS_CONFIG.POINTS_WIN, wins: 1, losses: 0, draws: 0, matches: 1 };
+    case "loss":
+      return { points: SWISS_CONFIG.POINTS_LOSS, wins: 0, losses: 1, draws: 0, matches: 1 };
+    case "draw":
+      return { points: drawPoints, wins: 0, losses: 0, draws: 1, matches: 1 };
+    case "double_loss":
+      // 両負けは両者敗北扱い（0勝点）
+      return { points: SWISS_CONFIG.POINTS_LOSS, wins: 0, losses: 1, draws: 0, matches: 1 };
+    case "bye":
+      return { points: SWISS_CONFIG.POINTS_BYE, wins: 1, losses: 0, draws: 0, matches: 1 };
+    case "missed_loss":
+      return { points: SWISS_CONFIG.POINTS_LOSS, wins: 0, losses: 1, draws: 0, matches: 1 };
+    case "missed_bye":
+      // 勝率を下げないよう試合数にも含めない
+      return { points: 0, wins: 0, losses: 0, draws: 0, matches: 0 };
+    default:
+      throw new Error(`不明な対戦結果です: ${result}`);
+  }
+}
+
+/**
+ * 対戦の結果を、各プレイヤーから見た結果に分解します
+ * @param {string} resultType - 'win'（プレイヤー1の勝利）、'draw'（引き分け）、'double_loss'（両負け）
+ * @returns {Array<string>} [プレイヤー1の結果, プレイヤー2の結果]
+ */
+function splitMatchResult(resultType) {
+  switch (resultType) {
+    case "win":
+      return ["win", "loss"];
+    case "draw":
+      return ["draw", "draw"];
+    case "double_loss":
+      return ["double_loss", "double_loss"];
+    default:
+      throw new Error(`不明な結果の種類です: ${resultType}`);
+  }
+}
+
+/**
+ * 対戦履歴の結果列の値から結果の種類を判定します
+ * @param {string} resultText - 結果列の値（「Bye」「引き分け」「両負け」「不戦敗」「0点Bye」「<勝者名> 勝利」）
+ * @returns {string} 'bye', 'draw', 'double_loss', 'missed_loss', 'missed_bye', 'win'（勝者あり）のいずれか
+ */
+function classifyResult(resultText) {
+  switch (resultText) {
+    case MATCH_RESULT.BYE:
+      return "bye";
+    case MATCH_RESULT.DRAW:
+      return "draw";
+    case MATCH_RESULT.DOUBLE_LOSS:
+      return "double_loss";
+    case MATCH_RESULT.MISSED_LOSS:
+      return "missed_loss";
+    case MATCH_RESULT.MISSED_BYE:
+      return "missed_bye";
+    default:
+      return "win";
+  }
+}
+
+/**
+ * 勝敗のついた対戦の勝者IDを返します
+ * 結果の記録・修正とも勝者をID1側に書き込むため、勝者名（結果列の「<勝者名> 勝利」と同じ名前）が
+ * プレイヤー2の名前とだけ一致する場合を除き、ID1側を勝者とします。同名のプレイヤー同士の対戦でも
+ * 名前の一致でプレイヤー2を勝者と取り違えません。
+ * @param {Object} match - 対戦履歴（player1Id, player2Id, winnerName, result）
+ * @param {string} player1Name - プレイヤー1の名前
+ * @param {string} player2Name - プレイヤー2の名前
+ * @returns {string} 勝者のプレイヤーID
+ */
+function resolveWinnerId(match, player1Name, player2Name) {
+  const winnerName = match.winnerName || String(match.result || "").replace(/ 勝利$/, "");
+  const player2Won = winnerName === player2Name && winnerName !== player1Name;
+  return player2Won ? match.player2Id : match.player1Id;
+}
+
+/**
+ * 対戦結果を修正したときの統計の増減を返します
+ * @param {string} fromResult - 修正前の結果（calculateResultStats と同じ値）
+ * @param {string} toResult - 修正後の結果（calculateResultStats と同じ値）
+ * @param {number} [drawPoints] - 引き分け時の勝点（省略時は SWISS_CONFIG.POINTS_DRAW）
+ * @returns {{points: number, wins: number, losses: number, draws: number, matches: number}} 統計の増減
+ */
+function diffResultStats(fromResult, toResult, drawPoints = SWISS_CONFIG.POINTS_DRAW) {
+  const before = calculateResultStats(fromResult, drawPoints);
+  const after = calculateResultStats(toResult, drawPoints);
+
+  return {
+    points: after.points - before.points,
+    wins: after.wins - before.wins,
+    losses: after.losses - before.losses,
+    draws: after.draws - before.draws,
+    matches: after.matches - before.matches,
+  };
+}
+
+/**
+ * プレイヤー自身の勝率（マッチ勝率）を計算します
+ * 引き分けを勝利の1/3として扱います: (勝数 × 3 + 引分数) / (試合数 × 3)
+ * @param {Object} player - プレイヤー
+ * @returns {number} 勝率（0.0～1.0）。試合がない場合は0
+ */
+function calculateMatchWinRate(player) {
+  if (player.matches <= 0) return 0;
+  return (player.wins * 3 + (player.draws || 0)) / (player.matches * 3);
+}
+
+/**
+ * 対戦相手の平均勝率（OMW%）を計算します
+ * Byeは対戦相手に含めず、各対戦相手の勝率は最低0.333（MTGルールに準拠）として扱います。
+ * @param {string} playerId - プレイヤーID
+ * @param {Array<Object>} players - 全プレイヤー
+ * @param {Array<Object>} history - 対戦履歴
+ * @returns {number} OMW%（0.0～1.0）
+ */
+function computeOpponentWinRate(playerId, players, history) {
+  const playersById = new Map(players.map((player) => [player.id, player]));
+  return averageOpponentWinRate(buildOpponentsMap(history).get(playerId), playersById);
+}
+
+/**
+ * 対戦相手の集合から平均勝率（OMW%）を計算します
+ * @param {Set<string>|undefined} opponents - 対戦相手のID
+ * @param {Map<string, Object>} playersById - プレイヤーIDごとのプレイヤー
+ * @returns {number} OMW%（0.0～1.0）
+ */
+function averageOpponentWinRate(opponents, playersById) {
+  if (!opponents || opponents.size === 0) {
+    return SWISS_CONFIG.MIN_WIN_RATE; // 対戦がない場合のデフォルト値
+  }
+
+  let totalWinRate = 0;
+  let opponentCount = 0;
+
+  for (const opponentId of opponents) {
+    const opponent = playersById.get(opponentId);
+    if (opponent && opponent.matches > 0) {
+      totalWinRate += Math.max(calculateMatchWinRate(opponent), SWISS_CONFIG.MIN_WIN_RATE);
+      opponentCount++;
+    }
+  }
+
+  if (opponentCount === 0) {
+    return SWISS_CONFIG.MIN_WIN_RATE;
+  }
+
+  return totalWinRate / opponentCount;
+}
+
+/**
+ * ゲーム勝率（GW%）を計算します
+ * 引き分けゲームを勝利の1/3として扱います: (ゲーム勝数 × 3 + ゲーム引分数) / (ゲーム数 × 3)
+ * @param {Object} player - プレイヤー
+ * @returns {number} ゲーム勝率（0.0～1.0）。ゲームの記録がない場合は0
+ */
+function calculateGameWinRate(player) {
+  const games = (player.gameWins || 0) + (player.gameLosses || 0) + (player.gameDraws || 0);
+  if (games <= 0) return 0;
+  return ((player.gameWins || 0) * 3 + (player.gameDraws || 0)) / (games * 3);
+}
+
+/**
+ * 対戦相手の平均ゲーム勝率（OGW%）を計算します
+ * Byeは対戦相手に含めず、各対戦相手のゲーム勝率は最低0.333として扱います。
+ * ゲームの記録がない対戦相手は計算から除外します。
+ * @param {string} playerId - プレイヤーID
+ * @param {Array<Object>} players - 全プレイヤー
+ * @param {Array<Object>} history - 対戦履歴
+ * @returns {number} OGW%（0.0～1.0）
+ */
+function computeOpponentGameWinRate(playerId, players, history) {
+  const playersById = new Map(players.map((player) => [player.id, player]));
+  return averageOpponentGameWinRate(buildOpponentsMap(history).get(playerId), playersById);
+}
+
+/**
+ * 対戦相手の集合から平均ゲーム勝率（OGW%）を計算します
+ * @param {Set<string>|undefined} opponents - 対戦相手のID
+ * @param {Map<string, Object>} playersById - プレイヤーIDごとのプレイヤー
+ * @returns {number} OGW%（0.0～1.0）
+ */
+function averageOpponentGameWinRate(opponents, playersById) {
+  if (!opponents || opponents.size === 0) {
+    return SWISS_CONFIG.MIN_WIN_RATE; // 対戦がない場合のデフォルト値
+  }
+
+  let totalWinRate = 0;
+  let opponentCount = 0;
+
+  for (const opponentId of opponents) {
+    const opponent = playersById.get(opponentId);
+    if (opponent && (opponent.gameWins || 0) + (opponent.gameLosses || 0) + (opponent.gameDraws || 0) > 0) {
+      totalWinRate += Math.max(calculateGameWinRate(opponent), SWISS_CONFIG.MIN_WIN_RATE);
+      opponentCount++;
+    }
+  }
+
+  if (opponentCount === 0) {
+    return SWISS_CONFIG.MIN_WIN_RATE;
+  }
+
+  return totalWinRate / opponentCount;
+}
+
+// =========================================
+// 統計エンジン
+// =========================================
+
+/**
+ * 対戦履歴を1回だけ走査して、全プレイヤーの成績・対戦相手・OMW%・OGW%を計算します
+ * プレイヤーごとに対戦履歴を走査し直す computeOpponentWinRate() と同じ値を、人数に比例する計算量で求めます。
+ * - record: 対戦履歴から集計した成績（勝点・勝敗数・試合数・バイ数・ゲーム数）
+ * - opponents: 対戦相手（Bye・欠席ラウンド・トップカットは除く。buildOpponentsMap() と同じ）
+ * - matches: 各対戦の相手と勝敗（'win' / 'loss' / 'draw'。両負けは 'loss'）
+ * - omw / ogw: プレイヤーシートの成績（players）から計算したOMW%・OGW%
+ * @param {Array<Object>} players - 全プレイヤー
+ * @param {Array<Object>} history - 対戦履歴
+ * @param {number} [drawPoints] - 引き分け時の勝点（record の勝点の計算に使用）
+ * @returns {Map<string, Object>} プレイヤーIDごとの { record, opponents, matches, omw, ogw }
+ */
+function buildTournamentStats(players, history, drawPoints = SWISS_CONFIG.POINTS_DRAW) {
+  const playersById = new Map(players.map((player) => [player.id, player]));
+  const stats = new Map();
+
+  const statsOf = (playerId) => {
+    if (!stats.has(playerId)) {
+      stats.set(playerId, {
+        record: { points: 0, wins: 0, losses: 0, draws: 0, matches: 0, byes: 0, gameWins: 0, gameLosses: 0, gameDraws: 0 },
+        opponents: new Set(),
+        matches: [],
+        omw: SWISS_CONFIG.MIN_WIN_RATE,
+        ogw: SWISS_CONFIG.MIN_WIN_RATE,
+      });
+    }
+    return stats.get(playerId);
+  };
+
+  const addResult = (playerId, result, games) => {
+    const record = statsOf(playerId).record;
+    const delta = calculateResultStats(result, drawPoints);
+    record.points += delta.points;
+    record.wins += delta.wins;
+    record.losses += delta.losses;
+    record.draws += delta.draws;
+    record.matches += delta.matches;
+    if (result === "bye") record.byes += 1;
+    if (games) {
+      record.gameWins += games.wins;
+      record.gameLosses += games.losses;
+      record.gameDraws += games.draws;
+    }
+  };
+
+  players.forEach((player) => statsOf(player.id));
+
+  for (const match of history) {
+    const p1 = match.player1Id;
+    const p2 = match.player2Id;
+    if (!p1 || match.stage === MATCH_STAGE.TOP_CUT) continue;
+
+    const resultType = classifyResult(match.result);
+
+    // Bye・欠席ラウンドは対戦相手がいない
+    if (!p2 || resultType === "bye" || resultType === "missed_loss" || resultType === "missed_bye") {
+      addResult(p1, resultType, match.gameScore);
+      continue;
+    }
+
+    let results = splitMatchResult(resultType);
+    if (resultType === "win") {
+      // 勝者は原則ID1側（古い履歴ではプレイヤー2が勝者の場合もある）。同名の対戦はIDの並びで判定する
+      const player1Won = resolveWinnerId(match, playersById.get(p1)?.name || p1, playersById.get(p2)?.name || p2) === p1;
+      results = player1Won ? ["win", "loss"] : ["loss", "win"];
+    }
+
+    addResult(p1, results[0], match.gameScore);
+    addResult(p2, results[1], invertGameScore(match.gameScore));
+
+    const outcomeOf = (result) => (result === "double_loss" ? "loss" : result);
+    statsOf(p1).opponents.add(p2);
+    statsOf(p2).opponents.add(p1);
+    statsOf(p1).matches.push({ opponentId: p2, outcome: outcomeOf(results[0]) });
+    statsOf(p2).matches.push({ opponentId: p1, outcome: outcomeOf(results[1]) });
+  }
+
+  for (const playerStats of stats.values()) {
+    playerStats.omw = averageOpponentWinRate(playerStats.opponents, playersById);
+    playerStats.ogw = averageOpponentGameWinRate(playerStats.opponents, playersById);
+  }
+
+  return stats;
+}
+
+// =========================================
+// 卓番号の割り当て
+// =========================================
+
+/**
+ * 使用可能な卓番号を昇順で返します
+ * @param {number} maxTables - 最大卓数
+ * @param {Array<number>} [unavailableTables] - 使用不可の卓番号
+ * @returns {Array<number>} 使用可能な卓番号
+ */
+function listAvailableTables(maxTables, unavailableTables = []) {
+  const unavailable = new Set(unavailableTables);
+  const tables = [];
+  for (let table = TABLE_CONFIG.MIN_TABLE_NUMBER; table < TABLE_CONFIG.MIN_TABLE_NUMBER + maxTables; table++) {
+    if (!unavailable.has(table)) tables.push(table);
+  }
+  return tables;
+}
+
+/**
+ * 対戦に卓番号を割り当てます
+ * 固定卓のプレイヤーを含む対戦はその卓に配置し、残りの対戦には使用不可の卓と固定卓を飛ばして小さい番号から順に割り当てます。
+ * 固定卓に配置できない場合（固定卓同士の対戦、同じ固定卓の重複、使用不可・範囲外の卓）は conflicts に理由を記録し、
+ * 可能な範囲で配置します。
+ * @param {Array<Array<string>>} pairs - 対戦（[プレイヤー1のID, プレイヤー2のID] の配列、Byeを除く）
+ * @param {number} maxTables - 最大卓数
+ * @param {Array<number>} [unavailableTables] - 使用不可の卓番号
+ * @param {Map<string, number>} [fixedTables] - プレイヤーIDごとの固定卓
+ * @returns {{tableNumbers: Array<number>, spareTables: Array<number>, conflicts: Array<string>}} 対戦ごとの卓番号、割り当てなかった使用可能な卓、競合の内容
+ * @throws {Error} 使用可能な卓が対戦数より少ない場合
+ */
+function assignTableNumbers(pairs, maxTables, unavailableTables = [], fixedTables = new Map()) {
+  const tables = listAvailableTables(maxTables, unavailableTables);
+  if (pairs.length > tables.length) {
+    throw new Error(`卓が不足しています: ${pairs.length}組の対戦に対し、使用可能な卓は${tables.length}卓です。`);
+  }
+
+  const availableSet = new Set(tables);
+  const tableNumbers = new Array(pairs.length).fill(null);
+  const usedTables = new Set();
+  const conflicts = [];
+
+  // 1. 固定卓のプレイヤーを含む対戦を配置
+  pairs.forEach((pair, index) => {
+    const requests = pair.filter((playerId) => fixedTables.has(playerId));
+    if (requests.length === 0) return;
+
+    if (requests.length === 2 && fixedTables.get(requests[0]) !== fixedTables.get(requests[1])) {
+      conflicts.push(
+        `固定卓のプレイヤー同士の対戦です: ${requests[0]}（卓${fixedTables.get(requests[0])}） vs ${requests[1]}（卓${fixedTables.get(requests[1])}）。` +
+          `卓${fixedTables.get(requests[0])}に配置しました。`
+      );
+    }
+
+    const playerId = requests[0];
+    const table = fixedTables.get(playerId);
+    if (!availableSet.has(table)) {
+      conflicts.push(`${playerId} の固定卓${table}は使用できない卓のため、別の卓に配置しました。`);
+      return;
+    }
+    if (usedTables.has(table)) {
+      conflicts.push(`${playerId} の固定卓${table}は他の固定卓の対戦で使用中のため、別の卓に配置しました。`);
+      return;
+    }
+
+    tableNumbers[index] = table;
+    usedTables.add(table);
+  });
+
+  // 2. 残りの対戦に、空いている卓を小さい番号から割り当て
+  const freeTables = tables.filter((table) => !usedTables.has(table));
+  tableNumbers.forEach((table, index) => {
+    if (table === null) tableNumbers[index] = freeTables.shift();
+  });
+
+  return { tableNumbers: tableNumbers, spareTables: freeTables, conflicts: conflicts };
+}
+
+// =========================================
+// ゲームスコア
+// =========================================
+
+/**
+ * ゲームスコアの入力（例: "2-1", "2-1-0"）を解析します
+ * @param {string} text - 「勝ちゲーム数-負けゲーム数[-引分ゲーム数]」形式の文字列
+ * @returns {{wins: number, losses: number, draws: number}|null} ゲームスコア。空欄の場合はnull
+ * @throws {Error} 形式が不正な場合
+ */
+function parseGameScore(text) {
+  const trimmed = String(text || "").trim();
+  if (trimmed === "") return null;
+
+  const match = trimmed.match(/^(\d+)\s*-\s*(\d+)(?:\s*-\s*(\d+))?$/);
+  if (!match) {
+    throw new Error(`ゲームスコアの形式が正しくありません: ${trimmed}（例: 2-1 または 2-1-0）`);
+  }
+
+  return {
+    wins: parseInt(match[1], 10),
+    losses: parseInt(match[2], 10),
+    draws: match[3] ? parseInt(match[3], 10) : 0,
+  };
+}
+
+/**
+ * ゲームスコアを「勝ち-負け-引分」形式の文字列にします
+ * @param {{wins: number, losses: number, draws: number}|null} score - ゲームスコア
+ * @returns {string} 文字列（例: "2-1-0"）。スコアがない場合は空文字
+ */
+function formatGameScore(score) {
+  if (!score) return "";
+  return `${score.wins}-${score.losses}-${score.draws}`;
+}
+
+/**
+ * ゲームスコアを相手側から見たスコアに反転します
+ * @param {{wins: number, losses: number, draws: number}|null} score - ゲームスコア
+ * @returns {{wins: number, losses: number, draws: number}|null} 反転したスコア
+ */
+function invertGameScore(score) {
+  if (!score) return null;
+  return { wins: score.losses, losses: score.wins, draws: score.draws };
+}
+
+/**
+ * ゲームスコアが対戦結果と矛盾しないか検証します
+ * @param {{wins: number, losses: number, draws: number}|null} score - プレイヤー1から見たゲームスコア
+ * @param {string} resultType - 'win'（プレイヤー1の勝利）、'draw'、'double_loss'
+ * @throws {Error} 結果と矛盾する場合
+ */
+function validateGameScore(score, resultType) {
+  if (!score) return;
+
+  if (score.wins + score.losses + score.draws === 0) {
+    throw new Error("ゲームスコアが 0-0-0 です。");
+  }
+  if (resultType === "win" && score.wins <= score.losses) {
+    throw new Error(`勝者のゲーム数が敗者以下です: ${formatGameScore(score)}`);
+  }
+  if (resultType === "draw" && score.wins !== score.losses) {
+    throw new Error(`引き分けなのにゲーム数が異なります: ${formatGameScore(score)}`);
+  }
+  if (resultType === "double_loss") {
+    throw new Error("両負けにはゲームスコアを記録できません。");
+  }
+}
+
+/**
+ * プレイヤーの成績と、対戦履歴から集計した成績の差分を返します
+ * @param {Object} player - プレイヤー（プレイヤーシートの値）
+ * @param {Object} record - buildTournamentStats() の record
+ * @returns {Array<{key: string, current: number, expected: number}>} 値が異なる項目
+ */
+function diffPlayerRecord(player, record) {
+  return Object.keys(record)
+    .filter((key) => (player[key] || 0) !== record[key])
+    .map((key) => ({ key, current: player[key] || 0, expected: record[key] }));
+}
+
+// =========================================
+// 順位の比較
+// =========================================
+
+/**
+ * タイブレークの定義（キーはタイブレーク順の設定で使用）
+ * - value(player, context): プレイヤーのタイブレーク値（大きいほど上位）
+ * - compare(a, b): 値では表せないタイブレーク（直接対決）の比較
+ * - stored(player): 対戦履歴なしで比較する場合に使う、プレイヤーシートに保存された値
+ */
+const TIEBREAKERS = {
+  omw: {
+    label: "OMW%",
+    value: (player, context) => context.omwById.get(player.id),
+    stored: (player) => player.omw || 0,
+  },
+  gw: {
+    label: "GW%",
+    value: (player) => calculateGameWinRate(player),
+    stored: (player) => calculateGameWinRate(player),
+  },
+  ogw: {
+    label: "OGW%",
+    value: (player, context) => context.ogwById.get(player.id),
+    stored: (player) => player.ogw || 0,
+  },
+  oomw: {
+    label: "OOMW%",
+    value: (player, context) => {
+      // 再戦した相手を二重に数えないよう、OMW%と同じ重複のない対戦相手で平均する
+      const opponentRates = [...context.opponentsById.get(player.id)].map((opponentId) => context.omwById.get(opponentId));
+      if (opponentRates.length === 0) return SWISS_CONFIG.MIN_WIN_RATE;
+      return opponentRates.reduce((sum, rate) => sum + rate, 0) / opponentRates.length;
+    },
+  },
+  h2h: {
+    label: "直接対決",
+    compare: (a, b) => {
+      if (!a.tiebreaks || !b.tiebreaks) return 0;
+      return (b.tiebreaks.h2h[a.id] || 0) - (a.tiebreaks.h2h[b.id] || 0);
+    },
+    value: (player, context) => {
+      const net = {};
+      for (const match of context.matchesById.get(player.id)) {
+        const delta = match.outcome === "win" ? 1 : match.outcome === "loss" ? -1 : 0;
+        net[match.opponentId] = (net[match.opponentId] || 0) + delta;
+      }
+      return net;
+    },
+  },
+  buchholz: {
+    label: "ブッフホルツ",
+    value: (player, context) => sumOpponentPoints(opponentPointsOf(player, context)),
+  },
+  median_buchholz: {
+    label: "メディアン・ブッフホルツ",
+    value: (player, context) => {
+      const points = opponentPointsOf(player, context).sort((a, b) => a - b);
+      return sumOpponentPoints(points.length >= 3 ? points.slice(1, -1) : points);
+    },
+  },
+  sonneborn_berger: {
+    label: "ゾンネボルン・ベルガー",
+    value: (player, context) =>
+      context.matchesById.get(player.id).reduce((sum, match) => {
+        const opponentPoints = context.playersById.get(match.opponentId)?.points || 0;
+        if (match.outcome === "win") return sum + opponentPoints;
+        if (match.outcome === "draw") return sum + opponentPoints / 2;
+        return sum;
+      }, 0),
+  },
+};
+
+/**
+ * タイブレーク順の設定を検証し、タイブレークのキーの配列に変換します
+ * @param {string|Array<string>} chain - カンマ区切りの文字列、またはキーの配列
+ * @returns {Array<string>} タイブレークのキー（重複は除く）
+ * @throws {Error} 未定義のキーを含む場合
+ */
+function parseTiebreakerChain(chain) {
+  const keys = (Array.isArray(chain) ? chain : String(chain).split(/[,、\s]+/)).map((key) => String(key).trim()).filter((key) => key !== "");
+  const unknown = keys.filter((key) => !TIEBREAKERS[key]);
+  if (unknown.length > 0) {
+    throw new Error(`未定義のタイブレークです: ${unknown.join(", ")}`);
+  }
+  return [...new Set(keys)];
+}
+
+/**
+ * タイブレーク計算用に、統計エンジンでプレイヤーごとの対戦（相手と勝敗）とOMW%・OGW%を集計します
+ * Bye・欠席ラウンド・トップカットの対戦は含めません。
+ * @param {Array<Object>} players - 全プレイヤー
+ * @param {Array<Object>} history - 対戦履歴
+ * @returns {Object} { players, history, playersById, matchesById, opponentsById, omwById, ogwById }
+ *   opponentsById は重複のない対戦相手（再戦した相手も1人として数える。OMW%と同じ）
+ */
+function buildTiebreakContext(players, history) {
+  const stats = buildTournamentStats(players, history);
+  const matchesById = new Map();
+  const opponentsById = new Map();
+  const omwById = new Map();
+  const ogwById = new Map();
+
+  for (const [playerId, playerStats] of stats) {
+    matchesById.set(playerId, playerStats.matches);
+    opponentsById.set(playerId, playerStats.opponents);
+    omwById.set(playerId, playerStats.omw);
+    ogwById.set(playerId, playerStats.ogw);
+  }
+
+  return { players, history, playersById: new Map(players.map((player) => [player.id, player])), matchesById, opponentsById, omwById, ogwById };
+}
+
+/**
+ * 対戦相手ごとの勝点の配列を返します（ブッフホルツ用）
+ * @param {Object} player - プレイヤー
+ * @param {Object} context - buildTiebreakContext() の戻り値
+ * @returns {Array<number>} 対戦相手の勝点
+ */
+function opponentPointsOf(player, context) {
+  return context.matchesById.get(player.id).map((match) => context.playersById.get(match.opponentId)?.points || 0);
+}
+
+/**
+ * 勝点の合計を返します
+ * @param {Array<number>} points - 勝点の配列
+ * @returns {number} 合計
+ */
+function sumOpponentPoints(points) {
+  return points.reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * すべてのタイブレーク値を計算し、プレイヤーに付加します
+ * omw・ogw も対戦履歴から計算し直した値で上書きします。
+ * @param {Array<Object>} players - 全プレイヤー（ドロップしたプレイヤーを含む。対戦相手の勝率の計算に使用）
+ * @param {Array<Object>} history - 対戦履歴
+ * @returns {Array<Object>} tiebreaks（キーごとの値）を付加したプレイヤーの配列
+ */
+function withTiebreaks(players, history) {
+  const context = buildTiebreakContext(players, history);
+
+  return players.map((player) => {
+    const tiebreaks = {};
+    for (const [key, tiebreaker] of Object.entries(TIEBREAKERS)) {
+      tiebreaks[key] = tiebreaker.value(player, context);
+    }
+    return { ...player, omw: tiebreaks.omw, ogw: tiebreaks.ogw, tiebreaks };
+  });
+}
+
+/**
+ * 勝点が同じプレイヤーのタイブレークを、設定された順に比較します
+ * tiebreaks がないプレイヤー（withTiebreaks() を通していない）は、プレイヤーシートに保存された値で比較します。
+ * @param {Object} a - プレイヤー
+ * @param {Object} b - プレイヤー
+ * @param {Array<string>} [chain] - タイブレークのキーの順序（省略時は OMW% → GW% → OGW%）
+ * @returns {number} Array.prototype.sort 用の比較値（差がない場合は0）
+ */
+function compareTiebreakers(a, b, chain = SWISS_CONFIG.TIEBREAKER_CHAIN) {
+  for (const key of chain) {
+    const tiebreaker = TIEBREAKERS[key];
+
+    if (tiebreaker.compare) {
+      const diff = tiebreaker.compare(a, b);
+      if (diff !== 0) return diff;
+      continue;
+    }
+
+    const valueOf = (player) => (player.tiebreaks ? player.tiebreaks[key] : tiebreaker.stored ? tiebreaker.stored(player) : 0);
+    const diff = valueOf(b) - valueOf(a);
+    if (Math.abs(diff) > 0.001) return diff;
+  }
+
+  return 0;
+}
+
+/**
+ * 順位の並び順を比較します（順位表・トップカットのシード・マッチング時の並び順で共通）
+ * 勝点降順 → タイブレーク（設定された順） → 自己勝率降順 → 試合数昇順
+ * （Byeを受けたプレイヤーは試合数が多く下位に並ぶが、Byeの候補は findSwissPairings がBye数で絞り込む）
+ * @param {Object} a - プレイヤー
+ * @param {Object} b - プレイヤー
+ * @param {Array<string>} [chain] - タイブレークのキーの順序（省略時は OMW% → GW% → OGW%）
+ * @returns {number} Array.prototype.sort 用の比較値
+ */
+function compareStandings(a, b, chain = SWISS_CONFIG.TIEBREAKER_CHAIN) {
+  const pointsDiff = b.points - a.points;
+  if (pointsDiff !== 0) return pointsDiff;
+
+  const tiebreakDiff = compareTiebreakers(a, b, chain);
+  if (tiebreakDiff !== 0) return tiebreakDiff;
+
+  const matchWinDiff = calculateMatchWinRate(b) - calculateMatchWinRate(a);
+  if (Math.abs(matchWinDiff) > 0.001) return matchWinDiff;
+
+  return a.matches - b.matches;
+}
+
+/**
+ * タイブレーク値を計算し、プレイヤーを順位順に並べます
+ * @param {Array<Object>} players - 全プレイヤー
+ * @param {Array<Object>} history - 対戦履歴
+ * @param {Array<string>} [chain] - タイブレークのキーの順序
+ * @param {function(Object): boolean} [filter] - 順位付けの対象（省略時は全員。タイブレーク値の計算には常に全員を使用）
+ * @returns {Array<Object>} 順位順のプレイヤー（tiebreaks を付加）
+ */
+function rankPlayers(players, history, chain = SWISS_CONFIG.TIEBREAKER_CHAIN, filter = () => true) {
+  return withTiebreaks(players, history)
+    .filter(filter)
+    .sort((a, b) => compareStandings(a, b, chain));
+}
+
+/**
+ * ドロップしたプレイヤーを含む全プレイヤーの順位表を作成します
+ * タイブレーク値は対戦履歴から計算し直します（ドロップしたプレイヤーの値はシート上で更新されないため）。
+ * @param {Array<Object>} players - 全プレイヤー
+ * @param {Array<Object>} history - 対戦履歴
+ * @param {Array<string>} [chain] - タイブレークのキーの順序
+ * @returns {Array<Object>} 順位順のプレイヤー（rank, tiebreaks を付加）
+ */
+function buildStandings(players, history, chain = SWISS_CONFIG.TIEBREAKER_CHAIN) {
+  return rankPlayers(players, history, chain).map((player, index) => ({ ...player, rank: index + 1 }));
+}
+
+// =========================================
+// トップカット（シングルエリミネーション）
+// =========================================
+
+/**
+ * トップカットの人数として有効か判定します（2以上の2のべき乗）
+ * @param {number} size - 人数
+ * @returns {boolean} 有効な場合true
+ */
+function isValidBracketSize(size) {
+  return Number.isInteger(size) && size >= 2 && (size & (size - 1)) === 0;
+}
+
+/**
+ * シード順のブラケット配置を作成します（上位シード同士が決勝まで当たらない並び）
+ * 例: 8人 → [1, 8, 4, 5, 2, 7, 3, 6]（1v8, 4v5, 2v7, 3v6）
+ * @param {number} size - 人数（2のべき乗）
+ * @returns {Array<number>} ブラケットの上から順に並んだシード番号
+ */
+function buildBracketSeedOrder(size) {
+  if (!isValidBracketSize(size)) {
+    throw new Error(`トップカットの人数は2以上の2のべき乗で指定してください: ${size}`);
+  }
+
+  let order = [1];
+  while (order.length < size) {
+    const roundSize = order.length * 2;
+    order = order.flatMap((seed) => [seed, roundSize + 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * 順位順のプレイヤーから、トップカット1回戦の対戦を作成します
+ * @param {Array<{id: string}>} rankedPlayers - 順位順（compareStandings順）に並んだプレイヤー
+ * @param {number} size - トップカットの人数（2のべき乗）
+ * @returns {Array<{matchNumber: number, seed1: number, player1Id: string, seed2: number, player2Id: string}>} 1回戦の対戦
+ */
+function buildTopCutBracket(rankedPlayers, size) {
+  const seedOrder = buildBracketSeedOrder(size);
+  if (rankedPlayers.length < size) {
+    throw new Error(`参加中のプレイヤーが${rankedPlayers.length}人のため、トップ${size}を作成できません。`);
+  }
+
+  const matches = [];
+  for (let i = 0; i < seedOrder.length; i += 2) {
+    const seed1 = seedOrder[i];
+    const seed2 = seedOrder[i + 1];
+    matches.push({
+      matchNumber: i / 2 + 1,
+      seed1: seed1,
+      player1Id: rankedPlayers[seed1 - 1].id,
+      seed2: seed2,
+      player2Id: rankedPlayers[seed2 - 1].id,
+    });
+  }
+  return matches;
+}
+
+/**
+ * 前のラウンドの勝者から、トップカットの次のラウンドの対戦を作成します
+ * 試合番号順に隣り合う2試合の勝者同士が対戦し、シード上位をプレイヤー1とします。
+ * @param {Array<{seed: number, playerId: string}>} winners - 前のラウンドの勝者（試合番号順）
+ * @returns {Array<{matchNumber: number, seed1: number, player1Id: string, seed2: number, player2Id: string}>} 次のラウンドの対戦（勝者が1人の場合は空）
+ */
+function buildNextBracketRound(winners) {
+  const matches = [];
+  for (let i = 0; i + 1 < winners.length; i += 2) {
+    const [upper, lower] = winners[i].seed <= winners[i + 1].seed ? [winners[i], winners[i + 1]] : [winners[i + 1], winners[i]];
+    matches.push({
+      matchNumber: i / 2 + 1,
+      seed1: upper.seed,
+      player1Id: upper.playerId,
+      seed2: lower.seed,
+      player2Id: lower.playerId,
+    });
+  }
+  return matches;
+}
+
+/**
+ * トップカットのラウンド名を返します
+ * @param {number} playerCount - そのラウンドに残っている人数
+ * @returns {string} ラウンド名（決勝、準決勝、準々決勝、トップN）
+ */
+function getTopCutRoundName(playerCount) {
+  switch (playerCount) {
+    case 2:
+      return "決勝";
+    case 4:
+      return "準決勝";
+    case 8:
+      return "準々決勝";
+    default:
+      return `トップ${playerCount}`;
+  }
+}
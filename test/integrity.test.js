@@ -0,0 +1,68 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTournament, recordAllResults } = require("./support/tournament");
+
+/**
+ * 整合性チェックを実行し、表示されたメッセージを返します
+ * @param {Object} project - loadProject() の戻り値
+ * @returns {string} 最後に表示されたメッセージ
+ */
+function runCheck(project) {
+  project.run("checkTournamentIntegrity()");
+  return project.ui.lastMessage();
+}
+
+test("checkTournamentIntegrity: 正常に進行したトーナメントでは問題を報告しない", () => {
+  const project = setupTournament(5);
+  project.get("startNewRound")();
+  recordAllResults(project);
+  project.get("startNewRound")();
+
+  assert.match(runCheck(project), /問題は見つかりませんでした/);
+});
+
+test("checkTournamentIntegrity: 重複ID・存在しないプレイヤー・ラウンド番号の不一致・履歴のない結果をセルの位置とともに報告する", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  recordAllResults(project);
+
+  const playerSheet = project.spreadsheet.getSheetByName("プレイヤー");
+  const duplicate = playerSheet.getRange(2, 1, 1, playerSheet.getLastColumn()).getValues()[0];
+  playerSheet.appendRow(duplicate);
+
+  const historySheet = project.spreadsheet.getSheetByName("対戦履歴");
+  historySheet.getRange(2, 5).setValue("P999");
+
+  const inProgressSheet = project.spreadsheet.getSheetByName("現在のラウンド");
+  inProgressSheet.getRange(3, 1).setValue(7);
+  inProgressSheet.getRange(3, 7).setValue("Player9 勝利");
+
+  const message = runCheck(project);
+
+  assert.match(message, /プレイヤー!A6: プレイヤーID P001 が重複しています（2行目と同じ）/);
+  assert.match(message, /対戦履歴!E2: T0001 のプレイヤー P999 はプレイヤーシートに存在しません/);
+  assert.match(message, /現在のラウンド!A3: ラウンド番号 7 が現在のラウンド（1）と一致しません/);
+  assert.match(message, /現在のラウンド!G3: 結果「Player9 勝利」に対応する対戦履歴の行がありません/);
+});
+
+test("checkTournamentIntegrity: 行の削除による対戦IDの衝突と、同じラウンドでの二重の対戦を報告する", () => {
+  const project = setupTournament(6);
+  project.get("startNewRound")();
+  recordAllResults(project);
+
+  // 対戦履歴の途中の行を削除すると、次に採番される対戦IDが既存のIDと重なる
+  const historySheet = project.spreadsheet.getSheetByName("対戦履歴");
+  historySheet.deleteRow(2);
+  assert.match(runCheck(project), /対戦履歴!A2: 対戦ID T0002 が行番号と一致しません。.*次に記録する対戦のID T0003 が既存のIDと衝突します/);
+
+  project.get("startNewRound")();
+  recordAllResults(project);
+  const message = runCheck(project);
+  assert.match(message, /対戦ID T0003 が重複しています（3行目と同じ）/);
+
+  const [first] = project.records("対戦履歴");
+  historySheet.appendRow(historySheet.getRange(2, 1, 1, historySheet.getLastColumn()).getValues()[0]);
+  assert.match(runCheck(project), new RegExp(`${first["ID1"]} はラウンド1で2回対戦しています（2行目と重複）`));
+});
@@ -0,0 +1,99 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTournament, recordAllResults, playersById } = require("./support/tournament");
+
+test("recordOperation: 操作者・操作・変更されたセルの変更前と変更後を操作ログに追記する", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+
+  const match = project.records("現在のラウンド")[0];
+  project.get("recordMatchResult")(match["ID1"], match["ID2"], 1, "win");
+
+  const logs = project.records("操作ログ");
+  assert.deepEqual(
+    logs.map((log) => [log["ログID"], log["操作"]]),
+    [
+      ["L00001", "プレイヤー登録"],
+      ["L00002", "プレイヤー登録"],
+      ["L00003", "プレイヤー登録"],
+      ["L00004", "プレイヤー登録"],
+      ["L00005", "新ラウンド開始"],
+      ["L00006", "対戦結果の記録"],
+    ]
+  );
+
+  const last = logs[5];
+  assert.equal(last["操作者"], "scorekeeper@example.com");
+  assert.equal(last["対象"], `${match["ID1"]} vs ${match["ID2"]}`);
+  assert.deepEqual(JSON.parse(last["変更前"])["現在のラウンド!G2"], "");
+  assert.deepEqual(JSON.parse(last["変更後"])["現在のラウンド!G2"], `${match["プレイヤー1"]} 勝利`);
+  assert.equal(JSON.parse(last["変更後"])["対戦履歴!A2"], "T0001");
+
+  const roundStart = JSON.parse(logs[4]["変更後"]);
+  assert.equal(roundStart["設定:CURRENT_ROUND"], "1");
+});
+
+test("undoLastOperation: 誤って記録した対戦結果を元に戻し、その記録も操作ログに追記する", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const before = playersById(project);
+
+  const match = project.records("現在のラウンド")[0];
+  project.get("recordMatchResult")(match["ID1"], match["ID2"], 1, "win");
+
+  project.ui.respond(true);
+  project.run("undoLastOperation()");
+
+  assert.match(project.ui.lastMessage(), /L00006（対戦結果の記録）を元に戻しました/);
+  assert.equal(project.records("現在のラウンド")[0]["結果"], "");
+  assert.equal(project.records("対戦履歴").length, 0);
+  assert.deepEqual(playersById(project), before);
+
+  const logs = project.records("操作ログ");
+  assert.deepEqual([logs[6]["ログID"], logs[6]["操作"], logs[6]["対象"]], ["L00007", "元に戻す", "L00006"]);
+
+  // 結果を記録し直せる（対戦IDも同じ番号から採番される）
+  project.get("recordMatchResult")(match["ID1"], match["ID2"], 1, "draw");
+  assert.equal(project.records("対戦履歴")[0]["対戦ID"], "T0001");
+  assert.equal(project.records("対戦履歴")[0]["結果"], "引き分け");
+});
+
+test("undoLastOperation: 続けて実行すると、まだ元に戻していない操作を新しい順に元に戻す", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  recordAllResults(project);
+  project.get("startNewRound")();
+
+  project.ui.respond(true);
+  project.run("undoLastOperation()");
+  assert.match(project.ui.lastMessage(), /（新ラウンド開始）を元に戻しました/);
+  assert.equal(project.get("getCurrentRound")(), 1);
+  assert.ok(project.records("現在のラウンド").every((match) => match["ラウンド"] === 1 && match["結果"]));
+
+  project.ui.respond(true);
+  project.run("undoLastOperation()");
+  assert.match(project.ui.lastMessage(), /（対戦結果の記録）を元に戻しました/);
+  assert.equal(project.records("現在のラウンド")[1]["結果"], "");
+});
+
+test("undoLastOperation: 操作の後に変更されたセルがある場合は元に戻さない", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+
+  const match = project.records("現在のラウンド")[0];
+  project.get("recordMatchResult")(match["ID1"], match["ID2"], 1, "win");
+
+  // 記録後に勝点を手作業で書き換える
+  const playerSheet = project.spreadsheet.getSheetByName("プレイヤー");
+  const winnerRow = project.records("プレイヤー").findIndex((player) => player["プレイヤーID"] === match["ID1"]) + 2;
+  playerSheet.getRange(winnerRow, 3).setValue(6);
+
+  project.run("undoLastOperation()");
+
+  assert.match(project.ui.lastMessage(), /元に戻せません/);
+  assert.match(project.ui.lastMessage(), new RegExp(`プレイヤー!C${winnerRow}: 3 → 6`));
+  assert.equal(project.records("現在のラウンド")[0]["結果"], `${match["プレイヤー1"]} 勝利`);
+  assert.equal(project.records("操作ログ").length, 6);
+});
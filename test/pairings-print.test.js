@@ -0,0 +1,85 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTournament, recordAllResults } = require("./support/tournament");
+
+/**
+ * 結果記入票シートのすべての行を返します（ヘッダーなしのシート）
+ * @param {Object} project - loadProject() の戻り値
+ * @returns {Array<Array<*>>} シートの値
+ */
+function slipRows(project) {
+  return project.spreadsheet.getSheetByName("結果記入票").getDataRange().getValues();
+}
+
+test("startNewRound: 名前順・卓順の組み合わせ表と、Byeを除く卓ごとの結果記入票を作成する", () => {
+  const project = setupTournament(5);
+  project.get("startNewRound")();
+  const matches = project.records("現在のラウンド");
+  const bye = matches.find((match) => !match["ID2"]);
+
+  const byName = project.records("組み合わせ（名前順）");
+  assert.deepEqual(
+    byName.map((row) => row["プレイヤー名"]),
+    ["Player1", "Player2", "Player3", "Player4", "Player5"]
+  );
+  const byePlayerRow = byName.find((row) => row["プレイヤーID"] === bye["ID1"]);
+  assert.deepEqual([byePlayerRow["対戦相手"], byePlayerRow["勝点"]], ["Bye", 0]);
+  const first = matches[0];
+  const firstPlayerRow = byName.find((row) => row["プレイヤーID"] === first["ID1"]);
+  assert.deepEqual([firstPlayerRow["卓番号"], firstPlayerRow["対戦相手"]], [first["卓番号"], `${first["プレイヤー2"]}（${first["ID2"]}）`]);
+
+  assert.deepEqual(
+    project.records("組み合わせ（卓順）").map((row) => [row["ラウンド"], row["卓番号"], row["プレイヤー2"]]),
+    [
+      [1, 1, `${matches[0]["プレイヤー2"]}（${matches[0]["ID2"]}）`],
+      [1, 2, `${matches[1]["プレイヤー2"]}（${matches[1]["ID2"]}）`],
+      [1, bye["卓番号"], "Bye"],
+    ]
+  );
+
+  const slips = slipRows(project);
+  assert.equal(slips.length, 11); // 2卓 × 6行（最後の区切りの空行は含まれない）
+  assert.deepEqual(
+    [slips[0][0], slips[6][0]],
+    ["ラウンド1　卓1", "ラウンド1　卓2"]
+  );
+  assert.deepEqual(slips[1], ["勝者に○", "プレイヤー", "勝ったゲーム数", "署名"]);
+  assert.deepEqual(slips.slice(2, 4).map((row) => row[1]), [`${first["プレイヤー1"]}（${first["ID1"]}）`, `${first["プレイヤー2"]}（${first["ID2"]}）`]);
+});
+
+test("組み合わせ表の勝点はラウンド開始時点の値（このラウンドのByeを含めない）で、席の入れ替え後も作り直す", () => {
+  const project = setupTournament(5);
+  project.get("startNewRound")();
+  recordAllResults(project);
+  project.get("startNewRound")();
+
+  const points = Object.fromEntries(project.records("プレイヤー").map((player) => [player["プレイヤーID"], player["勝点"]]));
+  const bye = project.records("現在のラウンド").find((match) => !match["ID2"]);
+  project.records("組み合わせ（名前順）").forEach((row) => {
+    const expected = row["プレイヤーID"] === bye["ID1"] ? points[row["プレイヤーID"]] - 3 : points[row["プレイヤーID"]];
+    assert.equal(row["勝点"], expected, row["プレイヤー名"]);
+  });
+
+  const [first, second] = project.records("現在のラウンド");
+  project.ui.respond(`${parseInt(first["ID1"].slice(1), 10)}, ${parseInt(second["ID2"].slice(1), 10)}`, true);
+  project.run("swapPlayerSeats()");
+  const moved = project.records("組み合わせ（名前順）").find((row) => row["プレイヤーID"] === first["ID1"]);
+  assert.deepEqual([moved["ラウンド"], moved["卓番号"]], [2, second["卓番号"]]);
+});
+
+test("buildPairingsPdfUrl: シートごとのPDFエクスポートURLを返し、シートの初期設定で印刷用シートをクリアする", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+
+  const ss = project.spreadsheet;
+  const sheet = ss.getSheetByName("結果記入票");
+  const url = project.get("buildPairingsPdfUrl")(ss, sheet);
+  assert.match(url, /^https:\/\/docs\.google\.com\/spreadsheets\/d\/fake-spreadsheet-id\/export\?format=pdf&/);
+  assert.match(url, new RegExp(`[?&]gid=${sheet.getSheetId()}&`));
+
+  project.run("setupSheets()");
+  assert.equal(project.records("組み合わせ（名前順）").length, 0);
+  assert.equal(slipRows(project).flat().join(""), "");
+});
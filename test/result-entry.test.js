@@ -0,0 +1,209 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTournament, playersById } = require("./support/tournament");
+
+test("recordResultByTable: 卓番号と勝った側を選んで結果とゲームスコアを記録する", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const match = project.records("現在のラウンド").find((row) => row["卓番号"] === 2);
+
+  // 卓番号「2」→「2: プレイヤー2の勝ち」→ ゲームスコア → 確認
+  project.ui.respond("2", "2", "2-1", true);
+  project.run("recordResultByTable()");
+
+  const [history] = project.records("対戦履歴");
+  assert.deepEqual([history["卓番号"], history["ID1"], history["ID2"], history["ゲームスコア"]], [2, match["ID2"], match["ID1"], "2-1-0"]);
+  assert.equal(project.records("現在のラウンド").find((row) => row["卓番号"] === 2)["結果"], `${match["プレイヤー2"]} 勝利`);
+  assert.equal(playersById(project)[match["ID2"]]["勝点"], 3);
+
+  // 記録済みの卓は選択肢を表示せずに中止する
+  project.ui.respond("2");
+  project.run("recordResultByTable()");
+  assert.match(project.ui.lastMessage(), /卓2 は既に結果が記録されています/);
+  assert.equal(project.records("対戦履歴").length, 1);
+});
+
+test("recordResultByTable: ダイアログの表示中に席が入れ替えられた卓は記録しない", () => {
+  const project = setupTournament(6);
+  project.get("startNewRound")();
+  const [first, second] = project.records("現在のラウンド");
+
+  // 確認ダイアログの表示中に、別のスタッフが卓1と卓2の席を入れ替える
+  const swapDuringConfirm = () => {
+    project.ui.respond(`${parseInt(first["ID1"].slice(1), 10)}, ${parseInt(second["ID1"].slice(1), 10)}`, true);
+    project.run("swapPlayerSeats()");
+    return true;
+  };
+  project.ui.respond("1", "1", "2-0", swapDuringConfirm);
+  project.run("recordResultByTable()");
+
+  assert.match(project.ui.lastMessage(), /卓1 の組み合わせまたは結果が変更されたため、記録しませんでした/);
+  assert.equal(project.records("対戦履歴").length, 0);
+  assert.deepEqual(project.records("現在のラウンド").map((row) => row["結果"]), ["", "", ""]);
+});
+
+test("recordResultByTable: Byeの卓・存在しない卓は記録しない", () => {
+  const project = setupTournament(5);
+  project.get("startNewRound")();
+  const bye = project.records("現在のラウンド").find((row) => !row["ID2"]);
+
+  project.ui.respond(String(bye["卓番号"]));
+  project.run("recordResultByTable()");
+  assert.match(project.ui.lastMessage(), /Byeのため/);
+
+  project.ui.respond("99");
+  project.run("recordResultByTable()");
+  assert.match(project.ui.lastMessage(), /卓99 は現在のラウンドにありません/);
+});
+
+test("promptPlayerId: IDの数字部分・ID・名前の一部で指定でき、複数一致は番号で選択する", () => {
+  const project = setupTournament(12);
+  const promptPlayerId = project.get("promptPlayerId");
+
+  project.ui.respond("7", "p012", "Ｐ００３");
+  assert.equal(promptPlayerId("選択", ""), "P007");
+  assert.equal(promptPlayerId("選択", ""), "P012");
+  assert.equal(promptPlayerId("選択", ""), "P003");
+
+  // 完全に一致する名前が1名だけなら、部分一致の候補（Player12 など）より優先する
+  project.ui.respond("player2", "Player1");
+  assert.equal(promptPlayerId("選択", ""), "P002");
+  assert.equal(promptPlayerId("選択", ""), "P001");
+
+  project.ui.respond("layer1", "3");
+  assert.equal(promptPlayerId("選択", ""), "P011");
+  assert.match(project.ui.messages.at(-1), /1: P001 Player1（参加中）\n2: P010 Player10（参加中）\n3: P011 Player11（参加中）/);
+
+  project.ui.respond("Nobody");
+  assert.equal(promptPlayerId("選択", ""), null);
+  assert.match(project.ui.lastMessage(), /「Nobody」に一致するプレイヤーが見つかりませんでした/);
+});
+
+test("dropoutPlayer: プレイヤー名の一部でドロップさせるプレイヤーを指定できる", () => {
+  const project = setupTournament(4);
+
+  project.ui.respond("yer3", true);
+  project.run("dropoutPlayer()");
+
+  assert.equal(playersById(project).P003["参加状況"], "終了");
+});
+
+/**
+ * 現在のラウンドシートの結果列を編集し、編集トリガーを呼び出します
+ * @param {Object} project - loadProject() の戻り値
+ * @param {number} rowNumber - 編集する行番号（1-indexed）
+ * @param {string} value - 入力する値（空文字列はセルの削除）
+ */
+function editResultCell(project, rowNumber, value) {
+  const range = project.spreadsheet.getSheetByName("現在のラウンド").getRange(rowNumber, 7);
+  const oldValue = range.getValue();
+  range.setValue(value);
+  project.get("handleResultSheetEdit")({ range: range, value: value === "" ? undefined : value, oldValue: oldValue === "" ? undefined : oldValue });
+}
+
+test("シートからの結果入力: 有効にすると未記録の卓にプルダウンを設定し、選択した結果を記録する", () => {
+  const project = setupTournament(5);
+  project.ui.respond("1");
+  project.run("configureResultSheetEntry()");
+  assert.equal(project.triggers.length, 1);
+
+  project.get("startNewRound")();
+  const sheet = project.spreadsheet.getSheetByName("現在のラウンド");
+  const rows = project.records("現在のラウンド");
+  const byeRow = rows.findIndex((row) => !row["ID2"]) + 2;
+  const matchRow = rows.findIndex((row) => row["ID2"]) + 2;
+  const match = rows[matchRow - 2];
+
+  assert.deepEqual(sheet.getRange(matchRow, 7).getDataValidation().values, ["P1勝ち", "P2勝ち", "引き分け", "両負け"]);
+  assert.equal(sheet.getRange(byeRow, 7).getDataValidation(), null);
+
+  editResultCell(project, matchRow, "P2勝ち");
+
+  assert.equal(sheet.getRange(matchRow, 7).getValue(), `${match["プレイヤー2"]} 勝利`);
+  assert.equal(sheet.getRange(matchRow, 7).getDataValidation(), null);
+  assert.deepEqual([project.records("対戦履歴").at(-1)["ID1"], project.records("対戦履歴").at(-1)["ID2"]], [match["ID2"], match["ID1"]]);
+  assert.equal(playersById(project)[match["ID2"]]["勝点"], 3);
+  assert.equal(project.records("操作ログ").at(-1)["操作"], "対戦結果の記録");
+  assert.match(project.spreadsheet.toasts.at(-1), new RegExp(`卓${match["卓番号"]}: ${match["プレイヤー2"]} 勝利 を記録しました`));
+});
+
+test("シートからの結果入力: 記録済みの結果の変更・Byeの行の編集・選択肢以外の値は元に戻す", () => {
+  const project = setupTournament(5);
+  project.ui.respond("1");
+  project.run("configureResultSheetEntry()");
+  project.get("startNewRound")();
+
+  const sheet = project.spreadsheet.getSheetByName("現在のラウンド");
+  const rows = project.records("現在のラウンド");
+  const byeRow = rows.findIndex((row) => !row["ID2"]) + 2;
+  const [firstRow, secondRow] = rows.flatMap((row, index) => (row["ID2"] ? [index + 2] : []));
+
+  editResultCell(project, firstRow, "引き分け");
+  const recorded = sheet.getRange(firstRow, 7).getValue();
+  assert.equal(recorded, "引き分け");
+
+  editResultCell(project, firstRow, "P1勝ち");
+  assert.equal(sheet.getRange(firstRow, 7).getValue(), recorded);
+  assert.match(project.spreadsheet.toasts.at(-1), /記録済みの結果は変更できません/);
+
+  editResultCell(project, firstRow, "");
+  assert.equal(sheet.getRange(firstRow, 7).getValue(), recorded);
+
+  editResultCell(project, byeRow, "両負け");
+  assert.equal(sheet.getRange(byeRow, 7).getValue(), "Bye");
+  assert.match(project.spreadsheet.toasts.at(-1), /Byeの行の結果は変更できません/);
+
+  editResultCell(project, secondRow, "勝ち");
+  assert.equal(sheet.getRange(secondRow, 7).getValue(), "");
+  assert.match(project.spreadsheet.toasts.at(-1), /プルダウン（P1勝ち \/ P2勝ち \/ 引き分け \/ 両負け）から選択してください/);
+
+  assert.equal(project.records("対戦履歴").filter((row) => row["結果"] !== "Bye").length, 1);
+});
+
+test("シートからの結果入力: 複数のセルの削除・貼り付けは、結果列を対戦履歴の内容に戻す", () => {
+  const project = setupTournament(7);
+  project.ui.respond("1");
+  project.run("configureResultSheetEntry()");
+  project.get("startNewRound")();
+
+  const sheet = project.spreadsheet.getSheetByName("現在のラウンド");
+  const [firstRow] = project.records("現在のラウンド").flatMap((row, index) => (row["ID2"] ? [index + 2] : []));
+  editResultCell(project, firstRow, "P1勝ち");
+  const before = sheet.getRange(2, 7, 4, 1).getValues();
+  const editRange = (value) => {
+    const range = sheet.getRange(2, 7, 4, 1);
+    range.setValue(value);
+    project.get("handleResultSheetEdit")({ range: range, value: undefined, oldValue: undefined });
+  };
+
+  // 記録済みの結果とByeを含む範囲を削除
+  editRange("");
+  assert.deepEqual(sheet.getRange(2, 7, 4, 1).getValues(), before);
+  assert.match(project.spreadsheet.toasts.at(-1), /結果列を元に戻しました/);
+
+  // 未記録の卓への選択肢の貼り付けも記録しない
+  editRange("P2勝ち");
+  assert.deepEqual(sheet.getRange(2, 7, 4, 1).getValues(), before);
+  assert.equal(project.get("countRemainingMatches")(), 2);
+  assert.equal(project.records("対戦履歴").filter((row) => row["結果"] !== "Bye").length, 1);
+  assert.deepEqual(sheet.getRange(firstRow === 2 ? 3 : 2, 7).getDataValidation().values, ["P1勝ち", "P2勝ち", "引き分け", "両負け"]);
+});
+
+test("シートからの結果入力: 無効の場合はプルダウンを設定せず、編集を処理しない", () => {
+  const project = setupTournament(4);
+  project.ui.respond("1");
+  project.run("configureResultSheetEntry()");
+  project.ui.respond("2");
+  project.run("configureResultSheetEntry()");
+  assert.equal(project.triggers.length, 0);
+
+  project.get("startNewRound")();
+  const sheet = project.spreadsheet.getSheetByName("現在のラウンド");
+  assert.equal(sheet.getRange(2, 7).getDataValidation(), null);
+
+  editResultCell(project, 2, "P1勝ち");
+  assert.equal(sheet.getRange(2, 7).getValue(), "P1勝ち");
+  assert.equal(project.records("対戦履歴").length, 0);
+});
@@ -0,0 +1,62 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { toPlain } = require("./support/load-project");
+const { setupTournament, playersById } = require("./support/tournament");
+
+test("getResultSidebarData: 未記録の卓を卓番号順に返し、残りの卓数を数える", () => {
+  const project = setupTournament(5);
+  project.get("startNewRound")();
+
+  const data = toPlain(project.get("getResultSidebarData")());
+  assert.equal(data.available, true);
+  assert.equal(data.round, 1);
+  assert.equal(data.remaining, 2);
+  assert.equal(data.complete, false);
+  assert.deepEqual(
+    data.openMatches.map((match) => match.tableNumber),
+    [1, 2]
+  );
+
+  const first = data.openMatches[0];
+  const row = project.records("現在のラウンド")[first.matchRow - 1];
+  assert.deepEqual([first.player1Id, first.player1Name, first.player2Id], [row["ID1"], row["プレイヤー1"], row["ID2"]]);
+});
+
+test("recordResultFromSidebar: プレイヤー2の勝利を記録し、最新の状態を返す", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const [first, second] = project.get("getResultSidebarData")().openMatches;
+
+  const data = project.get("recordResultFromSidebar")(first.matchRow, first.player1Id, first.player2Id, "p2");
+  assert.equal(data.message, `卓${first.tableNumber}: ${first.player2Name} 勝利 を記録しました。`);
+  assert.equal(data.remaining, 1);
+  assert.equal(project.records("対戦履歴")[0]["ID1"], first.player2Id);
+  assert.equal(playersById(project)[first.player2Id]["勝点"], 3);
+
+  const last = project.get("recordResultFromSidebar")(second.matchRow, second.player1Id, second.player2Id, "draw");
+  assert.equal(last.complete, true);
+  assert.equal(last.openMatches.length, 0);
+  assert.ok(project.spreadsheet.getSheetByName("順位表"));
+});
+
+test("recordResultFromSidebar: 表示後に記録済み・入れ替え済みになった卓は記録しない", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const [first] = project.get("getResultSidebarData")().openMatches;
+
+  project.get("recordMatchResult")(first.player1Id, first.player2Id, first.matchRow, "win");
+  assert.throws(
+    () => project.get("recordResultFromSidebar")(first.matchRow, first.player1Id, first.player2Id, "p2"),
+    /既に記録されたか、組み合わせが変更されています/
+  );
+  assert.equal(project.records("対戦履歴").length, 1);
+});
+
+test("getResultSidebarData: ラウンド開始前は記録できない旨を返す", () => {
+  const project = setupTournament(4);
+  const data = project.get("getResultSidebarData")();
+  assert.equal(data.available, false);
+  assert.match(data.message, /トーナメントが開始されていません/);
+});
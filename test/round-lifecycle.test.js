@@ -0,0 +1,818 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTournament, recordAllResults, playersById } = require("./support/tournament");
+const { toPlain } = require("./support/load-project");
+
+test("setupSheets → registerPlayer でプレイヤーが採番される", () => {
+  const project = setupTournament(3);
+
+  const players = playersById(project);
+  assert.deepEqual(Object.keys(players), ["P001", "P002", "P003"]);
+  assert.equal(players.P002["プレイヤー名"], "Player2");
+  assert.equal(project.get("getCurrentRound")(), 0);
+});
+
+test("startNewRound → recordMatchResult を繰り返しても再戦しない", () => {
+  const project = setupTournament(6);
+  const pairs = new Set();
+
+  for (let round = 1; round <= 3; round++) {
+    const result = project.get("startNewRound")();
+    assert.equal(result.success, true, result.message);
+    assert.equal(result.round, round);
+
+    const matches = project.records("現在のラウンド");
+    assert.equal(matches.length, 3);
+    for (const match of matches) {
+      const key = [match["ID1"], match["ID2"]].sort().join("-");
+      assert.ok(!pairs.has(key), `ラウンド${round}で再戦: ${key}`);
+      pairs.add(key);
+    }
+
+    recordAllResults(project);
+    assert.equal(project.get("isRoundComplete")(), true);
+  }
+
+  const players = Object.values(playersById(project));
+  const totalWins = players.reduce((sum, player) => sum + player["勝数"], 0);
+  const totalPoints = players.reduce((sum, player) => sum + player["勝点"], 0);
+  assert.equal(totalWins, 9);
+  assert.equal(totalPoints, 27);
+  assert.equal(project.records("対戦履歴").length, 9);
+});
+
+test("奇数人数ではByeが記録され、勝点3が加算される", () => {
+  const project = setupTournament(5);
+
+  const result = project.get("startNewRound")();
+  assert.equal(result.success, true, result.message);
+
+  const byeMatches = project.records("現在のラウンド").filter((match) => match["結果"] === "Bye");
+  assert.equal(byeMatches.length, 1);
+
+  const byePlayer = playersById(project)[byeMatches[0]["ID1"]];
+  assert.equal(byePlayer["勝点"], 3);
+  assert.equal(byePlayer["試合数"], 1);
+  assert.equal(project.get("isRoundComplete")(), false);
+});
+
+test("結果が未記録のラウンドがあると次のラウンドを開始できない", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+
+  const result = project.get("startNewRound")();
+
+  assert.equal(result.success, false);
+  assert.equal(project.get("getCurrentRound")(), 1);
+});
+
+test("同じ対戦の結果は二重に記録できない", () => {
+  const project = setupTournament(2);
+  project.get("startNewRound")();
+  recordAllResults(project);
+
+  assert.throws(() => project.get("recordMatchResult")("P001", "P002", 1, "win"), /既に結果が記録されています/);
+});
+
+test("行の対戦者と異なるプレイヤーの結果は記録しない（席の入れ替え後の古い行番号など）", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const [first, second] = project.records("現在のラウンド");
+
+  assert.throws(() => project.get("recordMatchResult")(first["ID1"], first["ID2"], 2, "win"), /対戦者が .* と一致しません/);
+  assert.throws(() => project.get("recordMatchResult")(first["ID1"], second["ID1"], 1, "win"), /対戦者が .* と一致しません/);
+  assert.equal(project.records("対戦履歴").length, 0);
+  assert.deepEqual(project.records("現在のラウンド").map((match) => match["結果"]), ["", ""]);
+});
+
+test("finishTournament でトーナメントが終了状態になる", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  recordAllResults(project);
+
+  project.ui.respond(true);
+  project.run("finishTournament()");
+
+  assert.equal(project.get("getTournamentStatus")(), project.get("TOURNAMENT_STATUS").FINISHED);
+  const omwValues = Object.values(playersById(project)).map((player) => player["OMW%"]);
+  assert.ok(omwValues.every((value) => value > 0));
+});
+
+test("引き分けは両者に引き分けの勝点、両負けは両者0勝点で記録される", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const [first, second] = project.records("現在のラウンド");
+
+  project.get("recordMatchResult")(first["ID1"], first["ID2"], 1, "draw");
+  project.get("recordMatchResult")(second["ID1"], second["ID2"], 2, "double_loss");
+
+  const players = playersById(project);
+  assert.equal(players[first["ID1"]]["勝点"], 1);
+  assert.equal(players[first["ID2"]]["引分数"], 1);
+  assert.equal(players[first["ID2"]]["敗数"], 0);
+  assert.equal(players[second["ID1"]]["勝点"], 0);
+  assert.equal(players[second["ID1"]]["敗数"], 1);
+  assert.equal(players[second["ID2"]]["引分数"], 0);
+  assert.deepEqual(
+    project.records("対戦履歴").map((match) => match["結果"]),
+    ["引き分け", "両負け"]
+  );
+});
+
+test("引き分けの勝点は設定で変更できる", () => {
+  const project = setupTournament(2);
+  project.ui.respond("0");
+  project.run("configureDrawPoints()");
+  project.get("startNewRound")();
+
+  recordAllResults(project, "draw");
+
+  assert.equal(playersById(project).P001["勝点"], 0);
+  assert.equal(playersById(project).P001["引分数"], 1);
+});
+
+test("correctMatchResult: 引き分けを勝敗に修正すると統計が調整される", () => {
+  const project = setupTournament(2);
+  project.get("startNewRound")();
+  recordAllResults(project, "draw");
+
+  const [draw] = project.records("対戦履歴");
+  const winnerId = draw["ID2"];
+  const loserId = draw["ID1"];
+
+  // 対戦ID「1」→ 選択肢「2: プレイヤー2の勝利に変更する」→ ゲームスコアなし → 確認
+  project.ui.respond("1", "2", "", true);
+  project.run("correctMatchResult()");
+
+  const players = playersById(project);
+  assert.equal(players[winnerId]["勝点"], 3);
+  assert.equal(players[winnerId]["勝数"], 1);
+  assert.equal(players[winnerId]["引分数"], 0);
+  assert.equal(players[loserId]["勝点"], 0);
+  assert.equal(players[loserId]["敗数"], 1);
+  assert.equal(players[loserId]["引分数"], 0);
+
+  const [match] = project.records("対戦履歴");
+  assert.equal(match["ID1"], winnerId);
+  assert.equal(match["結果"], `${draw["プレイヤー2"]} 勝利`);
+});
+
+test("correctMatchResult: 勝敗を両負けに修正すると勝者の勝点が取り消される", () => {
+  const project = setupTournament(2);
+  project.get("startNewRound")();
+  recordAllResults(project);
+
+  // 対戦ID「1」→ 選択肢「3: 両負けに変更する」→ 確認
+  project.ui.respond("1", "3", true);
+  project.run("correctMatchResult()");
+
+  const players = Object.values(playersById(project));
+  assert.deepEqual(
+    players.map((player) => [player["勝点"], player["勝数"], player["敗数"]]),
+    [
+      [0, 0, 1],
+      [0, 0, 1],
+    ]
+  );
+  assert.equal(project.records("対戦履歴")[0]["結果"], "両負け");
+});
+
+test("ゲームスコアを記録すると両者のゲーム数に反映され、Byeは2-0として記録される", () => {
+  const project = setupTournament(3);
+  project.get("startNewRound")();
+  const matchIndex = project.records("現在のラウンド").findIndex((match) => match["ID2"]);
+  const match = project.records("現在のラウンド")[matchIndex];
+
+  project.get("recordMatchResult")(match["ID1"], match["ID2"], matchIndex + 1, "win", { wins: 2, losses: 1, draws: 0 });
+
+  const players = playersById(project);
+  assert.deepEqual(
+    [players[match["ID1"]]["ゲーム勝数"], players[match["ID1"]]["ゲーム敗数"]],
+    [2, 1]
+  );
+  assert.deepEqual(
+    [players[match["ID2"]]["ゲーム勝数"], players[match["ID2"]]["ゲーム敗数"]],
+    [1, 2]
+  );
+
+  const history = project.records("対戦履歴");
+  const bye = history.find((record) => record["結果"] === "Bye");
+  assert.equal(bye["ゲームスコア"], "2-0-0");
+  assert.equal(players[bye["ID1"]]["ゲーム勝数"], 2);
+  assert.equal(history.find((record) => record["ID2"] === match["ID2"])["ゲームスコア"], "2-1-0");
+});
+
+test("結果と矛盾するゲームスコアは記録できない", () => {
+  const project = setupTournament(2);
+  project.get("startNewRound")();
+
+  assert.throws(
+    () => project.get("recordMatchResult")("P001", "P002", 1, "win", { wins: 1, losses: 2, draws: 0 }),
+    /勝者のゲーム数が敗者以下です/
+  );
+  assert.equal(project.records("対戦履歴").length, 0);
+});
+
+test("correctMatchResult: 勝敗の入れ替えでゲーム数も付け替えられる", () => {
+  const project = setupTournament(2);
+  project.get("startNewRound")();
+  const [match] = project.records("現在のラウンド");
+  project.get("recordMatchResult")(match["ID1"], match["ID2"], 1, "win", { wins: 2, losses: 0, draws: 0 });
+
+  // 対戦ID「1」→ 選択肢「1: 勝敗を入れ替える」→ 新しい勝者から見て 2-1 → 確認
+  project.ui.respond("1", "1", "2-1", true);
+  project.run("correctMatchResult()");
+
+  const players = playersById(project);
+  assert.deepEqual(
+    [players[match["ID2"]]["ゲーム勝数"], players[match["ID2"]]["ゲーム敗数"]],
+    [2, 1]
+  );
+  assert.deepEqual(
+    [players[match["ID1"]]["ゲーム勝数"], players[match["ID1"]]["ゲーム敗数"]],
+    [1, 2]
+  );
+  assert.equal(project.records("対戦履歴")[0]["ゲームスコア"], "2-1-0");
+});
+
+test("correctMatchResult: 同名のプレイヤー同士でもプレイヤー2の勝利への修正が統計の再計算で保たれる", () => {
+  const project = setupTournament(0);
+  project.ui.respond("田中", true);
+  project.run("registerPlayer()");
+  project.ui.respond("田中", true);
+  project.run("registerPlayer()");
+  project.get("startNewRound")();
+  const [match] = project.records("現在のラウンド");
+  project.get("recordMatchResult")(match["ID1"], match["ID2"], 1, "draw");
+
+  // 対戦ID「1」→ 選択肢「2: プレイヤー2の勝利に変更する」→ 2-0 → 確認
+  project.ui.respond("1", "2", "2-0", true);
+  project.run("correctMatchResult()");
+  assert.equal(project.records("対戦履歴")[0]["ID1"], match["ID2"]);
+
+  project.ui.respond();
+  project.run("recalculatePlayerStats()");
+  assert.match(project.ui.lastMessage(), /一致しています/);
+
+  // 勝敗を入れ替えると元のプレイヤー1の勝利になる
+  project.ui.respond("1", "1", "2-1", true);
+  project.run("correctMatchResult()");
+  project.ui.respond();
+  project.run("recalculatePlayerStats()");
+  assert.match(project.ui.lastMessage(), /一致しています/);
+
+  const players = playersById(project);
+  assert.deepEqual([players[match["ID1"]]["勝数"], players[match["ID1"]]["敗数"]], [1, 0]);
+  assert.deepEqual([players[match["ID2"]]["勝数"], players[match["ID2"]]["敗数"]], [0, 1]);
+});
+
+test("使用可能な卓が対戦数より少ない場合はラウンドを開始しない", () => {
+  const project = setupTournament(6);
+  project.get("setMaxTables")(2);
+
+  const result = project.get("startNewRound")();
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /卓が不足しています/);
+  assert.equal(project.get("getCurrentRound")(), 0);
+  assert.equal(project.records("現在のラウンド").length, 0);
+});
+
+test("使用不可の卓は飛ばして卓番号を割り当て、卓が残っていないByeは卓番号なしで記録する", () => {
+  const project = setupTournament(5);
+  project.get("setMaxTables")(3);
+  project.ui.respond("2");
+  project.run("configureUnavailableTables()");
+
+  const result = project.get("startNewRound")();
+  assert.equal(result.success, true, result.message);
+
+  const matches = project.records("現在のラウンド");
+  assert.deepEqual(
+    matches.filter((match) => match["ID2"]).map((match) => match["卓番号"]),
+    [1, 3]
+  );
+  assert.equal(matches.find((match) => match["結果"] === "Bye")["卓番号"], "");
+});
+
+test("固定卓のプレイヤーの対戦はその卓に配置され、他の対戦は空いた卓に割り当てられる", () => {
+  const project = setupTournament(6);
+  // P003 → 卓2
+  project.ui.respond("3", "2");
+  project.run("configureFixedTable()");
+
+  const result = project.get("startNewRound")();
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.warnings.length, 0);
+
+  const matches = project.records("現在のラウンド");
+  const fixedMatch = matches.find((match) => match["ID1"] === "P003" || match["ID2"] === "P003");
+  assert.equal(fixedMatch["卓番号"], 2);
+  assert.deepEqual(
+    matches.map((match) => match["卓番号"]).sort(),
+    [1, 2, 3]
+  );
+});
+
+test("固定卓のプレイヤー同士が対戦する場合は警告を返す", () => {
+  const project = setupTournament(2);
+  project.ui.respond("1", "4");
+  project.run("configureFixedTable()");
+  project.ui.respond("2", "3");
+  project.run("configureFixedTable()");
+
+  const result = project.get("startNewRound")();
+
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.warnings.length, 1);
+  assert.match(result.warnings[0], /固定卓のプレイヤー同士の対戦です/);
+  assert.ok([3, 4].includes(project.records("現在のラウンド")[0]["卓番号"]));
+});
+
+test("configureFixedTable: 他のプレイヤーの固定卓と重複する卓は設定できない", () => {
+  const project = setupTournament(2);
+  project.ui.respond("1", "4");
+  project.run("configureFixedTable()");
+  project.ui.respond("2", "4");
+  project.run("configureFixedTable()");
+
+  assert.match(project.ui.lastMessage(), /既に Player1 \(P001\) の固定卓です/);
+  assert.equal(playersById(project).P002["固定卓"], "");
+});
+
+test("Byeは同じプレイヤーに2回与えられず、バイ数が記録される", () => {
+  const project = setupTournament(3);
+
+  for (let round = 1; round <= 3; round++) {
+    const result = project.get("startNewRound")();
+    assert.equal(result.success, true, result.message);
+    recordAllResults(project);
+  }
+
+  const byes = Object.values(playersById(project)).map((player) => player["バイ数"]);
+  assert.deepEqual(byes, [1, 1, 1]);
+});
+
+test("途中参加したプレイヤーは開始済みのラウンドが不戦敗として記録され、次のラウンドからマッチングされる", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  recordAllResults(project);
+  project.get("startNewRound")();
+
+  project.ui.respond("Latecomer", true);
+  project.run("registerPlayer()");
+
+  const latecomer = playersById(project).P005;
+  assert.deepEqual(
+    [latecomer["勝点"], latecomer["敗数"], latecomer["試合数"], latecomer["参加状況"]],
+    [0, 2, 2, "参加中"]
+  );
+  const missed = project.records("対戦履歴").filter((match) => match["ID1"] === "P005");
+  assert.deepEqual(
+    missed.map((match) => [match["ラウンド"], match["結果"]]),
+    [
+      [1, "不戦敗"],
+      [2, "不戦敗"],
+    ]
+  );
+
+  recordAllResults(project);
+  project.get("startNewRound")();
+  const round3 = project.records("現在のラウンド");
+  assert.ok(round3.some((match) => match["ID1"] === "P005" || match["ID2"] === "P005"));
+});
+
+test("欠席ラウンドを0点Byeに設定すると勝点0・試合数に含めずに記録される", () => {
+  const project = setupTournament(2);
+  project.ui.respond("2");
+  project.run("configureMissedRoundResult()");
+  project.get("startNewRound")();
+
+  project.ui.respond("Latecomer", true);
+  project.run("registerPlayer()");
+
+  const latecomer = playersById(project).P003;
+  assert.deepEqual(
+    [latecomer["勝点"], latecomer["敗数"], latecomer["試合数"], latecomer["バイ数"]],
+    [0, 0, 0, 0]
+  );
+  assert.equal(project.records("対戦履歴").find((match) => match["ID1"] === "P003")["結果"], "0点Bye");
+});
+
+test("途中参加でも最大プレイヤー数を超えて登録できない", () => {
+  const project = setupTournament(2);
+  project.get("setMaxTables")(1);
+  project.get("startNewRound")();
+
+  project.run("registerPlayer()");
+
+  assert.match(project.ui.lastMessage(), /プレイヤー数が上限に達しています/);
+  assert.equal(Object.keys(playersById(project)).length, 2);
+});
+
+test("途中参加は設定したラウンドの終了まで受け付け、それ以降は登録できない", () => {
+  const project = setupTournament(4);
+  for (let round = 1; round <= 2; round++) {
+    project.get("startNewRound")();
+    recordAllResults(project);
+  }
+
+  // デフォルト: ラウンド2の終了（ラウンド3の開始前）まで登録できる
+  project.ui.respond("Latecomer", true);
+  project.run("registerPlayer()");
+  assert.ok(playersById(project).P005);
+
+  project.get("startNewRound")();
+  project.run("registerPlayer()");
+  assert.match(project.ui.lastMessage(), /途中参加の受付はラウンド2の終了までです（現在: ラウンド3）/);
+  assert.equal(Object.keys(playersById(project)).length, 5);
+
+  project.ui.respond("3");
+  project.run("configureLateRegistration()");
+  assert.equal(project.get("getLateRegistrationLastRound")(), 3);
+  assert.equal(project.records("操作ログ").at(-1)["操作"], "途中参加の受付期間の設定");
+  project.ui.respond("Latecomer2", true);
+  project.run("registerPlayer()");
+  assert.ok(playersById(project).P006);
+
+  project.ui.respond("0");
+  project.run("configureLateRegistration()");
+  project.run("registerPlayer()");
+  assert.match(project.ui.lastMessage(), /トーナメント開始後の途中参加は受け付けていません/);
+});
+
+test("対戦中のプレイヤーをドロップさせると、対戦相手の勝利を記録してからドロップする", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const match = project.records("現在のラウンド").find((row) => row["ID1"] === "P001" || row["ID2"] === "P001");
+  const opponentId = match["ID1"] === "P001" ? match["ID2"] : match["ID1"];
+
+  // プレイヤーID「1」→ 選択肢「1: 対戦相手の勝利」→ 確認
+  project.ui.respond("1", "1", true);
+  project.run("dropoutPlayer()");
+
+  const players = playersById(project);
+  assert.equal(players.P001["参加状況"], "終了");
+  assert.equal(players.P001["敗数"], 1);
+  assert.equal(players[opponentId]["勝点"], 3);
+
+  const [history] = project.records("対戦履歴");
+  assert.equal(history["ID1"], opponentId);
+  assert.equal(history["ID2"], "P001");
+
+  recordAllResults(project);
+  assert.equal(project.get("startNewRound")().success, true);
+});
+
+test("対戦中のプレイヤーのドロップでは両負けも選べ、キャンセルすると何も変更しない", () => {
+  const project = setupTournament(2);
+  project.get("startNewRound")();
+
+  project.ui.respond("2", null);
+  project.run("dropoutPlayer()");
+  assert.equal(playersById(project).P002["参加状況"], "参加中");
+  assert.equal(project.records("対戦履歴").length, 0);
+
+  project.ui.respond("2", "2", true);
+  project.run("dropoutPlayer()");
+
+  const players = playersById(project);
+  assert.equal(players.P002["参加状況"], "終了");
+  assert.deepEqual([players.P001["勝点"], players.P001["敗数"]], [0, 1]);
+  assert.equal(project.records("対戦履歴")[0]["結果"], "両負け");
+  assert.equal(project.get("isRoundComplete")(), true);
+});
+
+test("reinstatePlayer: ドロップ後に開始したラウンドは不戦敗として記録し、次のラウンドからマッチングに戻す", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  recordAllResults(project);
+
+  project.ui.respond("4", true);
+  project.run("dropoutPlayer()");
+  assert.equal(playersById(project).P004["ドロップラウンド"], 2);
+
+  project.get("startNewRound")();
+  const lossesBefore = playersById(project).P004["敗数"];
+
+  project.ui.respond("4", true);
+  project.run("reinstatePlayer()");
+
+  const player = playersById(project).P004;
+  assert.deepEqual([player["参加状況"], player["ドロップラウンド"], player["敗数"]], ["参加中", "", lossesBefore + 1]);
+  const missed = project.records("対戦履歴").filter((row) => row["ID1"] === "P004" && row["ラウンド"] === 2);
+  assert.deepEqual(missed.map((row) => row["結果"]), ["不戦敗"]);
+
+  recordAllResults(project);
+  project.get("startNewRound")();
+  const paired = project.records("現在のラウンド").some((row) => row["ID1"] === "P004" || row["ID2"] === "P004");
+  assert.equal(paired, true);
+});
+
+test("reinstatePlayer: 現在のラウンドより前のドロップは取り消せない", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+
+  project.ui.respond("1", "1", true);
+  project.run("dropoutPlayer()");
+  recordAllResults(project);
+  project.get("startNewRound")();
+  recordAllResults(project);
+  project.get("startNewRound")();
+
+  project.ui.respond("1");
+  project.run("reinstatePlayer()");
+
+  assert.match(project.ui.lastMessage(), /取り消せません/);
+  assert.equal(playersById(project).P001["参加状況"], "終了");
+});
+
+test("順位表シートはラウンド終了時とトーナメント終了時に、ドロップしたプレイヤーを含めて作り直される", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  assert.equal(project.records("順位表").length, 0);
+
+  recordAllResults(project);
+  const afterRound = project.records("順位表");
+  assert.deepEqual(afterRound.map((row) => row["順位"]), [1, 2, 3, 4]);
+  assert.deepEqual(
+    afterRound.slice(0, 2).map((row) => [row["勝点"], row["勝-敗-分"]]),
+    [
+      [3, "1-0-0"],
+      [3, "1-0-0"],
+    ]
+  );
+
+  project.ui.respond("4", true);
+  project.run("dropoutPlayer()");
+  project.get("startNewRound")();
+  recordAllResults(project);
+
+  project.ui.respond(true);
+  project.run("finishTournament()");
+
+  const standings = project.records("順位表");
+  assert.equal(standings.length, 4);
+  const dropped = standings.find((row) => row["プレイヤーID"] === "P004");
+  assert.equal(dropped["参加状況"], "ドロップ（ラウンド2）");
+  assert.ok(standings.every((row) => row["OMW%"] > 0 && "バイ数" in row));
+});
+
+test("configureTiebreakerChain: 番号で指定したタイブレーク順が保存され、順位表シートにすべてのタイブレーク値が出力される", () => {
+  const project = setupTournament(4);
+
+  project.ui.respond("6, 5");
+  project.run("configureTiebreakerChain()");
+  assert.deepEqual(toPlain(project.get("getTiebreakerChain")()), ["buchholz", "h2h"]);
+
+  project.ui.respond("9");
+  project.run("configureTiebreakerChain()");
+  assert.match(project.ui.lastMessage(), /1～8の番号/);
+  assert.deepEqual(toPlain(project.get("getTiebreakerChain")()), ["buchholz", "h2h"]);
+
+  project.get("startNewRound")();
+  recordAllResults(project);
+
+  const [first] = project.records("順位表");
+  assert.equal(first["勝点"], 3);
+  assert.equal(first["ブッフホルツ"], 0);
+  assert.equal(first["ゾンネボルン・ベルガー"], 0);
+  assert.ok(first["OOMW%"] > 0);
+});
+
+test("updateAllOpponentWinRates: 一括更新した OMW%・OGW% はプレイヤーごとの計算と同じ値になる", () => {
+  const project = setupTournament(7);
+  for (let round = 1; round <= 3; round++) {
+    project.get("startNewRound")();
+    recordAllResults(project, round === 2 ? "draw" : "win");
+  }
+  project.ui.respond("7", true);
+  project.run("dropoutPlayer()");
+
+  project.get("updateAllOpponentWinRates")();
+
+  for (const player of project.records("プレイヤー")) {
+    if (player["参加状況"] !== "参加中") continue;
+    assert.equal(player["OMW%"], project.get("calculateOpponentWinRate")(player["プレイヤーID"]));
+    assert.equal(player["OGW%"], project.get("calculateOpponentGameWinRate")(player["プレイヤーID"]));
+  }
+});
+
+test("recalculatePlayerStats: 対戦履歴との差分を一覧表示し、確認後に上書きする", () => {
+  const project = setupTournament(5);
+  for (let round = 1; round <= 2; round++) {
+    project.get("startNewRound")();
+    recordAllResults(project);
+  }
+  const expected = playersById(project);
+
+  project.ui.respond();
+  project.run("recalculatePlayerStats()");
+  assert.match(project.ui.lastMessage(), /一致しています/);
+
+  // 手作業の編集で統計がずれた状態
+  const playerSheet = project.spreadsheet.getSheetByName("プレイヤー");
+  const headers = project.get("REQUIRED_HEADERS")["プレイヤー"];
+  playerSheet.getRange(2, headers.indexOf("勝点") + 1).setValue(99);
+  playerSheet.getRange(3, headers.indexOf("試合数") + 1).setValue(0);
+
+  project.ui.respond(false);
+  project.run("recalculatePlayerStats()");
+  assert.equal(playersById(project).P001["勝点"], 99);
+
+  project.ui.respond(true);
+  project.run("recalculatePlayerStats()");
+
+  const messages = project.ui.messages.join("\n");
+  assert.match(messages, new RegExp(`Player1 \\(P001\\) 勝点: 99 → ${expected.P001["勝点"]}`));
+  assert.match(messages, new RegExp(`Player2 \\(P002\\) 試合数: 0 → ${expected.P002["試合数"]}`));
+  assert.match(project.ui.lastMessage(), /2件の差分を対戦履歴の値で上書きしました/);
+
+  const players = playersById(project);
+  assert.equal(players.P001["勝点"], expected.P001["勝点"]);
+  assert.equal(players.P002["試合数"], expected.P002["試合数"]);
+});
+
+test("redoCurrentRound: Byeの履歴と統計を取り消し、ドロップさせたプレイヤーを除いて組み直す", () => {
+  const project = setupTournament(5);
+  project.get("startNewRound")();
+  const byePlayerId = project.records("現在のラウンド").find((match) => match["結果"] === "Bye")["ID1"];
+
+  const result = project.get("redoCurrentRound")([byePlayerId]);
+
+  assert.equal(result.success, true, result.message);
+  assert.match(result.message, /ラウンド1をやり直しました/);
+  assert.equal(project.get("getCurrentRound")(), 1);
+  assert.equal(project.records("対戦履歴").length, 0);
+
+  const matches = project.records("現在のラウンド");
+  assert.equal(matches.length, 2);
+  assert.ok(matches.every((match) => match["ラウンド"] === 1 && match["ID2"] && match["ID1"] !== byePlayerId && match["ID2"] !== byePlayerId));
+
+  const byePlayer = playersById(project)[byePlayerId];
+  assert.deepEqual([byePlayer["勝点"], byePlayer["勝数"], byePlayer["試合数"], byePlayer["バイ数"], byePlayer["ゲーム勝数"]], [0, 0, 0, 0, 0]);
+  assert.equal(byePlayer["最終対戦日時"], "");
+  assert.equal(byePlayer["参加状況"], "終了");
+  assert.equal(byePlayer["ドロップラウンド"], 1);
+});
+
+test("redoCurrentRound: 2ラウンド目をやり直すと、そのラウンドのByeだけを取り消して対戦IDを続きから採番する", () => {
+  const project = setupTournament(5);
+  project.get("startNewRound")();
+  recordAllResults(project);
+  const afterRound1 = playersById(project);
+  const round1History = project.records("対戦履歴");
+
+  project.get("startNewRound")();
+  const result = project.get("redoCurrentRound")();
+  assert.equal(result.success, true, result.message);
+
+  const history = project.records("対戦履歴");
+  assert.deepEqual(history.slice(0, round1History.length), round1History);
+  assert.deepEqual(
+    history.map((match) => match["対戦ID"]),
+    history.map((match, index) => "T" + String(index + 1).padStart(4, "0"))
+  );
+
+  // やり直し後のラウンド2のBye以外のプレイヤーの統計はラウンド1終了時点のまま
+  const newByeId = project.records("現在のラウンド").find((match) => match["結果"] === "Bye")["ID1"];
+  const players = playersById(project);
+  for (const [playerId, player] of Object.entries(afterRound1)) {
+    if (playerId === newByeId) continue;
+    assert.equal(players[playerId]["勝点"], player["勝点"], playerId);
+    assert.equal(players[playerId]["バイ数"], player["バイ数"], playerId);
+    assert.equal(players[playerId]["最終対戦日時"], player["最終対戦日時"], playerId);
+  }
+});
+
+test("redoCurrentRound: ラウンド中に途中参加したプレイヤーの欠席ラウンドはやり直しを妨げず、そのまま残る", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  project.ui.respond("Latecomer", true);
+  project.run("registerPlayer()");
+  const missedBefore = project.records("対戦履歴").filter((match) => match["ID1"] === "P005");
+
+  const result = project.get("redoCurrentRound")();
+
+  assert.equal(result.success, true, result.message);
+  assert.deepEqual(project.records("対戦履歴").filter((match) => match["ID1"] === "P005"), missedBefore);
+  assert.deepEqual(missedBefore.map((match) => [match["ラウンド"], match["結果"]]), [[1, "不戦敗"]]);
+
+  // 途中参加者はラウンド1を欠席済みのため、組み直したラウンドにも加わらない
+  const matches = project.records("現在のラウンド");
+  assert.equal(matches.length, 2);
+  assert.ok(matches.every((match) => match["ID1"] !== "P005" && match["ID2"] !== "P005"));
+  assert.equal(playersById(project).P005["試合数"], 1);
+});
+
+test("redoCurrentRound: Bye以外の結果が記録されているラウンドはやり直せない", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const match = project.records("現在のラウンド")[0];
+  project.get("recordMatchResult")(match["ID1"], match["ID2"], 1, "win");
+  const before = project.records("現在のラウンド");
+
+  const result = project.get("redoCurrentRound")();
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /記録済みの結果があるため、やり直せません/);
+  assert.match(result.message, /T0001: Player\d 勝利/);
+  assert.deepEqual(project.records("現在のラウンド"), before);
+  assert.equal(project.get("getCurrentRound")(), 1);
+});
+
+test("configurePairingOverrides: 次のラウンドの強制ペア・禁止ペアを反映し、備考列と結果に表示する", () => {
+  const project = setupTournament(6);
+
+  project.ui.respond("1", "1, 6");
+  project.run("configurePairingOverrides()");
+  project.ui.respond("2", "2, 3");
+  project.run("configurePairingOverrides()");
+  assert.match(project.ui.lastMessage(), /ラウンド1の禁止ペアに Player2 \(P002\) と Player3 \(P003\) を追加しました/);
+
+  // 同じ組み合わせの二重指定・強制ペアの重複はできない
+  project.ui.respond("2", "6, 1");
+  project.run("configurePairingOverrides()");
+  assert.match(project.ui.lastMessage(), /既に指定されています/);
+  project.ui.respond("1", "6, 4");
+  project.run("configurePairingOverrides()");
+  assert.match(project.ui.lastMessage(), /Player6 \(P006\) は既に別の強制ペアに指定されています/);
+
+  const result = project.get("startNewRound")();
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.overrides.length, 2);
+  assert.match(result.overrides[0], /^強制ペア: Player1 \(P001\) vs Player6 \(P006\)（卓1）$/);
+  assert.match(result.overrides[1], /^禁止ペア: Player2 \(P002\) と Player3 \(P003\) を対戦させない$/);
+
+  const matches = project.records("現在のラウンド");
+  const pairOf = (match) => [match["ID1"], match["ID2"]].sort().join("-");
+  assert.equal(pairOf(matches[0]), "P001-P006");
+  assert.equal(matches[0]["備考"], "強制ペア（運営指定）");
+  assert.ok(!matches.some((match) => pairOf(match) === "P002-P003"));
+
+  // ラウンドのやり直しでも同じ指定を反映し、次のラウンドには持ち越さない
+  project.get("redoCurrentRound")();
+  assert.equal(pairOf(project.records("現在のラウンド")[0]), "P001-P006");
+  recordAllResults(project);
+  assert.deepEqual(toPlain(project.get("startNewRound")().overrides), []);
+});
+
+test("startNewRound: 禁止ペアを満たせずマッチングに失敗した場合は、ラウンド番号と現在のラウンドシートを元に戻す", () => {
+  const project = setupTournament(2);
+
+  project.ui.respond("2", "1, 2");
+  project.run("configurePairingOverrides()");
+  const failed = project.get("startNewRound")();
+  assert.equal(failed.success, false);
+  assert.match(failed.message, /禁止ペアの指定を満たす組み合わせが見つかりませんでした/);
+  assert.equal(project.get("getCurrentRound")(), 0);
+
+  // 禁止ペアを指定していないラウンドは通常どおり開始でき、ラウンド番号は飛ばない
+  project.properties.deleteProperty("PAIRING_OVERRIDES");
+  assert.equal(project.get("startNewRound")().round, 1);
+  recordAllResults(project);
+  const roundOne = project.records("現在のラウンド");
+
+  project.ui.respond("2", "1, 2");
+  project.run("configurePairingOverrides()");
+  assert.equal(project.get("startNewRound")().success, false);
+  assert.equal(project.get("getCurrentRound")(), 1);
+  assert.equal(project.get("isRoundComplete")(), true);
+  assert.deepEqual(project.records("現在のラウンド"), roundOne);
+  assert.notEqual(project.records("操作ログ").at(-1)["操作"], "新ラウンド開始");
+});
+
+test("startNewRound: マッチング中の例外で失敗した場合は、その理由をメッセージに表示する", () => {
+  const project = setupTournament(4);
+  project.run('assignTableNumbers = () => { throw new Error("卓の割り当てに失敗しました（テスト）"); }');
+
+  const failed = project.get("startNewRound")();
+
+  assert.equal(failed.success, false);
+  assert.match(failed.message, /マッチングに失敗しました。\n卓の割り当てに失敗しました（テスト）/);
+  assert.equal(project.get("getCurrentRound")(), 0);
+});
+
+test("swapPlayerSeats: 結果が未記録の別の卓の2人の席を入れ替え、備考列と操作ログに記録する", () => {
+  const project = setupTournament(6);
+  project.get("startNewRound")();
+  const [first, second, third] = project.records("現在のラウンド");
+
+  project.ui.respond(`${parseInt(first["ID1"].slice(1), 10)}, ${parseInt(second["ID2"].slice(1), 10)}`, true);
+  project.run("swapPlayerSeats()");
+  assert.match(project.ui.lastMessage(), /席を入れ替えました/);
+
+  const [newFirst, newSecond] = project.records("現在のラウンド");
+  assert.deepEqual([newFirst["ID1"], newFirst["プレイヤー1"], newFirst["ID2"]], [second["ID2"], second["プレイヤー2"], first["ID2"]]);
+  assert.deepEqual([newSecond["ID1"], newSecond["ID2"], newSecond["プレイヤー2"]], [second["ID1"], first["ID1"], first["プレイヤー1"]]);
+  assert.equal(newFirst["備考"], `席の入れ替え（${first["ID1"]} ⇄ ${second["ID2"]}）`);
+  assert.equal(project.records("操作ログ").pop()["操作"], "席の入れ替え");
+
+  // 結果が記録済みの対戦のプレイヤーは入れ替えられない
+  project.get("recordMatchResult")(third["ID1"], third["ID2"], 3, "win");
+  project.ui.respond(`${parseInt(first["ID2"].slice(1), 10)}, ${parseInt(third["ID1"].slice(1), 10)}`);
+  project.run("swapPlayerSeats()");
+  assert.match(project.ui.lastMessage(), /結果が記録済み（Byeを含む）のため、入れ替えられません/);
+});
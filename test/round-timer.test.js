@@ -0,0 +1,89 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { toPlain } = require("./support/load-project");
+const { setupTournament } = require("./support/tournament");
+
+/**
+ * ラウンドタイマーの開始時刻を変更します（時間切れの状態を作るため）
+ * @param {Object} project - loadProject() の戻り値
+ * @param {number} minutesAgo - 現在から何分前に開始したことにするか
+ */
+function moveRoundStart(project, minutesAgo) {
+  const timer = JSON.parse(project.properties.getProperty("ROUND_TIMER"));
+  timer.startedAt = Date.now() - minutesAgo * 60 * 1000;
+  project.properties.setProperty("ROUND_TIMER", JSON.stringify(timer));
+}
+
+test("startNewRound: 開始時刻とラウンド時間を保存し、各卓の終了時刻を書き込む（Byeは空欄）", () => {
+  const project = setupTournament(5);
+  project.ui.respond("30");
+  project.run("configureRoundLength()");
+
+  const result = project.get("startNewRound")();
+  const timer = JSON.parse(project.properties.getProperty("ROUND_TIMER"));
+  assert.deepEqual([timer.round, timer.lengthMinutes, timer.extensions], [1, 30, {}]);
+
+  const endTime = project.get("formatClockTime")(new Date(timer.startedAt + 30 * 60 * 1000));
+  assert.match(result.message, new RegExp(`終了時刻: ${endTime}（30分）`));
+  assert.deepEqual(
+    project.records("現在のラウンド").map((row) => [row["卓番号"], Boolean(row["ID2"]), row["終了時刻"]]),
+    [
+      [1, true, endTime],
+      [2, true, endTime],
+      [3, false, ""],
+    ]
+  );
+});
+
+test("extendTableTime: 卓ごとに延長を合計し、終了時刻と備考に反映する", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const startedAt = JSON.parse(project.properties.getProperty("ROUND_TIMER")).startedAt;
+
+  project.ui.respond("1", "5");
+  project.run("extendTableTime()");
+  project.ui.respond("1", "3");
+  project.run("extendTableTime()");
+
+  const formatClockTime = project.get("formatClockTime");
+  const [table1, table2] = [1, 2].map((tableNumber) => project.records("現在のラウンド").find((row) => row["卓番号"] === tableNumber));
+  assert.equal(table1["終了時刻"], formatClockTime(new Date(startedAt + 58 * 60 * 1000)));
+  assert.equal(table1["備考"], "時間延長 +5分 / 時間延長 +3分");
+  assert.equal(table2["終了時刻"], formatClockTime(new Date(startedAt + 50 * 60 * 1000)));
+  assert.match(project.ui.lastMessage(), /延長の合計: 8分/);
+  assert.equal(project.records("操作ログ").at(-1)["対象"], "卓1 +3分");
+
+  project.ui.respond("1", "61");
+  project.run("extendTableTime()");
+  assert.match(project.ui.lastMessage(), /1～60分の範囲/);
+});
+
+test("showOverdueTables: 終了時刻を過ぎた未記録の卓を一覧表示する（延長した卓・記録済みの卓を除く）", () => {
+  const project = setupTournament(6);
+  project.get("startNewRound")();
+
+  project.ui.respond("2", "15");
+  project.run("extendTableTime()");
+  const table1 = project.records("現在のラウンド").find((row) => row["卓番号"] === 1);
+  project.get("recordMatchResult")(table1["ID1"], table1["ID2"], 1, "win");
+
+  project.run("showOverdueTables()");
+  assert.match(project.ui.lastMessage(), /残り50分/);
+
+  moveRoundStart(project, 55);
+  project.run("showOverdueTables()");
+  assert.match(project.ui.lastMessage(), /結果が記録されていない卓（1卓）/);
+  assert.match(project.ui.lastMessage(), /卓3: /);
+
+  const data = toPlain(project.get("getRoundTimerData")());
+  assert.equal(data.remaining, 2);
+  assert.deepEqual(
+    data.tables.map((table) => [table.tableNumber, table.extensionMinutes, table.endsAt <= data.serverNow]),
+    [
+      [2, 15, false],
+      [3, 0, true],
+    ]
+  );
+});
@@ -0,0 +1,152 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTournament, playersById } = require("./support/tournament");
+
+/**
+ * セルフ報告URLを発行し、現在のラウンドの最初の対戦の両者のトークンを返します
+ * @param {Object} project - loadProject() の戻り値
+ * @returns {{match: Object, reporter: string, opponent: string}} 対戦の行と、ID1・ID2のトークン
+ */
+function issueLinksForFirstMatch(project) {
+  project.run("issueSelfReportLinks()");
+  const tokens = Object.fromEntries(project.records("セルフ報告URL").map((link) => [link["プレイヤーID"], new URL(link["URL"]).searchParams.get("token")]));
+  const match = project.records("現在のラウンド")[0];
+  return { match: match, reporter: tokens[match["ID1"]], opponent: tokens[match["ID2"]] };
+}
+
+test("issueSelfReportLinks: 参加中のプレイヤーにURLを発行し、再発行しても同じURLのまま", () => {
+  const project = setupTournament(4);
+  project.run("issueSelfReportLinks()");
+  const first = project.records("セルフ報告URL");
+
+  assert.equal(first.length, 4);
+  assert.match(first[0]["URL"], /^https:\/\/script\.google\.com\/macros\/s\/test\/exec\?token=[0-9a-f]{32}$/);
+  assert.equal(new Set(first.map((link) => link["URL"])).size, 4);
+
+  project.run("issueSelfReportLinks()");
+  assert.deepEqual(
+    project.records("セルフ報告URL").map((link) => link["URL"]),
+    first.map((link) => link["URL"])
+  );
+  assert.match(project.ui.lastMessage(), /新規発行: 0名/);
+});
+
+test("セルフ報告: 一方が報告し、相手が承認した時点で対戦結果を記録する", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const { match, reporter, opponent } = issueLinksForFirstMatch(project);
+
+  assert.equal(project.get("getSelfReportView")(reporter).state, "report");
+
+  // 報告者（ID1）が負けを報告
+  const submitted = project.get("handleSelfReportPost")({ token: reporter, action: "submit", outcome: "loss" });
+  assert.equal(submitted.isError, false);
+  assert.equal(project.records("現在のラウンド")[0]["結果"], "");
+  assert.equal(project.get("getSelfReportView")(reporter).state, "waiting");
+
+  const opponentView = project.get("getSelfReportView")(opponent);
+  assert.equal(opponentView.state, "confirm");
+  assert.equal(opponentView.report.description, "あなたの勝ち");
+
+  // 報告者は自分の報告を承認できない
+  const selfConfirm = project.get("handleSelfReportPost")({ token: reporter, action: "confirm", reportId: opponentView.report.reportId });
+  assert.equal(selfConfirm.isError, true);
+
+  const confirmed = project.get("handleSelfReportPost")({ token: opponent, action: "confirm", reportId: opponentView.report.reportId });
+  assert.deepEqual([confirmed.isError, confirmed.message], [false, `結果を記録しました: ${match["プレイヤー2"]} 勝利`]);
+  assert.equal(project.records("現在のラウンド")[0]["結果"], `${match["プレイヤー2"]} 勝利`);
+  assert.equal(playersById(project)[match["ID2"]]["勝点"], 3);
+  assert.equal(project.records("結果報告")[0]["状態"], "確定");
+  assert.equal(project.get("getSelfReportView")(reporter).state, "recorded");
+});
+
+test("セルフ報告: 相手が異議を申し立てた報告はジャッジ確認待ちになり、ジャッジが裁定する", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const { match, reporter, opponent } = issueLinksForFirstMatch(project);
+
+  project.get("handleSelfReportPost")({ token: reporter, action: "submit", outcome: "win" });
+  const reportId = project.get("getSelfReportView")(opponent).report.reportId;
+  project.get("handleSelfReportPost")({ token: opponent, action: "dispute", reportId: reportId });
+
+  assert.equal(project.records("結果報告")[0]["状態"], "ジャッジ確認待ち");
+  assert.equal(project.get("getSelfReportView")(reporter).state, "disputed");
+
+  // 二重の報告はできない
+  const again = project.get("handleSelfReportPost")({ token: opponent, action: "submit", outcome: "win" });
+  assert.equal(again.isError, true);
+
+  project.ui.respond(reportId, "1");
+  project.run("reviewDisputedReports()");
+
+  assert.match(project.ui.lastMessage(), new RegExp(`${reportId} を報告どおりに記録しました`));
+  assert.equal(project.records("現在のラウンド")[0]["結果"], `${match["プレイヤー1"]} 勝利`);
+  assert.equal(project.records("結果報告")[0]["状態"], "確定");
+});
+
+test("セルフ報告: 運営が先に記録した対戦の報告は承認しても記録せず、無効なURLは拒否する", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const { match, reporter, opponent } = issueLinksForFirstMatch(project);
+
+  project.get("handleSelfReportPost")({ token: reporter, action: "submit", outcome: "win" });
+  const reportId = project.get("getSelfReportView")(opponent).report.reportId;
+  project.get("recordMatchResult")(match["ID1"], match["ID2"], 1, "draw");
+
+  const confirmed = project.get("handleSelfReportPost")({ token: opponent, action: "confirm", reportId: reportId });
+  assert.equal(confirmed.isError, true);
+  assert.equal(project.records("対戦履歴").length, 1);
+  assert.equal(project.records("結果報告")[0]["状態"], "取消");
+
+  assert.equal(project.get("getSelfReportView")("invalid").ok, false);
+  assert.equal(project.get("handleSelfReportPost")({ token: "invalid", action: "submit", outcome: "win" }).isError, true);
+});
+
+test("セルフ報告: ジャッジの裁定は報告と対戦を読み直し、組み合わせが変わった報告や裁定済みの報告は記録しない", () => {
+  const project = setupTournament(6);
+  project.get("startNewRound")();
+  const { match, reporter, opponent } = issueLinksForFirstMatch(project);
+
+  project.get("handleSelfReportPost")({ token: reporter, action: "submit", outcome: "win" });
+  const reportId = project.get("getSelfReportView")(opponent).report.reportId;
+  project.get("handleSelfReportPost")({ token: opponent, action: "dispute", reportId: reportId });
+
+  // 裁定の前に報告者の席が入れ替えられた
+  const second = project.records("現在のラウンド")[1];
+  project.ui.respond(`${parseInt(match["ID1"].slice(1), 10)}, ${parseInt(second["ID1"].slice(1), 10)}`, true);
+  project.run("swapPlayerSeats()");
+
+  const settle = project.get("settleDisputedReport");
+  assert.throws(() => settle(reportId, "確定"), /既に記録されたか、組み合わせが変更されています/);
+  assert.equal(project.records("対戦履歴").length, 0);
+  assert.equal(project.records("結果報告")[0]["状態"], "ジャッジ確認待ち");
+
+  settle(reportId, "却下");
+  assert.throws(() => settle(reportId, "確定"), /ジャッジ確認待ちではありません/);
+  assert.equal(project.records("結果報告")[0]["状態"], "却下");
+});
+
+test("セルフ報告: 承認で記録した結果を元に戻すと、報告も確認待ちに戻り再び承認できる", () => {
+  const project = setupTournament(4);
+  project.get("startNewRound")();
+  const { match, reporter, opponent } = issueLinksForFirstMatch(project);
+
+  project.get("handleSelfReportPost")({ token: reporter, action: "submit", outcome: "win" });
+  const { reportId } = project.get("getSelfReportView")(opponent).report;
+  project.get("handleSelfReportPost")({ token: opponent, action: "confirm", reportId: reportId });
+  assert.equal(project.records("結果報告")[0]["状態"], "確定");
+
+  project.ui.respond(true);
+  project.run("undoLastOperation()");
+  assert.match(project.ui.lastMessage(), /元に戻しました/);
+
+  assert.equal(project.records("現在のラウンド")[0]["結果"], "");
+  assert.equal(project.records("対戦履歴").length, 0);
+  assert.equal(project.records("結果報告")[0]["状態"], "確認待ち");
+
+  const confirmed = project.get("handleSelfReportPost")({ token: opponent, action: "confirm", reportId: reportId });
+  assert.equal(confirmed.isError, false, confirmed.message);
+  assert.equal(project.records("現在のラウンド")[0]["結果"], `${match["プレイヤー1"]} 勝利`);
+});
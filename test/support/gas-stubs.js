@@ -0,0 +1,474 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview テスト用のGASサービスのインメモリ実装（SpreadsheetApp, PropertiesService, LockService, Session, ScriptApp, Utilities, Logger）
+ * @author springOK
+ *
+ * 本番コードが使用するAPIだけを最小限に実装しています。
+ * 書式設定系のメソッド（setFontWeight, setBackground など）は何もせずに自身を返します。
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+
+// ScriptApp.getService().getUrl() が返すウェブアプリのURL
+const WEB_APP_URL = "https://script.google.com/macros/s/test/exec";
+
+/**
+ * 未実装の書式設定系メソッドを「何もせずに自身を返す」メソッドとして補うProxyを作成します
+ * @param {Object} target - 実装済みのオブジェクト
+ * @returns {Object} Proxy
+ */
+function withFormattingNoops(target) {
+  const proxy = new Proxy(target, {
+    get(obj, prop) {
+      if (prop in obj) return obj[prop];
+      if (typeof prop === "string" && /^(set|clear|merge|auto|insert|hide|show|protect)/.test(prop)) {
+        return () => proxy;
+      }
+      return undefined;
+    },
+  });
+  return proxy;
+}
+
+// =========================================
+// SpreadsheetApp
+// =========================================
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+    return withFormattingNoops(this);
+  }
+
+  getSheet() {
+    return this.sheet;
+  }
+
+  getRow() {
+    return this.row;
+  }
+
+  getColumn() {
+    return this.column;
+  }
+
+  getNumRows() {
+    return this.numRows;
+  }
+
+  getNumColumns() {
+    return this.numColumns;
+  }
+
+  getValue() {
+    return this.sheet.readCell(this.row, this.column);
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const rowValues = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        rowValues.push(this.sheet.readCell(this.row + r, this.column + c));
+      }
+      values.push(rowValues);
+    }
+    return values;
+  }
+
+  setValue(value) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.writeCell(this.row + r, this.column + c, value);
+      }
+    }
+    return this;
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some((row) => row.length !== this.numColumns)) {
+      throw new Error("The number of rows or columns in the data does not match the range.");
+    }
+    values.forEach((rowValues, r) => rowValues.forEach((value, c) => this.sheet.writeCell(this.row + r, this.column + c, value)));
+    return this;
+  }
+
+  clearContent() {
+    return this.setValue("");
+  }
+
+  setDataValidation(rule) {
+    this.forEachCell((row, column) => this.sheet.validations.set(`${row},${column}`, rule));
+    return this;
+  }
+
+  clearDataValidations() {
+    this.forEachCell((row, column) => this.sheet.validations.delete(`${row},${column}`));
+    return this;
+  }
+
+  getDataValidation() {
+    return this.sheet.validations.get(`${this.row},${this.column}`) || null;
+  }
+
+  forEachCell(callback) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        callback(this.row + r, this.column + c);
+      }
+    }
+  }
+
+  clear() {
+    return this.clearContent();
+  }
+}
+
+let nextSheetId = 1;
+
+class FakeSheet {
+  constructor(name) {
+    this.name = name;
+    this.sheetId = nextSheetId++;
+    this.rows = [];
+    this.validations = new Map(); // "行,列" → 入力規則（データの入力規則は clear() では消えない）
+    return withFormattingNoops(this);
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getSheetId() {
+    return this.sheetId;
+  }
+
+  readCell(row, column) {
+    const rowValues = this.rows[row - 1];
+    if (!rowValues || rowValues[column - 1] === undefined) return "";
+    return rowValues[column - 1];
+  }
+
+  writeCell(row, column, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const rowValues = this.rows[row - 1];
+    while (rowValues.length < column) rowValues.push("");
+    rowValues[column - 1] = value === null || value === undefined ? "" : value;
+  }
+
+  getLastRow() {
+    for (let r = this.rows.length; r > 0; r--) {
+      if (this.rows[r - 1].some((value) => value !== "")) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let lastColumn = 0;
+    for (const rowValues of this.rows) {
+      for (let c = rowValues.length; c > lastColumn; c--) {
+        if (rowValues[c - 1] !== "") {
+          lastColumn = c;
+          break;
+        }
+      }
+    }
+    return lastColumn;
+  }
+
+  getMaxRows() {
+    return Math.max(this.rows.length, 1000);
+  }
+
+  getDataRange() {
+    return this.getRange(1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  getRange(row, column, numRows, numColumns) {
+    return new FakeRange(this, row, column, numRows || 1, numColumns || 1);
+  }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    this.rows.length = row - 1;
+    this.rows.push(values.map((value) => (value === null || value === undefined ? "" : value)));
+    return this;
+  }
+
+  deleteRow(row) {
+    this.rows.splice(row - 1, 1);
+    return this;
+  }
+
+  clear() {
+    this.rows = [];
+    return this;
+  }
+
+  /**
+   * テスト用: ヘッダーを除いたデータ行を返します
+   * @returns {Array<Array<*>>} データ行
+   */
+  dataRows() {
+    return this.getDataRange().getValues().slice(1);
+  }
+}
+
+class FakeSpreadsheet {
+  constructor() {
+    this.sheets = [];
+    this.toasts = [];
+  }
+
+  toast(message) {
+    this.toasts.push(String(message));
+  }
+
+  getSheetByName(name) {
+    return this.sheets.find((sheet) => sheet.getName() === name) || null;
+  }
+
+  getSheets() {
+    return [...this.sheets];
+  }
+
+  insertSheet(name) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists.`);
+    }
+    const sheet = new FakeSheet(name);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  getId() {
+    return "fake-spreadsheet-id";
+  }
+}
+
+/**
+ * SpreadsheetApp.newDataValidation() のビルダー
+ * build() はリストの選択肢と無効な値を許可するかだけを持つ入力規則を返します。
+ */
+class FakeDataValidationBuilder {
+  constructor() {
+    this.rule = { values: [], allowInvalid: true };
+    return withFormattingNoops(this);
+  }
+
+  requireValueInList(values) {
+    this.rule.values = [...values];
+    return this;
+  }
+
+  setAllowInvalid(allowInvalid) {
+    this.rule.allowInvalid = allowInvalid;
+    return this;
+  }
+
+  build() {
+    return { ...this.rule };
+  }
+}
+
+/**
+ * ダイアログへの応答をキューで受け取るUI
+ * - prompt(): キューから文字列（OK）または null（キャンセル）を取り出します
+ * - alert(): ボタンが YES_NO などの場合、キューから true（YES/OK）または false（NO/CANCEL）を取り出します
+ * キューが空のままダイアログが表示された場合は例外を投げます。
+ */
+class FakeUi {
+  constructor() {
+    this.Button = { OK: "OK", CANCEL: "CANCEL", YES: "YES", NO: "NO", CLOSE: "CLOSE" };
+    this.ButtonSet = { OK: "OK", OK_CANCEL: "OK_CANCEL", YES_NO: "YES_NO", YES_NO_CANCEL: "YES_NO_CANCEL" };
+    this.responses = [];
+    this.messages = [];
+  }
+
+  /**
+   * テスト用: ダイアログへの応答を順番に登録します
+   * @param {...(string|boolean|null|Function)} responses - 応答（関数の場合は表示時に呼び出した戻り値）
+   */
+  respond(...responses) {
+    this.responses.push(...responses);
+  }
+
+  nextResponse(title) {
+    if (this.responses.length === 0) {
+      throw new Error(`想定外のダイアログが表示されました: ${title}`);
+    }
+    // 関数の応答は、ダイアログの表示中に他の操作が行われた場合の再現に使う（戻り値が応答になる）
+    const response = this.responses.shift();
+    return typeof response === "function" ? response() : response;
+  }
+
+  alert(title, message, buttons) {
+    this.messages.push(message === undefined ? String(title) : `${title}\n${message}`);
+    if (buttons === this.ButtonSet.YES_NO || buttons === this.ButtonSet.YES_NO_CANCEL || buttons === this.ButtonSet.OK_CANCEL) {
+      const response = this.nextResponse(title);
+      if (buttons === this.ButtonSet.OK_CANCEL) return response ? this.Button.OK : this.Button.CANCEL;
+      return response ? this.Button.YES : this.Button.NO;
+    }
+    return this.Button.OK;
+  }
+
+  prompt(title, message, buttons) {
+    this.messages.push(`${title}\n${message}`);
+    const response = this.nextResponse(title);
+    const Button = this.Button;
+    return {
+      getSelectedButton: () => (response === null ? Button.CANCEL : Button.OK),
+      getResponseText: () => (response === null ? "" : String(response)),
+    };
+  }
+
+  createMenu() {
+    const menu = withFormattingNoops({
+      addItem: () => menu,
+      addSeparator: () => menu,
+      addSubMenu: () => menu,
+      addToUi: () => undefined,
+    });
+    return menu;
+  }
+
+  /**
+   * テスト用: 最後に表示されたメッセージを返します
+   * @returns {string} メッセージ
+   */
+  lastMessage() {
+    return this.messages[this.messages.length - 1] || "";
+  }
+}
+
+// =========================================
+// PropertiesService / LockService / Session / Utilities / Logger
+// =========================================
+
+class FakeProperties {
+  constructor() {
+    this.store = {};
+  }
+
+  getProperty(key) {
+    return Object.prototype.hasOwnProperty.call(this.store, key) ? this.store[key] : null;
+  }
+
+  setProperty(key, value) {
+    this.store[key] = String(value);
+    return this;
+  }
+
+  deleteProperty(key) {
+    delete this.store[key];
+    return this;
+  }
+
+  getProperties() {
+    return { ...this.store };
+  }
+}
+
+/**
+ * Utilities.formatString のうち %s, %d, %0Nd のみ対応します
+ * @param {string} format - 書式
+ * @param {...*} args - 埋め込む値
+ * @returns {string} 整形後の文字列
+ */
+function formatString(format, ...args) {
+  let index = 0;
+  return format.replace(/%(0?)(\d*)([sd])/g, (match, zero, width, type) => {
+    const value = args[index++];
+    const text = type === "d" ? String(Math.trunc(Number(value))) : String(value);
+    return width ? text.padStart(parseInt(width, 10), zero ? "0" : " ") : text;
+  });
+}
+
+/**
+ * Utilities.formatDate のうち yyyy, MM, dd, HH, mm, ss のみ対応します（Asia/Tokyo 固定）
+ * @param {Date} date - 日時
+ * @param {string} timeZone - タイムゾーン（無視されます）
+ * @param {string} format - 書式
+ * @returns {string} 整形後の文字列
+ */
+function formatDate(date, timeZone, format) {
+  const tokyo = new Date(date.getTime() + 9 * 60 * 60 * 1000);
+  const pad = (value) => String(value).padStart(2, "0");
+  return format
+    .replace("yyyy", String(tokyo.getUTCFullYear()))
+    .replace("MM", pad(tokyo.getUTCMonth() + 1))
+    .replace("dd", pad(tokyo.getUTCDate()))
+    .replace("HH", pad(tokyo.getUTCHours()))
+    .replace("mm", pad(tokyo.getUTCMinutes()))
+    .replace("ss", pad(tokyo.getUTCSeconds()));
+}
+
+/**
+ * GASサービスのインメモリ実装一式を作成します
+ * @returns {Object} { globals, spreadsheet, ui, properties, session, logs, triggers }
+ *   - triggers: ScriptApp.newTrigger() で作成されたトリガー
+ *   - session.email: Session.getActiveUser().getEmail() が返すメールアドレス（テストで変更可能）
+ */
+function createGasEnvironment() {
+  const spreadsheet = new FakeSpreadsheet();
+  const ui = new FakeUi();
+  const properties = new FakeProperties();
+  const session = { email: "scorekeeper@example.com" };
+  const logs = [];
+  const triggers = [];
+  const lock = { tryLock: () => true, waitLock: () => undefined, releaseLock: () => undefined, hasLock: () => true };
+
+  const globals = {
+    SpreadsheetApp: {
+      getActiveSpreadsheet: () => spreadsheet,
+      getUi: () => ui,
+      newDataValidation: () => new FakeDataValidationBuilder(),
+    },
+    PropertiesService: {
+      getDocumentProperties: () => properties,
+      getScriptProperties: () => properties,
+    },
+    LockService: {
+      getScriptLock: () => lock,
+      getDocumentLock: () => lock,
+    },
+    Session: {
+      getActiveUser: () => ({ getEmail: () => session.email }),
+    },
+    ScriptApp: {
+      getService: () => ({ getUrl: () => WEB_APP_URL }),
+      getProjectTriggers: () => [...triggers],
+      newTrigger: (handlerFunction) => {
+        const builder = {
+          forSpreadsheet: () => builder,
+          onEdit: () => builder,
+          create: () => {
+            const trigger = { getHandlerFunction: () => handlerFunction };
+            triggers.push(trigger);
+            return trigger;
+          },
+        };
+        return builder;
+      },
+      deleteTrigger: (trigger) => triggers.splice(triggers.indexOf(trigger), 1),
+    },
+    Utilities: {
+      formatString: formatString,
+      formatDate: formatDate,
+      getUuid: () => crypto.randomUUID(),
+    },
+    Logger: {
+      log: (message) => logs.push(String(message)),
+    },
+  };
+
+  return { globals, spreadsheet, ui, properties, session, logs, triggers };
+}
+
+module.exports = { createGasEnvironment, WEB_APP_URL, FakeSheet, FakeSpreadsheet, FakeUi, FakeProperties };
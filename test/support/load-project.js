@@ -0,0 +1,71 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview テスト用のプロジェクトローダー - GASのスクリプトファイルをNodeのvmコンテキストに読み込む
+ * @author springOK
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { createGasEnvironment } = require("./gas-stubs");
+
+const PROJECT_ROOT = path.resolve(__dirname, "..", "..");
+
+/**
+ * GASと同じく、ルート直下のすべての .js ファイルを1つのグローバルスコープに読み込みます。
+ * 定数の参照順序を保つため constants.js を最初に読み込みます。
+ * @returns {Object} { run, get, records, spreadsheet, ui, properties, session, logs, triggers }
+ *   - run(code): コンテキスト内でコードを評価します
+ *   - get(name): グローバルの関数・定数（const を含む）を取得します
+ *   - records(sheetName): シートのデータ行をヘッダー名をキーにしたオブジェクトの配列で返します
+ */
+function loadProject() {
+  const env = createGasEnvironment();
+  const context = vm.createContext({ ...env.globals, console });
+
+  const files = fs
+    .readdirSync(PROJECT_ROOT)
+    .filter((file) => file.endsWith(".js"))
+    .sort((a, b) => (a === "constants.js" ? -1 : b === "constants.js" ? 1 : a.localeCompare(b)));
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(PROJECT_ROOT, file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  }
+
+  const run = (code) => vm.runInContext(code, context);
+
+  const records = (sheetName) => {
+    const sheet = env.spreadsheet.getSheetByName(sheetName);
+    if (!sheet) return [];
+    const [headers, ...rows] = sheet.getDataRange().getValues();
+    return rows.map((row) => Object.fromEntries(headers.map((header, index) => [header, row[index]])));
+  };
+
+  return {
+    run,
+    get: (name) => run(name),
+    records,
+    spreadsheet: env.spreadsheet,
+    ui: env.ui,
+    properties: env.properties,
+    session: env.session,
+    logs: env.logs,
+    triggers: env.triggers,
+  };
+}
+
+/**
+ * vmコンテキストで作成された値を、テスト側のレルムのプレーンな値に変換します
+ * （assert.deepStrictEqual はプロトタイプも比較するため）
+ * @param {*} value - 変換する値（Map/Set は配列に変換）
+ * @returns {*} プレーンな値
+ */
+function toPlain(value) {
+  const isCollection = (item) => item && item.constructor && (item.constructor.name === "Map" || item.constructor.name === "Set");
+  return JSON.parse(JSON.stringify(value, (key, item) => (isCollection(item) ? [...item] : item)));
+}
+
+module.exports = { loadProject, toPlain };
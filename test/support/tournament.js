@@ -0,0 +1,49 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview テスト用のトーナメント操作ヘルパー
+ * @author springOK
+ */
+
+"use strict";
+
+const { loadProject } = require("./load-project");
+
+/**
+ * シートを初期化し、プレイヤーを登録した状態のプロジェクトを作成します
+ * @param {number} numPlayers - 登録するプレイヤー数
+ * @returns {Object} loadProject() の戻り値
+ */
+function setupTournament(numPlayers) {
+  const project = loadProject();
+  project.run("setupSheets()");
+
+  for (let i = 1; i <= numPlayers; i++) {
+    project.ui.respond(`Player${i}`, true);
+    project.run("registerPlayer()");
+  }
+
+  return project;
+}
+
+/**
+ * 現在のラウンドの未記録の対戦をすべて同じ結果で記録します
+ * @param {Object} project - loadProject() の戻り値
+ * @param {string} [resultType] - recordMatchResult に渡す結果（省略時は 'win' = プレイヤー1の勝利）
+ */
+function recordAllResults(project, resultType = "win") {
+  project.records("現在のラウンド").forEach((match, index) => {
+    if (match["結果"] || !match["ID2"]) return;
+    project.get("recordMatchResult")(match["ID1"], match["ID2"], index + 1, resultType);
+  });
+}
+
+/**
+ * プレイヤーシートの行をプレイヤーIDをキーにしたオブジェクトで返します
+ * @param {Object} project - loadProject() の戻り値
+ * @returns {Object<string, Object>} プレイヤーIDごとの行（ヘッダー名がキー）
+ */
+function playersById(project) {
+  return Object.fromEntries(project.records("プレイヤー").map((player) => [player["プレイヤーID"], player]));
+}
+
+module.exports = { setupTournament, recordAllResults, playersById };
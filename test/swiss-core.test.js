@@ -0,0 +1,455 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, toPlain } = require("./support/load-project");
+
+const project = loadProject();
+const findSwissPairings = project.get("findSwissPairings");
+const buildOpponentsMap = project.get("buildOpponentsMap");
+const calculateResultStats = project.get("calculateResultStats");
+const diffResultStats = project.get("diffResultStats");
+const computeOpponentWinRate = project.get("computeOpponentWinRate");
+const compareStandings = project.get("compareStandings");
+const parseGameScore = project.get("parseGameScore");
+const validateGameScore = project.get("validateGameScore");
+const calculateGameWinRate = project.get("calculateGameWinRate");
+const computeOpponentGameWinRate = project.get("computeOpponentGameWinRate");
+
+/**
+ * テスト用のプレイヤーを作成します
+ * @param {string} id - プレイヤーID
+ * @param {Object} stats - 上書きする統計
+ * @returns {Object} プレイヤー
+ */
+function player(id, stats = {}) {
+  return { id, name: id, points: 0, wins: 0, losses: 0, draws: 0, matches: 0, byes: 0, omw: 0, status: "参加中", ...stats };
+}
+
+/**
+ * テスト用の対戦履歴を作成します（player1Id の勝利）
+ * @param {string} winnerId - 勝者ID
+ * @param {string} loserId - 敗者ID
+ * @returns {Object} 対戦履歴
+ */
+function win(winnerId, loserId) {
+  return { player1Id: winnerId, player2Id: loserId, winnerName: winnerId, result: `${winnerId} 勝利` };
+}
+
+test("findSwissPairings: 全員がマッチングされ、再戦がない", () => {
+  const players = ["P1", "P2", "P3", "P4", "P5", "P6"].map((id, i) => player(id, { points: i < 3 ? 3 : 0 }));
+  const opponentsMap = buildOpponentsMap([win("P1", "P4"), win("P2", "P5"), win("P3", "P6")]);
+
+  const result = toPlain(findSwissPairings(players, opponentsMap));
+
+  assert.equal(result.pairs.length, 3);
+  assert.equal(result.byePlayerId, null);
+  assert.deepEqual(result.rematches, []);
+  assert.deepEqual(result.pairs.flat().sort(), ["P1", "P2", "P3", "P4", "P5", "P6"]);
+  for (const [p1, p2] of result.pairs) {
+    assert.ok(!opponentsMap.get(p1).has(p2), `${p1} vs ${p2} は再戦`);
+  }
+});
+
+test("findSwissPairings: 貪欲法では組めない場合も全員をマッチングする", () => {
+  // P1-P2 を先に組むと P3-P4 が再戦になるため、P1-P3 / P2-P4 を見つける必要がある
+  const players = [player("P1", { points: 3 }), player("P2", { points: 3 }), player("P3"), player("P4")];
+  const opponentsMap = buildOpponentsMap([win("P1", "P4"), win("P2", "P3"), win("P3", "P4")]);
+
+  const result = toPlain(findSwissPairings(players, opponentsMap));
+
+  assert.equal(result.pairs.length, 2);
+  assert.deepEqual(result.rematches, []);
+});
+
+test("findSwissPairings: 奇数人数では最下位のプレイヤーにByeを与える", () => {
+  const players = [player("P1", { points: 6 }), player("P2", { points: 3 }), player("P3", { points: 0 })];
+
+  const result = toPlain(findSwissPairings(players, new Map()));
+
+  assert.equal(result.byePlayerId, "P3");
+  assert.deepEqual(result.pairs, [["P1", "P2"]]);
+});
+
+test("findSwissPairings: 既にByeを受けたプレイヤーには2回目のByeを与えない", () => {
+  const players = [player("P1", { points: 6 }), player("P2", { points: 3 }), player("P3", { points: 3, byes: 1 })];
+
+  const result = toPlain(findSwissPairings(players, new Map()));
+
+  assert.equal(result.byePlayerId, "P2");
+  assert.deepEqual(result.pairs, [["P1", "P3"]]);
+});
+
+test("findSwissPairings: 再戦が必要になってもByeを受けたプレイヤーを候補にしない", () => {
+  // P3 にByeを与えれば再戦なしで組めるが、P3 は既にByeを受けている
+  const players = [player("P1", { points: 3 }), player("P2", { points: 3 }), player("P3", { byes: 1 })];
+  const opponentsMap = buildOpponentsMap([win("P1", "P3"), win("P2", "P3")]);
+
+  const result = toPlain(findSwissPairings(players, opponentsMap));
+
+  assert.notEqual(result.byePlayerId, "P3");
+  assert.equal(result.rematches.length, 1);
+});
+
+test("findSwissPairings: 再戦なしで組めない場合は再戦数が最小の組み合わせにフォールバックする", () => {
+  const players = [player("P1", { points: 3 }), player("P2", { points: 3 }), player("P3"), player("P4")];
+  const opponentsMap = buildOpponentsMap([win("P1", "P2"), win("P3", "P4"), win("P1", "P3"), win("P2", "P4"), win("P1", "P4")]);
+
+  const result = toPlain(findSwissPairings(players, opponentsMap));
+
+  assert.equal(result.pairs.length, 2);
+  assert.equal(result.rematches.length, 1);
+});
+
+test("findSwissPairings: 再戦なしの組み合わせを見つけた後に探索上限に達した場合も searchLimitReached を返す", () => {
+  const limitedProject = loadProject();
+  limitedProject.get("SWISS_CONFIG").PAIRING_SEARCH_LIMIT = 10;
+  const players = ["P1", "P2", "P3", "P4", "P5", "P6", "P7", "P8"].map((id) => player(id));
+
+  const result = toPlain(limitedProject.get("findSwissPairings")(players, new Map()));
+
+  assert.equal(result.pairs.length, 4);
+  assert.equal(result.rematches.length, 0);
+  assert.equal(result.searchLimitReached, true);
+  assert.equal(toPlain(findSwissPairings(players, new Map())).searchLimitReached, false);
+});
+
+test("findSwissPairings: 強制ペアはそのまま対戦させて順位の位置に置き、Byeの候補にしない", () => {
+  const players = [player("P1", { points: 6 }), player("P2", { points: 3 }), player("P3", { points: 3 }), player("P4"), player("P5")];
+
+  const result = toPlain(findSwissPairings(players, new Map(), { forced: [["P5", "P2"]], forbidden: [] }));
+
+  assert.deepEqual(result.pairs[0].sort(), ["P1", "P3"]);
+  assert.deepEqual(result.pairs[1], ["P5", "P2"]);
+  assert.equal(result.byePlayerId, "P4");
+});
+
+test("findSwissPairings: 禁止ペアは再戦を許可する場合も組み合わせない", () => {
+  const players = [player("P1", { points: 3 }), player("P2", { points: 3 }), player("P3"), player("P4")];
+  const opponentsMap = buildOpponentsMap([win("P1", "P3"), win("P2", "P4")]);
+
+  const result = toPlain(findSwissPairings(players, opponentsMap, { forced: [], forbidden: [["P1", "P2"]] }));
+  assert.deepEqual(result.pairs.map((pair) => pair.sort()).sort(), [
+    ["P1", "P4"],
+    ["P2", "P3"],
+  ]);
+
+  // 禁止ペアを避けると組めない場合は空
+  const blocked = toPlain(findSwissPairings(players.slice(0, 2), new Map(), { forced: [], forbidden: [["P2", "P1"]] }));
+  assert.deepEqual(blocked.pairs, []);
+});
+
+test("buildOpponentsMap: Byeは対戦相手に含めない", () => {
+  const opponentsMap = buildOpponentsMap([win("P1", "P2"), { player1Id: "P3", player2Id: "", winnerName: "P3", result: "Bye" }]);
+
+  assert.deepEqual(toPlain(opponentsMap), [
+    ["P1", ["P2"]],
+    ["P2", ["P1"]],
+  ]);
+});
+
+test("calculateResultStats / diffResultStats: 勝点と勝敗数の増減", () => {
+  assert.deepEqual(toPlain(calculateResultStats("win")), { points: 3, wins: 1, losses: 0, draws: 0, matches: 1 });
+  assert.deepEqual(toPlain(calculateResultStats("bye")), { points: 3, wins: 1, losses: 0, draws: 0, matches: 1 });
+  assert.deepEqual(toPlain(diffResultStats("win", "loss")), { points: -3, wins: -1, losses: 1, draws: 0, matches: 0 });
+  assert.throws(() => calculateResultStats("unknown"));
+});
+
+test("calculateResultStats: 引き分けは引分数に、両負けは敗数に数える", () => {
+  assert.deepEqual(toPlain(calculateResultStats("draw")), { points: 1, wins: 0, losses: 0, draws: 1, matches: 1 });
+  assert.deepEqual(toPlain(calculateResultStats("draw", 2)), { points: 2, wins: 0, losses: 0, draws: 1, matches: 1 });
+  assert.deepEqual(toPlain(calculateResultStats("double_loss")), { points: 0, wins: 0, losses: 1, draws: 0, matches: 1 });
+  assert.deepEqual(toPlain(diffResultStats("double_loss", "draw")), { points: 1, wins: 0, losses: -1, draws: 1, matches: 0 });
+});
+
+test("calculateResultStats / classifyResult: 欠席ラウンドは不戦敗なら敗北、0点Byeなら試合数に含めない", () => {
+  const classifyResult = project.get("classifyResult");
+
+  assert.deepEqual(toPlain(calculateResultStats("missed_loss")), { points: 0, wins: 0, losses: 1, draws: 0, matches: 1 });
+  assert.deepEqual(toPlain(calculateResultStats("missed_bye")), { points: 0, wins: 0, losses: 0, draws: 0, matches: 0 });
+  assert.equal(classifyResult("不戦敗"), "missed_loss");
+  assert.equal(classifyResult("0点Bye"), "missed_bye");
+});
+
+test("calculateMatchWinRate: 引き分けを勝利の1/3として計算する", () => {
+  const calculateMatchWinRate = project.get("calculateMatchWinRate");
+
+  assert.equal(calculateMatchWinRate(player("P1", { wins: 1, draws: 1, losses: 1, matches: 3 })), 4 / 9);
+  assert.equal(calculateMatchWinRate(player("P1")), 0);
+});
+
+test("computeOpponentWinRate: 対戦相手の勝率の平均（最低0.333）", () => {
+  const players = [player("P1", { wins: 2, matches: 2 }), player("P2", { wins: 1, matches: 2 }), player("P3", { wins: 0, matches: 2 })];
+  const history = [win("P1", "P2"), win("P1", "P3"), win("P2", "P3")];
+
+  assert.equal(computeOpponentWinRate("P1", players, history), (0.5 + 0.333) / 2);
+  assert.equal(computeOpponentWinRate("P3", players, history), (1 + 0.5) / 2);
+  assert.equal(computeOpponentWinRate("P9", players, history), 0.333);
+});
+
+test("compareStandings: 勝点 → OMW% → 自己勝率の順に並べる", () => {
+  const players = [
+    player("P1", { points: 3, omw: 0.4, wins: 1, matches: 2 }),
+    player("P2", { points: 6, omw: 0.3, wins: 2, matches: 2 }),
+    player("P3", { points: 3, omw: 0.6, wins: 1, matches: 2 }),
+  ];
+
+  assert.deepEqual(
+    players.sort(compareStandings).map((p) => p.id),
+    ["P2", "P3", "P1"]
+  );
+});
+
+test("parseGameScore: 「勝ち-負け[-引分]」形式を解析し、空欄はnullを返す", () => {
+  assert.deepEqual(toPlain(parseGameScore("2-1")), { wins: 2, losses: 1, draws: 0 });
+  assert.deepEqual(toPlain(parseGameScore(" 1 - 1 - 1 ")), { wins: 1, losses: 1, draws: 1 });
+  assert.equal(parseGameScore(""), null);
+  assert.throws(() => parseGameScore("2対1"), /形式が正しくありません/);
+});
+
+test("validateGameScore: 結果と矛盾するスコアを拒否する", () => {
+  assert.doesNotThrow(() => validateGameScore({ wins: 2, losses: 1, draws: 0 }, "win"));
+  assert.doesNotThrow(() => validateGameScore({ wins: 1, losses: 1, draws: 1 }, "draw"));
+  assert.doesNotThrow(() => validateGameScore(null, "double_loss"));
+  assert.throws(() => validateGameScore({ wins: 1, losses: 2, draws: 0 }, "win"));
+  assert.throws(() => validateGameScore({ wins: 2, losses: 1, draws: 0 }, "draw"));
+  assert.throws(() => validateGameScore({ wins: 0, losses: 0, draws: 0 }, "draw"));
+});
+
+test("calculateGameWinRate / computeOpponentGameWinRate: ゲーム勝率とその平均（最低0.333）", () => {
+  const players = [
+    player("P1", { gameWins: 4, gameLosses: 1 }),
+    player("P2", { gameWins: 2, gameLosses: 2 }),
+    player("P3", { gameWins: 0, gameLosses: 4 }),
+  ];
+  const history = [win("P1", "P2"), win("P1", "P3"), win("P2", "P3")];
+
+  assert.equal(calculateGameWinRate(players[0]), 0.8);
+  assert.equal(calculateGameWinRate(player("P9")), 0);
+  assert.equal(computeOpponentGameWinRate("P1", players, history), (0.5 + 0.333) / 2);
+  assert.equal(computeOpponentGameWinRate("P9", players, history), 0.333);
+});
+
+test("compareStandings: 勝点・OMW%が同じ場合は GW% → OGW% の順に並べる", () => {
+  const players = [
+    player("P1", { points: 3, omw: 0.5, gameWins: 2, gameLosses: 2, ogw: 0.6 }),
+    player("P2", { points: 3, omw: 0.5, gameWins: 2, gameLosses: 1, ogw: 0.4 }),
+    player("P3", { points: 3, omw: 0.5, gameWins: 2, gameLosses: 2, ogw: 0.7 }),
+  ];
+
+  assert.deepEqual(
+    players.sort(compareStandings).map((p) => p.id),
+    ["P2", "P3", "P1"]
+  );
+});
+
+test("buildStandings: ドロップしたプレイヤーも含めて順位を付け、OMW%は履歴から計算し直す", () => {
+  const buildStandings = project.get("buildStandings");
+  const players = [
+    player("P1", { points: 3, wins: 1, losses: 1, matches: 2, omw: 0 }),
+    player("P2", { points: 6, wins: 2, matches: 2, status: "終了" }),
+    player("P3", { points: 3, wins: 1, losses: 1, matches: 2 }),
+    player("P4", { points: 0, losses: 2, matches: 2 }),
+  ];
+  const history = [win("P2", "P1"), win("P3", "P4"), win("P2", "P3"), win("P1", "P4")];
+
+  const standings = buildStandings(players, history);
+
+  assert.deepEqual(
+    standings.map((p) => [p.rank, p.id]),
+    [
+      [1, "P2"],
+      [2, "P1"],
+      [3, "P3"],
+      [4, "P4"],
+    ]
+  );
+  assert.ok(Math.abs(standings[1].omw - (1 + 0.333) / 2) < 1e-9);
+});
+
+test("buildTournamentStats: 1回の走査で成績を集計し、OMW%・OGW%は computeOpponentWinRate と同じ値になる", () => {
+  const buildTournamentStats = project.get("buildTournamentStats");
+  const players = [
+    player("P1", { points: 6, wins: 2, losses: 1, matches: 3, gameWins: 4, gameLosses: 3 }),
+    player("P2", { points: 4, wins: 1, losses: 1, draws: 1, matches: 3, gameWins: 3, gameLosses: 3, gameDraws: 1 }),
+    player("P3", { points: 4, wins: 1, draws: 1, losses: 1, matches: 3, gameWins: 4, gameLosses: 2, gameDraws: 1 }),
+    player("P4", { points: 0, losses: 2, matches: 2, gameLosses: 4 }),
+  ];
+  const history = [
+    { ...win("P1", "P2"), gameScore: { wins: 2, losses: 1, draws: 0 } },
+    { ...win("P3", "P4"), gameScore: { wins: 2, losses: 0, draws: 0 } },
+    { player1Id: "P3", player2Id: "P2", winnerName: "", result: "引き分け", gameScore: { wins: 1, losses: 1, draws: 1 } },
+    { player1Id: "P1", player2Id: "", winnerName: "P1", result: "Bye", gameScore: { wins: 2, losses: 0, draws: 0 } },
+    // 修正でプレイヤー2が勝者になった対戦
+    { player1Id: "P1", player2Id: "P3", winnerName: "P3", result: "P3 勝利", gameScore: { wins: 0, losses: 2, draws: 0 } },
+    { ...win("P2", "P4"), gameScore: { wins: 2, losses: 0, draws: 0 } },
+    { ...win("P1", "P2"), stage: "トップカット" },
+  ];
+
+  const stats = buildTournamentStats(players, history);
+
+  for (const { id } of players) {
+    assert.equal(stats.get(id).omw, computeOpponentWinRate(id, players, history));
+    assert.equal(stats.get(id).ogw, computeOpponentGameWinRate(id, players, history));
+  }
+  const recordOf = (id) => toPlain(stats.get(id).record);
+  assert.deepEqual(recordOf("P1"), { points: 6, wins: 2, losses: 1, draws: 0, matches: 3, byes: 1, gameWins: 4, gameLosses: 3, gameDraws: 0 });
+  assert.deepEqual(recordOf("P3"), { points: 7, wins: 2, losses: 0, draws: 1, matches: 3, byes: 0, gameWins: 5, gameLosses: 1, gameDraws: 1 });
+  assert.deepEqual(toPlain(stats.get("P2").opponents), ["P1", "P3", "P4"]);
+});
+
+test("buildTournamentStats: 同名のプレイヤー同士の対戦はID1側を勝者とする", () => {
+  const buildTournamentStats = project.get("buildTournamentStats");
+  const players = [player("P1", { name: "田中" }), player("P2", { name: "田中" })];
+  // 修正でプレイヤー2の勝利に変更した対戦（勝者がID1側に入れ替わる）
+  const history = [{ player1Id: "P2", player2Id: "P1", winnerName: "田中", result: "田中 勝利" }];
+
+  const stats = buildTournamentStats(players, history);
+
+  assert.equal(stats.get("P2").record.wins, 1);
+  assert.equal(stats.get("P1").record.losses, 1);
+});
+
+test("withTiebreaks: ブッフホルツ・メディアン・ブッフホルツ・ゾンネボルン・ベルガー・OOMW%を計算する", () => {
+  const withTiebreaks = project.get("withTiebreaks");
+  const players = [
+    player("P1", { points: 7, wins: 2, draws: 1, matches: 3 }),
+    player("P2", { points: 3, wins: 1, losses: 2, matches: 3 }),
+    player("P3", { points: 4, wins: 1, losses: 1, draws: 1, matches: 3 }),
+    player("P4", { points: 3, wins: 1, losses: 2, matches: 3 }),
+  ];
+  const history = [
+    win("P1", "P2"),
+    win("P3", "P4"),
+    win("P1", "P4"),
+    win("P2", "P3"),
+    { player1Id: "P1", player2Id: "P3", winnerName: "", result: "引き分け" },
+    win("P4", "P2"),
+  ];
+
+  const [p1] = toPlain(withTiebreaks(players, history));
+
+  assert.equal(p1.tiebreaks.buchholz, 3 + 3 + 4);
+  assert.equal(p1.tiebreaks.median_buchholz, 3);
+  assert.equal(p1.tiebreaks.sonneborn_berger, 3 + 3 + 4 / 2);
+  assert.deepEqual(p1.tiebreaks.h2h, { P2: 1, P4: 1, P3: 0 });
+  assert.ok(p1.tiebreaks.oomw > 0 && p1.tiebreaks.oomw < 1);
+});
+
+test("withTiebreaks: OOMW%は再戦した対戦相手を1人として数え、OMW%と同じ対戦相手で平均する", () => {
+  const withTiebreaks = project.get("withTiebreaks");
+  const players = [
+    player("P1", { points: 6, wins: 2, losses: 1, matches: 3 }),
+    player("P2", { points: 3, wins: 1, losses: 2, matches: 3 }),
+    player("P3", { points: 3, wins: 1, losses: 1, matches: 2 }),
+    player("P4", { points: 3, wins: 1, losses: 1, matches: 2 }),
+  ];
+  // P1 は P2 と再戦している
+  const history = [win("P1", "P2"), win("P3", "P4"), win("P2", "P1"), win("P4", "P3"), win("P1", "P3"), win("P4", "P2")];
+
+  const byId = Object.fromEntries(toPlain(withTiebreaks(players, history)).map((p) => [p.id, p]));
+  assert.ok(Math.abs(byId.P1.tiebreaks.oomw - (byId.P2.tiebreaks.omw + byId.P3.tiebreaks.omw) / 2) < 1e-9);
+});
+
+test("compareStandings: 設定したタイブレーク順で並べ、直接対決では勝った方が上位になる", () => {
+  const withTiebreaks = project.get("withTiebreaks");
+  const players = [
+    player("P1", { points: 3, wins: 1, losses: 1, matches: 2 }),
+    player("P2", { points: 3, wins: 1, losses: 1, matches: 2 }),
+    player("P3", { points: 6, wins: 2, matches: 2 }),
+    player("P4", { points: 9, wins: 3, losses: 1, matches: 4 }), // 履歴にない対戦でも勝点を得ている
+  ];
+  // P1 は P2 に勝ったが、P2 の対戦相手（P4）の方が勝点が高い
+  const history = [win("P1", "P2"), win("P3", "P1"), win("P4", "P3"), win("P2", "P4")];
+  const ranked = (chain) =>
+    withTiebreaks(players, history)
+      .sort((a, b) => compareStandings(a, b, chain))
+      .map((p) => p.id);
+
+  assert.deepEqual(ranked(["h2h"]), ["P4", "P3", "P1", "P2"]);
+  assert.deepEqual(ranked(["buchholz", "h2h"]), ["P4", "P3", "P2", "P1"]);
+});
+
+test("parseTiebreakerChain: 未定義のタイブレークはエラーになり、重複は除かれる", () => {
+  const parseTiebreakerChain = project.get("parseTiebreakerChain");
+
+  assert.deepEqual(toPlain(parseTiebreakerChain("buchholz, h2h, buchholz")), ["buchholz", "h2h"]);
+  assert.throws(() => parseTiebreakerChain(["omw", "unknown"]), /未定義のタイブレークです: unknown/);
+});
+
+test("buildBracketSeedOrder: 上位シード同士が決勝まで当たらない並びを作る", () => {
+  const buildBracketSeedOrder = project.get("buildBracketSeedOrder");
+
+  assert.deepEqual(toPlain(buildBracketSeedOrder(8)), [1, 8, 4, 5, 2, 7, 3, 6]);
+  assert.deepEqual(toPlain(buildBracketSeedOrder(16)), [1, 16, 8, 9, 4, 13, 5, 12, 2, 15, 7, 10, 3, 14, 6, 11]);
+  assert.throws(() => buildBracketSeedOrder(6), /2のべき乗/);
+});
+
+test("buildNextBracketRound: 隣り合う試合の勝者同士を、シード上位をプレイヤー1として組む", () => {
+  const buildNextBracketRound = project.get("buildNextBracketRound");
+  const winners = [
+    { seed: 1, playerId: "P1" },
+    { seed: 5, playerId: "P5" },
+    { seed: 7, playerId: "P7" },
+    { seed: 3, playerId: "P3" },
+  ];
+
+  assert.deepEqual(toPlain(buildNextBracketRound(winners)), [
+    { matchNumber: 1, seed1: 1, player1Id: "P1", seed2: 5, player2Id: "P5" },
+    { matchNumber: 2, seed1: 3, player1Id: "P3", seed2: 7, player2Id: "P7" },
+  ]);
+  assert.deepEqual(toPlain(buildNextBracketRound([{ seed: 1, playerId: "P1" }])), []);
+});
+
+test("buildOpponentsMap: トップカットの対戦は対戦相手に含めない", () => {
+  const topCut = { ...win("P1", "P3"), stage: "トップカット" };
+
+  assert.deepEqual(toPlain(buildOpponentsMap([win("P1", "P2"), topCut])), [
+    ["P1", ["P2"]],
+    ["P2", ["P1"]],
+  ]);
+});
+
+test("assignTableNumbers: 使用不可の卓を飛ばし、卓が足りない場合は例外を投げる", () => {
+  const assignTableNumbers = project.get("assignTableNumbers");
+
+  const pairs = [
+    ["P1", "P2"],
+    ["P3", "P4"],
+    ["P5", "P6"],
+  ];
+
+  assert.deepEqual(toPlain(assignTableNumbers(pairs, 5, [2, 4])), { tableNumbers: [1, 3, 5], spareTables: [], conflicts: [] });
+  assert.deepEqual(toPlain(assignTableNumbers([], 2)), { tableNumbers: [], spareTables: [1, 2], conflicts: [] });
+  assert.throws(() => assignTableNumbers([...pairs, ["P7", "P8"]], 5, [2, 4]), /卓が不足しています/);
+});
+
+test("assignTableNumbers: 固定卓のプレイヤーの対戦をその卓に置き、他の対戦は空いた卓に割り当てる", () => {
+  const assignTableNumbers = project.get("assignTableNumbers");
+  const pairs = [
+    ["P1", "P2"],
+    ["P3", "P4"],
+    ["P5", "P6"],
+  ];
+
+  const result = toPlain(assignTableNumbers(pairs, 10, [], new Map([["P4", 1], ["P5", 7]])));
+
+  assert.deepEqual(result.tableNumbers, [2, 1, 7]);
+  assert.deepEqual(result.conflicts, []);
+});
+
+test("assignTableNumbers: 固定卓のプレイヤー同士の対戦は競合として報告する", () => {
+  const assignTableNumbers = project.get("assignTableNumbers");
+  const pairs = [
+    ["P1", "P2"],
+    ["P3", "P4"],
+  ];
+
+  const result = toPlain(assignTableNumbers(pairs, 10, [], new Map([["P1", 5], ["P2", 6], ["P3", 5]])));
+
+  assert.equal(result.tableNumbers[0], 5);
+  assert.notEqual(result.tableNumbers[1], 5);
+  assert.equal(result.conflicts.length, 2);
+  assert.match(result.conflicts[0], /固定卓のプレイヤー同士の対戦です: P1（卓5） vs P2（卓6）/);
+  assert.match(result.conflicts[1], /P3 の固定卓5は他の固定卓の対戦で使用中/);
+});
@@ -0,0 +1,117 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTournament, recordAllResults, playersById } = require("./support/tournament");
+
+/**
+ * スイスドローを指定ラウンド数だけ進めます（全対戦をプレイヤー1の勝利で記録）
+ * @param {Object} project - loadProject() の戻り値
+ * @param {number} rounds - ラウンド数
+ */
+function playSwissRounds(project, rounds) {
+  for (let round = 1; round <= rounds; round++) {
+    const result = project.get("startNewRound")();
+    assert.equal(result.success, true, result.message);
+    recordAllResults(project);
+  }
+}
+
+/**
+ * トップカットの未記録の対戦をすべてシード上位（プレイヤー1）の勝利で記録します
+ * @param {Object} project - loadProject() の戻り値
+ * @returns {Object} 最後に記録した recordTopCutResult() の戻り値
+ */
+function recordTopCutRound(project) {
+  let result = null;
+  project.records("トップカット").forEach((match, index) => {
+    if (match["勝者ID"]) return;
+    result = project.get("recordTopCutResult")(match["ID1"], match["ID2"], index + 1);
+  });
+  return result;
+}
+
+test("startTopCut: 順位表の上位をシード順（1v8, 4v5, 2v7, 3v6）で組む", () => {
+  const project = setupTournament(10);
+  playSwissRounds(project, 3);
+
+  const result = project.get("startTopCut")(8);
+  assert.equal(result.success, true, result.message);
+
+  const compareStandings = project.get("compareStandings");
+  const ranked = project
+    .get("readPlayerRecords")(project.spreadsheet.getSheetByName("プレイヤー"))
+    .sort(compareStandings)
+    .map((player) => player.id);
+
+  const matches = project.records("トップカット");
+  assert.deepEqual(
+    matches.map((match) => [match["シード1"], match["シード2"]]),
+    [
+      [1, 8],
+      [4, 5],
+      [2, 7],
+      [3, 6],
+    ]
+  );
+  assert.equal(matches[0]["ID1"], ranked[0]);
+  assert.equal(matches[0]["ID2"], ranked[7]);
+  assert.equal(matches[0]["ラウンド名"], "準々決勝");
+  assert.equal(project.get("getTournamentStatus")(), "トップカット");
+});
+
+test("トップカットは勝者が勝ち上がり、決勝の結果でトーナメントが終了する", () => {
+  const project = setupTournament(8);
+  playSwissRounds(project, 3);
+  project.get("startTopCut")(4);
+
+  const semifinal = recordTopCutRound(project);
+  assert.equal(semifinal.nextRoundName, "決勝");
+
+  const [first, second, final] = project.records("トップカット");
+  assert.equal(final["ID1"], first["ID1"]);
+  assert.equal(final["ID2"], second["ID1"]);
+  assert.equal(final["シード1"], 1);
+  assert.equal(final["シード2"], 2);
+
+  const finalResult = recordTopCutRound(project);
+  assert.equal(finalResult.championId, first["ID1"]);
+  assert.equal(project.get("getTournamentStatus")(), "終了");
+});
+
+test("トップカットの対戦は勝点・勝敗数・OMW%に反映されない", () => {
+  const project = setupTournament(8);
+  playSwissRounds(project, 3);
+  project.get("updateAllOpponentWinRates")();
+  const before = playersById(project);
+
+  project.get("startTopCut")(4);
+  recordTopCutRound(project);
+  recordTopCutRound(project);
+  project.get("updateAllOpponentWinRates")();
+
+  const after = playersById(project);
+  for (const id of Object.keys(before)) {
+    for (const header of ["勝点", "勝数", "敗数", "試合数", "OMW%"]) {
+      assert.equal(after[id][header], before[id][header], `${id} の ${header}`);
+    }
+  }
+
+  const topCutHistory = project.records("対戦履歴").filter((match) => match["区分"] === "トップカット");
+  assert.equal(topCutHistory.length, 3);
+});
+
+test("startTopCut: ラウンド未完了・人数不足・2のべき乗以外は開始できない", () => {
+  const project = setupTournament(6);
+  project.get("startNewRound")();
+
+  assert.equal(project.get("startTopCut")(4).success, false);
+
+  recordAllResults(project);
+  assert.equal(project.get("startTopCut")(6).success, false);
+  assert.equal(project.get("startTopCut")(8).success, false);
+  assert.equal(project.get("getTournamentStatus")(), "進行中");
+
+  assert.equal(project.get("startTopCut")(4).success, true);
+  assert.equal(project.get("startTopCut")(4).success, false);
+});
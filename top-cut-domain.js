@@ -0,0 +1,406 @@
+/**
+ * スイス方式トーナメントマッチングシステム
+ * @fileoverview トップカットドメイン - スイスドロー上位によるシングルエリミネーション
+ * @author springOK
+ *
+ * トップカットの対戦は対戦履歴に区分「トップカット」として記録し、
+ * プレイヤーシートの勝点・勝敗数やOMW%には反映しません。
+ */
+
+// =========================================
+// トップカット開始
+// =========================================
+
+/**
+ * スイスドローの最終順位の上位からトップカットを開始します
+ * シード順（1v8, 4v5, 2v7, 3v6 など）で1回戦の対戦をトップカットシートに作成します。
+ * @param {number} size - トップカットの人数（4, 8, 16 などの2のべき乗）
+ * @returns {Object} { success: boolean, message: string, seeds: Array<{seed: number, id: string, name: string}> }
+ */
+function startTopCut(size) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let lock = null;
+
+  try {
+    lock = acquireLock("トップカット開始");
+    const stateBefore = captureWorkbookState();
+
+    if (getTournamentStatus() === TOURNAMENT_STATUS.TOP_CUT) {
+      return { success: false, message: "トップカットは既に開始されています。" };
+    }
+
+    const currentRound = getCurrentRound();
+    if (currentRound === 0) {
+      return { success: false, message: "スイスドローが開始されていません。" };
+    }
+    if (!isRoundComplete()) {
+      return {
+        success: false,
+        message: `ラウンド${currentRound}が終了していません。すべての対戦結果を記録してください。`,
+      };
+    }
+
+    let topCutSheet = ss.getSheetByName(SHEET_TOP_CUT);
+    if (topCutSheet && topCutSheet.getLastRow() > 1) {
+      return { success: false, message: "このトーナメントのトップカットは既に作成されています。" };
+    }
+
+    if (!isValidBracketSize(size)) {
+      return { success: false, message: "トップカットの人数は 2, 4, 8, 16 などの2のべき乗で指定してください。" };
+    }
+
+    // シードは最新のOMW%で並べた順位表の順（スイスドローの最終順位を順位表シートにも出力）
+    updateAllOpponentWinRates();
+    rebuildStandingsSheet();
+
+    const playerSheet = ss.getSheetByName(SHEET_PLAYERS);
+    const rankedPlayers = rankPlayers(
+      readPlayerRecords(playerSheet),
+      readHistoryRecords(ss.getSheetByName(SHEET_HISTORY)),
+      getTiebreakerChain(),
+      (player) => player.status === PLAYER_STATUS.ACTIVE
+    );
+
+    if (rankedPlayers.length < size) {
+      return {
+        success: false,
+        message: `参加中のプレイヤーが${rankedPlayers.length}人のため、トップ${size}を作成できません。`,
+      };
+    }
+
+    const matches = buildTopCutBracket(rankedPlayers, size);
+    const playerNameMap = new Map(rankedPlayers.map((player) => [player.id, player.name]));
+
+    if (!topCutSheet) {
+      topCutSheet = ss.insertSheet(SHEET_TOP_CUT);
+    }
+    resetTopCutSheet(topCutSheet);
+    appendTopCutRound(topCutSheet, 1, size, matches, playerNameMap);
+
+    setTournamentStatus(TOURNAMENT_STATUS.TOP_CUT);
+
+    Logger.log(`トップカット開始: トップ${size}（スイスドロー ${currentRound}ラウンド終了時点の順位）`);
+    recordOperation("トップカット開始", `トップ${size}`, stateBefore);
+
+    return {
+      success: true,
+      message: `トップ${size}のトップカットを開始しました。${matches.length}組の対戦を作成しました。`,
+      seeds: rankedPlayers.slice(0, size).map((player, index) => ({ seed: index + 1, id: player.id, name: player.name })),
+    };
+  } catch (e) {
+    Logger.log("startTopCut エラー: " + e.message);
+    return {
+      success: false,
+      message: "エラーが発生しました: " + e.toString(),
+    };
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+/**
+ * トップカット開始のUIラッパー関数
+ */
+function startTopCutUI() {
+  const ui = SpreadsheetApp.getUi();
+
+  if (getTournamentStatus() === TOURNAMENT_STATUS.TOP_CUT) {
+    ui.alert("トップカット進行中", "トップカットは既に開始されています。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.prompt(
+    "トップカット開始",
+    "スイスドローの順位表の上位から、シングルエリミネーションのトップカットを作成します。\n\n" +
+      "トップカットの人数を入力してください（例: 8、16）：",
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    ui.alert("処理をキャンセルしました。");
+    return;
+  }
+
+  const input = response.getResponseText().trim();
+  if (!/^\d+$/.test(input)) {
+    ui.alert("エラー", "数字のみで入力してください。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const size = parseInt(input, 10);
+
+  const confirmResponse = ui.alert(
+    "トップカット開始の確認",
+    `順位表の上位${size}名でトップカットを開始しますか？\n\n` + "開始後はスイスドローの新しいラウンドを開始できません。",
+    ui.ButtonSet.YES_NO
+  );
+
+  if (confirmResponse !== ui.Button.YES) {
+    ui.alert("処理をキャンセルしました。");
+    return;
+  }
+
+  const result = startTopCut(size);
+
+  if (!result.success) {
+    ui.alert("エラー", result.message, ui.ButtonSet.OK);
+    return;
+  }
+
+  const seedList = result.seeds.map((seed) => `${seed.seed}. ${seed.name} (${seed.id})`).join("\n");
+  ui.alert("トップカット開始", `${result.message}\n\n【シード】\n${seedList}`, ui.ButtonSet.OK);
+}
+
+// =========================================
+// トップカットの結果記録
+// =========================================
+
+/**
+ * トップカットの結果記録のUIラッパー関数
+ */
+function recordTopCutResultUI() {
+  const ui = SpreadsheetApp.getUi();
+
+  if (getTournamentStatus() !== TOURNAMENT_STATUS.TOP_CUT) {
+    ui.alert("エラー", "トップカットが進行中ではありません。", ui.ButtonSet.OK);
+    return;
+  }
+
+  const winnerId = promptPlayerId("勝者の入力", "勝者のIDの数字部分 (例: P001なら「1」) または名前の一部を入力してください。");
+  if (!winnerId) return;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const topCutSheet = ss.getSheetByName(SHEET_TOP_CUT);
+  const { indices, data } = getSheetStructure(topCutSheet, SHEET_TOP_CUT);
+  let loserId = null;
+  let matchRow = -1;
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (row[indices["勝者ID"]]) continue;
+
+    if (row[indices["ID1"]] === winnerId) {
+      loserId = row[indices["ID2"]];
+      matchRow = i;
+      break;
+    } else if (row[indices["ID2"]] === winnerId) {
+      loserId = row[indices["ID1"]];
+      matchRow = i;
+      break;
+    }
+  }
+
+  if (loserId === null) {
+    ui.alert("エラー", `勝者ID (${winnerId}) の未記録の対戦がトップカットに見つかりませんでした。`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const roundName = data[matchRow][indices["ラウンド名"]];
+  const gameScore = promptGameScore("win", `勝者（${getPlayerName(winnerId)}）`);
+  if (!gameScore.ok) return;
+
+  const confirmResponse = ui.alert(
+    "対戦結果の確認",
+    `以下の内容で記録してよろしいですか？\n\n` +
+      `${roundName} 第${data[matchRow][indices["試合番号"]]}試合\n` +
+      `勝者: ${getPlayerName(winnerId)}\n` +
+      `敗者: ${getPlayerName(loserId)}\n` +
+      `ゲームスコア: ${formatGameScore(gameScore.score) || "記録なし"}`,
+    ui.ButtonSet.YES_NO
+  );
+
+  if (confirmResponse !== ui.Button.YES) {
+    ui.alert("処理をキャンセルしました。");
+    return;
+  }
+
+  try {
+    const result = recordTopCutResult(winnerId, loserId, matchRow, gameScore.score);
+
+    if (result.championId) {
+      ui.alert("🏆 優勝決定", `優勝: ${getPlayerName(result.championId)} (${result.championId})\n\n` + "トーナメントが終了しました。", ui.ButtonSet.OK);
+    } else if (result.nextRoundName) {
+      ui.alert("次のラウンド", `${roundName}がすべて終了しました。\n${result.nextRoundName}の対戦を作成しました。`, ui.ButtonSet.OK);
+    }
+  } catch (e) {
+    ui.alert("エラー", "エラーが発生しました: " + e.toString(), ui.ButtonSet.OK);
+    Logger.log("recordTopCutResultUI エラー: " + e.toString());
+  }
+}
+
+/**
+ * トップカットの対戦結果を記録し、ラウンドの全試合が終わった場合は勝者を次のラウンドに進めます
+ * プレイヤーシートの統計（勝点・勝敗数・ゲーム数）は更新しません。
+ * @param {string} winnerId - 勝者のプレイヤーID
+ * @param {string} loserId - 敗者のプレイヤーID
+ * @param {number} matchRow - トップカットシートの行番号（0-indexed）
+ * @param {{wins: number, losses: number, draws: number}|null} [gameScore] - 勝者から見たゲームスコア
+ * @returns {{championId: string|null, nextRoundName: string|null}} 優勝者ID（決勝の場合）、作成した次のラウンド名
+ */
+function recordTopCutResult(winnerId, loserId, matchRow, gameScore = null) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let lock = null;
+
+  try {
+    lock = acquireLock("トップカットの結果記録");
+    const stateBefore = captureWorkbookState();
+
+    const topCutSheet = ss.getSheetByName(SHEET_TOP_CUT);
+    const historySheet = ss.getSheetByName(SHEET_HISTORY);
+    const { indices, data } = getSheetStructure(topCutSheet, SHEET_TOP_CUT);
+    getSheetStructure(historySheet, SHEET_HISTORY);
+
+    const matchRowData = data[matchRow];
+    if (!matchRowData) {
+      throw new Error("トップカットの対戦が見つかりません。");
+    }
+    if (matchRowData[indices["勝者ID"]]) {
+      throw new Error("この対戦は既に結果が記録されています。");
+    }
+
+    const matchPlayers = [matchRowData[indices["ID1"]], matchRowData[indices["ID2"]]];
+    if (!matchPlayers.includes(winnerId) || !matchPlayers.includes(loserId) || winnerId === loserId) {
+      throw new Error(`${winnerId} と ${loserId} はこのトップカットの対戦のプレイヤーではありません。`);
+    }
+
+    validateGameScore(gameScore, "win");
+
+    const bracketRound = matchRowData[indices["ラウンド"]];
+    const matchNumber = matchRowData[indices["試合番号"]];
+    const winnerName = getPlayerName(winnerId);
+    const loserName = getPlayerName(loserId);
+    const resultText = `${winnerName} 勝利`;
+    const formattedTime = Utilities.formatDate(new Date(), "Asia/Tokyo", "yyyy/MM/dd HH:mm:ss");
+
+    // トップカットシートに結果を記録
+    topCutSheet.getRange(matchRow + 1, indices["勝者ID"] + 1).setValue(winnerId);
+    topCutSheet.getRange(matchRow + 1, indices["結果"] + 1).setValue(resultText);
+    matchRowData[indices["勝者ID"]] = winnerId;
+
+    // 対戦履歴に記録（区分で区別し、スイスドローの集計からは除外される）
+    const newId = "T" + Utilities.formatString("%04d", historySheet.getLastRow());
+    historySheet.appendRow(
+      buildRow(SHEET_HISTORY, {
+        "対戦ID": newId,
+        "ラウンド": bracketRound,
+        "日時": formattedTime,
+        "卓番号": matchNumber,
+        "ID1": winnerId,
+        "プレイヤー1": winnerName,
+        "ID2": loserId,
+        "プレイヤー2": loserName,
+        "勝者名": winnerName,
+        "結果": resultText,
+        "ゲームスコア": formatGameScore(gameScore),
+        "区分": MATCH_STAGE.TOP_CUT,
+      })
+    );
+
+    Logger.log(`トップカット結果記録: ${matchRowData[indices["ラウンド名"]]} 第${matchNumber}試合, ${resultText}`);
+
+    // ラウンドの全試合が終わっていれば勝ち上がりを処理
+    const outcome = advanceTopCutBracket(topCutSheet, indices, data, bracketRound);
+    recordOperation("トップカットの結果記録", `${matchRowData[indices["ラウンド名"]]} 第${matchNumber}試合`, stateBefore);
+
+    return outcome;
+  } catch (e) {
+    Logger.log("recordTopCutResult エラー: " + e.message);
+    throw e;
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+/**
+ * トップカットのラウンドの全試合が終わっていれば、次のラウンドを作成するか優勝者を決定します
+ * 呼び出し元でロックを取得していることが前提です（recordTopCutResult から使用）。
+ * @param {Sheet} topCutSheet - トップカットシート
+ * @param {Object} indices - トップカットシートの列インデックス
+ * @param {Array<Array<*>>} data - トップカットシートのデータ（記録した勝者IDを反映済みのもの）
+ * @param {number} bracketRound - 結果を記録したトップカットのラウンド番号
+ * @returns {{championId: string|null, nextRoundName: string|null}} 優勝者ID（決勝の場合）、作成した次のラウンド名
+ */
+function advanceTopCutBracket(topCutSheet, indices, data, bracketRound) {
+  const roundRows = data.slice(1).filter((row) => row[indices["ラウンド"]] === bracketRound);
+  if (roundRows.some((row) => !row[indices["勝者ID"]])) {
+    return { championId: null, nextRoundName: null };
+  }
+
+  const winners = roundRows
+    .sort((a, b) => a[indices["試合番号"]] - b[indices["試合番号"]])
+    .map((row) => {
+      const id = row[indices["勝者ID"]];
+      const seed = id === row[indices["ID1"]] ? row[indices["シード1"]] : row[indices["シード2"]];
+      return { seed: parseInt(seed, 10), playerId: id };
+    });
+
+  if (winners.length === 1) {
+    setTournamentStatus(TOURNAMENT_STATUS.FINISHED);
+    Logger.log(`トップカット終了: 優勝 ${winners[0].playerId}`);
+    return { championId: winners[0].playerId, nextRoundName: null };
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const playerNameMap = new Map(readPlayerRecords(ss.getSheetByName(SHEET_PLAYERS)).map((player) => [player.id, player.name]));
+  const nextMatches = buildNextBracketRound(winners);
+  const nextRoundName = appendTopCutRound(topCutSheet, bracketRound + 1, winners.length, nextMatches, playerNameMap);
+
+  return { championId: null, nextRoundName: nextRoundName };
+}
+
+// =========================================
+// トップカットシート操作
+// =========================================
+
+/**
+ * トップカットシートをクリアし、ヘッダーを書き込みます
+ * @param {Sheet} topCutSheet - トップカットシート
+ */
+function resetTopCutSheet(topCutSheet) {
+  topCutSheet.clear();
+  const headers = REQUIRED_HEADERS[SHEET_TOP_CUT];
+  topCutSheet
+    .getRange(1, 1, 1, headers.length)
+    .setValues([headers])
+    .setFontWeight("bold")
+    .setBackground("#fff2cc")
+    .setHorizontalAlignment("center");
+  topCutSheet.setColumnWidth(headers.indexOf("ラウンド名") + 1, 100);
+  topCutSheet.setColumnWidth(headers.indexOf("プレイヤー1") + 1, 150);
+  topCutSheet.setColumnWidth(headers.indexOf("プレイヤー2") + 1, 150);
+  topCutSheet.setColumnWidth(headers.indexOf("結果") + 1, 150);
+}
+
+/**
+ * トップカットのラウンドの対戦をシートに追加します
+ * @param {Sheet} topCutSheet - トップカットシート
+ * @param {number} bracketRound - トップカットのラウンド番号（1から）
+ * @param {number} playerCount - そのラウンドに残っている人数
+ * @param {Array<Object>} matches - buildTopCutBracket() / buildNextBracketRound() の戻り値
+ * @param {Map<string, string>} playerNameMap - プレイヤーIDから名前へのマップ
+ * @returns {string} ラウンド名
+ */
+function appendTopCutRound(topCutSheet, bracketRound, playerCount, matches, playerNameMap) {
+  const roundName = getTopCutRoundName(playerCount);
+
+  for (const match of matches) {
+    topCutSheet.appendRow(
+      buildRow(SHEET_TOP_CUT, {
+        "ラウンド": bracketRound,
+        "ラウンド名": roundName,
+        "試合番号": match.matchNumber,
+        "シード1": match.seed1,
+        "ID1": match.player1Id,
+        "プレイヤー1": playerNameMap.get(match.player1Id) || match.player1Id,
+        "シード2": match.seed2,
+        "ID2": match.player2Id,
+        "プレイヤー2": playerNameMap.get(match.player2Id) || match.player2Id,
+        "勝者ID": "",
+        "結果": "",
+      })
+    );
+  }
+
+  Logger.log(`トップカット ${roundName}: ${matches.length}試合を作成`);
+  return roundName;
+}